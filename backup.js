@@ -0,0 +1,394 @@
+// ============================================
+// backup.js - Copias de seguridad de crm.db
+// ============================================
+// Usa la API de backup en línea de SQLite (better-sqlite3 .backup()), así
+// que se puede copiar mientras el bot escribe. Cada copia se verifica con
+// PRAGMA integrity_check; si falla, se borra y queda registrado el error.
+//
+// Retención: 1 copia por hora (24 h), 1 por día (7 días), 1 por semana (4 semanas).
+//
+// Las imágenes de comprobantes y carnets viven en media/ (ver media.js), no en
+// la base. Cada copia agrega a backups/media/ los archivos que falten. Como el
+// nombre es el sha256 del contenido, un archivo nunca cambia: basta con
+// enlazarlo (hard link) o copiarlo una vez y no entra en la retención.
+//
+// Uso:
+//   node backup.js                        → crear una copia ahora
+//   node backup.js list                   → listar copias
+//   node backup.js restore <archivo>      → vista previa (no cambia nada)
+//   node backup.js restore <archivo> --yes → restaurar (con el bot detenido)
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MEDIA_DIR } = require('./media');
+
+const DB_PATH = path.join(__dirname, 'crm.db');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const STATUS_PATH = path.join(BACKUP_DIR, 'last_backup.json');
+const MEDIA_BACKUP_DIR = path.join(BACKUP_DIR, 'media');
+const FILE_PATTERN = /^crm_(\d{8})-(\d{6})(\d{3})?\.db$/;  // las copias viejas no tienen milisegundos
+
+const RETENTION = { hourly: 24, daily: 7, weekly: 4 };
+const INTERVAL_MS = 60 * 60 * 1000;
+
+// Tablas que se comparan en la vista previa de restauración
+const PREVIEW_TABLES = ['clients', 'conversations', 'orders', 'comprobantes', 'carnets', 'assignments', 'audit_events'];
+
+// 2026-03-01T14:05:09.123Z → "20260301-140509123" (UTC). Con milisegundos:
+// la copia de seguridad previa a una restauración no cae en el mismo nombre
+// que la copia que se está restaurando.
+function stampOf(date) {
+  return date.toISOString().replace(/[-:.]/g, '').replace('T', '-').substring(0, 18);
+}
+
+function dateOf(file) {
+  const m = file.match(FILE_PATTERN);
+  if (!m) return null;
+  const [d, t, ms = '000'] = [m[1], m[2], m[3]];
+  return new Date(`${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4)}.${ms}Z`);
+}
+
+// Copias existentes, más reciente primero
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(f => FILE_PATTERN.test(f))
+    .map(file => {
+      const fullPath = path.join(BACKUP_DIR, file);
+      return { file, path: fullPath, date: dateOf(file), size: fs.statSync(fullPath).size };
+    })
+    .sort((a, b) => b.date - a.date);
+}
+
+// 'ok' o la lista de problemas que reporta SQLite
+function checkIntegrity(filePath) {
+  const conn = new Database(filePath, { readonly: true, fileMustExist: true });
+  try {
+    const rows = conn.pragma('integrity_check');
+    const problems = rows.map(r => r.integrity_check).filter(r => r !== 'ok');
+    return problems.length === 0 ? 'ok' : problems.join('; ');
+  } finally {
+    conn.close();
+  }
+}
+
+function getLastBackupStatus() {
+  if (!fs.existsSync(STATUS_PATH)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(STATUS_PATH, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStatus(status) {
+  fs.writeFileSync(STATUS_PATH, JSON.stringify(status, null, 2), 'utf8');
+}
+
+// Qué copias conservar: la más reciente de cada hora/día/semana hasta el límite
+function selectToKeep(backups, now = new Date()) {
+  const keep = new Set();
+  const buckets = {
+    hourly: b => b.date.toISOString().substring(0, 13),
+    daily: b => b.date.toISOString().substring(0, 10),
+    weekly: b => Math.floor((b.date.getTime() / 86400000 + 3) / 7), // semanas desde un lunes
+  };
+  const maxAge = { hourly: RETENTION.hourly * 3600000, daily: RETENTION.daily * 86400000, weekly: RETENTION.weekly * 7 * 86400000 };
+  for (const [kind, bucketOf] of Object.entries(buckets)) {
+    const seen = new Set();
+    for (const b of backups) {
+      if (now - b.date > maxAge[kind]) break;
+      const key = bucketOf(b);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      keep.add(b.file);
+    }
+  }
+  if (backups.length) keep.add(backups[0].file); // nunca borrar la última
+  return keep;
+}
+
+function applyRetention(now = new Date()) {
+  const backups = listBackups();
+  const keep = selectToKeep(backups, now);
+  const removed = backups.filter(b => !keep.has(b.file));
+  removed.forEach(b => fs.unlinkSync(b.path));
+  if (removed.length) console.log(`[BACKUP] 🧹 ${removed.length} copia(s) antigua(s) eliminada(s)`);
+  return removed.length;
+}
+
+// Archivos del almacén de media como rutas relativas ('ab/<sha256>.jpg')
+function listMediaFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const sub of fs.readdirSync(dir)) {
+    const subPath = path.join(dir, sub);
+    if (!fs.statSync(subPath).isDirectory()) continue;
+    fs.readdirSync(subPath).filter(f => !f.endsWith('.tmp')).forEach(f => files.push(path.join(sub, f)));
+  }
+  return files;
+}
+
+// Enlaza (o copia, si el disco no lo permite) un archivo de media
+function linkOrCopy(src, dest) {
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  try {
+    fs.linkSync(src, dest);
+  } catch (e) {
+    fs.copyFileSync(src, dest);
+  }
+}
+
+// media/ → backups/media/: solo los archivos que todavía no están
+function backupMedia() {
+  const files = listMediaFiles(MEDIA_DIR);
+  let added = 0;
+  for (const file of files) {
+    const dest = path.join(MEDIA_BACKUP_DIR, file);
+    if (fs.existsSync(dest)) continue;
+    linkOrCopy(path.join(MEDIA_DIR, file), dest);
+    added++;
+  }
+  return { total: files.length, added };
+}
+
+// Crear una copia verificada. `db` es la conexión abierta (o se abre crm.db).
+// rotate: aplicar la retención después (no al restaurar, para no borrar la copia de origen)
+async function createBackup(db = null, { rotate = true } = {}) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const started = new Date();
+  const file = `crm_${stampOf(started)}.db`;
+  const dest = path.join(BACKUP_DIR, file);
+  const tmp = dest + '.tmp';
+  const conn = db || new Database(DB_PATH, { fileMustExist: true });
+
+  try {
+    // Se arma en un temporal y se copia sin pisar nunca una copia existente
+    await conn.backup(tmp);
+    // La copia queda como un solo archivo (sin -wal/-shm al abrirla después)
+    const copy = new Database(tmp);
+    copy.pragma('journal_mode = DELETE');
+    copy.close();
+    const integrity = checkIntegrity(tmp);
+    if (integrity !== 'ok') throw new Error(`integrity_check falló: ${integrity}`);
+    try {
+      fs.copyFileSync(tmp, dest, fs.constants.COPYFILE_EXCL);
+    } catch (e) {
+      if (e.code === 'EEXIST') throw new Error(`ya existe una copia llamada ${file}`);
+      throw e;
+    }
+    const media = backupMedia();
+    const status = { ok: true, file, at: started.toISOString(), size: fs.statSync(dest).size, media, ms: Date.now() - started };
+    writeStatus(status);
+    console.log(`[BACKUP] 💾 ${file} (${(status.size / 1048576).toFixed(1)} MB, ${status.ms} ms) ✅ integridad ok — media: ${media.added} nuevo(s) de ${media.total}`);
+    if (rotate) applyRetention(started);
+    return status;
+  } catch (e) {
+    const last = getLastBackupStatus();
+    writeStatus({ ok: false, error: e.message, at: started.toISOString(), lastGood: last && last.ok ? last : last?.lastGood || null });
+    console.error(`[BACKUP] ❌ Falló la copia: ${e.message}`);
+    throw e;
+  } finally {
+    if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+    if (!db) conn.close();
+  }
+}
+
+// Copia cada hora mientras corre el bot (la primera al minuto de arrancar)
+function startBackupScheduler(db) {
+  const run = () => createBackup(db).catch(() => { /* ya registrado en last_backup.json */ });
+  setTimeout(run, 60 * 1000);
+  return setInterval(run, INTERVAL_MS);
+}
+
+// Copia simple de un archivo (p. ej. el catálogo) con las últimas `keep` versiones
+function backupFile(srcPath, subdir, keep = 10) {
+  if (!fs.existsSync(srcPath)) return null;
+  const dir = path.join(BACKUP_DIR, subdir);
+  fs.mkdirSync(dir, { recursive: true });
+  const ext = path.extname(srcPath);
+  const base = path.basename(srcPath, ext);
+  const dest = path.join(dir, `${base}_${stampOf(new Date())}${ext}`);
+  fs.copyFileSync(srcPath, dest, fs.constants.COPYFILE_EXCL);
+  fs.readdirSync(dir)
+    .filter(f => f.startsWith(base + '_'))
+    .sort()
+    .reverse()
+    .slice(keep)
+    .forEach(f => fs.unlinkSync(path.join(dir, f)));
+  return dest;
+}
+
+// ============================================
+// RESTAURAR
+// ============================================
+function resolveBackupPath(fileOrPath) {
+  if (fs.existsSync(fileOrPath)) return path.resolve(fileOrPath);
+  const inDir = path.join(BACKUP_DIR, fileOrPath);
+  if (fs.existsSync(inDir)) return inDir;
+  throw new Error(`No existe la copia ${fileOrPath}`);
+}
+
+// Resumen de una base: versión de esquema y filas por tabla
+function describeDatabase(filePath) {
+  const conn = new Database(filePath, { readonly: true, fileMustExist: true });
+  try {
+    const { getSchemaVersion } = require('./migrate');
+    const counts = {};
+    for (const table of PREVIEW_TABLES) {
+      const exists = conn.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+      counts[table] = exists ? conn.prepare(`SELECT COUNT(*) as n FROM ${table}`).get().n : null;
+    }
+    const last = conn.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'conversations'").get()
+      ? conn.prepare('SELECT MAX(created_at) as t FROM conversations').get().t
+      : null;
+    return { schemaVersion: getSchemaVersion(conn), counts, lastMessageAt: last, media: describeMedia(conn) };
+  } finally {
+    conn.close();
+  }
+}
+
+// Filas de media de una base y dónde está cada archivo: en media/, solo en
+// backups/media/ (se recupera al restaurar) o en ninguna parte
+function describeMedia(conn) {
+  const exists = conn.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'media'").get();
+  if (!exists) return null;
+  const summary = { total: 0, present: 0, recoverable: 0, missing: 0, missingFiles: [] };
+  for (const row of conn.prepare('SELECT id, file FROM media').all()) {
+    summary.total++;
+    if (fs.existsSync(path.join(MEDIA_DIR, row.file))) summary.present++;
+    else if (fs.existsSync(path.join(MEDIA_BACKUP_DIR, row.file))) summary.recoverable++;
+    else {
+      summary.missing++;
+      summary.missingFiles.push(`#${row.id} ${row.file}`);
+    }
+  }
+  return summary;
+}
+
+// Trae de backups/media/ los archivos que la base restaurada necesita
+function restoreMedia(dbPath) {
+  const conn = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    const exists = conn.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'media'").get();
+    if (!exists) return { restored: 0, missing: 0 };
+    let restored = 0;
+    let missing = 0;
+    for (const row of conn.prepare('SELECT file FROM media').all()) {
+      const dest = path.join(MEDIA_DIR, row.file);
+      if (fs.existsSync(dest)) continue;
+      const src = path.join(MEDIA_BACKUP_DIR, row.file);
+      if (!fs.existsSync(src)) { missing++; continue; }
+      linkOrCopy(src, dest);
+      restored++;
+    }
+    return { restored, missing };
+  } finally {
+    conn.close();
+  }
+}
+
+// Vista previa: qué cambiaría si se restaura esta copia
+function previewRestore(fileOrPath) {
+  const source = resolveBackupPath(fileOrPath);
+  const integrity = checkIntegrity(source);
+  const backup = describeDatabase(source);
+  const current = fs.existsSync(DB_PATH) ? describeDatabase(DB_PATH) : null;
+  return { source, integrity, backup, current };
+}
+
+// Restaurar: primero guarda una copia de seguridad de la base actual
+async function restoreBackup(fileOrPath) {
+  const preview = previewRestore(fileOrPath);
+  if (preview.integrity !== 'ok') throw new Error(`La copia está dañada: ${preview.integrity}`);
+
+  let safety = null;
+  if (fs.existsSync(DB_PATH)) {
+    safety = await createBackup(null, { rotate: false });
+    console.log(`[BACKUP] 🛟 Copia de la base actual antes de restaurar: ${safety.file}`);
+  }
+
+  // backup() hacia crm.db reescribe el archivo a través de SQLite (respeta el WAL)
+  const source = new Database(preview.source, { readonly: true });
+  try {
+    await source.backup(DB_PATH);
+  } finally {
+    source.close();
+  }
+  console.log(`[BACKUP] ♻️ crm.db restaurada desde ${path.basename(preview.source)}`);
+  const media = restoreMedia(DB_PATH);
+  console.log(`[BACKUP] 🖼️ Media: ${media.restored} archivo(s) recuperado(s) de backups/media${media.missing ? `, ⚠️ ${media.missing} sin archivo` : ''}`);
+  return { ...preview, safety, media };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  listBackups,
+  createBackup,
+  backupMedia,
+  startBackupScheduler,
+  getLastBackupStatus,
+  checkIntegrity,
+  applyRetention,
+  backupFile,
+  previewRestore,
+  restoreBackup,
+};
+
+// ============================================
+// CLI
+// ============================================
+function printPreview(p) {
+  console.log(`📦 Copia: ${p.source}`);
+  console.log(`🩺 Integridad: ${p.integrity === 'ok' ? '✅ ok' : '❌ ' + p.integrity}`);
+  console.log(`🔢 Esquema: copia v${p.backup.schemaVersion} | actual v${p.current ? p.current.schemaVersion : '—'}`);
+  console.log(`💬 Último mensaje: copia ${p.backup.lastMessageAt || '—'} | actual ${p.current ? p.current.lastMessageAt || '—' : '—'}`);
+  console.log('\nTabla'.padEnd(18) + 'Copia'.padStart(10) + 'Actual'.padStart(10) + 'Diferencia'.padStart(12));
+  for (const table of PREVIEW_TABLES) {
+    const b = p.backup.counts[table];
+    const c = p.current ? p.current.counts[table] : null;
+    const diff = b !== null && c !== null ? b - c : null;
+    console.log(table.padEnd(17) + String(b ?? '—').padStart(10) + String(c ?? '—').padStart(10) +
+      String(diff === null ? '—' : (diff > 0 ? '+' : '') + diff).padStart(12));
+  }
+  const m = p.backup.media;
+  if (m) {
+    console.log(`\n🖼️ Media en la copia: ${m.total} | en media/ ${m.present} | se recuperan de backups/media ${m.recoverable} | sin archivo ${m.missing}`);
+    if (m.missing) {
+      m.missingFiles.slice(0, 10).forEach(f => console.log(`   ⚠️ ${f}`));
+      if (m.missing > 10) console.log(`   … y ${m.missing - 10} más`);
+    }
+  }
+  if (p.current && p.backup.schemaVersion < p.current.schemaVersion) {
+    console.log('\n⚠️ La copia tiene un esquema más viejo: al arrancar el bot se aplicarán las migraciones pendientes.');
+  }
+}
+
+if (require.main === module) {
+  const [cmd = 'create', arg, flag] = process.argv.slice(2);
+  (async () => {
+    if (cmd === 'create') {
+      await createBackup();
+    } else if (cmd === 'list') {
+      const backups = listBackups();
+      if (backups.length === 0) console.log('No hay copias en ' + BACKUP_DIR);
+      backups.forEach(b => console.log(`  ${b.file}  ${(b.size / 1048576).toFixed(1)} MB  ${b.date.toLocaleString('es-CO', { timeZone: 'America/Bogota' })}`));
+    } else if (cmd === 'restore' && arg) {
+      if (flag === '--yes') {
+        console.log('⚠️ Asegúrate de que el bot y el panel estén detenidos.');
+        await restoreBackup(arg);
+        console.log('✅ Restauración completada');
+      } else {
+        printPreview(previewRestore(arg));
+        console.log(`\nVista previa — no se cambió nada. Para restaurar: node backup.js restore ${path.basename(arg)} --yes`);
+      }
+    } else {
+      console.log('Uso: node backup.js [create|list|restore <archivo> [--yes]]');
+      process.exitCode = 1;
+    }
+  })().catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  });
+}
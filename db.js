@@ -6,9 +6,13 @@
 // - conversations: historial de conversaciones
 // - employees: datos de empleados
 // - assignments: qué cliente está asignado a qué empleado
+// - client_identities: LID / @c.us / números alternos → cliente
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { runMigrations } = require('./migrate');
+const media = require('./media');
+const profile = require('./profile');
 
 // Crear/abrir la base de datos (se crea el archivo si no existe)
 const db = new Database(path.join(__dirname, 'crm.db'));
@@ -17,178 +21,11 @@ const db = new Database(path.join(__dirname, 'crm.db'));
 db.pragma('journal_mode = WAL');
 
 // ============================================
-// CREAR TABLAS
+// CREAR TABLAS (MIGRACIONES VERSIONADAS)
 // ============================================
 function initDatabase() {
-  // Tabla de clientes
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS clients (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone TEXT UNIQUE NOT NULL,
-      name TEXT DEFAULT '',
-      email TEXT DEFAULT '',
-      notes TEXT DEFAULT '',
-      memory TEXT DEFAULT '',
-      status TEXT DEFAULT 'new',
-      source TEXT DEFAULT 'whatsapp',
-      interaction_count INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Migración: agregar columnas nuevas si la tabla ya existía
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN memory TEXT DEFAULT ''`);
-    console.log('[DB] Columna memory agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN interaction_count INTEGER DEFAULT 0`);
-    console.log('[DB] Columna interaction_count agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN ignored INTEGER DEFAULT 0`);
-    console.log('[DB] Columna ignored agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN spam_flag INTEGER DEFAULT 0`);
-    console.log('[DB] Columna spam_flag agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN chat_id TEXT DEFAULT ''`);
-    console.log('[DB] Columna chat_id agregada');
-  } catch (e) { /* ya existe */ }
-  // last_interaction ya no se usa — usamos updated_at
-
-  // Nuevas banderas booleanas de estado de cliente
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN has_bought_gun INTEGER DEFAULT 0`);
-    console.log('[DB] Columna has_bought_gun agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN is_club_plus INTEGER DEFAULT 0`);
-    console.log('[DB] Columna is_club_plus agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN is_club_pro INTEGER DEFAULT 0`);
-    console.log('[DB] Columna is_club_pro agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN has_ai_bot INTEGER DEFAULT 0`);
-    console.log('[DB] Columna has_ai_bot agregada');
-  } catch (e) { /* ya existe */ }
-
-  // === Columnas de Ficha Completa del Cliente ===
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN cedula TEXT DEFAULT ''`);
-    console.log('[DB] Columna cedula agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN ciudad TEXT DEFAULT ''`);
-    console.log('[DB] Columna ciudad agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN direccion TEXT DEFAULT ''`);
-    console.log('[DB] Columna direccion agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN profesion TEXT DEFAULT ''`);
-    console.log('[DB] Columna profesion agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN club_plan TEXT DEFAULT ''`);
-    console.log('[DB] Columna club_plan agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN club_vigente_hasta TEXT DEFAULT ''`);
-    console.log('[DB] Columna club_vigente_hasta agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN serial_arma TEXT DEFAULT ''`);
-    console.log('[DB] Columna serial_arma agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN modelo_arma TEXT DEFAULT ''`);
-    console.log('[DB] Columna modelo_arma agregada');
-  } catch (e) { /* ya existe */ }
-  try {
-    db.exec(`ALTER TABLE clients ADD COLUMN carnet_qr_url TEXT DEFAULT ''`);
-    console.log('[DB] Columna carnet_qr_url agregada');
-  } catch (e) { /* ya existe */ }
-
-  // Tabla de empleados
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS employees (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      phone TEXT UNIQUE NOT NULL,
-      is_active INTEGER DEFAULT 1,
-      assignments_count INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Tabla de asignaciones (qué cliente va con qué empleado)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS assignments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      client_phone TEXT NOT NULL,
-      employee_id INTEGER NOT NULL,
-      status TEXT DEFAULT 'active',
-      assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      completed_at DATETIME,
-      FOREIGN KEY (employee_id) REFERENCES employees(id)
-    )
-  `);
-
-  // Tabla de conversaciones (historial de mensajes)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS conversations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      client_phone TEXT NOT NULL,
-      role TEXT NOT NULL,
-      message TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Tabla de comprobantes pendientes de verificación
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS comprobantes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      client_phone TEXT NOT NULL,
-      client_name TEXT DEFAULT '',
-      info TEXT DEFAULT '',
-      imagen_base64 TEXT,
-      imagen_mime TEXT DEFAULT 'image/jpeg',
-      tipo TEXT DEFAULT 'desconocido',
-      estado TEXT DEFAULT 'pendiente',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      verified_at DATETIME
-    )
-  `);
-
-  // Tabla de carnets de Club ZT para verificación
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS carnets (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      client_phone TEXT NOT NULL,
-      client_name TEXT DEFAULT '',
-      imagen_base64 TEXT,
-      imagen_mime TEXT DEFAULT 'image/jpeg',
-      qr_contenido TEXT DEFAULT '',
-      nombre TEXT DEFAULT '',
-      cedula TEXT DEFAULT '',
-      vigente_hasta TEXT DEFAULT '',
-      marca_arma TEXT DEFAULT '',
-      modelo_arma TEXT DEFAULT '',
-      serial TEXT DEFAULT '',
-      estado TEXT DEFAULT 'pendiente',
-      verificado_por TEXT DEFAULT '',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      verified_at DATETIME
-    )
-  `);
+  // El esquema vive en migrations/ — ver migrate.js
+  runMigrations(db);
 
   console.log('[DB] Base de datos inicializada correctamente');
 }
@@ -197,16 +34,17 @@ function initDatabase() {
 // OPERACIONES DE CLIENTES
 // ============================================
 
-// Buscar cliente por teléfono
+// Buscar cliente por teléfono o por cualquier ID de WhatsApp conocido
 function getClient(phone) {
-  const clean = phone.replace(/@.*/, '').replace(/\D/g, '');
+  const clean = resolveClientPhone(phone);
   return db.prepare('SELECT * FROM clients WHERE phone = ?').get(clean);
 }
 
 // Crear o actualizar cliente
-function upsertClient(phone, data = {}) {
-  // Normalizar phone: quitar @c.us, @lid, @g.us y cualquier no-dígito
-  phone = phone.replace(/@.*/, '').replace(/\D/g, '');
+// audit = { actor, reason } — los campos que cambien quedan en audit_events
+function upsertClient(phone, data = {}, audit = {}) {
+  // Normalizar (quitar @c.us, @lid, @g.us) y resolver al phone canónico
+  phone = resolveClientPhone(phone);
   if (!phone) return null;
 
   const existing = getClient(phone);
@@ -243,7 +81,11 @@ function upsertClient(phone, data = {}) {
     values.push(phone);
     db.prepare(`UPDATE clients SET ${fields.join(', ')} WHERE phone = ?`).run(...values);
 
-    return getClient(phone);
+    if (data.chat_id) linkIdentity(data.chat_id, phone, 'mensaje');
+
+    const updated = getClient(phone);
+    auditClientDiff(existing, updated, audit);
+    return updated;
   } else {
     // Crear nuevo cliente
     db.prepare(`
@@ -264,7 +106,14 @@ function upsertClient(phone, data = {}) {
     );
 
     console.log(`[DB] Nuevo cliente registrado: ${phone}`);
-    return getClient(phone);
+    linkIdentity(phone, phone, 'alta');
+    if (data.chat_id) linkIdentity(data.chat_id, phone, 'alta');
+    logAudit(phone, { ...audit, action: 'create', field: 'status', newValue: data.status || 'new' });
+    if (data.name) logAudit(phone, { ...audit, action: 'create', field: 'name', newValue: data.name });
+    recordStatusChange(phone, null, data.status || 'new', audit);
+    const created = getClient(phone);
+    syncFlagTags({}, created, audit);
+    return created;
   }
 }
 
@@ -273,6 +122,239 @@ function getAllClients() {
   return db.prepare('SELECT * FROM clients ORDER BY updated_at DESC').all();
 }
 
+// Actualizar campos puntuales de un cliente (sin contar como interacción).
+// Solo acepta columnas auditadas; devuelve el cliente actualizado o null.
+function updateClientFields(phone, changes = {}, audit = {}) {
+  phone = resolveClientPhone(phone);
+  const existing = getClient(phone);
+  if (!existing) return null;
+
+  const keys = Object.keys(changes).filter(k => k in AUDITED_FIELDS && changes[k] !== undefined);
+  if (keys.length === 0) return existing;
+
+  const sets = keys.map(k => `${k} = ?`).join(', ');
+  db.prepare(`UPDATE clients SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE phone = ?`)
+    .run(...keys.map(k => changes[k]), phone);
+
+  const updated = getClient(phone);
+  auditClientDiff(existing, updated, audit);
+  return updated;
+}
+
+// ============================================
+// IDENTIDADES DE WHATSAPP (client_identities)
+// ============================================
+// El phone del cliente es el ID canónico. Cada LID, @c.us o número alterno
+// con el que ha escrito queda registrado aquí y apunta a ese phone.
+
+// Quitar sufijo (@c.us, @lid, @g.us) y cualquier no-dígito
+function normalizeWaId(id) {
+  return String(id || '').replace(/@.*/, '').replace(/\D/g, '');
+}
+
+function identityKind(id, waId) {
+  const raw = String(id || '');
+  if (raw.endsWith('@lid')) return 'lid';
+  if (raw.endsWith('@c.us')) return 'c.us';
+  return waId.length >= 13 ? 'lid' : 'phone';
+}
+
+// Único resolvedor: ID de WhatsApp o phone → phone canónico del cliente.
+// Si el ID no se conoce, devuelve el ID normalizado (cliente nuevo).
+function resolveClientPhone(id) {
+  const waId = normalizeWaId(id);
+  if (!waId) return '';
+  const row = db.prepare('SELECT client_phone FROM client_identities WHERE wa_id = ?').get(waId);
+  return row ? row.client_phone : waId;
+}
+
+// Asociar un ID de WhatsApp a un cliente (si ya apuntaba a otro, se re-apunta)
+function linkIdentity(id, clientPhone, source = '') {
+  const waId = normalizeWaId(id);
+  clientPhone = normalizeWaId(clientPhone);
+  if (!waId || !clientPhone) return;
+  db.prepare(`
+    INSERT INTO client_identities (wa_id, client_phone, kind, source)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(wa_id) DO UPDATE SET client_phone = excluded.client_phone, last_seen_at = CURRENT_TIMESTAMP
+  `).run(waId, clientPhone, identityKind(id, waId), source);
+}
+
+function getClientIdentities(phone) {
+  return db.prepare('SELECT * FROM client_identities WHERE client_phone = ? ORDER BY created_at')
+    .all(resolveClientPhone(phone));
+}
+
+// Guardar el chat_id que sí funcionó para enviar (y registrarlo como identidad)
+function setClientChatId(phone, chatId) {
+  phone = resolveClientPhone(phone);
+  db.prepare('UPDATE clients SET chat_id = ? WHERE phone = ?').run(chatId, phone);
+  linkIdentity(chatId, phone, 'envío');
+}
+
+// ============================================
+// AUDITORÍA (audit_events)
+// ============================================
+// actor: 'bot' (reglas del bot), 'llm' (memoria generada por IA),
+// 'panel' (panel web), 'admin' (comandos de WhatsApp), 'employee' (comandos
+// de un asesor sobre sus propios clientes), 'system'
+
+// Columnas de clients que se auditan → acción con la que se registran
+const AUDITED_FIELDS = {
+  status: 'status',
+  ignored: 'flag', spam_flag: 'flag',
+  has_bought_gun: 'flag', is_club_plus: 'flag', is_club_pro: 'flag', has_ai_bot: 'flag',
+  memory: 'memory', profile_json: 'memory',
+  notes: 'notes',
+  name: 'profile', email: 'profile', cedula: 'profile', ciudad: 'profile',
+  direccion: 'profile', profesion: 'profile', club_plan: 'profile', club_vigente_hasta: 'profile',
+  serial_arma: 'profile', modelo_arma: 'profile', carnet_qr_url: 'profile',
+};
+
+// Único punto de escritura de audit_events
+function logAudit(clientPhone, { actor = 'bot', action, field = null, oldValue = null, newValue = null, reason = '' } = {}) {
+  db.prepare(`
+    INSERT INTO audit_events (client_phone, actor, action, field, old_value, new_value, reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    clientPhone,
+    actor,
+    action,
+    field,
+    oldValue === null || oldValue === undefined ? null : String(oldValue),
+    newValue === null || newValue === undefined ? null : String(newValue),
+    reason || ''
+  );
+}
+
+// Registrar cada campo auditado que cambió entre dos versiones del cliente
+function auditClientDiff(before, after, audit = {}) {
+  if (!before || !after) return;
+  for (const [field, action] of Object.entries(AUDITED_FIELDS)) {
+    const oldValue = before[field] ?? '';
+    const newValue = after[field] ?? '';
+    if (String(oldValue) !== String(newValue)) {
+      logAudit(after.phone, { ...audit, action, field, oldValue, newValue });
+      if (field === 'status') recordStatusChange(after.phone, oldValue || null, newValue, audit);
+    }
+  }
+  syncFlagTags(before, after, audit);
+}
+
+// Transición de estado para el embudo (status_history)
+function recordStatusChange(clientPhone, fromStatus, toStatus, { actor = 'bot', reason = '' } = {}) {
+  db.prepare(`
+    INSERT INTO status_history (client_phone, from_status, to_status, actor, reason)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(clientPhone, fromStatus, toStatus, actor, reason || '');
+}
+
+// ============================================
+// ETIQUETAS (tags / client_tags)
+// ============================================
+// Las de sistema (kind = 'system') las ponen los flujos del bot y del panel;
+// las libres se crean al vuelo. Todo cambio queda en audit_events.
+
+// Banderas de la Bóveda de servicios → etiqueta equivalente
+const FLAG_TAGS = {
+  has_bought_gun: 'compró_arma',
+  is_club_plus: 'afiliado',
+  is_club_pro: 'afiliado',
+  has_ai_bot: 'bot_asesor',
+};
+
+// "Cliente VIP " → "cliente_vip"
+function normalizeTagName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, '_').replace(/[^\p{L}\p{N}_-]/gu, '').substring(0, 40);
+}
+
+function getOrCreateTag(name) {
+  const tagName = normalizeTagName(name);
+  if (!tagName) return null;
+  db.prepare("INSERT OR IGNORE INTO tags (name, label, kind) VALUES (?, ?, 'free')").run(tagName, String(name).trim());
+  return db.prepare('SELECT * FROM tags WHERE name = ?').get(tagName);
+}
+
+// Agregar etiqueta a un cliente. Devuelve true si no la tenía.
+function addClientTag(phone, name, audit = {}) {
+  phone = resolveClientPhone(phone);
+  const tag = getOrCreateTag(name);
+  if (!phone || !tag) return false;
+  const added = db.prepare(`
+    INSERT OR IGNORE INTO client_tags (client_phone, tag_id, actor) VALUES (?, ?, ?)
+  `).run(phone, tag.id, audit.actor || 'bot').changes > 0;
+  if (added) logAudit(phone, { ...audit, action: 'tag', field: 'tags', newValue: tag.name });
+  return added;
+}
+
+// Quitar etiqueta de un cliente. Devuelve true si la tenía.
+function removeClientTag(phone, name, audit = {}) {
+  phone = resolveClientPhone(phone);
+  const tagName = normalizeTagName(name);
+  const removed = db.prepare(`
+    DELETE FROM client_tags
+    WHERE client_phone = ? AND tag_id = (SELECT id FROM tags WHERE name = ?)
+  `).run(phone, tagName).changes > 0;
+  if (removed) logAudit(phone, { ...audit, action: 'tag', field: 'tags', oldValue: tagName });
+  return removed;
+}
+
+function getClientTags(phone) {
+  return db.prepare(`
+    SELECT t.name, t.label, t.kind, ct.actor, ct.created_at
+    FROM client_tags ct JOIN tags t ON t.id = ct.tag_id
+    WHERE ct.client_phone = ?
+    ORDER BY t.kind DESC, t.name
+  `).all(resolveClientPhone(phone));
+}
+
+function hasClientTag(phone, name) {
+  return !!db.prepare(`
+    SELECT 1 FROM client_tags ct JOIN tags t ON t.id = ct.tag_id
+    WHERE ct.client_phone = ? AND t.name = ?
+  `).get(resolveClientPhone(phone), normalizeTagName(name));
+}
+
+// Todas las etiquetas con cuántos clientes las tienen (para filtros del panel)
+function getAllTags() {
+  return db.prepare(`
+    SELECT t.name, t.label, t.kind, COUNT(ct.client_phone) as count
+    FROM tags t LEFT JOIN client_tags ct ON ct.tag_id = t.id
+    GROUP BY t.id
+    ORDER BY t.kind DESC, t.name
+  `).all();
+}
+
+// phone → [nombres de etiqueta], para pintar listas completas de una vez
+function getClientTagsMap() {
+  const map = {};
+  db.prepare(`
+    SELECT ct.client_phone, t.name FROM client_tags ct JOIN tags t ON t.id = ct.tag_id
+  `).all().forEach(r => { (map[r.client_phone] = map[r.client_phone] || []).push(r.name); });
+  return map;
+}
+
+// Mantener las etiquetas de sistema alineadas con las banderas de la Bóveda
+function syncFlagTags(before, after, audit = {}) {
+  for (const [flag, tagName] of Object.entries(FLAG_TAGS)) {
+    if (!before[flag] === !after[flag]) continue;
+    if (after[flag]) {
+      addClientTag(after.phone, tagName, audit);
+    } else if (!Object.entries(FLAG_TAGS).some(([f, t]) => t === tagName && after[f])) {
+      removeClientTag(after.phone, tagName, audit);
+    }
+  }
+}
+
+// Línea de tiempo de un cliente (más reciente primero)
+function getAuditEvents(clientPhone, limit = 100) {
+  return db.prepare(`
+    SELECT * FROM audit_events WHERE client_phone = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(clientPhone, limit);
+}
+
 // ============================================
 // OPERACIONES DE EMPLEADOS
 // ============================================
@@ -292,18 +374,19 @@ function getActiveEmployees() {
   return db.prepare('SELECT * FROM employees WHERE is_active = 1 ORDER BY id').all();
 }
 
-// Agregar o actualizar empleado
-function upsertEmployee(name, phone) {
+// Agregar o actualizar empleado (skills opcional: si no viene, no se toca)
+function upsertEmployee(name, phone, skills = null) {
   const existing = getEmployeeByPhone(phone);
 
   if (existing) {
     db.prepare('UPDATE employees SET name = ?, is_active = 1 WHERE phone = ?').run(name, phone);
-    return getEmployeeByPhone(phone);
   } else {
     db.prepare('INSERT INTO employees (name, phone) VALUES (?, ?)').run(name, phone);
     console.log(`[DB] Empleado registrado: ${name} (${phone})`);
-    return getEmployeeByPhone(phone);
   }
+  const employee = getEmployeeByPhone(phone);
+  if (skills) setEmployeeSkills(employee.id, skills);
+  return getEmployeeByPhone(phone);
 }
 
 // Incrementar contador de asignaciones de un empleado
@@ -311,6 +394,132 @@ function incrementAssignments(employeeId) {
   db.prepare('UPDATE employees SET assignments_count = assignments_count + 1 WHERE id = ?').run(employeeId);
 }
 
+// Empleados activos con su carga actual (asignaciones activas)
+function getEmployeeLoads() {
+  return db.prepare(`
+    SELECT e.*, (SELECT COUNT(*) FROM assignments a WHERE a.employee_id = e.id AND a.status = 'active') as active_count
+    FROM employees e WHERE e.is_active = 1 ORDER BY e.id
+  `).all().map(e => ({ ...e, skillList: parseSkills(e.skills) }));
+}
+
+// Capacidad relativa de los asesores (estrategia weighted del router).
+// weights: { employeeId: peso }. Se valida todo y se guarda en una sola
+// transacción: un peso inválido no deja a unos asesores cambiados y a otros no.
+function setEmployeeWeights(weights = {}) {
+  const values = Object.entries(weights).map(([employeeId, weight]) => {
+    const value = parseInt(weight);
+    if (!Number.isInteger(value) || value < 1) throw new Error('El peso debe ser un número entero ≥ 1');
+    return [parseInt(employeeId), value];
+  });
+  const update = db.prepare('UPDATE employees SET weight = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const [employeeId, value] of values) update.run(value, employeeId);
+  })();
+}
+
+// Colas por habilidad (employees.skills). 'general' atiende lo que no tenga dueño.
+const EMPLOYEE_SKILLS = {
+  ventas: 'Ventas',
+  postventa: 'Post-venta',
+  legal: 'Legal',
+  despachos: 'Despachos',
+  general: 'General',
+};
+
+function parseSkills(text) {
+  return String(text || '').split(/[,|+]/).map(s => s.trim().toLowerCase()).filter(s => EMPLOYEE_SKILLS[s]);
+}
+
+function setEmployeeSkills(employeeId, skills) {
+  const list = [...new Set(Array.isArray(skills) ? skills.map(s => String(s).toLowerCase()).filter(s => EMPLOYEE_SKILLS[s]) : parseSkills(skills))];
+  if (list.length === 0) throw new Error('El asesor necesita al menos una cola');
+  db.prepare('UPDATE employees SET skills = ? WHERE id = ?').run(list.join(','), employeeId);
+  return list;
+}
+
+// Último asesor que atendió a un cliente (asignación activa o cerrada)
+function getLastEmployeeForClient(clientPhone) {
+  return db.prepare(`
+    SELECT e.* FROM assignments a JOIN employees e ON a.employee_id = e.id
+    WHERE a.client_phone = ? ORDER BY a.assigned_at DESC, a.id DESC LIMIT 1
+  `).get(resolveClientPhone(clientPhone));
+}
+
+// ============================================
+// TURNOS (employee_shifts) Y COLA FUERA DE HORARIO (handoff_queue)
+// ============================================
+// Turnos semanales en hora Colombia (ver shifts.js). Sin turnos = siempre disponible.
+function getEmployeeShifts(employeeId) {
+  return db.prepare(`
+    SELECT weekday, start_time, end_time FROM employee_shifts
+    WHERE employee_id = ? ORDER BY weekday, start_time
+  `).all(employeeId);
+}
+
+// Turnos de todos los empleados activos
+function getAllShifts() {
+  return db.prepare(`
+    SELECT s.employee_id, s.weekday, s.start_time, s.end_time FROM employee_shifts s
+    JOIN employees e ON e.id = s.employee_id
+    WHERE e.is_active = 1 ORDER BY s.employee_id, s.weekday, s.start_time
+  `).all();
+}
+
+// Reemplazar el horario completo de un asesor ([] = sin horario)
+function setEmployeeShifts(employeeId, shifts) {
+  const insert = db.prepare('INSERT INTO employee_shifts (employee_id, weekday, start_time, end_time) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM employee_shifts WHERE employee_id = ?').run(employeeId);
+    for (const s of shifts) insert.run(employeeId, s.weekday, s.start_time, s.end_time);
+  })();
+  return getEmployeeShifts(employeeId);
+}
+
+// Estacionar un handoff que llegó sin nadie de turno. Un cliente tiene a lo
+// sumo uno pendiente: si vuelve a escribir, se actualiza ese mismo.
+function parkHandoff(clientPhone, { tipo = 'venta', queue = 'general', triggerMessage = '' } = {}) {
+  const pending = db.prepare("SELECT id FROM handoff_queue WHERE client_phone = ? AND status = 'pending'").get(clientPhone);
+  if (pending) {
+    db.prepare('UPDATE handoff_queue SET tipo = ?, queue = ?, trigger_message = ? WHERE id = ?')
+      .run(tipo, queue, triggerMessage, pending.id);
+    return { id: pending.id, isNew: false };
+  }
+  const result = db.prepare('INSERT INTO handoff_queue (client_phone, tipo, queue, trigger_message) VALUES (?, ?, ?, ?)')
+    .run(clientPhone, tipo, queue, triggerMessage);
+  logAudit(clientPhone, { actor: 'system', reason: 'fuera de horario', action: 'handoff_parked', field: 'queue', newValue: queue });
+  return { id: result.lastInsertRowid, isNew: true };
+}
+
+// Handoffs en espera, el más antiguo primero
+function getPendingHandoffs() {
+  return db.prepare(`
+    SELECT q.*, c.name as client_name FROM handoff_queue q
+    LEFT JOIN clients c ON c.phone = q.client_phone
+    WHERE q.status = 'pending' ORDER BY q.created_at, q.id
+  `).all();
+}
+
+function markHandoffAssigned(id, employeeId) {
+  db.prepare("UPDATE handoff_queue SET status = 'assigned', employee_id = ?, assigned_at = CURRENT_TIMESTAMP WHERE id = ?")
+    .run(employeeId, id);
+}
+
+// ============================================
+// CONFIGURACIÓN (settings)
+// ============================================
+// Clave/valor que debe sobrevivir reinicios (estrategia del router, puntero...)
+function getSetting(key, defaultValue = null) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row && row.value !== null ? row.value : defaultValue;
+}
+
+function setSetting(key, value) {
+  db.prepare(`
+    INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `).run(key, value === null || value === undefined ? null : String(value));
+}
+
 // ============================================
 // OPERACIONES DE ASIGNACIONES
 // ============================================
@@ -327,8 +536,22 @@ function getActiveAssignment(clientPhone) {
   `).get(clientPhone);
 }
 
-// Crear nueva asignación
-function createAssignment(clientPhone, employeeId) {
+// Clientes activos de un asesor, el más antiguo primero (comando !mis)
+function getEmployeeAssignments(employeeId) {
+  return db.prepare(`
+    SELECT a.*, c.name as client_name, c.status as client_status,
+      CAST((julianday('now') - julianday(a.assigned_at)) * 1440 AS INTEGER) as waiting_minutes
+    FROM assignments a
+    LEFT JOIN clients c ON c.phone = a.client_phone
+    WHERE a.employee_id = ? AND a.status = 'active'
+    ORDER BY a.assigned_at
+  `).all(employeeId);
+}
+
+// Crear nueva asignación (queue = cola por la que entra: ventas, postventa...)
+function createAssignment(clientPhone, employeeId, audit = {}, { queue = 'general' } = {}) {
+  const previous = getActiveAssignment(clientPhone);
+
   // Cerrar asignaciones previas del mismo cliente
   db.prepare(`
     UPDATE assignments SET status = 'completed', completed_at = CURRENT_TIMESTAMP
@@ -337,24 +560,91 @@ function createAssignment(clientPhone, employeeId) {
 
   // Crear nueva asignación
   db.prepare(`
-    INSERT INTO assignments (client_phone, employee_id) VALUES (?, ?)
-  `).run(clientPhone, employeeId);
+    INSERT INTO assignments (client_phone, employee_id, queue) VALUES (?, ?, ?)
+  `).run(clientPhone, employeeId, queue);
 
   incrementAssignments(employeeId);
 
-  console.log(`[DB] Cliente ${clientPhone} asignado a empleado ID ${employeeId}`);
-  return getActiveAssignment(clientPhone);
+  console.log(`[DB] Cliente ${clientPhone} asignado a empleado ID ${employeeId} (cola ${queue})`);
+  const assignment = getActiveAssignment(clientPhone);
+  logAudit(clientPhone, {
+    ...audit, action: 'assignment', field: 'employee',
+    oldValue: previous ? previous.employee_name : null,
+    newValue: assignment ? assignment.employee_name : employeeId
+  });
+  return assignment;
+}
+
+// ============================================
+// SLA DE PRIMERA RESPUESTA (assignments.first_response_at)
+// ============================================
+// El reloj corre desde assigned_at hasta el primer mensaje de una persona
+// (role 'admin': panel, comandos o WhatsApp de Álvaro vía message_create).
+
+// Marcar la primera respuesta humana de la asignación activa (solo la primera cuenta)
+function recordFirstResponse(clientPhone) {
+  return db.prepare(`
+    UPDATE assignments SET first_response_at = CURRENT_TIMESTAMP
+    WHERE client_phone = ? AND status = 'active' AND first_response_at IS NULL
+  `).run(clientPhone).changes > 0;
+}
+
+// Asignaciones activas sin respuesta humana después de `minutes` minutos
+function getOverdueAssignments(minutes) {
+  return db.prepare(`
+    SELECT a.*, e.name as employee_name, e.phone as employee_phone, c.name as client_name,
+      CAST((julianday('now') - julianday(a.assigned_at)) * 1440 AS INTEGER) as waiting_minutes,
+      CAST((julianday('now') - julianday(COALESCE(a.sla_last_alert_at, a.assigned_at))) * 1440 AS INTEGER) as minutes_since_alert
+    FROM assignments a
+    JOIN employees e ON a.employee_id = e.id
+    LEFT JOIN clients c ON c.phone = a.client_phone
+    WHERE a.status = 'active' AND a.first_response_at IS NULL
+      AND a.assigned_at <= datetime('now', ?)
+    ORDER BY a.assigned_at
+  `).all(`-${minutes} minutes`);
+}
+
+function markSlaAlert(assignmentId) {
+  db.prepare('UPDATE assignments SET sla_alerts = sla_alerts + 1, sla_last_alert_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(assignmentId);
+}
+
+// Cumplimiento por asesor en los últimos `days` días. Cuentan las asignaciones
+// ya resueltas: respondidas, o sin respuesta con el plazo vencido (incumplidas).
+function getSlaReport(minutes, days = 30) {
+  const rows = db.prepare(`
+    SELECT e.id, e.name,
+      COUNT(a.id) as total,
+      SUM(CASE WHEN a.first_response_at IS NOT NULL THEN 1 ELSE 0 END) as responded,
+      SUM(CASE WHEN a.first_response_at IS NOT NULL
+        AND (julianday(a.first_response_at) - julianday(a.assigned_at)) * 1440 <= ? THEN 1 ELSE 0 END) as within_sla,
+      SUM(CASE WHEN a.first_response_at IS NOT NULL OR a.assigned_at <= datetime('now', ?) THEN 1 ELSE 0 END) as measured,
+      SUM(CASE WHEN a.first_response_at IS NULL AND a.status = 'active' AND a.assigned_at <= datetime('now', ?) THEN 1 ELSE 0 END) as overdue_now,
+      AVG(CASE WHEN a.first_response_at IS NOT NULL
+        THEN (julianday(a.first_response_at) - julianday(a.assigned_at)) * 1440 END) as avg_minutes
+    FROM employees e
+    LEFT JOIN assignments a ON a.employee_id = e.id AND a.assigned_at >= datetime('now', ?)
+    WHERE e.is_active = 1
+    GROUP BY e.id ORDER BY e.id
+  `).all(minutes, `-${minutes} minutes`, `-${minutes} minutes`, `-${days} days`);
+  return rows.map(r => ({
+    ...r,
+    compliance: r.measured > 0 ? Math.round(r.within_sla / r.measured * 100) : null,
+    avg_minutes: r.avg_minutes === null ? null : Math.round(r.avg_minutes),
+  }));
 }
 
 // ============================================
 // OPERACIONES DE CONVERSACIONES
 // ============================================
 
-// Guardar mensaje en historial
+// Guardar mensaje en historial (conversations_fts se actualiza por trigger).
+// Un mensaje 'admin' cuenta como primera respuesta humana para el SLA.
 function saveMessage(clientPhone, role, message) {
   db.prepare(`
     INSERT INTO conversations (client_phone, role, message) VALUES (?, ?, ?)
   `).run(clientPhone, role, message);
+  if (role === 'admin') recordFirstResponse(clientPhone);
 }
 
 // Obtener historial de conversación (últimos N mensajes)
@@ -377,15 +667,16 @@ function clearConversation(clientPhone) {
 // OPERACIONES DE CARNETS
 // ============================================
 
-// Guardar un carnet recibido para verificación
+// Guardar un carnet recibido para verificación (la imagen va al almacén de media)
 function saveCarnet(clientPhone, clientName, imagenBase64, imagenMime, datos = {}) {
+  const mediaId = media.storeMedia(db, imagenBase64, imagenMime || 'image/jpeg');
   return db.prepare(`
-    INSERT INTO carnets (client_phone, client_name, imagen_base64, imagen_mime, qr_contenido, nombre, cedula, vigente_hasta, marca_arma, modelo_arma, serial)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO carnets (client_phone, client_name, media_id, imagen_mime, qr_contenido, nombre, cedula, vigente_hasta, marca_arma, modelo_arma, serial, datos_extraidos_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     clientPhone,
     clientName || '',
-    imagenBase64 || '',
+    mediaId,
     imagenMime || 'image/jpeg',
     datos.qr_contenido || '',
     datos.nombre || '',
@@ -393,7 +684,8 @@ function saveCarnet(clientPhone, clientName, imagenBase64, imagenMime, datos = {
     datos.vigente_hasta || '',
     datos.marca_arma || '',
     datos.modelo_arma || '',
-    datos.serial || ''
+    datos.serial || '',
+    JSON.stringify(datos || {})
   );
 }
 
@@ -407,6 +699,534 @@ function updateCarnetEstado(id, estado, verificadoPor = '') {
   db.prepare(`UPDATE carnets SET estado = ?, verificado_por = ?, verified_at = CURRENT_TIMESTAMP WHERE id = ?`).run(estado, verificadoPor, id);
 }
 
+// ============================================
+// PEDIDOS (ORDERS)
+// ============================================
+// Ciclo de vida: paid → data_collected → shipped → delivered
+// (cancelled se permite desde cualquier estado no entregado)
+const ORDER_STATUSES = ['paid', 'data_collected', 'shipped', 'delivered'];
+
+// Crear un pedido con sus ítems. Si viene comprobanteId, se enlaza.
+// total = suma de los ítems; pagado = suma de los montos de comprobantes.
+function createOrder(clientPhone, { items = [], monto = 0, notes = '', comprobanteId = null } = {}) {
+  const create = db.transaction(() => {
+    const orderId = db.prepare(`
+      INSERT INTO orders (client_phone, status, notes) VALUES (?, 'paid', ?)
+    `).run(clientPhone, notes || '').lastInsertRowid;
+    addOrderItems(orderId, items);
+    registerOrderPayment(orderId, monto, comprobanteId);
+    return orderId;
+  });
+  const orderId = create();
+  console.log(`[DB] 🧾 Pedido #${orderId} creado para ${clientPhone} (${items.length} ítem(s))`);
+  return orderId;
+}
+
+// Agregar ítems a un pedido existente y recalcular el total.
+// Un ítem que ya está en el pedido (mismo tipo, producto y color) suma cantidad.
+function addOrderItems(orderId, items = []) {
+  const insert = db.prepare(`
+    INSERT INTO order_items (order_id, tipo, producto, plan, precio, cantidad, color)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const findSame = db.prepare('SELECT id FROM order_items WHERE order_id = ? AND tipo = ? AND producto = ? AND color = ? LIMIT 1');
+  const addQuantity = db.prepare('UPDATE order_items SET cantidad = cantidad + ? WHERE id = ?');
+  for (const it of items) {
+    const tipo = it.tipo || 'producto';
+    const cantidad = parseInt(it.cantidad) || 1;
+    let color = it.color || '';
+    // Arma vendida → descontar su variante (si tiene conteo)
+    if (tipo === 'producto' && it.producto) {
+      const variant = findVariant(it.producto, color);
+      if (variant) {
+        color = variant.color;
+        adjustStock(it.producto, color, -cantidad, { reason: 'venta', orderId, actor: 'system' });
+      } else if (getProductStock(it.producto).some(v => v.counted)) {
+        // Sin color (o con uno que no existe) no se sabe qué variante descontar
+        console.warn(`[DB] ⚠️ Pedido #${orderId}: ${it.producto} ${color ? `(${color}) no coincide con ninguna variante` : 'sin color'} — no se descontó stock, ajústalo en Inventario`);
+      }
+    }
+    const same = findSame.get(orderId, tipo, it.producto || '', color);
+    if (same) addQuantity.run(cantidad, same.id);
+    else insert.run(orderId, tipo, it.producto || '', it.plan || '', parseInt(it.precio) || 0, cantidad, color);
+  }
+  db.prepare(`
+    UPDATE orders SET total = (SELECT COALESCE(SUM(precio * cantidad), 0) FROM order_items WHERE order_id = ?),
+    updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(orderId, orderId);
+}
+
+// Sumar un pago (comprobante) al pedido
+function registerOrderPayment(orderId, monto = 0, comprobanteId = null) {
+  db.prepare('UPDATE orders SET pagado = pagado + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(parseInt(monto) || 0, orderId);
+  if (comprobanteId) {
+    db.prepare('UPDATE comprobantes SET order_id = ? WHERE id = ?').run(orderId, comprobanteId);
+  }
+}
+
+// Pedido más reciente del cliente (todavía en 'paid') con saldo pendiente
+function getOpenOrder(clientPhone) {
+  return db.prepare(`
+    SELECT * FROM orders WHERE client_phone = ? AND status = 'paid' AND pagado < total
+    ORDER BY created_at DESC LIMIT 1
+  `).get(clientPhone);
+}
+
+// Un comprobante confirmado crea un pedido nuevo, salvo que:
+//   - el panel indique el pedido (orderId): sus ítems se suman a ese pedido
+//   - sea un abono: el cliente tiene un pedido con saldo pendiente y el
+//     comprobante no trae nada que no esté ya en ese pedido
+// Devuelve { orderId, created }.
+function createOrAttachOrder(clientPhone, comprobanteId, items = [], monto = 0, orderId = null) {
+  let existing = orderId ? getOrder(orderId) : null;
+  let abono = false;
+  if (!orderId) {
+    const open = getOpenOrder(clientPhone);
+    const order = open ? getOrder(open.id) : null;
+    if (order && items.every(it => order.items.some(e => e.tipo === (it.tipo || 'producto') && e.producto === (it.producto || '')))) {
+      existing = order;
+      abono = true;
+    }
+  }
+  if (!existing || existing.client_phone !== clientPhone) {
+    return { orderId: createOrder(clientPhone, { items, monto, comprobanteId }), created: true };
+  }
+  const attach = db.transaction(() => {
+    // En un abono los ítems son los mismos que ya se están pagando
+    if (!abono && items.length) addOrderItems(existing.id, items);
+    registerOrderPayment(existing.id, monto, comprobanteId);
+  });
+  attach();
+  console.log(`[DB] 🧾 Comprobante #${comprobanteId} agregado al pedido #${existing.id}`);
+  return { orderId: existing.id, created: false };
+}
+
+// Obtener un pedido con sus ítems
+function getOrder(orderId) {
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+  if (!order) return null;
+  order.items = db.prepare('SELECT * FROM order_items WHERE order_id = ? ORDER BY id').all(orderId);
+  order.shipments = db.prepare('SELECT * FROM shipments WHERE order_id = ? ORDER BY id DESC').all(orderId).map(withCarrierInfo);
+  return order;
+}
+
+// Listar pedidos (opcionalmente por estado o cliente) con ítems y nombre del cliente
+function getOrders({ status = null, clientPhone = null } = {}) {
+  const where = [];
+  const params = [];
+  if (status) { where.push('o.status = ?'); params.push(status); }
+  if (clientPhone) { where.push('o.client_phone = ?'); params.push(clientPhone); }
+  const orders = db.prepare(`
+    SELECT o.*, c.name as client_name, c.status as client_status
+    FROM orders o LEFT JOIN clients c ON c.phone = o.client_phone
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY o.updated_at DESC
+  `).all(...params);
+  const itemsStmt = db.prepare('SELECT * FROM order_items WHERE order_id = ? ORDER BY id');
+  const shipmentsStmt = db.prepare('SELECT * FROM shipments WHERE order_id = ? ORDER BY id DESC');
+  orders.forEach(o => {
+    o.items = itemsStmt.all(o.id);
+    o.shipments = shipmentsStmt.all(o.id).map(withCarrierInfo);
+  });
+  return orders;
+}
+
+// Avanzar el estado de un pedido. Solo hacia adelante (o cancelar).
+function updateOrderStatus(orderId, status, audit = {}) {
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+  if (!order) throw new Error(`Pedido #${orderId} no existe`);
+  if (status === 'cancelled') {
+    if (order.status === 'delivered') throw new Error('No se puede cancelar un pedido entregado');
+    db.prepare(`UPDATE orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(orderId);
+    restockOrder(orderId, audit.actor);
+    logAudit(order.client_phone, { ...audit, action: 'order', field: `pedido #${orderId}`, oldValue: order.status, newValue: 'cancelled' });
+    return;
+  }
+  const from = ORDER_STATUSES.indexOf(order.status);
+  const to = ORDER_STATUSES.indexOf(status);
+  if (to === -1) throw new Error(`Estado de pedido inválido: ${status}`);
+  if (from === -1 || to <= from) throw new Error(`Transición inválida: ${order.status} → ${status}`);
+  db.prepare(`UPDATE orders SET status = ?, ${status}_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(status, orderId);
+  console.log(`[DB] 🧾 Pedido #${orderId}: ${order.status} → ${status}`);
+  logAudit(order.client_phone, { ...audit, action: 'order', field: `pedido #${orderId}`, oldValue: order.status, newValue: status });
+}
+
+// ============================================
+// ENVÍOS (shipments)
+// ============================================
+// Ciclo de vida: shipped → in_transit → delivered (returned si se devuelve).
+// Registrar la guía marca el pedido como 'shipped'; entregarla, como 'delivered'.
+const SHIPMENT_STATUSES = ['shipped', 'in_transit', 'delivered'];
+
+const CARRIERS = {
+  servientrega: { label: 'Servientrega', trackingUrl: 'https://www.servientrega.com/wps/portal/rastreo-envio' },
+  interrapidisimo: { label: 'Interrapidísimo', trackingUrl: 'https://www.interrapidisimo.com/sigue-tu-envio/' },
+  coordinadora: { label: 'Coordinadora', trackingUrl: 'https://coordinadora.com/rastreo/rastreo-de-guia/' },
+  envia: { label: 'Envía', trackingUrl: '' },
+  tcc: { label: 'TCC', trackingUrl: '' },
+  deprisa: { label: 'Deprisa', trackingUrl: '' },
+  otra: { label: 'Otra transportadora', trackingUrl: '' },
+};
+
+function withCarrierInfo(shipment) {
+  if (!shipment) return null;
+  const carrier = CARRIERS[shipment.carrier] || { label: shipment.carrier, trackingUrl: '' };
+  return { ...shipment, carrierLabel: carrier.label, trackingUrl: carrier.trackingUrl };
+}
+
+// Registrar la guía de un despacho. orderId es opcional (clientes sin pedido).
+function createShipment(clientPhone, { orderId = null, carrier, guideNumber, notes = '' } = {}, audit = {}) {
+  clientPhone = resolveClientPhone(clientPhone);
+  const client = getClient(clientPhone);
+  if (!client) throw new Error(`No hay cliente con número ${clientPhone}`);
+  if (!CARRIERS[carrier]) throw new Error(`Transportadora desconocida: ${carrier}`);
+  guideNumber = String(guideNumber || '').trim();
+  if (!guideNumber) throw new Error('Falta el número de guía');
+
+  const order = orderId ? getOrder(orderId) : null;
+  if (orderId && (!order || order.client_phone !== clientPhone)) throw new Error(`Pedido #${orderId} no es de ${clientPhone}`);
+
+  const create = db.transaction(() => {
+    const id = db.prepare(`
+      INSERT INTO shipments (order_id, client_phone, carrier, guide_number, notes)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(orderId, clientPhone, carrier, guideNumber, notes || '').lastInsertRowid;
+    logAudit(clientPhone, { ...audit, action: 'shipment', field: `envío #${id}`, newValue: `${CARRIERS[carrier].label} ${guideNumber}` });
+    if (order && ORDER_STATUSES.indexOf(order.status) < ORDER_STATUSES.indexOf('shipped')) {
+      updateOrderStatus(order.id, 'shipped', audit);
+    }
+    // Ya salió: deja de estar en la cola de despachos pendientes
+    if (client.status === 'despacho_pendiente') updateClientFields(clientPhone, { status: 'postventa' }, audit);
+    return id;
+  });
+  const id = create();
+  console.log(`[DB] 📦 Envío #${id} para ${clientPhone}: ${CARRIERS[carrier].label} ${guideNumber}${orderId ? ` (pedido #${orderId})` : ''}`);
+  return getShipment(id);
+}
+
+function getShipment(id) {
+  return withCarrierInfo(db.prepare('SELECT * FROM shipments WHERE id = ?').get(id));
+}
+
+// Envíos de un cliente, el más reciente primero
+function getClientShipments(clientPhone) {
+  return db.prepare('SELECT * FROM shipments WHERE client_phone = ? ORDER BY created_at DESC, id DESC')
+    .all(resolveClientPhone(clientPhone)).map(withCarrierInfo);
+}
+
+function getShipments({ status = null, orderId = null } = {}) {
+  const where = [];
+  const params = [];
+  if (status) { where.push('s.status = ?'); params.push(status); }
+  if (orderId) { where.push('s.order_id = ?'); params.push(orderId); }
+  return db.prepare(`
+    SELECT s.*, c.name as client_name FROM shipments s LEFT JOIN clients c ON c.phone = s.client_phone
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY s.created_at DESC, s.id DESC
+  `).all(...params).map(withCarrierInfo);
+}
+
+// Avanzar el estado de un envío (solo hacia adelante, o 'returned')
+function updateShipmentStatus(id, status, audit = {}) {
+  const shipment = getShipment(id);
+  if (!shipment) throw new Error(`Envío #${id} no existe`);
+  if (shipment.status === status) return shipment;
+  if (status !== 'returned') {
+    const from = SHIPMENT_STATUSES.indexOf(shipment.status);
+    const to = SHIPMENT_STATUSES.indexOf(status);
+    if (to === -1) throw new Error(`Estado de envío inválido: ${status}`);
+    if (from === -1 || to <= from) throw new Error(`Transición inválida: ${shipment.status} → ${status}`);
+  }
+  db.prepare(`UPDATE shipments SET status = ?, ${status}_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(status, id);
+  logAudit(shipment.client_phone, { ...audit, action: 'shipment', field: `envío #${id}`, oldValue: shipment.status, newValue: status });
+  if (status === 'delivered' && shipment.order_id) {
+    const order = getOrder(shipment.order_id);
+    if (order && order.status === 'shipped') updateOrderStatus(order.id, 'delivered', audit);
+  }
+  return getShipment(id);
+}
+
+function markShipmentNotified(id) {
+  db.prepare('UPDATE shipments SET notified_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+}
+
+// ============================================
+// INVENTARIO (stock por producto × color)
+// ============================================
+// Una fila por variante. stock NULL = sin conteo: manda el `disponible`
+// del catálogo. La venta descuenta al confirmar el pago (addOrderItems) y
+// cancelar el pedido la devuelve. Cada cambio queda en inventory_movements.
+
+// "Negro / Fume / Cromado" → ['Negro', 'Fume', 'Cromado']
+function splitColors(text) {
+  const colors = String(text || '').split(/\s*[/,]\s*|\s+y\s+/i).map(c => c.trim()).filter(Boolean);
+  return colors.length ? colors : ['Único'];
+}
+
+function colorKey(color) {
+  return String(color || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+function withStockInfo(row) {
+  if (!row) return row;
+  const counted = row.stock !== null && row.stock !== undefined;
+  return { ...row, counted, soldOut: counted && row.stock <= 0, lowStock: counted && row.stock <= row.min_stock };
+}
+
+// Agregar las variantes nuevas del catálogo (las existentes no se tocan)
+function syncInventoryVariants(productos = []) {
+  const insert = db.prepare('INSERT OR IGNORE INTO inventory (producto, color) VALUES (?, ?)');
+  let added = 0;
+  const sync = db.transaction(() => {
+    for (const p of productos) {
+      if (!p.titulo || p.categoria === 'SERVICIOS') continue;
+      for (const color of splitColors(p.color)) added += insert.run(p.titulo, color).changes;
+    }
+  });
+  sync();
+  if (added > 0) console.log(`[DB] 📦 Inventario: ${added} variante(s) nuevas desde el catálogo`);
+  return added;
+}
+
+// Variante de un producto. Sin color solo sirve si el producto tiene uno.
+function findVariant(producto, color = '') {
+  const rows = db.prepare('SELECT * FROM inventory WHERE producto = ?').all(producto);
+  if (!color) return rows.length === 1 ? rows[0] : null;
+  return rows.find(r => colorKey(r.color) === colorKey(color)) || null;
+}
+
+function getInventory() {
+  return db.prepare('SELECT * FROM inventory ORDER BY producto, color').all().map(withStockInfo);
+}
+
+function getProductStock(producto) {
+  return db.prepare('SELECT * FROM inventory WHERE producto = ? ORDER BY color').all(producto).map(withStockInfo);
+}
+
+// Variantes contadas en o por debajo de su mínimo (alerta del panel)
+function getLowStock() {
+  return db.prepare(`
+    SELECT * FROM inventory WHERE stock IS NOT NULL AND stock <= min_stock ORDER BY stock, producto
+  `).all().map(withStockInfo);
+}
+
+function recordStockMovement(variant, delta, stockAfter, { reason = '', orderId = null, actor = 'system' } = {}) {
+  db.prepare(`
+    INSERT INTO inventory_movements (producto, color, delta, stock_after, reason, order_id, actor)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(variant.producto, variant.color, delta, stockAfter, reason || '', orderId, actor || 'system');
+}
+
+// Conteo físico: fija el stock (y opcionalmente el mínimo) de una variante
+function setStock(producto, color, stock, { minStock = null } = {}, audit = {}) {
+  const variant = findVariant(producto, color);
+  if (!variant) throw new Error(`No existe la variante ${producto} (${color || 'sin color'})`);
+  const value = parseInt(stock);
+  if (!Number.isInteger(value) || value < 0) throw new Error('El stock debe ser un número entero ≥ 0');
+  const min = minStock === null || minStock === '' ? variant.min_stock : parseInt(minStock);
+  if (!Number.isInteger(min) || min < 0) throw new Error('El mínimo debe ser un número entero ≥ 0');
+
+  const update = db.transaction(() => {
+    db.prepare('UPDATE inventory SET stock = ?, min_stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(value, min, variant.id);
+    if (value !== variant.stock) {
+      recordStockMovement(variant, value - (variant.stock || 0), value, { reason: audit.reason || 'conteo', actor: audit.actor });
+    }
+  });
+  update();
+  console.log(`[DB] 📦 Stock ${producto} (${variant.color}): ${variant.stock ?? '—'} → ${value}`);
+  return withStockInfo(db.prepare('SELECT * FROM inventory WHERE id = ?').get(variant.id));
+}
+
+// Sumar/restar unidades. Sin conteo (stock NULL) no hay nada que mover → null.
+// Nunca baja de 0: lo vendido sin stock queda en el log como aviso.
+function adjustStock(producto, color, delta, { reason = '', orderId = null, actor = 'system' } = {}) {
+  const variant = findVariant(producto, color);
+  if (!variant || variant.stock === null) return null;
+  const stockAfter = Math.max(0, variant.stock + delta);
+  if (variant.stock + delta < 0) {
+    console.warn(`[DB] ⚠️ ${producto} (${variant.color}) vendido sin stock suficiente (había ${variant.stock})`);
+  }
+  db.prepare('UPDATE inventory SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(stockAfter, variant.id);
+  recordStockMovement(variant, stockAfter - variant.stock, stockAfter, { reason, orderId, actor });
+  if (delta < 0 && stockAfter <= variant.min_stock) {
+    console.warn(`[DB] 📉 Stock bajo: ${producto} (${variant.color}) quedan ${stockAfter}`);
+  }
+  return withStockInfo({ ...variant, stock: stockAfter });
+}
+
+// Devolver al inventario lo que un pedido descontó (al cancelarlo)
+function restockOrder(orderId, actor = 'system') {
+  const ventas = db.prepare(`
+    SELECT producto, color, SUM(delta) as delta FROM inventory_movements
+    WHERE order_id = ? GROUP BY producto, color
+  `).all(orderId);
+  for (const v of ventas) {
+    if (v.delta < 0) adjustStock(v.producto, v.color, -v.delta, { reason: 'pedido cancelado', orderId, actor });
+  }
+}
+
+function getStockMovements(limit = 50) {
+  return db.prepare('SELECT * FROM inventory_movements ORDER BY created_at DESC, id DESC LIMIT ?').all(limit);
+}
+
+// ============================================
+// MEMBRESÍAS CLUB ZT (memberships)
+// ============================================
+// Una fila por periodo pagado. Fechas en ISO (YYYY-MM-DD, hora Colombia).
+// Estados: active (hasta end_date) → grace (MEMBERSHIP_GRACE_DAYS) → expired.
+// clients.club_plan / club_vigente_hasta / is_club_* quedan como copia de la última.
+const MEMBERSHIP_PLANS = { plus: 'Plan Plus', pro: 'Plan Pro' };
+const MEMBERSHIP_MONTHS = 12;
+const MEMBERSHIP_GRACE_DAYS = 15;
+const MEMBERSHIP_REMINDER_DAYS = [30, 7, 0];
+
+// 'Plan Plus', 'plus', 'PRO'... → 'plus' | 'pro' | null
+function normalizePlan(text) {
+  const t = String(text || '').toLowerCase();
+  if (/\bpro\b/.test(t)) return 'pro';
+  if (/\bplus\b/.test(t)) return 'plus';
+  return null;
+}
+
+// Fecha de hoy en Colombia (UTC-5)
+function todayIso() {
+  return new Date(Date.now() - 5 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+// Acepta dd/mm/yyyy (carnets, fichas viejas) o yyyy-mm-dd
+function parseMembershipDate(text) {
+  const s = String(text || '').trim();
+  let m = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function shiftDate(iso, { months = 0, days = 0 } = {}) {
+  const d = new Date(iso + 'T00:00:00Z');
+  d.setUTCMonth(d.getUTCMonth() + months);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysUntil(iso, today = todayIso()) {
+  return Math.round((Date.parse(iso) - Date.parse(today)) / 86400000);
+}
+
+function membershipStatusFor(endDate, today = todayIso()) {
+  const days = daysUntil(endDate, today);
+  if (days >= 0) return 'active';
+  return days >= -MEMBERSHIP_GRACE_DAYS ? 'grace' : 'expired';
+}
+
+function withMembershipInfo(row) {
+  if (!row) return null;
+  return { ...row, planLabel: MEMBERSHIP_PLANS[row.plan] || row.plan, daysLeft: daysUntil(row.end_date) };
+}
+
+// Membresía más reciente del cliente (vigente o no)
+function getCurrentMembership(phone) {
+  return withMembershipInfo(db.prepare(`
+    SELECT * FROM memberships WHERE client_phone = ? ORDER BY end_date DESC, id DESC LIMIT 1
+  `).get(resolveClientPhone(phone)));
+}
+
+function getMemberships(phone) {
+  return db.prepare('SELECT * FROM memberships WHERE client_phone = ? ORDER BY end_date DESC, id DESC')
+    .all(resolveClientPhone(phone)).map(withMembershipInfo);
+}
+
+// Alta o renovación. Si el cliente ya tiene membresía activa o en gracia, el
+// nuevo periodo arranca al día siguiente de su vencimiento (no pierde días).
+function grantMembership(phone, { plan = null, startDate = null, endDate = null, comprobanteId = null, source = '' } = {}, audit = {}) {
+  phone = resolveClientPhone(phone);
+  if (!getClient(phone)) throw new Error(`No hay cliente con número ${phone}`);
+  const current = getCurrentMembership(phone);
+  plan = normalizePlan(plan) || (current && current.plan);
+  if (!plan) throw new Error('Plan de membresía desconocido (plus o pro)');
+
+  const today = todayIso();
+  let start = parseMembershipDate(startDate);
+  let end = parseMembershipDate(endDate);
+  if (!start && end) start = shiftDate(end, { months: -MEMBERSHIP_MONTHS, days: 1 });
+  if (!start) {
+    start = current && current.end_date >= shiftDate(today, { days: -MEMBERSHIP_GRACE_DAYS })
+      ? shiftDate(current.end_date, { days: 1 })
+      : today;
+  }
+  if (!end) end = shiftDate(start, { months: MEMBERSHIP_MONTHS, days: -1 });
+
+  const id = db.prepare(`
+    INSERT INTO memberships (client_phone, plan, start_date, end_date, status, comprobante_id, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(phone, plan, start, end, membershipStatusFor(end, today), comprobanteId, source).lastInsertRowid;
+
+  updateClientFields(phone, {
+    club_plan: plan,
+    club_vigente_hasta: end,
+    [plan === 'pro' ? 'is_club_pro' : 'is_club_plus']: 1,
+  }, audit);
+  logAudit(phone, {
+    ...audit, action: 'membership', field: MEMBERSHIP_PLANS[plan],
+    oldValue: current ? current.end_date : null, newValue: end
+  });
+  console.log(`[DB] 🛡️ Membresía ${MEMBERSHIP_PLANS[plan]} ${current ? 'renovada' : 'creada'} para ${phone}: ${start} → ${end}`);
+  return { ...withMembershipInfo(db.prepare('SELECT * FROM memberships WHERE id = ?').get(id)), renewal: !!current };
+}
+
+// Pasar a grace / expired las membresías cuya fecha ya pasó. Cuando la última
+// membresía de un cliente vence del todo, pierde la etiqueta 'afiliado'.
+function refreshMembershipStatuses() {
+  const today = todayIso();
+  const changed = [];
+  const rows = db.prepare("SELECT * FROM memberships WHERE status != 'expired'").all();
+  for (const m of rows) {
+    const status = membershipStatusFor(m.end_date, today);
+    if (status === m.status) continue;
+    db.prepare('UPDATE memberships SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, m.id);
+    changed.push({ ...m, status });
+
+    const latest = getCurrentMembership(m.client_phone);
+    if (status === 'expired' && latest && latest.id === m.id) {
+      const audit = { actor: 'system', reason: `membresía vencida el ${m.end_date}` };
+      logAudit(m.client_phone, { ...audit, action: 'membership', field: MEMBERSHIP_PLANS[m.plan], oldValue: m.status, newValue: 'expired' });
+      removeClientTag(m.client_phone, 'afiliado', audit);
+    }
+  }
+  if (changed.length > 0) console.log(`[DB] 🛡️ ${changed.length} membresía(s) cambiaron de estado`);
+  return changed;
+}
+
+// Recordatorios pendientes (30 / 7 / 0 días antes del vencimiento). Si el bot
+// estuvo apagado y se saltó uno, solo se manda el más cercano.
+function getMembershipRemindersDue() {
+  const today = todayIso();
+  const latest = db.prepare(`
+    SELECT m.*, c.name as client_name FROM memberships m
+    JOIN clients c ON c.phone = m.client_phone
+    WHERE m.status = 'active' AND c.ignored = 0
+    AND m.id = (SELECT m2.id FROM memberships m2 WHERE m2.client_phone = m.client_phone ORDER BY m2.end_date DESC, m2.id DESC LIMIT 1)
+  `).all();
+  const due = [];
+  for (const m of latest) {
+    const daysLeft = daysUntil(m.end_date, today);
+    const sent = (m.reminders_sent || '').split(',').filter(Boolean).map(Number);
+    const pending = MEMBERSHIP_REMINDER_DAYS.filter(d => daysLeft <= d && !sent.includes(d));
+    if (daysLeft < 0 || pending.length === 0) continue;
+    due.push({ ...withMembershipInfo(m), reminderDays: Math.min(...pending), covers: pending });
+  }
+  return due;
+}
+
+function markMembershipReminders(membershipId, days = []) {
+  const row = db.prepare('SELECT reminders_sent FROM memberships WHERE id = ?').get(membershipId);
+  if (!row) return;
+  const sent = new Set((row.reminders_sent || '').split(',').filter(Boolean).map(Number));
+  days.forEach(d => sent.add(d));
+  db.prepare('UPDATE memberships SET reminders_sent = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run([...sent].sort((a, b) => b - a).join(','), membershipId);
+}
+
 // ============================================
 // ESTADÍSTICAS
 // ============================================
@@ -520,12 +1340,13 @@ function getSalesReport() {
     LIMIT 10
   `).all();
 
-  // Clientes con intención de compra (que tienen memoria con "comprar" o "interesado")
+  // Clientes con intención de compra (etiqueta lead_caliente)
   const hotLeads = db.prepare(`
-    SELECT phone, name, memory, updated_at
-    FROM clients
-    WHERE memory LIKE '%comprar%' OR memory LIKE '%listo%' OR memory LIKE '%interesado%' OR memory LIKE '%presupuesto%'
-    ORDER BY updated_at DESC
+    SELECT c.phone, c.name, c.memory, c.updated_at
+    FROM clients c
+    JOIN client_tags ct ON ct.client_phone = c.phone
+    JOIN tags t ON t.id = ct.tag_id AND t.name = 'lead_caliente'
+    ORDER BY c.updated_at DESC
     LIMIT 10
   `).all();
 
@@ -539,26 +1360,177 @@ function getSalesReport() {
   return { pipeline, pendingClients, hotLeads, employeeLoad };
 }
 
+// ============================================
+// EMBUDO DE VENTAS (status_history)
+// ============================================
+// Cada etapa agrupa los status que significan "llegó hasta aquí".
+// Un cliente que alcanza una etapa cuenta también en las anteriores.
+const FUNNEL_STAGES = [
+  { key: 'new', label: 'Primer mensaje', statuses: ['new'] },
+  { key: 'hot', label: 'Lead caliente', statuses: ['hot', 'warm'] },
+  { key: 'assigned', label: 'Derivado a asesor', statuses: ['assigned'] },
+  { key: 'paid', label: 'Pagó', statuses: ['afiliado', 'postventa', 'carnet_pendiente', 'despacho_pendiente', 'municion_pendiente', 'recuperacion_pendiente', 'bot_asesor_pendiente'] },
+];
+
+// Días sin actividad para considerar que un lead caliente se enfrió
+const COLD_AFTER_DAYS = 7;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// 'YYYY-MM-DD HH:MM:SS' de SQLite (UTC) → milisegundos
+function sqliteTimeMs(value) {
+  return new Date(String(value).replace(' ', 'T') + 'Z').getTime();
+}
+
+// Conversión entre etapas y mediana de horas entre ellas.
+// days: solo clientes cuyo primer registro cae en los últimos N días (null = todos)
+function getFunnelReport(days = null) {
+  const stageOf = {};
+  FUNNEL_STAGES.forEach((st, i) => st.statuses.forEach(s => { stageOf[s] = i; }));
+
+  const rows = db.prepare(`
+    SELECT h.client_phone, h.to_status, h.created_at, c.status as current_status, c.updated_at
+    FROM status_history h
+    JOIN clients c ON c.phone = h.client_phone
+    ORDER BY h.created_at, h.id
+  `).all();
+
+  // Primera vez que cada cliente alcanzó cada etapa
+  const clients = new Map();
+  for (const r of rows) {
+    if (!clients.has(r.client_phone)) {
+      clients.set(r.client_phone, { reached: [], currentStatus: r.current_status, updatedAt: r.updated_at });
+    }
+    const stage = stageOf[r.to_status];
+    const c = clients.get(r.client_phone);
+    if (stage !== undefined && !c.reached[stage]) c.reached[stage] = sqliteTimeMs(r.created_at);
+  }
+
+  const since = days ? Date.now() - days * 86400000 : null;
+  const cohort = [...clients.values()].filter(c => {
+    const first = c.reached.find(Boolean);
+    return first && (!since || first >= since);
+  });
+
+  const HOUR = 3600000;
+  const reachedAtLeast = i => cohort.filter(c => c.reached.slice(i).some(Boolean));
+  const stages = FUNNEL_STAGES.map((st, i) => {
+    const count = reachedAtLeast(i).length;
+    const prevCount = i > 0 ? reachedAtLeast(i - 1).length : count;
+    // Horas desde la etapa anterior alcanzada hasta esta
+    const hours = cohort
+      .filter(c => c.reached[i] && c.reached.slice(0, i).some(Boolean))
+      .map(c => (c.reached[i] - Math.max(...c.reached.slice(0, i).filter(Boolean))) / HOUR);
+    return {
+      key: st.key,
+      label: st.label,
+      count,
+      conversion: prevCount ? Math.round((count / prevCount) * 1000) / 10 : null,
+      medianHours: median(hours),
+    };
+  });
+
+  // Primer mensaje → pago
+  const paidIdx = FUNNEL_STAGES.findIndex(st => st.key === 'paid');
+  const toPaid = cohort.filter(c => c.reached[0] && c.reached[paidIdx])
+    .map(c => (c.reached[paidIdx] - c.reached[0]) / HOUR);
+
+  // Leads calientes que no pagaron y llevan días sin moverse
+  const coldLimit = Date.now() - COLD_AFTER_DAYS * 86400000;
+  const hotIdx = FUNNEL_STAGES.findIndex(st => st.key === 'hot');
+  const wentCold = cohort.filter(c => c.reached[hotIdx] && !c.reached.slice(paidIdx).some(Boolean)
+    && c.currentStatus !== 'completed'
+    && sqliteTimeMs(c.updatedAt) < coldLimit).length;
+  const hotCount = cohort.filter(c => c.reached[hotIdx]).length;
+
+  return {
+    days,
+    totalClients: cohort.length,
+    stages,
+    medianHoursToPaid: median(toPaid),
+    overallConversion: cohort.length ? Math.round((stages[paidIdx].count / cohort.length) * 1000) / 10 : null,
+    hotLeads: hotCount,
+    wentCold,
+    coldAfterDays: COLD_AFTER_DAYS,
+  };
+}
+
 // Actualizar notas de un cliente
-function updateClientNotes(phone, notes) {
-  db.prepare(`
-    UPDATE clients SET notes = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?
-  `).run(notes, phone);
+function updateClientNotes(phone, notes, audit = {}) {
+  updateClientFields(phone, { notes }, audit);
 }
 
 // Resetear cliente (limpiar historial y volver a new)
-function resetClient(phone) {
+function resetClient(phone, audit = {}) {
+  const before = getClient(phone);
   db.prepare('DELETE FROM conversations WHERE client_phone = ?').run(phone);
   db.prepare("UPDATE assignments SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE client_phone = ? AND status = 'active'").run(phone);
   db.prepare("UPDATE clients SET status = 'new', memory = '', interaction_count = 0, has_bought_gun = 0, is_club_plus = 0, is_club_pro = 0, has_ai_bot = 0, updated_at = CURRENT_TIMESTAMP WHERE phone = ?").run(phone);
+  getClientTags(phone).forEach(t => removeClientTag(phone, t.name, audit));
+  logAudit(phone, { ...audit, action: 'reset' });
+  auditClientDiff(before, getClient(phone), audit);
 }
 
-// Cerrar asignación de un cliente
-function closeAssignment(clientPhone) {
+// Cerrar asignación de un cliente (result: cómo terminó, lo escribe el asesor)
+function closeAssignment(clientPhone, audit = {}, { result = '' } = {}) {
   const assignment = getActiveAssignment(clientPhone);
   if (!assignment) return null;
-  db.prepare("UPDATE assignments SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE client_phone = ? AND status = 'active'").run(clientPhone);
-  db.prepare("UPDATE clients SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE phone = ?").run(clientPhone);
+  db.prepare("UPDATE assignments SET status = 'completed', completed_at = CURRENT_TIMESTAMP, result = ? WHERE client_phone = ? AND status = 'active'").run(result, clientPhone);
+  logAudit(clientPhone, { ...audit, action: 'assignment', field: 'employee', oldValue: assignment.employee_name, newValue: null });
+  if (result) logAudit(clientPhone, { ...audit, action: 'assignment', field: 'result', newValue: result });
+  updateClientFields(clientPhone, { status: 'completed' }, audit);
+  return assignment;
+}
+
+// Pasar el cliente a otro asesor conservando el historial: la asignación
+// actual queda 'transferred' y la nueva guarda de dónde viene y por qué
+function transferAssignment(clientPhone, toEmployeeId, reason = '', audit = {}) {
+  const previous = getActiveAssignment(clientPhone);
+  if (!previous) throw new Error('El cliente no tiene una asignación activa');
+  const target = getEmployee(toEmployeeId);
+  if (!target || !target.is_active) throw new Error('El asesor destino no existe o no está activo');
+  if (previous.employee_id === target.id) throw new Error(`El cliente ya está asignado a ${target.name}`);
+
+  db.transaction(() => {
+    db.prepare("UPDATE assignments SET status = 'transferred', completed_at = CURRENT_TIMESTAMP WHERE id = ?").run(previous.id);
+    db.prepare(`
+      INSERT INTO assignments (client_phone, employee_id, queue, transferred_from, transfer_reason) VALUES (?, ?, ?, ?, ?)
+    `).run(clientPhone, target.id, previous.queue || 'general', previous.id, reason || '');
+    incrementAssignments(target.id);
+  })();
+
+  const assignment = getActiveAssignment(clientPhone);
+  logAudit(clientPhone, {
+    ...audit, action: 'transfer', field: 'employee',
+    oldValue: previous.employee_name, newValue: target.name,
+    reason: reason || audit.reason
+  });
+  console.log(`[DB] Cliente ${clientPhone} transferido: ${previous.employee_name} → ${target.name}`);
+  return { previous, assignment };
+}
+
+// Todas las asignaciones del cliente, la más reciente primero (quién lo atendió antes)
+function getAssignmentHistory(clientPhone) {
+  return db.prepare(`
+    SELECT a.id, a.employee_id, e.name as employee_name, a.status, a.queue, a.result,
+      a.transfer_reason, a.assigned_at, a.completed_at, a.first_response_at
+    FROM assignments a JOIN employees e ON a.employee_id = e.id
+    WHERE a.client_phone = ?
+    ORDER BY a.assigned_at DESC, a.id DESC
+  `).all(resolveClientPhone(clientPhone));
+}
+
+// Soltar la asignación sin cerrar el caso (el cliente queda libre para otro asesor)
+function releaseAssignment(clientPhone, audit = {}) {
+  const assignment = getActiveAssignment(clientPhone);
+  if (!assignment) return null;
+  db.prepare("UPDATE assignments SET status = 'released', completed_at = CURRENT_TIMESTAMP WHERE id = ?").run(assignment.id);
+  logAudit(clientPhone, { ...audit, action: 'assignment', field: 'employee', oldValue: assignment.employee_name, newValue: null });
   return assignment;
 }
 
@@ -566,17 +1538,103 @@ function closeAssignment(clientPhone) {
 // MEMORIA DEL CLIENTE
 // ============================================
 
-// Migrar un cliente de un phone viejo (LID) al número real resuelto
-function migrateClientPhone(oldPhone, newPhone) {
-  oldPhone = oldPhone.replace(/@.*/, '').replace(/\D/g, '');
-  newPhone = newPhone.replace(/@.*/, '').replace(/\D/g, '');
+// Migrar un cliente de un phone viejo (LID) al número real resuelto.
+// Si el número real ya tiene ficha, se fusionan las dos.
+function migrateClientPhone(oldPhone, newPhone, audit = {}) {
+  oldPhone = normalizeWaId(oldPhone);
+  newPhone = normalizeWaId(newPhone);
+  if (!oldPhone || !newPhone || oldPhone === newPhone) return getClient(newPhone);
+  if (db.prepare('SELECT 1 FROM clients WHERE phone = ?').get(newPhone)) {
+    return mergeClients(oldPhone, newPhone, { actor: 'bot', reason: 'LID resuelto a número real', ...audit });
+  }
   const migrate = db.transaction(() => {
     db.prepare('UPDATE clients       SET phone = ? WHERE phone = ?').run(newPhone, oldPhone);
     db.prepare('UPDATE conversations SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
     db.prepare('UPDATE assignments   SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE orders        SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE audit_events  SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE status_history SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    // Si el número real ya tenía la etiqueta, se conserva esa y se descarta la del LID
+    db.prepare('UPDATE OR IGNORE client_tags SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('DELETE FROM client_tags WHERE client_phone = ?').run(oldPhone);
+    db.prepare('UPDATE comprobantes  SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE carnets       SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE memberships   SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE shipments     SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    db.prepare('UPDATE handoff_queue SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    // El LID viejo sigue resolviendo al número real
+    db.prepare('UPDATE client_identities SET client_phone = ? WHERE client_phone = ?').run(newPhone, oldPhone);
+    linkIdentity(newPhone, newPhone, 'LID resuelto');
   });
   migrate();
   console.log(`[DB] 📱 Migrado: ${oldPhone} → ${newPhone}`);
+  return getClient(newPhone);
+}
+
+// Tablas con client_phone que pasan completas a la ficha destino al fusionar
+const MERGE_TABLES = ['conversations', 'comprobantes', 'carnets', 'orders', 'audit_events', 'status_history', 'memberships', 'shipments', 'handoff_queue'];
+// Campos de la ficha que solo se copian si el destino los tiene vacíos
+const MERGE_FILL_FIELDS = [
+  'name', 'email', 'notes', 'cedula', 'ciudad', 'direccion', 'profesion', 'club_plan',
+  'club_vigente_hasta', 'serial_arma', 'modelo_arma', 'carnet_qr_url',
+];
+const MERGE_FLAG_FIELDS = ['has_bought_gun', 'is_club_plus', 'is_club_pro', 'has_ai_bot'];
+
+// Fusionar dos fichas del mismo cliente: mensajes, comprobantes, carnets,
+// pedidos, historial, etiquetas e identidades de `fromPhone` pasan a
+// `intoPhone`. El destino conserva sus datos y completa los vacíos; la
+// ficha de origen se elimina y su número queda como identidad del destino.
+function mergeClients(fromPhone, intoPhone, audit = {}) {
+  fromPhone = normalizeWaId(fromPhone);
+  intoPhone = normalizeWaId(intoPhone);
+  if (!fromPhone || !intoPhone || fromPhone === intoPhone) throw new Error('Se necesitan dos números distintos para fusionar');
+  const source = db.prepare('SELECT * FROM clients WHERE phone = ?').get(fromPhone);
+  const target = db.prepare('SELECT * FROM clients WHERE phone = ?').get(intoPhone);
+  if (!source) throw new Error(`No hay cliente con número ${fromPhone}`);
+  if (!target) throw new Error(`No hay cliente con número ${intoPhone}`);
+
+  const changes = {};
+  MERGE_FILL_FIELDS.forEach(f => { if (!target[f] && source[f]) changes[f] = source[f]; });
+  MERGE_FLAG_FIELDS.forEach(f => { if (source[f] && !target[f]) changes[f] = 1; });
+  if (source.memory && source.memory !== target.memory) {
+    changes.memory = target.memory ? `${target.memory}\n${source.memory}` : source.memory;
+  }
+  // Perfil estructurado: se combinan (el destino gana a igual o mayor confianza)
+  if (source.profile_json) {
+    changes.profile_json = JSON.stringify(profile.mergeProfile(
+      profile.parseStoredProfile(source.profile_json), profile.parseStoredProfile(target.profile_json)));
+  }
+  if (target.status === 'new' && source.status !== 'new') changes.status = source.status;
+  if (source.ignored && !target.ignored) changes.ignored = 1;
+
+  const merge = db.transaction(() => {
+    // Una sola asignación activa: si el destino ya tiene, se cierra la del origen
+    if (getActiveAssignment(intoPhone)) {
+      db.prepare("UPDATE assignments SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE client_phone = ? AND status = 'active'").run(fromPhone);
+    }
+    db.prepare('UPDATE assignments SET client_phone = ? WHERE client_phone = ?').run(intoPhone, fromPhone);
+    MERGE_TABLES.forEach(table => {
+      db.prepare(`UPDATE ${table} SET client_phone = ? WHERE client_phone = ?`).run(intoPhone, fromPhone);
+    });
+    db.prepare('UPDATE OR IGNORE client_tags SET client_phone = ? WHERE client_phone = ?').run(intoPhone, fromPhone);
+    db.prepare('DELETE FROM client_tags WHERE client_phone = ?').run(fromPhone);
+    db.prepare('UPDATE client_identities SET client_phone = ? WHERE client_phone = ?').run(intoPhone, fromPhone);
+    linkIdentity(fromPhone, intoPhone, 'fusión');
+
+    db.prepare(`
+      UPDATE clients SET interaction_count = interaction_count + ?,
+        chat_id = CASE WHEN chat_id = '' OR chat_id IS NULL THEN ? ELSE chat_id END,
+        created_at = MIN(created_at, ?)
+      WHERE phone = ?
+    `).run(source.interaction_count || 0, source.chat_id || '', source.created_at, intoPhone);
+    db.prepare('DELETE FROM clients WHERE phone = ?').run(fromPhone);
+
+    updateClientFields(intoPhone, changes, audit);
+    logAudit(intoPhone, { ...audit, action: 'merge', field: 'phone', oldValue: fromPhone, newValue: intoPhone });
+  });
+  merge();
+  console.log(`[DB] 🔗 Fusionado: ${fromPhone} → ${intoPhone}`);
+  return getClient(intoPhone);
 }
 
 // Obtener el chat_id correcto para enviar mensajes (con fallback a @c.us)
@@ -593,11 +1651,46 @@ function getClientMemory(phone) {
   return client?.memory || '';
 }
 
-// Actualizar memoria de un cliente (reemplaza completamente)
-function updateClientMemory(phone, memory) {
-  db.prepare(`
-    UPDATE clients SET memory = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?
-  `).run(memory, phone);
+// Actualizar memoria de un cliente (reemplaza completamente; clients_fts se actualiza por trigger)
+function updateClientMemory(phone, memory, audit = {}) {
+  updateClientFields(phone, { memory }, audit);
+}
+
+// Quién escribió por última vez un campo de clients (según audit_events)
+function getLastFieldActor(phone, field) {
+  const row = db.prepare(`
+    SELECT actor FROM audit_events WHERE client_phone = ? AND field = ? ORDER BY id DESC LIMIT 1
+  `).get(resolveClientPhone(phone), field);
+  return row ? row.actor : null;
+}
+
+// Un valor es "manual" solo si lo último que lo tocó fue una persona
+// (panel/admin/asesor). La IA no lo pisa. Sin rastro (datos anteriores a la
+// auditoría) o puesto por el bot —p. ej. el nombre de perfil de WhatsApp—
+// la IA sí lo puede corregir con lo que el cliente diga.
+const MANUAL_ACTORS = ['panel', 'admin', 'employee'];
+
+function isManualValue(client, field) {
+  if (!client || !client[field]) return false;
+  return MANUAL_ACTORS.includes(getLastFieldActor(client.phone, field));
+}
+
+// Guardar el perfil estructurado: profile_json, la ficha legible (memory)
+// y las columnas que la IA puede llenar (las manuales se respetan).
+// Devuelve la lista de columnas que se llenaron.
+function saveClientProfile(phone, profile, { memory, columns = {} } = {}, audit = {}) {
+  const client = getClient(phone);
+  if (!client) return [];
+  const changes = { profile_json: JSON.stringify(profile) };
+  if (memory !== undefined) changes.memory = memory;
+  const filled = [];
+  for (const [column, value] of Object.entries(columns)) {
+    if (String(client[column] || '') === String(value) || isManualValue(client, column)) continue;
+    changes[column] = value;
+    filled.push(column);
+  }
+  updateClientFields(phone, changes, audit);
+  return filled;
 }
 
 // Obtener perfil completo del cliente (para comando !client)
@@ -615,17 +1708,58 @@ function getClientProfile(phone) {
   return {
     ...client,
     assignedTo: assignment ? assignment.employee_name : null,
+    assignmentHistory: getAssignmentHistory(phone),
     totalMessages: messageCount,
     recentMessages: lastMessages,
   };
 }
 
+// ============================================
+// BÚSQUEDA DE TEXTO COMPLETO (FTS5)
+// ============================================
+
+// Convierte texto libre en una consulta FTS5 segura: cada palabra como
+// prefijo entre comillas ("ekol"* "firat"*), todas requeridas.
+function buildFtsQuery(text) {
+  const tokens = (text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return tokens.map(t => `"${t}"*`).join(' ');
+}
+
+// Buscar en mensajes y en la ficha de clientes (nombre, memoria, notas).
+// open/close marcan el término encontrado dentro del snippet.
+function searchText(text, { limit = 20, open = '[', close = ']' } = {}) {
+  const query = buildFtsQuery(text);
+  if (!query) return { messages: [], clients: [] };
+
+  const messages = db.prepare(`
+    SELECT c.id, c.client_phone, c.role, c.created_at, cl.name as client_name,
+           snippet(conversations_fts, 0, ?, ?, '…', 12) as snippet
+    FROM conversations_fts
+    JOIN conversations c ON c.id = conversations_fts.rowid
+    LEFT JOIN clients cl ON cl.phone = c.client_phone
+    WHERE conversations_fts MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `).all(open, close, query, limit);
+
+  const clients = db.prepare(`
+    SELECT cl.phone, cl.name, cl.status, cl.updated_at,
+           snippet(clients_fts, -1, ?, ?, '…', 12) as snippet
+    FROM clients_fts
+    JOIN clients cl ON cl.id = clients_fts.rowid
+    WHERE clients_fts MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `).all(open, close, query, limit);
+
+  return { messages, clients };
+}
+
 // ============================================
 // IGNORAR CONTACTO
 // ============================================
-function setIgnored(phone, ignored = true) {
-  db.prepare('UPDATE clients SET ignored = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?')
-    .run(ignored ? 1 : 0, phone);
+function setIgnored(phone, ignored = true, audit = {}) {
+  updateClientFields(phone, { ignored: ignored ? 1 : 0 }, audit);
 }
 
 function isIgnored(phone) {
@@ -636,9 +1770,8 @@ function isIgnored(phone) {
 // ============================================
 // SPAM FLAG — posible bot/loop
 // ============================================
-function setSpamFlag(phone, flagged = true) {
-  db.prepare('UPDATE clients SET spam_flag = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?')
-    .run(flagged ? 1 : 0, phone);
+function setSpamFlag(phone, flagged = true, audit = {}) {
+  updateClientFields(phone, { spam_flag: flagged ? 1 : 0 }, audit);
 }
 
 function isSpamFlagged(phone) {
@@ -668,11 +1801,21 @@ module.exports = {
   // Clientes
   getClient,
   upsertClient,
+  updateClientFields,
   getAllClients,
   getClientChatId,
   migrateClientPhone,
+  mergeClients,
+  // Identidades de WhatsApp
+  resolveClientPhone,
+  linkIdentity,
+  getClientIdentities,
+  setClientChatId,
   getClientMemory,
   updateClientMemory,
+  getLastFieldActor,
+  isManualValue,
+  saveClientProfile,
   getClientProfile,
   updateClientNotes,
   resetClient,
@@ -687,36 +1830,119 @@ module.exports = {
   getEmployeeByPhone,
   getActiveEmployees,
   upsertEmployee,
+  getEmployeeLoads,
+  setEmployeeWeights,
+  EMPLOYEE_SKILLS,
+  parseSkills,
+  setEmployeeSkills,
+  getLastEmployeeForClient,
+  // Turnos y cola fuera de horario
+  getEmployeeShifts,
+  getAllShifts,
+  setEmployeeShifts,
+  parkHandoff,
+  getPendingHandoffs,
+  markHandoffAssigned,
+  // Configuración
+  getSetting,
+  setSetting,
   // Asignaciones
   getActiveAssignment,
+  getEmployeeAssignments,
   createAssignment,
   closeAssignment,
+  releaseAssignment,
+  transferAssignment,
+  getAssignmentHistory,
+  // SLA de primera respuesta
+  recordFirstResponse,
+  getOverdueAssignments,
+  markSlaAlert,
+  getSlaReport,
   // Conversaciones
   saveMessage,
   getConversationHistory,
   clearConversation,
+  // Búsqueda
+  searchText,
+  // Etiquetas
+  addClientTag,
+  removeClientTag,
+  getClientTags,
+  hasClientTag,
+  getAllTags,
+  getClientTagsMap,
+  // Auditoría
+  logAudit,
+  getAuditEvents,
   // Stats & Reportes
   getStats,
   getGeneralReport,
   getSalesReport,
+  getFunnelReport,
   // Comprobantes
   saveComprobante,
   getComprobantesPendientes,
   updateComprobanteEstado,
+  // Media
+  getMedia,
   // Carnets
   saveCarnet,
   getCarnetsPendientes,
   updateCarnetEstado,
+  // Pedidos
+  ORDER_STATUSES,
+  createOrder,
+  createOrAttachOrder,
+  getOpenOrder,
+  getOrder,
+  getOrders,
+  updateOrderStatus,
+  // Envíos
+  CARRIERS,
+  SHIPMENT_STATUSES,
+  createShipment,
+  getShipment,
+  getShipments,
+  getClientShipments,
+  updateShipmentStatus,
+  markShipmentNotified,
+  // Inventario
+  splitColors,
+  syncInventoryVariants,
+  getInventory,
+  getProductStock,
+  getLowStock,
+  setStock,
+  adjustStock,
+  getStockMovements,
+  // Membresías Club ZT
+  MEMBERSHIP_PLANS,
+  MEMBERSHIP_REMINDER_DAYS,
+  normalizePlan,
+  parseMembershipDate,
+  getCurrentMembership,
+  getMemberships,
+  grantMembership,
+  refreshMembershipStatuses,
+  getMembershipRemindersDue,
+  markMembershipReminders,
 };
 
 // ============================================
 // COMPROBANTES DE PAGO
 // ============================================
 function saveComprobante(phone, name, info, imagenBase64, imagenMime, tipo) {
+  const mediaId = media.storeMedia(db, imagenBase64, imagenMime || 'image/jpeg');
   return db.prepare(`
-    INSERT INTO comprobantes (client_phone, client_name, info, imagen_base64, imagen_mime, tipo, estado)
+    INSERT INTO comprobantes (client_phone, client_name, info, media_id, imagen_mime, tipo, estado)
     VALUES (?, ?, ?, ?, ?, ?, 'pendiente')
-  `).run(phone, name || '', info || '', imagenBase64 || '', imagenMime || 'image/jpeg', tipo || 'desconocido');
+  `).run(phone, name || '', info || '', mediaId, imagenMime || 'image/jpeg', tipo || 'desconocido');
+}
+
+// Archivo del almacén de media (comprobantes, carnets)
+function getMedia(id) {
+  return media.getMedia(db, id);
 }
 
 function getComprobantesPendientes() {
@@ -15,6 +15,7 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 const { fork } = require('child_process');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const jsQR = require('jsqr');
@@ -22,7 +23,11 @@ const Jimp = require('jimp');
 
 const db = require('./db');
 const router = require('./router');
+const shifts = require('./shifts');
 const search = require('./search');
+const profile = require('./profile');
+const privacy = require('./privacy');
+const backup = require('./backup');
 
 // Inicializar Gemini
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -45,29 +50,47 @@ const CONFIG = {
 
 // Parsear empleados del .env
 // Formato: "Juan:573001111111,Maria:573002222222"
+// Opcional, colas que atiende: "Juan:573001111111:ventas|legal" (si no se
+// indican, se conservan las del panel)
 function parseEmployees() {
   const envEmployees = process.env.EMPLOYEES || '';
   if (!envEmployees) return [];
 
   return envEmployees.split(',').map(emp => {
-    const [name, phone] = emp.trim().split(':');
-    return { name: name.trim(), phone: phone.trim() };
+    const [name, phone, skills] = emp.trim().split(':');
+    return { name: name.trim(), phone: phone.trim(), skills: skills ? skills.trim() : null };
   });
 }
 
-// Cargar base de conocimiento
+// Cargar base de conocimiento (se recarga en caliente, ver watchContentFiles)
+const KB_PATH = path.join(__dirname, 'knowledge_base.json');
 let knowledgeBase = {};
-try {
-  const kbPath = path.join(__dirname, 'knowledge_base.json');
-  if (fs.existsSync(kbPath)) {
-    knowledgeBase = JSON.parse(fs.readFileSync(kbPath, 'utf8'));
-    console.log('[BOT] Base de conocimiento cargada');
-  } else {
+let knowledgeBaseHash = null;
+
+// { ok, sections, unchanged } o { ok: false, error }. Un JSON nuevo que no
+// sirve no reemplaza al que ya estaba cargado.
+function loadKnowledgeBase() {
+  if (!fs.existsSync(KB_PATH)) {
     console.log('[BOT] No se encontró knowledge_base.json, se usará memoria vacía o catálogo.');
+    return { ok: true, sections: Object.keys(knowledgeBase).length, missing: true };
+  }
+  try {
+    const raw = fs.readFileSync(KB_PATH, 'utf8');
+    const hash = crypto.createHash('sha256').update(raw).digest('hex');
+    if (hash === knowledgeBaseHash) return { ok: true, sections: Object.keys(knowledgeBase).length, unchanged: true };
+    const data = JSON.parse(raw);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('no es un objeto JSON');
+    if (!data.negocio) throw new Error('falta la sección "negocio"');
+    knowledgeBase = data;
+    knowledgeBaseHash = hash;
+    console.log('[BOT] Base de conocimiento cargada');
+    return { ok: true, sections: Object.keys(data).length };
+  } catch (error) {
+    console.error(`[BOT] Error cargando knowledge_base.json${knowledgeBaseHash ? ' (se conserva la anterior)' : ''}:`, error.message);
+    return { ok: false, error: error.message };
   }
-} catch (error) {
-  console.error('[BOT] Error cargando knowledge_base.json:', error.message);
 }
+loadKnowledgeBase();
 
 // ============================================
 // HELPER: BUSCAR IMAGEN DE PRODUCTO
@@ -176,9 +199,19 @@ async function detectAndSendProductImages(response, rawMsg, senderPhone) {
 // ============================================
 db.initDatabase();
 
+// Copia de seguridad de crm.db cada hora (ver backup.js)
+backup.startBackupScheduler(db.db);
+
 const employees = parseEmployees();
+// Una cola mal escrita en EMPLOYEES no tumba el arranque: se avisa y se ignora
 employees.forEach(emp => {
-  db.upsertEmployee(emp.name, emp.phone);
+  const unknown = (emp.skills || '').split(/[|+]/).map(s => s.trim().toLowerCase()).filter(s => s && !db.EMPLOYEE_SKILLS[s]);
+  if (unknown.length) console.warn(`[BOT] ⚠️ Cola(s) desconocida(s) para ${emp.name} en EMPLOYEES: ${unknown.join(', ')} — se ignoran`);
+  try {
+    db.upsertEmployee(emp.name, emp.phone, emp.skills);
+  } catch (e) {
+    console.warn(`[BOT] ⚠️ ${emp.name}: ${e.message} — se conservan sus colas actuales`);
+  }
 });
 console.log(`[BOT] ${employees.length} empleados registrados`);
 
@@ -188,6 +221,45 @@ router.initRouter();
 // Cargar catálogo para búsqueda inteligente (RAG)
 search.loadCatalog();
 
+// ============================================
+// RECARGA EN CALIENTE (catálogo y base de conocimiento)
+// ============================================
+// El panel corre update_inventory.js, que reescribe catalogo_contexto.json.
+// Se vigila la carpeta y no el archivo: si lo reemplazan (rename) el watcher
+// del archivo viejo deja de avisar. Una escritura dispara varios eventos
+// seguidos, por eso se espera RELOAD_DEBOUNCE_MS antes de leer.
+// El panel además llama /reload al terminar una actualización.
+const RELOADERS = new Map([
+  ['catalogo_contexto.json', () => search.loadCatalog()],
+  ['knowledge_base.json', () => loadKnowledgeBase()],
+]);
+const RELOAD_DEBOUNCE_MS = 1000;
+const reloadTimers = new Map();
+
+function reloadContent(file) {
+  const result = RELOADERS.get(file)();
+  if (!result.ok) console.error(`[RELOAD] ⚠️ ${file} no se recargó: ${result.error}`);
+  else if (!result.unchanged && !result.missing) console.log(`[RELOAD] 🔄 ${file} recargado`);
+  return result;
+}
+
+function watchContentFiles() {
+  try {
+    fs.watch(__dirname, (event, filename) => {
+      if (!RELOADERS.has(filename)) return;
+      clearTimeout(reloadTimers.get(filename));
+      reloadTimers.set(filename, setTimeout(() => {
+        reloadTimers.delete(filename);
+        reloadContent(filename);
+      }, RELOAD_DEBOUNCE_MS));
+    });
+    console.log(`[RELOAD] 👀 Vigilando ${[...RELOADERS.keys()].join(' y ')}`);
+  } catch (e) {
+    console.error('[RELOAD] No se pudieron vigilar los archivos:', e.message);
+  }
+}
+watchContentFiles();
+
 // ============================================
 // ANTI-LOOP — detector de mensajes por minuto
 // ============================================
@@ -300,6 +372,15 @@ client.on('ready', async () => {
   // Iniciar publicación automática de Estados (esperar 45s)
   setTimeout(() => startStatusBroadcaster(), 45000);
 
+  // Recordatorios de vencimiento de membresías Club ZT
+  setTimeout(() => startMembershipReminders(), 60000);
+
+  // Repartir los handoffs que llegaron fuera de horario
+  setTimeout(() => startParkedHandoffs(), 20000);
+
+  // Re-alertas / reasignación de handoffs sin respuesta humana
+  setTimeout(() => startSlaMonitor(), 25000);
+
   // Iniciar servidor interno para recibir comandos del panel
   if (!serverStarted) {
     serverStarted = true;
@@ -351,6 +432,33 @@ function isBotPaused(phone) {
   return true;
 }
 
+// Textos que acaba de enviar el propio bot (respuestas, panel, avisos). En
+// message_create llegan también como fromMe: así se distinguen de lo que
+// Álvaro escribe a mano desde WhatsApp.
+// La clave es chat + texto: el mismo aviso fijo sale a muchos chats a la vez
+// y cada eco de message_create debe gastar exactamente un envío.
+// El chat se reduce al teléfono del cliente: el bot envía a @c.us o al chat
+// @lid guardado, y el eco puede llegar con el otro ID del mismo cliente.
+const botOutgoing = new Map(); // `${telefono}|${texto}` → { count, expires }
+const outgoingKey = (chatId, text) => {
+  const raw = String((chatId && chatId._serialized) || chatId || '');
+  return `${db.resolveClientPhone(raw) || raw}|${text}`;
+};
+const originalSendMessage = client.sendMessage.bind(client);
+client.sendMessage = (chatId, content, options = {}) => {
+  const text = typeof content === 'string' ? content : (options.caption || '');
+  if (text) {
+    const key = outgoingKey(chatId, text);
+    const entry = botOutgoing.get(key);
+    const expires = Date.now() + 2 * 60 * 1000;
+    botOutgoing.set(key, { count: entry && entry.expires > Date.now() ? entry.count + 1 : 1, expires });
+  }
+  if (botOutgoing.size > 500) {
+    for (const [key, entry] of botOutgoing) if (entry.expires < Date.now()) botOutgoing.delete(key);
+  }
+  return originalSendMessage(chatId, content, options);
+};
+
 async function enviarTransicionAdmin(clientPhone, chatId, alvaroMsg) {
   try {
     const memory = db.getClientMemory(clientPhone) || 'Sin datos previos';
@@ -405,6 +513,34 @@ const DEBOUNCE_MS = 10000; // 10 segundos
 // ============================================
 // MANEJO DE MENSAJES
 // ============================================
+// Mensajes que Álvaro escribe desde el celular: quedan como 'admin' en el
+// historial (cuenta como primera respuesta para el SLA) y pausan al bot.
+client.on('message_create', async (msg) => {
+  try {
+    if (!msg.fromMe) return;
+    const to = msg.to || '';
+    if (to === 'status@broadcast' || to.includes('@g.us') || to.includes('@broadcast') || to.includes('@newsletter')) return;
+    const body = (msg.body || '').trim();
+    if (!body || body.startsWith('!')) return;
+
+    const key = outgoingKey(to, msg.body);
+    const sentByBot = botOutgoing.get(key);
+    if (sentByBot) {
+      if (--sentByBot.count <= 0) botOutgoing.delete(key);
+      if (sentByBot.expires > Date.now()) return;
+    }
+
+    const clientPhone = db.resolveClientPhone(to);
+    if (!db.getClient(clientPhone)) return;
+    db.saveMessage(clientPhone, 'admin', body);
+    adminPauseMap.set(clientPhone, Date.now() + 30 * 60 * 1000);
+    db.logAudit(clientPhone, { actor: 'admin', action: 'bot_pause', newValue: '30 min', reason: 'mensaje manual desde WhatsApp' });
+    console.log(`[ADMIN] 👔 Álvaro escribió a ${clientPhone}: "${body.substring(0, 60)}"`);
+  } catch (e) {
+    console.error('[ADMIN] Error en message_create:', e.message);
+  }
+});
+
 client.on('message', async (msg) => {
   try {
     // Ignorar ANTES de getChat() para evitar crash con canales/newsletters
@@ -491,7 +627,7 @@ client.on('message', async (msg) => {
       return;
     }
 
-    const senderPhone = msg.from.replace(/@.*/g, ''); // quitar @c.us, @lid, @g.us, etc.
+    const senderPhone = db.resolveClientPhone(msg.from); // LID / @c.us → phone canónico del cliente
     const messageBody = msg.body ? msg.body.trim() : '';
 
     // ⛔ Chequeo TEMPRANO de ignorados — antes de cualquier procesamiento
@@ -510,7 +646,7 @@ client.on('message', async (msg) => {
     if (checkRateLimit(senderPhone)) {
       console.log(`[BOT] ⚠️ Rate limit detectado para ${senderPhone} — marcando como posible bot`);
       db.upsertClient(senderPhone, {});
-      db.setSpamFlag(senderPhone, true);
+      db.setSpamFlag(senderPhone, true, { actor: 'bot', reason: 'ráfaga de mensajes (rate limit)' });
       console.log(`[BOT] 🚨 ${senderPhone} marcado como posible spam en panel`);
       return;
     }
@@ -611,13 +747,14 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
       profileName = contact.pushname || contact.name || contact.shortName || chat.name || '';
 
       // contact.number resuelve el teléfono real incluso cuando el mensaje llegó con LID
-      const realNumber = (contact.number || '').replace(/\D/g, '');
+      const realNumber = db.resolveClientPhone(contact.number || '');
       if (realNumber && realNumber !== senderPhone) {
         if (CONFIG.debug) console.log(`[BOT] 📱 LID resuelto global: ${senderPhone} → ${realNumber}`);
-        // Si existe registro viejo bajo el LID, migrarlo al número real
-        if (db.getClient(senderPhone) && !db.getClient(realNumber)) {
+        // Si existe registro viejo bajo el LID, pasarlo al número real (fusiona si ya hay ficha)
+        if (db.getClient(senderPhone)) {
           db.migrateClientPhone(senderPhone, realNumber);
         }
+        db.linkIdentity(rawMsg.from || senderPhone, realNumber, 'contacto');
         senderPhone = realNumber;
       }
     } catch (err) {
@@ -631,7 +768,7 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
     const chatIdFromMsg = rawMsg.from || (senderPhone + '@c.us');
 
     if (isNewClient) {
-      db.upsertClient(senderPhone, { name: profileName, chat_id: chatIdFromMsg });
+      db.upsertClient(senderPhone, { name: profileName, chat_id: chatIdFromMsg }, { actor: 'bot', reason: 'nombre de perfil de WhatsApp' });
       console.log(`[BOT] 🆕 Nuevo cliente: "${profileName}" (${senderPhone}) [${chatIdFromMsg}]`);
       saveContactToVCF(senderPhone, profileName);
     } else {
@@ -641,7 +778,7 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
         updateData.name = bestName;
         saveContactToVCF(senderPhone, bestName);
       }
-      db.upsertClient(senderPhone, updateData);
+      db.upsertClient(senderPhone, updateData, { actor: 'bot', reason: 'nombre de perfil de WhatsApp' });
     }
 
     // ⛔ Contacto ignorado desde el panel — silencio total
@@ -807,7 +944,8 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
 
               const senalesClub = [
                 'club zt', 'club zona', 'afiliaci', 'afiliacion', 'afiliación', 'plan plus',
-                'plan pro', 'carnet', 'membresía', 'membresia', 'respaldo legal', 'respaldo jurídico'
+                'plan pro', 'carnet', 'membresía', 'membresia', 'respaldo legal', 'respaldo jurídico',
+                'renovar', 'renovación', 'renovacion'
               ].filter(k => contextoCompleto.includes(k)).length;
 
               const senalesProducto = [
@@ -827,6 +965,8 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
                 tipoComprobante = 'desconocido';
               }
               console.log(`[COMPROBANTE] 🏷️ Tipo auto-detectado: ${tipoComprobante} (señales: bot=${senalesBot}, club=${senalesClub}, producto=${senalesProducto})`);
+              const membresiaActual = db.getCurrentMembership(senderPhone);
+              const esRenovacion = tipoComprobante === 'club' && !!membresiaActual;
 
               // Guardar en BD de comprobantes pendientes
               const comprobanteResult = db.saveComprobante(senderPhone, clientName, infoComprobante, media.data, mediaType, tipoComprobante);
@@ -838,7 +978,7 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
                 `👤 *Cliente:* ${clientName}\n` +
                 `📱 *WhatsApp:* wa.me/${senderPhone}\n` +
                 `🏦 *${infoComprobante}*\n` +
-                `📋 *Tipo:* ${tipoComprobante === 'club' ? 'Afiliación Club ZT' : tipoComprobante === 'bot_asesor' ? '🤖 Bot Asesor Legal' : 'Producto'}\n\n` +
+                `📋 *Tipo:* ${esRenovacion ? `🔁 Renovación Club ZT (${membresiaActual.planLabel}, vence ${formatFechaMembresia(membresiaActual.end_date)})` : tipoComprobante === 'club' ? 'Afiliación Club ZT' : tipoComprobante === 'bot_asesor' ? '🤖 Bot Asesor Legal' : 'Producto'}\n\n` +
                 `⚠️ Verifica el monto en el panel antes de confirmar.\n` +
                 `Panel → pestaña 💰 Por Verificar → ID #${comprobanteId}`;
 
@@ -852,7 +992,8 @@ async function procesarMensaje(msg, chat, senderPhone, rawMsg) {
 
               db.saveMessage(senderPhone, 'user', `[Comprobante de pago enviado — ${infoComprobante}]`);
               db.saveMessage(senderPhone, 'assistant', reply);
-              db.upsertClient(senderPhone, { status: 'hot' });
+              db.upsertClient(senderPhone, { status: 'hot' }, { actor: 'bot', reason: `comprobante #${comprobanteId} recibido` });
+              db.addClientTag(senderPhone, 'lead_caliente', { actor: 'bot', reason: `comprobante #${comprobanteId} recibido` });
               console.log(`[COMPROBANTE] ✅ Guardado ID #${comprobanteId} y notificado para ${senderPhone}`);
 
             } else if (qrTexto) {
@@ -918,7 +1059,7 @@ Analiza qué tipo de QR es (carnet, link, documento, etc.) e informa al cliente
 
           const history = db.getConversationHistory(senderPhone, 10);
           const clientMemory = db.getClientMemory(senderPhone);
-          const systemPrompt = buildSystemPrompt('El cliente envió un mensaje de voz. Continúa la conversación con el contexto previo.', clientMemory);
+          const systemPrompt = buildSystemPrompt('El cliente envió un mensaje de voz. Continúa la conversación con el contexto previo.', clientMemory, db.getClient(senderPhone));
 
           // Historial previo para mantener contexto
           const geminiHistoryAudio = history
@@ -973,7 +1114,7 @@ Analiza qué tipo de QR es (carnet, link, documento, etc.) e informa al cliente
 
           const history = db.getConversationHistory(senderPhone, 10);
           const clientMemory = db.getClientMemory(senderPhone);
-          const systemPrompt = buildSystemPrompt('El cliente envió un PDF. Continúa la conversación con el contexto previo.', clientMemory);
+          const systemPrompt = buildSystemPrompt('El cliente envió un PDF. Continúa la conversación con el contexto previo.', clientMemory, db.getClient(senderPhone));
 
           // Historial previo para mantener contexto
           const geminiHistoryPdf = history
@@ -1050,7 +1191,12 @@ Analiza qué tipo de QR es (carnet, link, documento, etc.) e informa al cliente
     // --- VERIFICAR SI ES EMPLEADO ---
     const employeeMatch = db.getEmployeeByPhone(senderPhone);
     if (employeeMatch) {
-      // Los empleados no reciben respuestas automáticas del bot
+      // Comandos del asesor sobre sus propios clientes (!mis, !tomar, !cerrar...)
+      if (messageBody.startsWith('!')) {
+        await handleEmployeeCommand(msg, employeeMatch, messageBody);
+        return;
+      }
+      // Fuera de comandos, los empleados no reciben respuestas automáticas del bot
       if (CONFIG.debug) {
         console.log(`[DEBUG] Mensaje de empleado ${employeeMatch.name}, ignorando`);
       }
@@ -1082,8 +1228,8 @@ async function safeSend(phone, message) {
       const waId = await client.getNumberId(phone);
       if (!waId) throw new Error('getNumberId no devolvió resultado');
       const canonicalId = waId._serialized;
-      // Actualizar chat_id en BD para la próxima vez
-      db.db.prepare('UPDATE clients SET chat_id = ? WHERE phone = ?').run(canonicalId, phone);
+      // Actualizar chat_id (e identidad) en BD para la próxima vez
+      db.setClientChatId(phone, canonicalId);
       console.log(`[SEND] 🔄 chat_id actualizado: ${phone} → ${canonicalId} — reintentando...`);
       await client.sendMessage(canonicalId, message);
     } catch (retryErr) {
@@ -1117,9 +1263,7 @@ async function handleClientMessage(msg, senderPhone, messageBody, chat, rawMsg)
 
   // Detectar si el cliente está confirmando que tiene algo pendiente ya pagado
   // (respuesta a la pregunta previa de confirmación de post-venta)
-  const clienteActualCheck = db.getClient(senderPhone);
-  const memoriaActual = (clienteActualCheck?.memory || '').toLowerCase();
-  const esperandoConfirmPostventa = memoriaActual.includes('[pregunta postventa enviada]') && !memoriaActual.includes('[postventa-confirmado]');
+  const esperandoConfirmPostventa = db.hasClientTag(senderPhone, 'postventa_preguntado') && !db.hasClientTag(senderPhone, 'postventa_confirmado');
   const msgLower2 = messageBody.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[¿?¡!.,;:()]/g, '');
   const confirmaPostventa = esperandoConfirmPostventa && (
     msgLower2.includes('si') || msgLower2.includes('sí') || msgLower2.includes('tengo') ||
@@ -1128,8 +1272,18 @@ async function handleClientMessage(msg, senderPhone, messageBody, chat, rawMsg)
     msgLower2.includes('correcto') || msgLower2.includes('exacto') || msgLower2.includes('eso es')
   );
 
+  // "¿Dónde va mi pedido?" — se contesta con la guía registrada, sin escalar
+  const shipmentReply = detectShipmentQuery(messageBody) ? buildShipmentStatusReply(senderPhone) : null;
+  if (shipmentReply) {
+    console.log(`[ENVIO] 📦 Estado de envío consultado por ${senderPhone}`);
+    await rawMsg.reply(shipmentReply);
+    db.saveMessage(senderPhone, 'assistant', shipmentReply);
+    return;
+  }
+
   // Cliente confirma que sí tiene algo pendiente ya pagado → escalar a post-venta
   if (confirmaPostventa) {
+    db.addClientTag(senderPhone, 'postventa_confirmado', { actor: 'bot', reason: 'cliente confirmó proceso pagado pendiente' });
     await updateClientMemory(senderPhone, messageBody, '[postventa-confirmado]', history);
     await handleHandoff(rawMsg, senderPhone, messageBody, history, 'postventa');
     return;
@@ -1137,8 +1291,7 @@ async function handleClientMessage(msg, senderPhone, messageBody, chat, rawMsg)
 
   if (isPostventa) {
     // --- POST-VENTA: confirmar con el cliente antes de escalar ---
-    const clienteActual = db.getClient(senderPhone);
-    const yaConfirmoPostventa = (clienteActual?.memory || '').toLowerCase().includes('[postventa-confirmado]');
+    const yaConfirmoPostventa = db.hasClientTag(senderPhone, 'postventa_confirmado');
 
     if (!yaConfirmoPostventa) {
       // Preguntar si realmente tiene algo pendiente ya pagado
@@ -1147,7 +1300,8 @@ async function handleClientMessage(msg, senderPhone, messageBody, chat, rawMsg)
         `¿Tienes algún proceso *ya pagado* que esté pendiente (carnet, envío, renovación, cambio de arma)? ` +
         `O ¿estás preguntando por información general del producto o servicio? 🙏`
       );
-      // Marcar en memoria que se hizo la pregunta para no volver a preguntar
+      // Marcar que se hizo la pregunta para no volver a preguntar
+      db.addClientTag(senderPhone, 'postventa_preguntado', { actor: 'bot', reason: 'pregunta de post-venta enviada' });
       await updateClientMemory(senderPhone, messageBody, '[pregunta postventa enviada]', history);
       return;
     }
@@ -1252,7 +1406,8 @@ async function handleClientMessage(msg, senderPhone, messageBody, chat, rawMsg)
           memoriaBaja.includes('afiliaci') ||
           memoriaBaja.includes('carnet');
         const nuevoStatus = esClub ? 'carnet_pendiente' : 'despacho_pendiente';
-        db.upsertClient(senderPhone, { status: nuevoStatus });
+        db.upsertClient(senderPhone, { status: nuevoStatus }, { actor: 'bot', reason: 'palabra clave de pago en mensaje' });
+        db.addClientTag(senderPhone, 'lead_caliente', { actor: 'bot', reason: 'palabra clave de pago en mensaje' });
         console.log(`[BOT] 💰 Pago detectado en mensaje del cliente → estado: ${nuevoStatus} para ${senderPhone}`);
       }
 
@@ -1267,13 +1422,27 @@ async function handleClientMessage(msg, senderPhone, messageBody, chat, rawMsg)
 // ============================================
 // MEMORIA DEL CLIENTE (se actualiza en background)
 // ============================================
+// Lo puesto a mano en el panel manda sobre lo extraído por la IA
+function withManualValues(perfil, clientInfo) {
+  const result = { ...perfil };
+  for (const [field, def] of Object.entries(profile.PROFILE_FIELDS)) {
+    if (def.column && db.isManualValue(clientInfo, def.column)) {
+      result[field] = { value: clientInfo[def.column], confidence: 'alta', manual: true };
+    }
+  }
+  return result;
+}
+
 async function updateClientMemory(clientPhone, userMessage, botResponse, history) {
+  const clientInfo = db.getClient(clientPhone);
+  if (!clientInfo) return;
+  const currentProfile = profile.parseStoredProfile(clientInfo.profile_json);
+  const audit = { actor: 'llm', reason: 'perfil extraído por Gemini' };
   try {
-    const currentMemory = db.getClientMemory(clientPhone);
-    const clientInfo = db.getClient(clientPhone);
+    const currentMemory = clientInfo.memory || '';
 
-    // Construir prompt para que Claude genere la memoria actualizada
-    const memoryPrompt = `Eres un sistema de CRM para Zona Traumática, tienda de armas traumáticas legales en Colombia. Tu tarea es mantener una ficha breve del cliente.
+    // Construir prompt para que Gemini devuelva el perfil en JSON
+    const memoryPrompt = `Eres un sistema de CRM para Zona Traumática, tienda de armas traumáticas legales en Colombia. Tu tarea es extraer el perfil comercial del cliente en JSON.
 
 ⚠️ REGLA CRÍTICA — NOMBRES:
 - "Álvaro" es el director de Zona Traumática, NO el nombre del cliente.
@@ -1281,7 +1450,7 @@ async function updateClientMemory(clientPhone, userMessage, botResponse, history
 - Solo registra el nombre del cliente si él mismo lo dijo explícitamente ("me llamo X", "soy X", "mi nombre es X").
 - Si el cliente saluda a alguien llamado "Álvaro" o menciona ese nombre en otro contexto, ignóralo para el campo nombre.
 
-MEMORIA ACTUAL DEL CLIENTE:
+FICHA ACTUAL DEL CLIENTE:
 ${currentMemory || '(Cliente nuevo, sin memoria previa)'}
 
 ÚLTIMA INTERACCIÓN:
@@ -1289,41 +1458,50 @@ ${currentMemory || '(Cliente nuevo, sin memoria previa)'}
 - Bot respondió: "${botResponse.substring(0, 300)}"
 
 INSTRUCCIONES:
-Genera una ficha actualizada del cliente en máximo 6 líneas. Incluye SOLO datos útiles para ventas:
-- Nombre del cliente (SOLO si él mismo lo dijo explícitamente: "me llamo X", "soy X". NUNCA si solo saludó a alguien)
-- Ciudad o departamento (si lo mencionó)
-- Referencia o modelo de interés (si mencionó alguno)
-- Plan preferido (Plus o Pro, si lo indicó)
-- Motivo de compra (defensa personal, colección, regalo, etc.)
-- Intención (solo consultando, interesado, listo para comprar)
-- Objeciones detectadas (duda del pago virtual, no tiene presupuesto, etc.)
-- Si ya compró: qué compró y si tiene carnet pendiente o dispositivo pendiente
-
-Si la conversación fue solo un saludo sin info útil, devuelve la memoria actual sin cambios.
-NO inventes datos. Solo registra lo que el cliente DIJO explícitamente.
-Responde SOLO con la ficha, sin explicaciones.`;
-
-    // Usar Gemini Flash para memoria (barato y rápido)
-    const memoryModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+Devuelve SOLO un objeto JSON (sin texto adicional, sin markdown) con esta forma:
+{
+${profile.describeSchema()}
+}
+
+- Incluye lo que ya está en la ficha actual más lo nuevo de esta interacción; usa null si no se sabe.
+- "confianza": "alta" = el cliente lo dijo explícitamente; "media" = se deduce con claridad; "baja" = suposición.
+- "productos_interes": referencias o modelos concretos (ej. "EKOL Firat Magnum"), el Club o el Bot Asesor.
+- "objeciones": dudas que frenan la compra (pago virtual, presupuesto, legalidad...).
+- NO inventes datos. Si la interacción fue solo un saludo, devuelve la ficha actual tal cual.`;
+
+    // Usar Gemini Flash para memoria (barato y rápido), pidiendo JSON
+    const memoryModel = genAI.getGenerativeModel({
+      model: 'gemini-2.5-flash',
+      generationConfig: { responseMimeType: 'application/json' },
+    });
     const memoryResult = await memoryModel.generateContent(memoryPrompt);
-    const newMemory = memoryResult.response.text().trim();
+    const extracted = profile.parseProfileResponse(memoryResult.response.text());
 
-    // Solo actualizar si cambió y no está vacío
-    if (newMemory && newMemory !== currentMemory) {
-      db.updateClientMemory(clientPhone, newMemory);
-      if (CONFIG.debug) console.log(`[MEMORY] ✅ Memoria actualizada para ${clientPhone}`);
-    }
+    const merged = withManualValues(profile.mergeProfile(currentProfile, extracted), clientInfo);
+    const ficha = profile.renderFicha(merged);
+    if (!ficha || JSON.stringify(merged) === clientInfo.profile_json) return;
+    const filled = db.saveClientProfile(clientPhone, merged, { memory: ficha, columns: profile.columnValues(merged) }, audit);
+    if (CONFIG.debug) console.log(`[MEMORY] ✅ Perfil actualizado para ${clientPhone}${filled.length ? ` (columnas: ${filled.join(', ')})` : ''}`);
   } catch (error) {
     try {
-      const currentMemory = db.getClientMemory(clientPhone);
-      const simpleMemory = generateSimpleMemory(currentMemory, userMessage);
-      if (simpleMemory !== currentMemory) db.updateClientMemory(clientPhone, simpleMemory);
+      // Fallback por keywords: mismo perfil, con confianza media/baja
+      const extracted = profile.extractProfileByKeywords(userMessage);
+      if (Object.keys(extracted).length > 0) {
+        if (clientInfo.profile_json || !clientInfo.memory) {
+          const merged = withManualValues(profile.mergeProfile(currentProfile, extracted), clientInfo);
+          db.saveClientProfile(clientPhone, merged, { memory: profile.renderFicha(merged) }, { actor: 'bot', reason: 'perfil por keywords (fallback)' });
+        } else {
+          // Cliente con ficha en prosa (anterior al perfil estructurado): no se reemplaza sin la IA
+          const simpleMemory = generateSimpleMemory(clientInfo.memory, userMessage);
+          if (simpleMemory !== clientInfo.memory) db.updateClientMemory(clientPhone, simpleMemory, { actor: 'bot', reason: 'memoria simple (fallback)' });
+        }
+      }
     } catch (e) { /* silencioso */ }
     if (CONFIG.debug) console.error('[MEMORY] Error:', error.message);
   }
 }
 
-// Fallback: generar memoria sin API (extracción por keywords)
+// Fallback para fichas en prosa (clientes anteriores al perfil estructurado)
 function generateSimpleMemory(currentMemory, message) {
   const lower = message.toLowerCase();
   const notes = currentMemory ? currentMemory.split('\n') : [];
@@ -1369,6 +1547,66 @@ function generateSimpleMemory(currentMemory, message) {
   return notes.join('\n');
 }
 
+// ============================================
+// ENVÍOS — "¿dónde va mi pedido?"
+// El bot contesta con la guía registrada en el panel (tabla shipments)
+// sin escalar a post-venta. Si no hay datos, sigue el flujo normal.
+// ============================================
+const SHIPMENT_STATUS_LABELS = {
+  shipped: 'despachado', in_transit: 'en camino', delivered: 'entregado', returned: 'devuelto a nosotros',
+};
+
+function detectShipmentQuery(message) {
+  const lower = message.toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[¿?¡!.,;:()]/g, '');
+  const keywords = [
+    'donde va mi pedido', 'donde esta mi pedido', 'donde va mi paquete', 'donde esta mi paquete',
+    'donde va mi envio', 'donde esta mi envio', 'estado de mi pedido', 'estado de mi envio',
+    'numero de guia', 'mi guia', 'guia del pedido', 'guia de mi pedido', 'guia del envio',
+    'rastrear mi pedido', 'rastrear el pedido', 'rastreo del pedido', 'rastreo de mi pedido', 'seguimiento del envio',
+    'ya despacharon', 'ya enviaron mi', 'ya me enviaron', 'cuando llega mi pedido',
+    'cuando me llega el pedido', 'cuando me llega mi pedido', 'cuando me llega el paquete',
+    'no me ha llegado el pedido', 'no me ha llegado el paquete', 'no me llega el pedido',
+  ];
+  return keywords.some(kw => lower.includes(kw));
+}
+
+function formatFechaEnvio(sqliteDate) {
+  return new Date(String(sqliteDate).replace(' ', 'T') + 'Z')
+    .toLocaleDateString('es-CO', { timeZone: 'America/Bogota', day: 'numeric', month: 'long' });
+}
+
+function buildShipmentMessage(shipment) {
+  return `📦 *¡Tu pedido va en camino!*\n\n` +
+    `🚚 *Transportadora:* ${shipment.carrierLabel}\n` +
+    `🔢 *Número de guía:* ${shipment.guide_number}\n` +
+    (shipment.trackingUrl ? `🔎 *Rastreo:* ${shipment.trackingUrl}\n` : '') +
+    `\nEl envío es discreto y seguro 🔒. Si quieres saber cómo va, pregúntame "¿dónde va mi pedido?" y te cuento 🙌`;
+}
+
+// Respuesta automática con el estado del envío (o del pedido si aún no sale).
+// Solo cuenta envíos que no se han entregado o pedidos abiertos: una compra
+// vieja ya entregada no responde por el cliente — decide el flujo normal.
+// Devuelve null si no hay nada que contar.
+function buildShipmentStatusReply(senderPhone) {
+  const shipment = db.getClientShipments(senderPhone).find(s => s.status !== 'delivered');
+  if (shipment) {
+    const estado = SHIPMENT_STATUS_LABELS[shipment.status] || shipment.status;
+    let reply = `📦 Tu pedido salió el *${formatFechaEnvio(shipment.shipped_at)}* por *${shipment.carrierLabel}*.\n` +
+      `🔢 Guía: *${shipment.guide_number}*\n📍 Estado: *${estado}*`;
+    if (shipment.trackingUrl) reply += `\n🔎 Rastréalo aquí: ${shipment.trackingUrl}`;
+    if (shipment.status === 'returned') reply += `\n\nUn asesor te escribe para coordinar el reenvío 🙏`;
+    return reply;
+  }
+  const pendiente = db.getOrders({ clientPhone: senderPhone })
+    .find(o => o.status === 'paid' || o.status === 'data_collected');
+  if (!pendiente || !pendiente.items.some(it => it.tipo === 'producto')) return null;
+  return pendiente.status === 'paid'
+    ? `📦 Tu pedido #${pendiente.id} está pago ✅. Para despacharlo necesitamos tus datos de envío (nombre, cédula, dirección y ciudad) — si ya los enviaste, en breve sale y te llega la guía por aquí 🙌`
+    : `📦 Tu pedido #${pendiente.id} ya tiene tus datos y está en alistamiento. Apenas salga te enviamos por aquí la transportadora y el número de guía 🙌`;
+}
+
 // ============================================
 // DETECCIÓN DE POST-VENTA
 // ============================================
@@ -1470,63 +1708,110 @@ function detectHandoffIntent(message, humanOnly = false) {
 async function handleHandoff(msg, clientPhone, triggerMessage, history, tipo = 'venta') {
   console.log(`[HANDOFF] Iniciando derivación (${tipo}) para ${clientPhone}...`);
 
-  // Asignar empleado (round-robin)
-  const assignment = router.assignClient(clientPhone);
+  // Asignar empleado de la cola que corresponde (ventas, postventa, legal, despachos)
+  const clientInfo = db.getClient(clientPhone);
+  const queue = router.detectQueue(tipo, triggerMessage, clientInfo);
+
+  // Estado según tipo
+  const nuevoStatus = tipo === 'postventa' ? 'postventa' : 'assigned';
+  const logLabel = tipo === 'postventa' ? 'POST-VENTA' : 'LEAD CALIENTE';
+  const auditHandoff = { actor: 'bot', reason: `handoff ${tipo}: ${triggerMessage.substring(0, 80)}` };
+
+  // --- FUERA DE HORARIO: estacionar hasta el próximo turno ---
+  const turno = router.getShiftStatus();
+  if (turno.total > 0 && turno.onShift === 0) {
+    const { isNew } = db.parkHandoff(clientPhone, { tipo, queue, triggerMessage });
+    const cuando = turno.nextStart ? shifts.describeWhen(turno.nextStart) : 'en el próximo horario de atención';
+    console.log(`[HANDOFF] 🌙 Fuera de horario — ${clientPhone} en espera (cola ${queue}) hasta ${cuando}`);
+
+    if (isNew) {
+      const aviso = `🌙 En este momento nuestros asesores están fuera de horario. Ya dejé tu caso en fila y un asesor te atiende *${cuando}* (hora Colombia).\n\nMientras tanto sigo aquí para lo que necesites. 🙏`;
+      try {
+        await msg.reply(aviso);
+        db.saveMessage(clientPhone, 'assistant', aviso);
+      } catch (e) {
+        console.error(`[HANDOFF] ❌ Error enviando mensaje al cliente:`, e.message);
+      }
+    }
+
+    db.saveMessage(clientPhone, 'system', `[${logLabel} — cola ${queue} — fuera de horario, en espera hasta ${cuando}]`);
+    db.upsertClient(clientPhone, { status: nuevoStatus }, auditHandoff);
+    if (tipo !== 'postventa') db.addClientTag(clientPhone, 'lead_caliente', auditHandoff);
+    return;
+  }
+
+  const assignment = router.assignClient(clientPhone, { queue });
 
   if (!assignment) {
     console.log(`[HANDOFF] ❌ No hay empleados disponibles — el bot sigue atendiendo`);
     return;
   }
 
-  console.log(`[HANDOFF] ✅ Cliente marcado en panel como ${tipo}: ${assignment.employee_name} notificado`);
-
-  // Obtener datos del cliente
-  const clientInfo = db.getClient(clientPhone);
-  const clientName = clientInfo?.name || 'Cliente';
-  const clientLink = `https://wa.me/${clientPhone}`;
+  console.log(`[HANDOFF] ✅ Cliente marcado en panel como ${tipo} (cola ${queue}): ${assignment.employee_name} notificado`);
 
   // --- MENSAJE AL CLIENTE informando que fue escalado ---
-  // Para 'venta': NO enviar mensaje al cliente (la IA ya respondió con info del producto + imágenes)
-  // Para 'postventa': enviar confirmación al cliente
-  if (tipo === 'postventa') {
+  // Configurable por tipo desde el panel (por defecto: 'venta' nada, porque la IA
+  // ya respondió con info del producto + imágenes; 'postventa' confirmación)
+  const aviso = buildClientHandoffMessage(router.getHandoffConfig().clientMessage[tipo], assignment);
+  if (aviso) {
     try {
-      await msg.reply(`✅ Tu solicitud fue registrada y ya la estamos gestionando. En breve un asesor te contacta. 🙏`);
+      await msg.reply(aviso);
     } catch (e) {
       console.error(`[HANDOFF] ❌ Error enviando mensaje al cliente:`, e.message);
     }
   }
 
-  // Estado según tipo
-  const nuevoStatus = tipo === 'postventa' ? 'postventa' : 'assigned';
-  const logLabel = tipo === 'postventa' ? 'POST-VENTA' : 'LEAD CALIENTE';
-
   // Guardar en historial (solo interno)
-  db.saveMessage(clientPhone, 'system', `[${logLabel} — asignado a ${assignment.employee_name} en panel]`);
+  db.saveMessage(clientPhone, 'system', `[${logLabel} — cola ${queue} — asignado a ${assignment.employee_name} en panel]`);
 
   // Actualizar estado del cliente
-  db.upsertClient(clientPhone, { status: nuevoStatus });
+  db.upsertClient(clientPhone, { status: nuevoStatus }, auditHandoff);
+  if (tipo !== 'postventa') db.addClientTag(clientPhone, 'lead_caliente', auditHandoff);
+
+  await notifyHandoff({ clientPhone, clientInfo, tipo, queue, triggerMessage, history, assignment });
+}
+
+// Mensaje al cliente según la configuración del tipo de derivación (null = nada)
+function buildClientHandoffMessage(type, assignment) {
+  if (type === 'asesor') return router.getHandoffMessage(assignment, CONFIG.businessName);
+  if (type === 'confirmacion') return `✅ Tu solicitud fue registrada y ya la estamos gestionando. En breve un asesor te contacta. 🙏`;
+  return null;
+}
 
-  // --- MENSAJE PARA ÁLVARO (asesor) ---
+// --- AVISO AL ASESOR ASIGNADO (+ copia a Álvaro si está configurada) ---
+// parkedSince: fecha en que el handoff quedó en espera (viene de la cola fuera de horario)
+async function notifyHandoff({ clientPhone, clientInfo, tipo, queue, triggerMessage, history, assignment, parkedSince = null }) {
+  const clientName = clientInfo?.name || 'Cliente';
+  const clientLink = `https://wa.me/${clientPhone}`;
   const context = summarizeConversation(history);
   const clientMemory = db.getClientMemory(clientPhone) || 'Sin perfil previo';
 
-  const notification = tipo === 'postventa'
-    ? `🛠️ *POST-VENTA — REQUIERE GESTIÓN*\n` +
-    `━━━━━━━━━━━━━━━━━━━━\n\n` +
-    `👤 *Nombre:* ${clientName}\n` +
-    `📱 *WhatsApp:* ${clientLink}\n\n` +
-    `💬 *Lo que necesita:*\n` +
-    `"${triggerMessage}"\n\n` +
-    `🧠 *Perfil del cliente (CRM):*\n${clientMemory}\n\n` +
-    `📋 *Últimos mensajes:*\n${context}\n\n` +
-    `━━━━━━━━━━━━━━━━━━━━\n` +
-    `👆 Toca el link para abrir el chat.\n` +
-    `_El bot sigue respondiendo — tú decides cuándo entrar._`
-    : `🔥 *LEAD CALIENTE — LISTO PARA CERRAR*\n` +
+  // 1. Al asesor asignado: ficha del CRM + contexto reciente
+  const employeeChatId = assignment.employee_phone + '@c.us';
+  const ownerIsEmployee = assignment.employee_phone === CONFIG.businessPhone;
+  try {
+    await client.sendMessage(employeeChatId, router.getEmployeeNotification({
+      clientPhone, clientName, tipo, queue, triggerMessage, clientMemory, context, parkedSince
+    }));
+    console.log(`[HANDOFF] ✅ Notificación enviada a ${assignment.employee_name} (${assignment.employee_phone})`);
+  } catch (error) {
+    console.error(`[HANDOFF] ❌ Error notificando a ${assignment.employee_name}:`, error.message);
+  }
+
+  // 2. Copia al número principal de Álvaro (configurable desde el panel)
+  if (ownerIsEmployee || !router.getHandoffConfig().ownerCopy) return;
+
+  const header = tipo === 'postventa'
+    ? `🛠️ *POST-VENTA — REQUIERE GESTIÓN*\n`
+    : `🔥 *LEAD CALIENTE — LISTO PARA CERRAR*\n`;
+  const notification = header +
     `━━━━━━━━━━━━━━━━━━━━\n\n` +
     `👤 *Nombre:* ${clientName}\n` +
-    `📱 *WhatsApp:* ${clientLink}\n\n` +
-    `💬 *Lo que disparó la alerta:*\n` +
+    `📱 *WhatsApp:* ${clientLink}\n` +
+    `👔 *Asesor:* ${assignment.employee_name} (cola ${db.EMPLOYEE_SKILLS[queue] || queue}) — ya fue notificado\n` +
+    (parkedSince ? `🌙 *En espera desde:* ${parkedSince} (llegó fuera de horario)\n` : '') +
+    `\n` +
+    `💬 *${tipo === 'postventa' ? 'Lo que necesita' : 'Lo que disparó la alerta'}:*\n` +
     `"${triggerMessage}"\n\n` +
     `🧠 *Perfil del cliente (CRM):*\n${clientMemory}\n\n` +
     `📋 *Últimos mensajes:*\n${context}\n\n` +
@@ -1534,18 +1819,172 @@ async function handleHandoff(msg, clientPhone, triggerMessage, history, tipo = '
     `👆 Toca el link para abrir el chat.\n` +
     `_El bot sigue respondiendo — tú decides cuándo entrar._`;
 
-  // Enviar notificación siempre al número principal de Álvaro
   const notifPhone = CONFIG.businessPhone; // 573013981979
-  const notifChatId = notifPhone + '@c.us';
-
   try {
-    await client.sendMessage(notifChatId, notification);
-    console.log(`[HANDOFF] ✅ Notificación enviada a ${notifPhone}`);
+    await client.sendMessage(notifPhone + '@c.us', notification);
+    console.log(`[HANDOFF] ✅ Copia enviada a ${notifPhone}`);
   } catch (error) {
-    console.error(`[HANDOFF] ❌ Error enviando notificación:`, error.message);
+    console.error(`[HANDOFF] ❌ Error enviando copia:`, error.message);
+  }
+}
+
+// Aviso al asesor que recibe un cliente ya en curso (SLA vencido, !liberar,
+// transferencia): no hay mensaje disparador, se usa el último del cliente
+async function notifyReassignment(clientPhone, assignment, queue, note = null) {
+  const history = db.getConversationHistory(clientPhone, 10);
+  const notification = router.getEmployeeNotification({
+    clientPhone,
+    clientName: db.getClient(clientPhone)?.name,
+    tipo: ['postventa', 'despachos'].includes(queue) ? 'postventa' : 'venta',
+    queue,
+    triggerMessage: (history.filter(h => h.role === 'user').pop() || { message: '' }).message,
+    clientMemory: db.getClientMemory(clientPhone) || 'Sin perfil previo',
+    context: summarizeConversation(history),
+    note,
+  });
+  try {
+    await client.sendMessage(assignment.employee_phone + '@c.us', notification);
+    console.log(`[HANDOFF] ✅ ${clientPhone} reasignado, aviso enviado a ${assignment.employee_name}`);
+  } catch (e) {
+    console.error(`[HANDOFF] ❌ Error avisando a ${assignment.employee_name}:`, e.message);
   }
 }
 
+// Transferencia entre asesores: el nuevo recibe el caso completo y el
+// anterior un aviso de que el cliente ya no está a su cargo
+async function notifyTransfer(clientPhone, { previous, assignment }, reason, by) {
+  const clientName = db.getClient(clientPhone)?.name || clientPhone;
+  const motivo = reason ? ` — "${reason}"` : '';
+  db.saveMessage(clientPhone, 'system', `[Transferido de ${previous.employee_name} a ${assignment.employee_name} por ${by}${motivo}]`);
+  await notifyReassignment(clientPhone, assignment, assignment.queue,
+    `*Transferido* por ${by} (antes lo atendía ${previous.employee_name})${motivo}`);
+  try {
+    await client.sendMessage(previous.employee_phone + '@c.us',
+      `↪️ *${clientName}* (wa.me/${clientPhone}) pasó a ${assignment.employee_name}${motivo}.\nYa no está a tu cargo.`);
+  } catch (e) {
+    console.error(`[HANDOFF] ❌ Error avisando a ${previous.employee_name}:`, e.message);
+  }
+}
+
+// ============================================
+// COLA FUERA DE HORARIO (handoff_queue)
+// ============================================
+// Los handoffs que llegaron sin nadie de turno se reparten apenas empieza
+// un turno: se asignan con el router (misma cola) y se notifica como si
+// acabaran de llegar, indicando desde cuándo esperan.
+async function distributeParkedHandoffs() {
+  const pending = db.getPendingHandoffs();
+  if (pending.length === 0 || router.getShiftStatus().onShift === 0) return;
+
+  console.log(`[HANDOFF] ☀️ Inicio de turno — repartiendo ${pending.length} handoff(s) en espera`);
+  for (const h of pending) {
+    const assignment = router.assignClient(h.client_phone, { queue: h.queue });
+    if (!assignment) {
+      console.log('[HANDOFF] ❌ Nadie disponible para repartir la cola, se reintenta más tarde');
+      return;
+    }
+    db.markHandoffAssigned(h.id, assignment.employee_id);
+    db.saveMessage(h.client_phone, 'system', `[Cola fuera de horario — cola ${h.queue} — asignado a ${assignment.employee_name} en panel]`);
+    // El cliente ya recibió el aviso de fuera de horario: solo se le presenta el asesor si así está configurado
+    if (router.getHandoffConfig().clientMessage[h.tipo] === 'asesor') {
+      try {
+        await client.sendMessage(db.getClientChatId(h.client_phone), router.getHandoffMessage(assignment, CONFIG.businessName));
+      } catch (e) {
+        console.error(`[HANDOFF] ❌ Error presentando el asesor a ${h.client_phone}:`, e.message);
+      }
+    }
+    await notifyHandoff({
+      clientPhone: h.client_phone,
+      clientInfo: db.getClient(h.client_phone),
+      tipo: h.tipo,
+      queue: h.queue,
+      triggerMessage: h.trigger_message,
+      history: db.getConversationHistory(h.client_phone, 10),
+      assignment,
+      parkedSince: new Date(String(h.created_at).replace(' ', 'T') + 'Z')
+        .toLocaleString('es-CO', { timeZone: 'America/Bogota', weekday: 'long', hour: 'numeric', minute: '2-digit' }),
+    });
+    await new Promise(r => setTimeout(r, 3000)); // pausa anti-ban
+  }
+}
+
+// ============================================
+// SLA DE PRIMERA RESPUESTA
+// ============================================
+// Si nadie le escribe al cliente en sla.minutes desde la asignación, se
+// vuelve a avisar al asesor y al número principal (cada sla.minutes, hasta
+// sla.max_alerts) o, con sla.action = 'reassign', el cliente pasa a otro
+// asesor de la cola, que recibe el caso completo.
+// Fuera de horario no se cuenta nada: no hay a quién avisar.
+async function checkHandoffSla() {
+  const turno = router.getShiftStatus();
+  if (turno.total > 0 && turno.onShift === 0) return;
+  const sla = router.getSlaConfig();
+
+  for (const a of db.getOverdueAssignments(sla.minutes)) {
+    if (a.sla_alerts >= sla.maxAlerts) continue;
+    if (a.sla_alerts > 0 && a.minutes_since_alert < sla.minutes) continue;
+
+    const reassigned = sla.action === 'reassign'
+      ? router.assignClient(a.client_phone, { queue: a.queue, excludeEmployeeId: a.employee_id })
+      : null;
+    db.markSlaAlert(a.id);
+
+    const clientName = a.client_name || 'Cliente';
+    const resultado = reassigned
+      ? `🔀 *Reasignado a:* ${reassigned.employee_name}`
+      : `👔 *Sigue asignado a:* ${a.employee_name} (aviso ${a.sla_alerts + 1}/${sla.maxAlerts})`;
+    db.saveMessage(a.client_phone, 'system', `[SLA vencido — ${a.waiting_minutes} min sin respuesta de ${a.employee_name}${reassigned ? ` — reasignado a ${reassigned.employee_name}` : ''}]`);
+
+    // Al asesor: el caso completo si es nuevo para él, o un recordatorio si sigue siendo suyo
+    if (reassigned) {
+      await notifyReassignment(a.client_phone, reassigned, a.queue);
+    } else {
+      try {
+        await client.sendMessage(a.employee_phone + '@c.us',
+          `⏰ *Recordatorio:* ${clientName} (wa.me/${a.client_phone}) lleva ${a.waiting_minutes} min esperando tu respuesta.`);
+      } catch (e) {
+        console.error(`[SLA] ❌ Error avisando a ${a.employee_name}:`, e.message);
+      }
+    }
+
+    const alerta = `⏰ *SLA VENCIDO — CLIENTE SIN RESPUESTA*\n` +
+      `━━━━━━━━━━━━━━━━━━━━\n\n` +
+      `👤 *Nombre:* ${clientName}\n` +
+      `📱 *WhatsApp:* https://wa.me/${a.client_phone}\n` +
+      `⌛ *Esperando:* ${a.waiting_minutes} min (SLA ${sla.minutes} min) — ${a.employee_name} no ha escrito\n` +
+      `${resultado}\n\n` +
+      `_El bot sigue respondiendo mientras tanto._`;
+    try {
+      await client.sendMessage(CONFIG.businessPhone + '@c.us', alerta);
+      console.log(`[SLA] ⏰ ${a.client_phone}: ${a.waiting_minutes} min sin respuesta de ${a.employee_name}${reassigned ? ` → ${reassigned.employee_name}` : ''}`);
+    } catch (e) {
+      console.error(`[SLA] ❌ Error enviando alerta:`, e.message);
+    }
+    await new Promise(r => setTimeout(r, 3000)); // pausa anti-ban
+  }
+}
+
+let slaMonitorStarted = false;
+function startSlaMonitor() {
+  if (slaMonitorStarted) return; // 'ready' se dispara de nuevo al reconectar
+  slaMonitorStarted = true;
+  const run = () => checkHandoffSla().catch(e => console.error('[SLA] Error revisando SLA:', e.message));
+  console.log('[SLA] 🚀 Monitor de primera respuesta activo (revisión cada 2 min)');
+  run();
+  setInterval(run, 2 * 60 * 1000);
+}
+
+let parkedHandoffsStarted = false;
+function startParkedHandoffs() {
+  if (parkedHandoffsStarted) return; // 'ready' se dispara de nuevo al reconectar
+  parkedHandoffsStarted = true;
+  const run = () => distributeParkedHandoffs().catch(e => console.error('[HANDOFF] Error repartiendo la cola:', e.message));
+  console.log('[HANDOFF] 🚀 Cola fuera de horario activa (revisión cada 5 min)');
+  run();
+  setInterval(run, 5 * 60 * 1000);
+}
+
 // Resumir conversación para dar contexto al empleado
 function summarizeConversation(history) {
   if (history.length === 0) return 'Sin conversación previa.';
@@ -1591,7 +2030,9 @@ function needsProductSearch(message) {
     'manifiesto', 'aduana', 'importacion', 'importación', 'dian', 'polfa',
   ];
 
-  return productKeywords.some(kw => lower.includes(kw));
+  if (productKeywords.some(kw => lower.includes(kw))) return true;
+  // "algo por debajo de 1.200.000", "que sirva en plan pro"
+  return Object.keys(search.parseFilters(message).filters).length > 0;
 }
 
 // ============================================
@@ -1603,7 +2044,7 @@ async function getClaudeResponse(clientPhone, message, history) {
     let productContext = '';
 
     if (needsProductSearch(message)) {
-      const searchResult = search.searchProducts(message);
+      const searchResult = search.searchProducts(message, 6, { debug: CONFIG.debug });
       productContext = search.formatForPrompt(searchResult);
       if (CONFIG.debug) console.log(`[DEBUG] 🔍 Búsqueda activada: ${searchResult.keywords.join(', ')} → ${searchResult.products.length} productos`);
     } else {
@@ -1705,7 +2146,17 @@ async function getN8nResponse(clientPhone, message, history) {
 // ============================================
 // CONSTRUCCIÓN DE PROMPTS
 // ============================================
-function buildSystemPrompt(productContext, clientMemory = '') {
+// Hechos que el bot debe respetar según las etiquetas de sistema del cliente
+const TAG_FACTS = {
+  afiliado: 'Es AFILIADO ACTIVO al Club ZT. NO ofrecer la membresía; SIEMPRE ofrecer beneficios del club y soporte.',
+  'compró_arma': 'Ya COMPRÓ un arma/producto con nosotros. Está en post-venta (envío, capacitación, munición).',
+  bot_asesor: 'Ya PAGÓ el Bot Asesor Legal. NO ofrecer más suscripciones al bot.',
+  pago_confirmado: 'Tiene un pago CONFIRMADO por el equipo. Si no está claro qué adquirió, pregúntale.',
+  postventa_confirmado: 'Confirmó que tiene un proceso YA PAGADO pendiente; ya fue escalado a post-venta.',
+  lead_caliente: 'Mostró intención clara de compra. Ve al cierre.',
+};
+
+function buildSystemPrompt(productContext, clientMemory = '', clientProfile = null) {
   // Resumen general del catálogo (siempre va, es corto)
   const catalogSummary = search.getCatalogSummary();
 
@@ -1714,6 +2165,28 @@ function buildSystemPrompt(productContext, clientMemory = '') {
     ? `\nFICHA DEL CLIENTE (memoria de interacciones previas):\n${clientMemory}\nUsa esta información para personalizar tu respuesta. Si ya sabes qué busca, sé más directo.\n`
     : '\nCLIENTE NUEVO: No hay interacciones previas. Preséntate brevemente y pregunta en qué puedes ayudar.\n';
 
+  // Etiquetas del cliente como hechos estructurados (mandan sobre la memoria)
+  const tags = clientProfile ? db.getClientTags(clientProfile.phone) : [];
+  const tagsBlock = tags.length
+    ? `\nETIQUETAS DEL CLIENTE (datos verificados, tienen prioridad sobre la memoria):\n` +
+      tags.map(t => `- [${t.name}] ${TAG_FACTS[t.name] || t.label || t.name}`).join('\n') + '\n'
+    : '';
+
+  // Membresía Club ZT (tabla memberships — manda sobre lo que diga la memoria)
+  const membresia = clientProfile ? db.getCurrentMembership(clientProfile.phone) : null;
+  let membershipBlock = '';
+  if (membresia) {
+    const fecha = formatFechaMembresia(membresia.end_date);
+    membershipBlock = '\nMEMBRESÍA CLUB ZT: ' + (
+      membresia.status === 'active'
+        ? `${membresia.planLabel} ACTIVA hasta el ${fecha} (quedan ${membresia.daysLeft} días).` +
+          (membresia.daysLeft <= 30 ? ' Está por vencer: si sale el tema, ofrécele renovar enviando el comprobante de pago.' : '')
+        : membresia.status === 'grace'
+          ? `${membresia.planLabel} VENCIÓ el ${fecha} (periodo de gracia). Ofrécele renovar con urgencia para no perder los beneficios.`
+          : `${membresia.planLabel} VENCIDA desde el ${fecha}. Ya NO es afiliado activo: ofrécele renovar.`
+    ) + '\n';
+  }
+
   return `Eres un asesor comercial de *Zona Traumática*, la tienda líder en Colombia especializada en armas traumáticas legales, defensa personal y respaldo jurídico. Álvaro Ocampo es el director.
 
 TU PERSONALIDAD:
@@ -1935,7 +2408,7 @@ MANEJO DE OBJECIONES:
 PREGUNTAS LEGALES:
 - ¿Es legal?: SÍ, 100% legal. Ley 2197/2022 — categoría jurídica autónoma, distintas a armas de fuego, NO requieren permiso de porte.
 - Para detalle jurídico completo: Biblioteca Legal https://zonatraumatica.club/portelegal/biblioteca — cubre Ley 2197/2022, Art. 223 Constitución, Decreto 2535/93, Sentencia C-014/2023, Tribunal Superior Bogotá, 20+ normas.
-${memoryBlock}
+${memoryBlock}${tagsBlock}${membershipBlock}
 ${catalogSummary}
 
 ${productContext}
@@ -1991,6 +2464,16 @@ function isAuditor(phone) {
   return CONFIG.auditors.includes(phone);
 }
 
+// Agregar una nota con fecha al final de las notas del cliente
+function appendClientNote(clientInfo, noteText, audit) {
+  const currentNotes = clientInfo.notes || '';
+  const timestamp = new Date().toLocaleString('es-CO', { timeZone: 'America/Bogota' });
+  const newNotes = currentNotes
+    ? `${currentNotes}\n[${timestamp}] ${noteText}`
+    : `[${timestamp}] ${noteText}`;
+  db.updateClientNotes(clientInfo.phone, newNotes, audit);
+}
+
 async function handleAdminCommand(msg, senderPhone, command) {
   const cmd = command.toLowerCase().trim();
   const parts = command.trim().split(/\s+/);
@@ -2048,6 +2531,10 @@ async function handleAdminCommand(msg, senderPhone, command) {
     if (profile.assignedTo) {
       card += `👔 *Asignado a:* ${profile.assignedTo}\n`;
     }
+    const antes = [...new Set(profile.assignmentHistory.filter(a => a.status !== 'active').map(a => a.employee_name))];
+    if (antes.length > 0) {
+      card += `🗂️ *Atendido antes por:* ${antes.join(', ')}\n`;
+    }
     card += `\n🧠 *Memoria/Perfil:*\n`;
     card += profile.memory || '_Sin datos aún_';
     if (profile.notes) {
@@ -2090,6 +2577,25 @@ async function handleAdminCommand(msg, senderPhone, command) {
         report += `  • ${c.name || 'Sin nombre'} (${c.phone}) - ${c.interaction_count} msgs\n`;
       });
     }
+    // Embudo de los últimos 30 días (status_history)
+    const f = db.getFunnelReport(30);
+    const duracion = h => h === null ? '—' : h < 48 ? `${h.toFixed(1)} h` : `${(h / 24).toFixed(1)} días`;
+    report += `\n🔻 *Embudo (30 días, ${f.totalClients} clientes):*\n`;
+    f.stages.forEach((st, i) => {
+      report += i === 0
+        ? `  • ${st.label}: ${st.count}\n`
+        : `  • ${st.label}: ${st.count} (${st.conversion ?? 0}%) — mediana ${duracion(st.medianHours)}\n`;
+    });
+    report += `  ⏱️ Primer mensaje → pago: ${duracion(f.medianHoursToPaid)} (conversión ${f.overallConversion ?? 0}%)\n`;
+    report += `  🧊 Calientes que se enfriaron: ${f.wentCold}/${f.hotLeads} (+${f.coldAfterDays} días sin moverse)\n`;
+    // SLA de primera respuesta humana por asesor (30 días)
+    const sla = router.getSlaConfig();
+    report += `\n⏰ *SLA primera respuesta (${sla.minutes} min, 30 días):*\n`;
+    db.getSlaReport(sla.minutes, 30).forEach(e => {
+      report += e.measured > 0
+        ? `  • ${e.name}: ${e.compliance}% a tiempo (${e.within_sla}/${e.measured}) | promedio ${e.avg_minutes ?? '—'} min${e.overdue_now ? ` | ⚠️ ${e.overdue_now} vencidos ahora` : ''}\n`
+        : `  • ${e.name}: sin asignaciones medibles\n`;
+    });
     await msg.reply(report);
 
     // ── INFORME DE VENTAS ──
@@ -2134,13 +2640,7 @@ async function handleAdminCommand(msg, senderPhone, command) {
       await msg.reply(`❌ No se encontró cliente con número ${targetPhone}`);
       return;
     }
-    // Append nota con timestamp
-    const currentNotes = clientExists.notes || '';
-    const timestamp = new Date().toLocaleString('es-CO', { timeZone: 'America/Bogota' });
-    const newNotes = currentNotes
-      ? `${currentNotes}\n[${timestamp}] ${noteText}`
-      : `[${timestamp}] ${noteText}`;
-    db.updateClientNotes(targetPhone, newNotes);
+    appendClientNote(clientExists, noteText, { actor: 'admin', reason: `!nota de ${senderPhone}` });
     await msg.reply(`📝 Nota agregada a ${clientExists.name || targetPhone}:\n"${noteText}"`);
 
     // ── RESETEAR CLIENTE ──
@@ -2155,7 +2655,7 @@ async function handleAdminCommand(msg, senderPhone, command) {
       await msg.reply(`❌ No se encontró cliente con número ${targetPhone}`);
       return;
     }
-    db.resetClient(targetPhone);
+    db.resetClient(targetPhone, { actor: 'admin', reason: `!reset de ${senderPhone}` });
     await msg.reply(`🔄 Cliente ${clientExists.name || targetPhone} reseteado.\nHistorial limpio, estado: new, memoria borrada.`);
 
     // ── CERRAR ASIGNACIÓN ──
@@ -2165,13 +2665,97 @@ async function handleAdminCommand(msg, senderPhone, command) {
       await msg.reply('Uso: !close 573XXXXXXXXXX');
       return;
     }
-    const closed = db.closeAssignment(targetPhone);
+    const closed = db.closeAssignment(targetPhone, { actor: 'admin', reason: `!close de ${senderPhone}` });
     if (!closed) {
       await msg.reply(`❌ No hay asignación activa para ${targetPhone}`);
       return;
     }
     await msg.reply(`✅ Asignación cerrada: ${targetPhone} ya no está asignado a ${closed.employee_name}`);
 
+    // ── TRANSFERIR A OTRO ASESOR ──
+  } else if (cmd.startsWith('!transferir ') || cmd.startsWith('!transfer ')) {
+    const targetPhone = parseClientArg(parts[1]);
+    const employeeRef = parts[2];
+    const reason = parts.slice(3).join(' ').trim();
+    if (!targetPhone || !employeeRef) {
+      await msg.reply('Uso: !transferir 573XXXXXXXXXX asesor [motivo]\n(asesor = nombre o número)');
+      return;
+    }
+    try {
+      const t = router.transferAssignment(targetPhone, employeeRef, reason, { actor: 'admin', reason: `!transferir de ${senderPhone}` });
+      await notifyTransfer(targetPhone, t, reason, 'admin');
+      await msg.reply(`↪️ ${targetPhone}: ${t.previous.employee_name} → ${t.assignment.employee_name}` +
+        (t.onShift ? '' : `\n⚠️ ${t.assignment.employee_name} está fuera de turno`));
+    } catch (e) {
+      await msg.reply(`❌ ${e.message}`);
+    }
+
+    // ── BÚSQUEDA EN CONVERSACIONES Y MEMORIA ──
+  } else if (cmd.startsWith('!buscar ') || cmd.startsWith('!search ')) {
+    const texto = parts.slice(1).join(' ').trim();
+    if (!texto) {
+      await msg.reply('Uso: !buscar texto a buscar');
+      return;
+    }
+    const r = db.searchText(texto, { limit: 8, open: '*', close: '*' });
+    if (r.messages.length === 0 && r.clients.length === 0) {
+      await msg.reply(`🔎 Sin resultados para "${texto}"`);
+      return;
+    }
+    let out = `🔎 *Resultados para "${texto}"*\n`;
+    if (r.clients.length > 0) {
+      out += `\n👥 *Clientes:*\n`;
+      r.clients.forEach(c => {
+        out += `  • ${c.name || 'Sin nombre'} (${c.phone}) [${c.status}]\n    ${c.snippet}\n    wa.me/${c.phone}\n`;
+      });
+    }
+    if (r.messages.length > 0) {
+      out += `\n💬 *Mensajes:*\n`;
+      r.messages.forEach(m => {
+        const icon = m.role === 'user' ? '👤' : m.role === 'admin' ? '👔' : '🤖';
+        out += `  • ${m.client_name || 'Sin nombre'} (${m.client_phone}) — ${m.created_at}\n    ${icon} ${m.snippet}\n    wa.me/${m.client_phone}\n`;
+      });
+    }
+    out += `\n_Usa !client <número> para ver la ficha completa_`;
+    await msg.reply(out);
+
+    // ── HABEAS DATA (Ley 1581) ──
+  } else if (cmd.startsWith('!habeas ')) {
+    const accion = parts[1]?.toLowerCase();
+    const targetPhone = parseClientArg(parts[2]);
+    if (!['exportar', 'borrar'].includes(accion) || !targetPhone) {
+      await msg.reply('Uso:\n  !habeas exportar 573XXXXXXXXXX\n  !habeas borrar 573XXXXXXXXXX confirmar');
+      return;
+    }
+    const audit = { actor: 'admin', reason: `!habeas ${accion} de ${senderPhone}` };
+    if (accion === 'exportar') {
+      const bundle = privacy.exportSubjectData(targetPhone, audit);
+      if (!bundle.cliente) {
+        await msg.reply(`❌ No se encontró cliente con número ${targetPhone} (solicitud #${bundle.solicitud_id} registrada)`);
+        return;
+      }
+      const filePath = privacy.writeExportFile(bundle);
+      await msg.reply(MessageMedia.fromFilePath(filePath), undefined, {
+        caption: `📦 Datos de ${targetPhone} — solicitud Habeas Data #${bundle.solicitud_id}\n` +
+          `${bundle.conversaciones.length} mensajes, ${bundle.comprobantes.length} comprobantes, ${bundle.carnets.length} carnets`
+      });
+    } else {
+      if (parts[3]?.toLowerCase() !== 'confirmar') {
+        await msg.reply(`⚠️ Esto borra los datos personales de ${targetPhone} y no se puede deshacer.\nRepite con: !habeas borrar ${targetPhone} confirmar`);
+        return;
+      }
+      if (!db.getClient(targetPhone)) {
+        await msg.reply(`❌ No se encontró cliente con número ${targetPhone}`);
+        return;
+      }
+      const r = privacy.anonymizeSubject(targetPhone, audit);
+      await msg.reply(
+        `🧹 *Habeas Data #${r.requestId}* — ${targetPhone} anonimizado como ${r.pseudonym}\n` +
+        `  🖼️ Imágenes borradas: ${r.mediaBorrada}\n  📇 Contactos VCF borrados: ${r.vcfBorrados}\n` +
+        (r.verificado ? '  ✅ Verificado: no quedan datos personales' : `  ⚠️ Revisar: ${r.pendientes.map(p => `${p.table} (${p.rows})`).join(', ')}`)
+      );
+    }
+
     // ── AYUDA ──
   } else if (cmd === '!help' || cmd === '!ayuda') {
     const help = `🤖 *Comandos de Admin:*\n\n` +
@@ -2184,7 +2768,13 @@ async function handleAdminCommand(msg, senderPhone, command) {
       `  !client 573XX - Ficha completa\n` +
       `  !note 573XX texto - Agregar nota\n` +
       `  !reset 573XX - Resetear cliente\n` +
-      `  !close 573XX - Cerrar asignación\n\n` +
+      `  !close 573XX - Cerrar asignación\n` +
+      `  !transferir 573XX asesor motivo - Pasar a otro asesor\n` +
+      `  !buscar texto - Buscar en chats y memoria\n\n` +
+      `🔐 *Habeas Data:*\n` +
+      `  !habeas exportar 573XX - Enviar todos sus datos\n` +
+      `  !habeas borrar 573XX confirmar - Anonimizar\n\n` +
+      `🧑‍💼 _Los asesores tienen sus propios comandos (!mis, !tomar, !cerrar...): !ayuda desde su número_\n` +
       `💡 _Usa !help para ver esta ayuda_`;
     await msg.reply(help);
 
@@ -2193,6 +2783,146 @@ async function handleAdminCommand(msg, senderPhone, command) {
   }
 }
 
+// ============================================
+// COMANDOS DE ASESORES (empleados)
+// ============================================
+// Cada asesor maneja solo sus propios clientes desde WhatsApp. Todo queda
+// en audit_events con actor 'employee' y el nombre del asesor en reason.
+
+// "3001234567", "+57 300 123 4567" o un LID → phone canónico del cliente
+function parseClientArg(text) {
+  let digits = String(text || '').replace(/\D/g, '');
+  if (digits.length === 10 && digits.startsWith('3')) digits = '57' + digits;
+  return digits ? db.resolveClientPhone(digits) : null;
+}
+
+async function handleEmployeeCommand(msg, employee, command) {
+  const parts = command.trim().split(/\s+/);
+  const cmd = parts[0].toLowerCase();
+  const audit = { actor: 'employee', reason: `${cmd} de ${employee.name}` };
+
+  // Cliente del comando, solo si está asignado a este asesor
+  const ownClient = async (usage) => {
+    const phone = parseClientArg(parts[1]);
+    if (!phone) {
+      await msg.reply(`Uso: ${usage}`);
+      return null;
+    }
+    const assignment = db.getActiveAssignment(phone);
+    if (!assignment || assignment.employee_id !== employee.id) {
+      await msg.reply(`❌ ${phone} no está asignado a ti. Usa !mis para ver tus clientes.`);
+      return null;
+    }
+    const clientInfo = db.getClient(phone);
+    return { phone, assignment, clientInfo, label: clientInfo?.name || phone };
+  };
+
+  // ── MIS CLIENTES ──
+  if (cmd === '!mis') {
+    const mine = db.getEmployeeAssignments(employee.id);
+    if (mine.length === 0) {
+      await msg.reply('📭 No tienes clientes activos.');
+      return;
+    }
+    let out = `📋 *Tus clientes activos (${mine.length})*\n\n`;
+    mine.forEach((a, i) => {
+      const espera = a.first_response_at ? '✅ ya le escribiste' : `⌛ ${a.waiting_minutes} min sin respuesta`;
+      out += `${i + 1}. ${a.client_name || 'Sin nombre'} — wa.me/${a.client_phone}\n`;
+      out += `   ${db.EMPLOYEE_SKILLS[a.queue] || a.queue} · ${espera}${isBotPaused(a.client_phone) ? ' · 🤫 bot en pausa' : ''}\n`;
+    });
+    await msg.reply(out);
+
+    // ── TOMAR UN CLIENTE SIN ASESOR ──
+  } else if (cmd === '!tomar') {
+    const phone = parseClientArg(parts[1]);
+    if (!phone) {
+      await msg.reply('Uso: !tomar 573XXXXXXXXXX');
+      return;
+    }
+    const clientInfo = db.getClient(phone);
+    if (!clientInfo) {
+      await msg.reply(`❌ No se encontró cliente con número ${phone}`);
+      return;
+    }
+    const current = db.getActiveAssignment(phone);
+    if (current) {
+      await msg.reply(current.employee_id === employee.id
+        ? `ℹ️ ${clientInfo.name || phone} ya es tuyo.`
+        : `❌ ${clientInfo.name || phone} ya está asignado a ${current.employee_name}. Debe liberarlo primero (!liberar).`);
+      return;
+    }
+    // Si estaba en la cola fuera de horario, sale de ahí con su cola original
+    const pending = db.getPendingHandoffs().find(h => h.client_phone === phone);
+    db.createAssignment(phone, employee.id, audit, { queue: pending ? pending.queue : 'general' });
+    if (pending) db.markHandoffAssigned(pending.id, employee.id);
+    if (clientInfo.status === 'new') db.updateClientFields(phone, { status: 'assigned' }, audit);
+    db.saveMessage(phone, 'system', `[${employee.name} tomó el cliente desde WhatsApp]`);
+    await msg.reply(`✅ ${clientInfo.name || phone} ahora es tuyo.\n📱 wa.me/${phone}\n\n🧠 ${db.getClientMemory(phone) || 'Sin perfil previo'}`);
+
+    // ── LIBERAR (pasa a otro asesor de turno) ──
+  } else if (cmd === '!liberar') {
+    const own = await ownClient('!liberar 573XXXXXXXXXX');
+    if (!own) return;
+    db.releaseAssignment(own.phone, audit);
+    db.saveMessage(own.phone, 'system', `[${employee.name} liberó el cliente]`);
+    const next = router.assignClient(own.phone, { queue: own.assignment.queue, excludeEmployeeId: employee.id });
+    if (next) await notifyReassignment(own.phone, next, own.assignment.queue);
+    await msg.reply(`🔓 Liberaste a ${own.label}. ` +
+      (next ? `Quedó asignado a ${next.employee_name}.` : 'No hay otro asesor de turno: queda sin asignar.'));
+
+    // ── CERRAR CON RESULTADO ──
+  } else if (cmd === '!cerrar') {
+    const own = await ownClient('!cerrar 573XXXXXXXXXX resultado (ej. vendido EKOL negra, no compró)');
+    if (!own) return;
+    const resultado = parts.slice(2).join(' ').trim();
+    if (!resultado) {
+      await msg.reply('Uso: !cerrar 573XXXXXXXXXX resultado (ej. vendido EKOL negra, no compró)');
+      return;
+    }
+    db.closeAssignment(own.phone, audit, { result: resultado });
+    await msg.reply(`✅ Caso cerrado: ${own.label} — ${resultado}`);
+
+    // ── PAUSAR EL BOT CON UN CLIENTE ──
+  } else if (cmd === '!pausar') {
+    const own = await ownClient('!pausar 573XXXXXXXXXX minutos');
+    if (!own) return;
+    const minutos = parseInt(parts[2] || '30');
+    if (!Number.isInteger(minutos) || minutos < 1 || minutos > 720) {
+      await msg.reply('Uso: !pausar 573XXXXXXXXXX minutos (1 a 720)');
+      return;
+    }
+    adminPauseMap.set(own.phone, Date.now() + minutos * 60 * 1000);
+    db.logAudit(own.phone, { ...audit, action: 'bot_pause', newValue: `${minutos} min` });
+    await msg.reply(`🤫 El bot no le responde a ${own.label} durante ${minutos} min.`);
+
+    // ── NOTA EN LA FICHA ──
+  } else if (cmd === '!nota') {
+    const own = await ownClient('!nota 573XXXXXXXXXX Tu nota aquí');
+    if (!own) return;
+    const noteText = parts.slice(2).join(' ').trim();
+    if (!noteText || !own.clientInfo) {
+      await msg.reply('Uso: !nota 573XXXXXXXXXX Tu nota aquí');
+      return;
+    }
+    appendClientNote(own.clientInfo, noteText, audit);
+    await msg.reply(`📝 Nota agregada a ${own.label}:\n"${noteText}"`);
+
+    // ── AYUDA ──
+  } else if (cmd === '!ayuda' || cmd === '!help') {
+    await msg.reply(`🧑‍💼 *Comandos de asesor:*\n\n` +
+      `  !mis - Tus clientes activos\n` +
+      `  !tomar 573XX - Tomar un cliente sin asesor\n` +
+      `  !liberar 573XX - Soltarlo (pasa a otro asesor)\n` +
+      `  !cerrar 573XX resultado - Cerrar el caso\n` +
+      `  !pausar 573XX minutos - Pausar el bot con ese cliente\n` +
+      `  !nota 573XX texto - Agregar nota a la ficha\n\n` +
+      `_Solo puedes gestionar los clientes asignados a ti._`);
+
+  } else {
+    await msg.reply('Comando no reconocido. Escribe !ayuda para ver tus comandos.');
+  }
+}
+
 // ============================================
 // RECUPERAR CHATS SIN RESPONDER
 // ============================================
@@ -2661,6 +3391,68 @@ function startStatusBroadcaster() {
   programarSiguienteEstado();
 }
 
+// ============================================
+// MEMBRESÍAS CLUB ZT — recordatorios de vencimiento
+// A los 30, 7 y 0 días del vencimiento se le escribe al afiliado para que
+// renueve. El pago llega como cualquier comprobante y al confirmarlo en el
+// panel se extiende la membresía (ver /confirmar-comprobante).
+// ============================================
+const MEMBERSHIP_REMINDER_HOURS = [9, 19]; // solo se escribe entre 9am y 7pm (hora Colombia)
+
+// yyyy-mm-dd → dd/mm/yyyy (como se lo mostramos al cliente)
+function formatFechaMembresia(iso) {
+  return String(iso || '').split('-').reverse().join('/');
+}
+
+function buildMembershipReminder(m) {
+  const nombre = m.client_name ? ` ${m.client_name.split(' ')[0]}` : '';
+  const cuando = m.reminderDays === 0
+    ? '*vence HOY*'
+    : `vence el *${formatFechaMembresia(m.end_date)}* (en ${m.daysLeft} día${m.daysLeft === 1 ? '' : 's'})`;
+  return `👋 ¡Hola${nombre}! Te escribimos de Zona Traumática.\n\n` +
+    `Tu afiliación al Club ZT (${m.planLabel}) ${cuando}.\n\n` +
+    `Para renovar solo haz el pago y envíanos el comprobante por aquí 📸. ` +
+    `Lo verificamos y tu membresía se extiende un año desde la fecha de vencimiento, sin perder días ni beneficios 🛡️`;
+}
+
+async function sendMembershipReminders() {
+  db.refreshMembershipStatuses();
+
+  const colHora = (new Date().getUTCHours() + 24 - 5) % 24;
+  if (colHora < MEMBERSHIP_REMINDER_HOURS[0] || colHora >= MEMBERSHIP_REMINDER_HOURS[1]) return;
+
+  const pendientes = db.getMembershipRemindersDue();
+  if (pendientes.length === 0) return;
+  console.log(`[CLUB] 🔔 ${pendientes.length} recordatorio(s) de renovación por enviar`);
+
+  for (const m of pendientes) {
+    const mensaje = buildMembershipReminder(m);
+    try {
+      await safeSend(m.client_phone, mensaje);
+      db.saveMessage(m.client_phone, 'assistant', mensaje);
+      db.markMembershipReminders(m.id, m.covers);
+      db.logAudit(m.client_phone, {
+        actor: 'bot', action: 'membership', field: 'recordatorio',
+        newValue: `${m.reminderDays} días`, reason: `vence ${m.end_date}`
+      });
+      console.log(`[CLUB] 🔔 Recordatorio (${m.reminderDays} días) enviado a ${m.client_phone}`);
+    } catch (err) {
+      console.error(`[CLUB] ❌ Recordatorio a ${m.client_phone}: ${err.message}`);
+    }
+    await new Promise(r => setTimeout(r, 5000)); // pausa anti-ban
+  }
+}
+
+let membershipRemindersStarted = false;
+function startMembershipReminders() {
+  if (membershipRemindersStarted) return; // 'ready' se dispara de nuevo al reconectar
+  membershipRemindersStarted = true;
+  const run = () => sendMembershipReminders().catch(e => console.error('[CLUB] Error en recordatorios:', e.message));
+  console.log('[CLUB] 🚀 Recordatorios de membresía activos (revisión cada hora)');
+  run();
+  setInterval(run, 60 * 60 * 1000);
+}
+
 // ============================================
 // REACTIVACIÓN DE LEADS CALIENTES
 // El panel llama a http://localhost:3001/reactivar cuando se presiona el botón
@@ -2673,7 +3465,9 @@ async function procesarClientesCalientes(clientes, mode = 'normal') {
   for (let i = 0; i < clientes.length; i++) {
     const cliente = clientes[i];
     try {
-      const historial = db.getConversationHistory(cliente.phone, 10);
+      // El panel puede mandar el ID de chat (@c.us/@lid): se lleva al teléfono del cliente
+      const phoneForDb = db.resolveClientPhone(cliente.phone);
+      const historial = db.getConversationHistory(phoneForDb, 10);
       const resumenHistorial = historial.map(h => `${h.role === 'user' ? 'Cliente' : 'Bot'}: ${h.message}`).join('\n');
 
       const reactivarModel = genAI.getGenerativeModel({ model: 'gemini-3.1-pro-preview' });
@@ -2717,7 +3511,6 @@ Escribe SOLO el mensaje, sin explicaciones ni comillas.`;
       const result = await reactivarModel.generateContent(prompt);
       const mensaje = result.response.text().trim();
 
-      const phoneForDb = cliente.phone.replace(/@.*/g, '').replace(/\D/g, '');
       await safeSend(phoneForDb, mensaje);
       db.saveMessage(phoneForDb, 'assistant', mensaje);
       console.log(`[REACTIVAR] ✅ (${i + 1}/${clientes.length}) Enviado a ${cliente.name} (${cliente.phone})`);
@@ -2769,21 +3562,13 @@ function startReactivacionServer() {
       req.on('data', chunk => body += chunk);
       req.on('end', async () => {
         try {
-          const { id, accion, phone, tipo } = JSON.parse(body);
+          const { id, accion, phone, tipo, pedido = {} } = JSON.parse(body);
 
           // 1. Actualizar BD primero — esto SIEMPRE debe ocurrir
           db.updateComprobanteEstado(id, accion === 'confirmar' ? 'confirmado' : 'rechazado');
 
           // 2. Intentar notificar al cliente por WhatsApp (puede fallar sin romper nada)
-          let phoneClean = phone.replace(/@.*/g, '').replace(/\D/g, '');
-
-          if (phoneClean.length >= 13) {
-            const row = db.db.prepare('SELECT phone FROM clients WHERE chat_id LIKE ? AND phone != ?').get('%' + phoneClean + '%', phoneClean);
-            if (row) {
-              console.log(`[COMPROBANTE] 🔄 LID resuelto para pago: ${phoneClean} -> ${row.phone}`);
-              phoneClean = row.phone;
-            }
-          }
+          const phoneClean = db.resolveClientPhone(phone);
 
           const chatId = db.getClientChatId(phoneClean);
           let waSent = true;
@@ -2792,6 +3577,7 @@ function startReactivacionServer() {
           // 3. Preparar mensaje y actualizar BD de estado (siempre ocurre)
           let msgDatos = null;
           let msgRechazado = null;
+          let orderId = null;
 
           if (accion === 'confirmar') {
             // tipo viene como "club,bot_asesor,producto" (multi-select del panel)
@@ -2802,9 +3588,28 @@ function startReactivacionServer() {
 
             let partes = [];
             let nuevoStatus;
-            let memoriaTags = [];
-
-            if (tieneClub) {
+            let pideDatos = false;
+            const etiquetas = ['pago_confirmado'];
+            const auditPago = { actor: 'panel', reason: `comprobante #${id} confirmado (${tipos.join(', ') || 'sin tipo'})` };
+
+            // Si ya tuvo membresía, el pago de club es una renovación: se extiende
+            // la vigencia y no se piden los datos del carnet otra vez
+            const membresiaPrevia = tieneClub ? db.getCurrentMembership(phoneClean) : null;
+            let membresia = null;
+
+            if (tieneClub && membresiaPrevia) {
+              membresia = db.grantMembership(phoneClean, {
+                plan: pedido.plan || membresiaPrevia.plan, comprobanteId: id, source: `renovación (comprobante #${id})`
+              }, auditPago);
+              partes.push(
+                `🛡️ *Renovación Club ZT:* ¡Lista!\n\n` +
+                `Tu ${membresia.planLabel} queda vigente hasta el *${formatFechaMembresia(membresia.end_date)}*. ` +
+                `No tienes que enviar datos de nuevo — sigues con todos los beneficios 💪`
+              );
+              nuevoStatus = 'afiliado';
+              etiquetas.push('afiliado');
+            } else if (tieneClub) {
+              pideDatos = true;
               partes.push(
                 `🛡️ *Afiliación Club ZT:* ¡Bienvenido!\n\n` +
                 `Para generar tu *Carnet Digital* necesito:\n` +
@@ -2813,7 +3618,7 @@ function startReactivacionServer() {
                 `7. 📸 Foto de frente (selfie clara, sin gafas, buena luz)`
               );
               nuevoStatus = 'carnet_pendiente';
-              memoriaTags.push('✅ YA AFILIADO AL CLUB ZT — comprobante confirmado. NO ofrecer más afiliación.');
+              etiquetas.push('afiliado');
             }
 
             if (tieneBot) {
@@ -2821,8 +3626,8 @@ function startReactivacionServer() {
                 `🤖 *Bot Asesor Legal ZT:* ¡Activado!\n\n` +
                 `Tu número quedará habilitado en las próximas horas. Podrás consultar sobre normativa, derechos del portador y procedimientos legales.`
               );
-              if (!nuevoStatus) nuevoStatus = 'bot_asesor_pendiente';
-              memoriaTags.push('✅ YA PAGÓ BOT ASESOR LEGAL — comprobante confirmado. NO ofrecer más suscripciones.');
+              if (!nuevoStatus || nuevoStatus === 'afiliado') nuevoStatus = 'bot_asesor_pendiente';
+              etiquetas.push('bot_asesor');
             }
 
             if (tieneProducto) {
@@ -2834,30 +3639,52 @@ function startReactivacionServer() {
                 `5. Ciudad\n6. Departamento\n\n` +
                 `El envío se procesa en 1-2 días hábiles, discreto y seguro 🔒`
               );
-              if (!nuevoStatus) nuevoStatus = 'despacho_pendiente';
-              memoriaTags.push('✅ YA COMPRÓ PRODUCTO — comprobante confirmado. Está en proceso de envío.');
+              if (!nuevoStatus || nuevoStatus === 'afiliado') nuevoStatus = 'despacho_pendiente';
+              pideDatos = true;
+              etiquetas.push('compró_arma');
             }
 
             if (partes.length === 0) {
               msgDatos = `✅ ¡Confirmamos tu pago! Gracias por tu confianza 🙏\n\n` +
                 `¿Me confirmas qué adquiriste? Así te pido los datos correctos 🚀`;
               nuevoStatus = 'hot';
-              memoriaTags.push('✅ PAGO CONFIRMADO — pendiente definir tipo de compra.');
             } else {
               const header = `✅ ¡Confirmamos tu pago! Gracias por tu confianza 🙏\n\n`;
-              const footer = `\n\nEn cuanto me envíes los datos, arrancamos de una 💪`;
+              const footer = pideDatos ? `\n\nEn cuanto me envíes los datos, arrancamos de una 💪` : '';
               msgDatos = header + partes.join('\n\n━━━━━━━━━━━━━━━━━━━━\n\n') + footer;
             }
 
-            // Actualizar estado y memoria
-            db.upsertClient(phoneClean, { status: nuevoStatus });
-            const memoriaActual = db.getClientMemory(phoneClean) || '';
-            const tagPago = memoriaTags.join('\n');
-            const nuevaMemoria = memoriaActual ? memoriaActual + '\n' + tagPago : tagPago;
-            db.updateClientMemory(phoneClean, nuevaMemoria);
-            console.log(`[COMPROBANTE] ✅ BD actualizada ID #${id} para ${phone} (tipos: ${tipos.join(', ')})`);
+            // Actualizar estado y etiquetas (el bot las recibe como hechos en el prompt)
+            db.upsertClient(phoneClean, { status: nuevoStatus }, auditPago);
+            etiquetas.forEach(t => db.addClientTag(phoneClean, t, auditPago));
+            db.removeClientTag(phoneClean, 'lead_caliente', auditPago);
+
+            // Afiliación nueva: la membresía arranca con el pago (el carnet llega después)
+            if (tieneClub && !membresia && db.normalizePlan(pedido.plan)) {
+              membresia = db.grantMembership(phoneClean, { plan: pedido.plan, comprobanteId: id, source: `comprobante #${id}` }, auditPago);
+            }
+
+            // Crear el pedido (o sumar el pago a uno abierto del cliente)
+            const plan = pedido.plan || '';
+            const items = [];
+            if (tieneClub) items.push({ tipo: 'club', producto: membresiaPrevia ? 'Renovación Club ZT' : 'Afiliación Club ZT', plan: plan || (membresia && membresia.plan) || '' });
+            if (tieneBot) items.push({ tipo: 'bot_asesor', producto: 'Bot Asesor Legal ZT' });
+            if (tieneProducto) {
+              items.push({
+                tipo: 'producto',
+                producto: pedido.producto || 'Producto sin especificar',
+                color: pedido.color || '',
+                plan,
+                precio: pedido.precio,
+                cantidad: pedido.cantidad
+              });
+            }
+            const order = db.createOrAttachOrder(phoneClean, id, items, pedido.monto, pedido.orderId);
+            orderId = order.orderId;
+            console.log(`[COMPROBANTE] ✅ BD actualizada ID #${id} para ${phone} (tipos: ${tipos.join(', ')}) → pedido #${orderId}`);
 
           } else {
+            db.logAudit(phoneClean, { actor: 'panel', action: 'comprobante', field: `comprobante #${id}`, oldValue: 'pendiente', newValue: 'rechazado', reason: 'comprobante rechazado en panel' });
             msgRechazado = `⚠️ Revisamos tu comprobante y el monto no coincide con el valor del plan seleccionado.\n\n` +
               `Por favor verifica el monto y vuelve a enviarnos el comprobante correcto. Si tienes dudas, con gusto te ayudamos 🙏`;
           }
@@ -2882,7 +3709,7 @@ function startReactivacionServer() {
 
           // BD ya fue actualizada — siempre responder ok:true
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, waSent, waWarning: waError }));
+          res.end(JSON.stringify({ ok: true, waSent, waWarning: waError, orderId }));
         } catch (e) {
           console.error('[COMPROBANTE] Error confirmar:', e.message);
           res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -2895,20 +3722,21 @@ function startReactivacionServer() {
       req.on('data', chunk => body += chunk);
       req.on('end', async () => {
         try {
-          const { id, accion, phone, carnetData } = JSON.parse(body);
+          const { id, accion, phone, carnetData = {} } = JSON.parse(body);
 
-          // 1. Actualizar estado del carnet en BD
-          db.updateCarnetEstado(id, accion === 'confirmar' ? 'confirmado' : 'rechazado');
+          // Resolver LID a número real (por si acaso)
+          const phoneClean = db.resolveClientPhone(phone);
 
-          // 2. Resolver LID a número real (por si acaso)
-          let phoneClean = phone.replace(/@.*/g, '').replace(/\D/g, '');
-          if (phoneClean.length >= 13) {
-            const row = db.db.prepare('SELECT phone FROM clients WHERE chat_id LIKE ? AND phone != ?').get('%' + phoneClean + '%', phoneClean);
-            if (row) {
-              phoneClean = row.phone;
-            }
+          // El plan sale del panel o del carnet; si no, de la membresía que ya tenga
+          const membresiaPrevia = db.getCurrentMembership(phoneClean);
+          const plan = db.normalizePlan(carnetData.plan || carnetData.club) || (membresiaPrevia && membresiaPrevia.plan);
+          if (accion === 'confirmar' && !plan) {
+            throw new Error('Selecciona el plan del carnet (Plus o Pro) antes de aprobar');
           }
 
+          // 1. Actualizar estado del carnet en BD
+          db.updateCarnetEstado(id, accion === 'confirmar' ? 'confirmado' : 'rechazado');
+
           let waSent = true;
           let waError = null;
           let msgToClient = null;
@@ -2920,22 +3748,24 @@ function startReactivacionServer() {
               name: carnetData.nombres || undefined,
               cedula: carnetData.cedula || undefined,
               ciudad: carnetData.ciudad || undefined,
-              club_plan: 'Plan Plus', // Por defecto asignamos Plus si es un carnet estándar
               serial_arma: carnetData.serial || undefined,
               modelo_arma: carnetData.arma || undefined
             };
-            db.upsertClient(phoneClean, clientUpdate);
+            const auditCarnet = { actor: 'panel', reason: `carnet #${id} verificado` };
+            db.upsertClient(phoneClean, clientUpdate, auditCarnet);
 
-            // Actualizar memoria para que el bot lo trate como afiliado
-            const memoriaActual = db.getClientMemory(phoneClean) || '';
-            const tagAfiliado = '✅ AFILIADO ACTIVO AL CLUB ZT (Carnet verificado). NO ofrecer venta de membresía. SIEMPRE ofrecer beneficios del club y soporte.';
-            if (!memoriaActual.includes(tagAfiliado)) {
-              db.updateClientMemory(phoneClean, memoriaActual ? memoriaActual + '\n' + tagAfiliado : tagAfiliado);
-            }
+            // Etiqueta para que el bot lo trate como afiliado
+            db.addClientTag(phoneClean, 'afiliado', auditCarnet);
+
+            // Afiliados que llegan sin pago registrado: la membresía toma la vigencia del carnet
+            const membresia = membresiaPrevia || db.grantMembership(phoneClean, {
+              plan, endDate: carnetData.vigente_hasta, source: `carnet #${id}`
+            }, auditCarnet);
 
-            msgToClient = `✅ *¡Carnet verificado con éxito!*\n\nTu perfil en la base de datos de Zona Traumática ha sido actualizado y tu afiliación al Club ZT está **activa**. 🛡️\n\nA partir de este momento cuentas con:\n- Asistencia legal 24/7\n- Acceso a la comunidad de portadores\n- Descuentos en munición y accesorios\n\n¿Tienes alguna dudad legal o te gustaría consultar nuestro catálogo de munición?`;
+            msgToClient = `✅ *¡Carnet verificado con éxito!*\n\nTu perfil en la base de datos de Zona Traumática ha sido actualizado y tu afiliación al Club ZT está **activa** (${membresia.planLabel}, vigente hasta el ${formatFechaMembresia(membresia.end_date)}). 🛡️\n\nA partir de este momento cuentas con:\n- Asistencia legal 24/7\n- Acceso a la comunidad de portadores\n- Descuentos en munición y accesorios\n\n¿Tienes alguna dudad legal o te gustaría consultar nuestro catálogo de munición?`;
             console.log(`[CARNET] ✅ BD actualizada ID #${id} para ${phoneClean}`);
           } else {
+            db.logAudit(phoneClean, { actor: 'panel', action: 'carnet', field: `carnet #${id}`, oldValue: 'pendiente', newValue: 'rechazado', reason: 'carnet rechazado en panel' });
             msgToClient = `⚠️ *Revisión de Carnet*\n\nHola, hemos revisado la imagen de tu carnet pero los datos no son completamente legibles o hay alguna inconsistencia.\n\n👉 Por favor, envíanos una foto **más clara**, bien iluminada y donde se pueda leer todo el texto sin reflejos. ¡Quedo atento! 🙏`;
           }
 
@@ -2985,15 +3815,9 @@ function startReactivacionServer() {
             if (!realNumber || realNumber === c.phone) {
               console.log(`[LID] ⏭️  ${c.phone} — sin cambio`);
             } else {
-              const existeReal = db.getClient(realNumber);
-              if (existeReal) {
-                const betterName = (c.name && c.name.trim()) ? c.name : existeReal.name;
-                db.upsertClient(realNumber, { name: betterName, chat_id: chatId });
-                db.db.prepare('DELETE FROM clients WHERE phone = ?').run(c.phone);
-              } else {
-                db.migrateClientPhone(c.phone, realNumber);
-                db.upsertClient(realNumber, { chat_id: chatId });
-              }
+              // Si el número real ya tiene ficha se fusionan (nada se borra)
+              db.migrateClientPhone(c.phone, realNumber, { actor: 'system', reason: 'resolver LIDs (panel)' });
+              db.setClientChatId(realNumber, chatId);
               console.log(`[LID] ✅ ${c.phone} → ${realNumber}`);
               resueltos++;
             }
@@ -3007,6 +3831,69 @@ function startReactivacionServer() {
         console.log(`[LID] 🎉 Completado — ${resueltos} resueltos, ${fallidos} fallidos`);
       })().catch(e => console.error('[LID] Error general:', e.message));
 
+    } else if (req.url === '/registrar-envio' && req.method === 'POST') {
+      // Panel registra la guía de un despacho → se guarda y se avisa al cliente
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        try {
+          const { phone, orderId, carrier, guia, notes } = JSON.parse(body);
+
+          // 1. Guardar el envío — esto SIEMPRE debe ocurrir
+          const shipment = db.createShipment(phone, { orderId: orderId || null, carrier, guideNumber: guia, notes },
+            { actor: 'panel', reason: 'guía registrada en panel' });
+
+          // 2. Avisar al cliente por WhatsApp (puede fallar sin romper nada)
+          let waSent = true;
+          let waError = null;
+          const mensaje = buildShipmentMessage(shipment);
+          try {
+            await safeSend(shipment.client_phone, mensaje);
+            db.saveMessage(shipment.client_phone, 'assistant', mensaje);
+            db.markShipmentNotified(shipment.id);
+            console.log(`[ENVIO] 📱 Guía notificada a ${shipment.client_phone}`);
+          } catch (waErr) {
+            waSent = false;
+            waError = waErr.message;
+            console.error(`[ENVIO] ⚠️ No se pudo notificar a ${shipment.client_phone}: ${waErr.message}`);
+          }
+
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true, shipmentId: shipment.id, waSent, waWarning: waError }));
+        } catch (e) {
+          console.error('[ENVIO] Error registrando guía:', e.message);
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: e.message }));
+        }
+      });
+
+      // POST /reload — recargar catálogo y base de conocimiento (el panel lo
+      // llama después de actualizar el inventario)
+    } else if (req.url === '/reload' && req.method === 'POST') {
+      const results = {};
+      for (const file of RELOADERS.keys()) results[file] = reloadContent(file);
+      const ok = Object.values(results).every(r => r.ok);
+      res.writeHead(ok ? 200 : 422, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok, results }));
+
+      // POST /transferir-asignacion — panel pasa el cliente a otro asesor
+    } else if (req.url === '/transferir-asignacion' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        try {
+          const { phone, employeeId, reason } = JSON.parse(body);
+          const t = router.transferAssignment(phone, String(employeeId), reason || '', { actor: 'panel', reason: 'transferencia desde el panel' });
+          await notifyTransfer(t.assignment.client_phone, t, reason || '', 'el panel');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true, from: t.previous.employee_name, to: t.assignment.employee_name, onShift: t.onShift }));
+        } catch (e) {
+          console.error('[PANEL] Error transfiriendo:', e.message);
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: e.message }));
+        }
+      });
+
       // POST /enviar-mensaje — panel envía mensaje como Álvaro
     } else if (req.url === '/enviar-mensaje' && req.method === 'POST') {
       let body = '';
@@ -3029,6 +3916,7 @@ function startReactivacionServer() {
 
           // Pausar bot para este cliente
           adminPauseMap.set(phone, Date.now() + 30 * 60 * 1000);
+          db.logAudit(phone, { actor: 'panel', action: 'bot_pause', newValue: '30 min', reason: 'mensaje manual desde el panel' });
 
           // Disparar mensaje de transición manualmente (ya que message_create lo ignorará por el monkey-patch)
           enviarTransicionAdmin(phone, chatId, message).catch(e => console.error('[PANEL] Error en transición:', e));
@@ -3059,6 +3947,7 @@ function startReactivacionServer() {
           // Quitar pausa de admin
           const wasPaused = adminPauseMap.has(phone);
           adminPauseMap.delete(phone);
+          db.logAudit(phone, { actor: 'panel', action: 'bot_resume', reason: 'devuelto al bot desde el panel' });
 
           console.log(`[PANEL] 🤖 Cliente ${phone} devuelto al bot (estaba pausado: ${wasPaused})`);
 
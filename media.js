@@ -0,0 +1,62 @@
+// ============================================
+// media.js - Almacén de archivos por contenido (sha256)
+// ============================================
+// Las imágenes de comprobantes y carnets se guardan en disco como
+// media/<ab>/<sha256>.<ext> y en la tabla media (mime, tamaño, hash).
+// Si llega dos veces la misma imagen, se reutiliza el mismo registro.
+//
+// Las funciones reciben la conexión `db` para poder usarse tanto desde
+// db.js como desde las migraciones.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MEDIA_DIR = path.join(__dirname, 'media');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf',
+};
+
+// Ruta absoluta del archivo de un registro media
+function getMediaPath(row) {
+  return path.join(MEDIA_DIR, row.file);
+}
+
+// Guardar un archivo (Buffer o string base64). Devuelve el id en la tabla media.
+function storeMedia(db, data, mime = 'image/jpeg') {
+  if (!data) return null;
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64');
+  if (buffer.length === 0) return null;
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = db.prepare('SELECT id, file FROM media WHERE sha256 = ?').get(sha256);
+
+  // Mismo contenido con otro mime: se reutiliza el archivo ya registrado
+  // (si no, quedaría un segundo archivo que ninguna fila referencia)
+  const file = existing ? existing.file : path.join(sha256.substring(0, 2), `${sha256}.${EXTENSIONS[mime] || 'bin'}`);
+  const fullPath = path.join(MEDIA_DIR, file);
+  if (!fs.existsSync(fullPath)) {
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    // Escribir a un temporal y renombrar: nunca queda un archivo a medias
+    const tmp = fullPath + '.tmp';
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, fullPath);
+  }
+
+  if (existing) return existing.id;
+  return db.prepare(`
+    INSERT INTO media (sha256, mime, size, file) VALUES (?, ?, ?, ?)
+  `).run(sha256, mime || 'application/octet-stream', buffer.length, file).lastInsertRowid;
+}
+
+function getMedia(db, id) {
+  return db.prepare('SELECT * FROM media WHERE id = ?').get(id);
+}
+
+module.exports = { MEDIA_DIR, storeMedia, getMedia, getMediaPath };
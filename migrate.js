@@ -0,0 +1,127 @@
+// ============================================
+// migrate.js - Migraciones versionadas del esquema SQLite
+// ============================================
+// Cada archivo en migrations/ con formato NNN_descripcion.js exporta
+// { description, up(db) }. La versión aplicada se guarda en la tabla
+// schema_version y cada migración corre dentro de una transacción:
+// si falla, se hace rollback y el error se propaga (nada de try/catch vacíos).
+//
+// Uso:
+//   node migrate.js          → aplica las migraciones pendientes
+//   node migrate.js status   → muestra versión actual y pendientes
+//   node migrate.js vacuum   → compacta crm.db (tras migraciones que liberan espacio)
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{3})_[\w-]+\.js$/;
+
+// Lista ordenada de migraciones disponibles en disco
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => FILE_PATTERN.test(f))
+    .sort()
+    .map(file => {
+      const version = parseInt(file.match(FILE_PATTERN)[1], 10);
+      const mod = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof mod.up !== 'function') {
+        throw new Error(`Migración ${file} no exporta up(db)`);
+      }
+      return { version, file, description: mod.description || file, up: mod.up };
+    });
+}
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Versión actual del esquema (0 si nunca se ha migrado).
+// No crea la tabla: el panel la consulta en modo solo lectura.
+function getSchemaVersion(db) {
+  const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+  if (!exists) return 0;
+  return db.prepare('SELECT COALESCE(MAX(version), 0) as v FROM schema_version').get().v;
+}
+
+// Última versión que conoce este código
+function getLatestVersion() {
+  const migrations = loadMigrations();
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+function getPendingMigrations(db) {
+  const current = getSchemaVersion(db);
+  return loadMigrations().filter(m => m.version > current);
+}
+
+// Aplicar todas las migraciones pendientes, una transacción por migración
+function runMigrations(db) {
+  ensureVersionTable(db);
+  const pending = getPendingMigrations(db);
+  if (pending.length === 0) return 0;
+
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  for (const m of pending) {
+    const apply = db.transaction(() => {
+      m.up(db);
+      record.run(m.version, m.file);
+    });
+    try {
+      apply();
+      console.log(`[MIGRATE] ✅ ${m.file} — ${m.description}`);
+    } catch (e) {
+      console.error(`[MIGRATE] ❌ Falló ${m.file}: ${e.message}`);
+      throw e;
+    }
+  }
+  console.log(`[MIGRATE] Esquema en versión ${getSchemaVersion(db)}`);
+  return pending.length;
+}
+
+module.exports = {
+  loadMigrations,
+  getSchemaVersion,
+  getLatestVersion,
+  getPendingMigrations,
+  runMigrations,
+};
+
+// ============================================
+// CLI
+// ============================================
+if (require.main === module) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path.join(__dirname, 'crm.db'));
+  db.pragma('journal_mode = WAL');
+
+  const cmd = process.argv[2] || 'up';
+  if (cmd === 'status') {
+    const pending = getPendingMigrations(db);
+    console.log(`📦 Versión actual: ${getSchemaVersion(db)} | Última disponible: ${getLatestVersion()}`);
+    if (pending.length === 0) {
+      console.log('✅ No hay migraciones pendientes');
+    } else {
+      console.log(`⏳ ${pending.length} migración(es) pendiente(s):`);
+      pending.forEach(m => console.log(`   ${m.file} — ${m.description}`));
+    }
+  } else if (cmd === 'up') {
+    const applied = runMigrations(db);
+    console.log(applied ? `✅ ${applied} migración(es) aplicada(s)` : '✅ El esquema ya está al día');
+  } else if (cmd === 'vacuum') {
+    const antes = fs.statSync(path.join(__dirname, 'crm.db')).size;
+    db.exec('VACUUM');
+    const despues = fs.statSync(path.join(__dirname, 'crm.db')).size;
+    console.log(`✅ VACUUM completado: ${(antes / 1048576).toFixed(1)} MB → ${(despues / 1048576).toFixed(1)} MB`);
+  } else {
+    console.log('Uso: node migrate.js [up|status|vacuum]');
+    process.exitCode = 1;
+  }
+  db.close();
+}
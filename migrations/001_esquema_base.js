@@ -0,0 +1,101 @@
+// ============================================
+// 001 - Esquema base del CRM
+// ============================================
+// Tablas originales: clients, employees, assignments, conversations,
+// comprobantes y carnets. Usa IF NOT EXISTS porque las bases de datos
+// en producción ya las tienen.
+
+module.exports = {
+  description: 'Esquema base (clients, employees, assignments, conversations, comprobantes, carnets)',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS clients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE NOT NULL,
+        name TEXT DEFAULT '',
+        email TEXT DEFAULT '',
+        notes TEXT DEFAULT '',
+        memory TEXT DEFAULT '',
+        status TEXT DEFAULT 'new',
+        source TEXT DEFAULT 'whatsapp',
+        interaction_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tabla de empleados
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS employees (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        phone TEXT UNIQUE NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        assignments_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tabla de asignaciones (qué cliente va con qué empleado)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        employee_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'active',
+        assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (employee_id) REFERENCES employees(id)
+      )
+    `);
+
+    // Tabla de conversaciones (historial de mensajes)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        role TEXT NOT NULL,
+        message TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tabla de comprobantes pendientes de verificación
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS comprobantes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        client_name TEXT DEFAULT '',
+        info TEXT DEFAULT '',
+        imagen_base64 TEXT,
+        imagen_mime TEXT DEFAULT 'image/jpeg',
+        tipo TEXT DEFAULT 'desconocido',
+        estado TEXT DEFAULT 'pendiente',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        verified_at DATETIME
+      )
+    `);
+
+    // Tabla de carnets de Club ZT para verificación
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS carnets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        client_name TEXT DEFAULT '',
+        imagen_base64 TEXT,
+        imagen_mime TEXT DEFAULT 'image/jpeg',
+        qr_contenido TEXT DEFAULT '',
+        nombre TEXT DEFAULT '',
+        cedula TEXT DEFAULT '',
+        vigente_hasta TEXT DEFAULT '',
+        marca_arma TEXT DEFAULT '',
+        modelo_arma TEXT DEFAULT '',
+        serial TEXT DEFAULT '',
+        estado TEXT DEFAULT 'pendiente',
+        verificado_por TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        verified_at DATETIME
+      )
+    `);
+  }
+};
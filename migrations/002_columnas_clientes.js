@@ -0,0 +1,35 @@
+// ============================================
+// 002 - Columnas agregadas a clients
+// ============================================
+// Reemplaza los ALTER TABLE envueltos en try/catch vacíos que
+// initDatabase() ejecutaba en cada arranque.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columnas de clients: memoria, banderas, chat_id y ficha completa',
+  up(db) {
+    addColumn(db, 'clients', 'memory', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'interaction_count', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'ignored', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'spam_flag', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'chat_id', "TEXT DEFAULT ''");
+
+    // Banderas booleanas de estado de cliente
+    addColumn(db, 'clients', 'has_bought_gun', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'is_club_plus', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'is_club_pro', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'has_ai_bot', 'INTEGER DEFAULT 0');
+
+    // Ficha completa del cliente
+    addColumn(db, 'clients', 'cedula', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'ciudad', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'direccion', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'profesion', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'club_plan', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'club_vigente_hasta', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'serial_arma', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'modelo_arma', "TEXT DEFAULT ''");
+    addColumn(db, 'clients', 'carnet_qr_url', "TEXT DEFAULT ''");
+  }
+};
@@ -0,0 +1,14 @@
+// ============================================
+// 003 - carnets.datos_extraidos_json
+// ============================================
+// /api/carnets del panel ya seleccionaba esta columna, pero ninguna
+// migración la creaba. Guarda el JSON crudo extraído por visión/QR.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columna carnets.datos_extraidos_json',
+  up(db) {
+    addColumn(db, 'carnets', 'datos_extraidos_json', "TEXT DEFAULT ''");
+  }
+};
@@ -0,0 +1,76 @@
+// ============================================
+// 004 - Pedidos (orders + order_items)
+// ============================================
+// Una venta deja de ser solo "comprobante + status del cliente":
+// el pedido dice qué se compró (producto, plan, precio, cantidad) y
+// avanza por paid → data_collected → shipped → delivered.
+
+const { addColumn } = require('./helpers');
+
+// Ítem por defecto según el tipo detectado del comprobante
+const ITEMS_POR_TIPO = {
+  club: [{ tipo: 'club', producto: 'Afiliación Club ZT' }],
+  bot_asesor: [{ tipo: 'bot_asesor', producto: 'Bot Asesor Legal ZT' }],
+  club_y_bot: [
+    { tipo: 'club', producto: 'Afiliación Club ZT' },
+    { tipo: 'bot_asesor', producto: 'Bot Asesor Legal ZT' }
+  ],
+  producto: [{ tipo: 'producto', producto: 'Producto sin especificar' }],
+};
+
+module.exports = {
+  description: 'Tablas orders y order_items; comprobantes.order_id',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        status TEXT DEFAULT 'paid',
+        total INTEGER DEFAULT 0,
+        pagado INTEGER DEFAULT 0,
+        notes TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        paid_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        data_collected_at DATETIME,
+        shipped_at DATETIME,
+        delivered_at DATETIME
+      )
+    `);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        tipo TEXT DEFAULT 'producto',
+        producto TEXT DEFAULT '',
+        plan TEXT DEFAULT '',
+        precio INTEGER DEFAULT 0,
+        cantidad INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_orders_client ON orders(client_phone)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)');
+
+    addColumn(db, 'comprobantes', 'order_id', 'INTEGER');
+
+    // Backfill: cada comprobante ya confirmado se convierte en un pedido
+    // histórico. Entra como entregado: son ventas viejas ya cerradas, y como
+    // 'paid' aparecerían como pedidos abiertos pendientes de datos y despacho.
+    const confirmados = db.prepare(`SELECT id, client_phone, tipo, verified_at, created_at FROM comprobantes WHERE estado = 'confirmado' AND order_id IS NULL`).all();
+    const insertOrder = db.prepare(`INSERT INTO orders (client_phone, status, created_at, paid_at, delivered_at)
+      VALUES (?, 'delivered', ?, ?, ?)`);
+    const insertItem = db.prepare(`INSERT INTO order_items (order_id, tipo, producto) VALUES (?, ?, ?)`);
+    const linkComprobante = db.prepare('UPDATE comprobantes SET order_id = ? WHERE id = ?');
+    for (const c of confirmados) {
+      const fecha = c.verified_at || c.created_at;
+      const orderId = insertOrder.run(c.client_phone, fecha, fecha, fecha).lastInsertRowid;
+      (ITEMS_POR_TIPO[c.tipo] || []).forEach(it => insertItem.run(orderId, it.tipo, it.producto));
+      linkComprobante.run(orderId, c.id);
+    }
+    if (confirmados.length > 0) {
+      console.log(`[MIGRATE] ${confirmados.length} comprobante(s) confirmados convertidos en pedidos históricos`);
+    }
+  }
+};
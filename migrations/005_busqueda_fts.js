@@ -0,0 +1,60 @@
+// ============================================
+// 005 - Búsqueda de texto completo (FTS5)
+// ============================================
+// Índices FTS5 de contenido externo sobre conversations.message y
+// clients (name, memory, notes). Los triggers los mantienen al día en
+// cada INSERT/UPDATE/DELETE — incluido saveMessage, updateClientMemory
+// y las ediciones directas que hace el panel.
+// remove_diacritics: "cali" encuentra "Calí" y "camara" encuentra "cámara".
+
+module.exports = {
+  description: 'Índices FTS5 conversations_fts y clients_fts con triggers de sincronización',
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+        message,
+        content='conversations', content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      )
+    `);
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS clients_fts USING fts5(
+        name, memory, notes,
+        content='clients', content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      )
+    `);
+
+    // Conversaciones
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS conversations_fts_ai AFTER INSERT ON conversations BEGIN
+        INSERT INTO conversations_fts(rowid, message) VALUES (new.id, new.message);
+      END;
+      CREATE TRIGGER IF NOT EXISTS conversations_fts_ad AFTER DELETE ON conversations BEGIN
+        INSERT INTO conversations_fts(conversations_fts, rowid, message) VALUES ('delete', old.id, old.message);
+      END;
+      CREATE TRIGGER IF NOT EXISTS conversations_fts_au AFTER UPDATE OF message ON conversations BEGIN
+        INSERT INTO conversations_fts(conversations_fts, rowid, message) VALUES ('delete', old.id, old.message);
+        INSERT INTO conversations_fts(rowid, message) VALUES (new.id, new.message);
+      END;
+    `);
+
+    // Clientes (solo cuando cambian los campos indexados)
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS clients_fts_ai AFTER INSERT ON clients BEGIN
+        INSERT INTO clients_fts(rowid, name, memory, notes) VALUES (new.id, new.name, new.memory, new.notes);
+      END;
+      CREATE TRIGGER IF NOT EXISTS clients_fts_ad AFTER DELETE ON clients BEGIN
+        INSERT INTO clients_fts(clients_fts, rowid, name, memory, notes) VALUES ('delete', old.id, old.name, old.memory, old.notes);
+      END;
+      CREATE TRIGGER IF NOT EXISTS clients_fts_au AFTER UPDATE OF name, memory, notes ON clients BEGIN
+        INSERT INTO clients_fts(clients_fts, rowid, name, memory, notes) VALUES ('delete', old.id, old.name, old.memory, old.notes);
+        INSERT INTO clients_fts(rowid, name, memory, notes) VALUES (new.id, new.name, new.memory, new.notes);
+      END;
+    `);
+
+    // Indexar lo que ya existe
+    db.exec(`INSERT INTO conversations_fts(conversations_fts) VALUES ('rebuild')`);
+    db.exec(`INSERT INTO clients_fts(clients_fts) VALUES ('rebuild')`);
+  }
+};
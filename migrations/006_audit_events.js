@@ -0,0 +1,25 @@
+// ============================================
+// 006 - Auditoría de cambios (audit_events)
+// ============================================
+// Quién cambió qué y cuándo: status, banderas, memoria, ficha,
+// asignaciones y acciones de admin. Lo escribe solo db.logAudit().
+
+module.exports = {
+  description: 'Tabla audit_events',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        actor TEXT NOT NULL DEFAULT 'bot',
+        action TEXT NOT NULL,
+        field TEXT,
+        old_value TEXT,
+        new_value TEXT,
+        reason TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_audit_client ON audit_events(client_phone, created_at)');
+  }
+};
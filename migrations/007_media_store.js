@@ -0,0 +1,44 @@
+// ============================================
+// 007 - Almacén de media por contenido
+// ============================================
+// Saca las imágenes base64 de comprobantes y carnets a archivos en
+// media/ (ver media.js) y deja en cada fila solo el media_id.
+
+const { addColumn } = require('./helpers');
+const { storeMedia } = require('../media');
+
+// Mover las imágenes de una tabla, fila por fila (no cargar todo en memoria)
+function moverImagenes(db, table) {
+  const ids = db.prepare(`SELECT id FROM ${table} WHERE imagen_base64 IS NOT NULL AND imagen_base64 != '' AND media_id IS NULL`).all();
+  const getRow = db.prepare(`SELECT imagen_base64, imagen_mime FROM ${table} WHERE id = ?`);
+  const update = db.prepare(`UPDATE ${table} SET media_id = ?, imagen_base64 = NULL WHERE id = ?`);
+  for (const { id } of ids) {
+    const row = getRow.get(id);
+    update.run(storeMedia(db, row.imagen_base64, row.imagen_mime), id);
+  }
+  return ids.length;
+}
+
+module.exports = {
+  description: 'Tabla media; comprobantes/carnets.media_id y migración de imágenes base64 a disco',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS media (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sha256 TEXT UNIQUE NOT NULL,
+        mime TEXT DEFAULT 'application/octet-stream',
+        size INTEGER DEFAULT 0,
+        file TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    addColumn(db, 'comprobantes', 'media_id', 'INTEGER');
+    addColumn(db, 'carnets', 'media_id', 'INTEGER');
+
+    const comprobantes = moverImagenes(db, 'comprobantes');
+    const carnets = moverImagenes(db, 'carnets');
+    if (comprobantes + carnets > 0) {
+      console.log(`[MIGRATE] ${comprobantes} comprobante(s) y ${carnets} carnet(s) movidos a media/ — ejecuta "node migrate.js vacuum" para recuperar espacio en crm.db`);
+    }
+  }
+};
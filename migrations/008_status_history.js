@@ -0,0 +1,51 @@
+// ============================================
+// 008 - Historial de estados del cliente
+// ============================================
+// Cada cambio de clients.status queda en status_history con quién lo
+// disparó (actor) y por qué (reason: palabra clave, comprobante, panel...).
+// Las filas existentes se reconstruyen desde audit_events; los clientes
+// anteriores a la auditoría reciben una aproximación (created_at / updated_at).
+
+module.exports = {
+  description: 'Tabla status_history para medir el embudo de ventas',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT DEFAULT 'bot',
+        reason TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_status_history_client ON status_history(client_phone, created_at);
+      CREATE INDEX IF NOT EXISTS idx_status_history_to ON status_history(to_status, created_at);
+    `);
+
+    // Transiciones ya registradas en la auditoría
+    db.exec(`
+      INSERT INTO status_history (client_phone, from_status, to_status, actor, reason, created_at)
+      SELECT client_phone, NULLIF(old_value, ''), new_value, actor, reason, created_at
+      FROM audit_events
+      WHERE field = 'status' AND action IN ('status', 'create') AND new_value IS NOT NULL
+      ORDER BY id
+    `);
+
+    // Clientes sin creación auditada: entrada inicial en 'new'...
+    db.exec(`
+      INSERT INTO status_history (client_phone, from_status, to_status, actor, reason, created_at)
+      SELECT c.phone, NULL, 'new', 'system', 'histórico (migración)', c.created_at
+      FROM clients c
+      WHERE NOT EXISTS (SELECT 1 FROM status_history h WHERE h.client_phone = c.phone AND h.from_status IS NULL)
+    `);
+    // ...y su estado actual, si nunca se registró una transición
+    db.exec(`
+      INSERT INTO status_history (client_phone, from_status, to_status, actor, reason, created_at)
+      SELECT c.phone, 'new', c.status, 'system', 'histórico (migración)', c.updated_at
+      FROM clients c
+      WHERE c.status != 'new'
+      AND NOT EXISTS (SELECT 1 FROM status_history h WHERE h.client_phone = c.phone AND h.from_status IS NOT NULL)
+    `);
+  }
+};
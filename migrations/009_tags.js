@@ -0,0 +1,64 @@
+// ============================================
+// 009 - Etiquetas de cliente (tags / client_tags)
+// ============================================
+// Reemplaza las marcas en texto libre dentro de clients.memory
+// ("✅ YA AFILIADO...", "[postventa-confirmado]", LIKE '%comprar%') por
+// etiquetas explícitas. Las de sistema las ponen los flujos del bot;
+// las libres se crean desde el panel.
+
+const SYSTEM_TAGS = [
+  ['afiliado', '🛡️ Afiliado Club ZT'],
+  ['compró_arma', '🔫 Compró arma'],
+  ['bot_asesor', '🤖 Bot Asesor Legal'],
+  ['postventa_confirmado', '🛠️ Post-venta confirmada'],
+  ['postventa_preguntado', '❓ Se preguntó por post-venta'],
+  ['lead_caliente', '🔥 Lead caliente'],
+  ['pago_confirmado', '💰 Pago confirmado'],
+];
+
+// Etiqueta → condición SQL sobre clients para el relleno inicial
+const BACKFILL = {
+  afiliado: "is_club_plus = 1 OR is_club_pro = 1 OR status = 'afiliado' OR memory LIKE '%AFILIADO%CLUB ZT%'",
+  'compró_arma': "has_bought_gun = 1 OR memory LIKE '%YA COMPRÓ PRODUCTO%'",
+  bot_asesor: "has_ai_bot = 1 OR memory LIKE '%YA PAGÓ BOT ASESOR%'",
+  postventa_confirmado: "memory LIKE '%[postventa-confirmado]%'",
+  postventa_preguntado: "memory LIKE '%[pregunta postventa enviada]%'",
+  pago_confirmado: "memory LIKE '%PAGO CONFIRMADO%' OR memory LIKE '%comprobante confirmado%'",
+  lead_caliente: "status = 'hot' OR memory LIKE '%comprar%' OR memory LIKE '%interesado%' OR memory LIKE '%listo%' OR memory LIKE '%presupuesto%'",
+};
+
+module.exports = {
+  description: 'Tablas tags y client_tags con etiquetas de sistema',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        label TEXT,
+        kind TEXT DEFAULT 'free',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS client_tags (
+        client_phone TEXT NOT NULL,
+        tag_id INTEGER NOT NULL,
+        actor TEXT DEFAULT 'bot',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (client_phone, tag_id),
+        FOREIGN KEY (tag_id) REFERENCES tags(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_client_tags_tag ON client_tags(tag_id);
+    `);
+
+    const insertTag = db.prepare("INSERT OR IGNORE INTO tags (name, label, kind) VALUES (?, ?, 'system')");
+    SYSTEM_TAGS.forEach(([name, label]) => insertTag.run(name, label));
+
+    for (const [name, where] of Object.entries(BACKFILL)) {
+      const n = db.prepare(`
+        INSERT OR IGNORE INTO client_tags (client_phone, tag_id, actor)
+        SELECT phone, (SELECT id FROM tags WHERE name = ?), 'system'
+        FROM clients WHERE ${where}
+      `).run(name).changes;
+      if (n > 0) console.log(`[MIGRATE] Etiqueta ${name}: ${n} cliente(s)`);
+    }
+  }
+};
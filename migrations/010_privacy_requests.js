@@ -0,0 +1,24 @@
+// ============================================
+// 010 - Solicitudes de Habeas Data (Ley 1581 de 2012)
+// ============================================
+// Registro de cada exportación o anonimización pedida por un titular.
+// En las anonimizaciones `subject` guarda el seudónimo, no el número.
+
+module.exports = {
+  description: 'Tabla privacy_requests para solicitudes de Habeas Data',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS privacy_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_type TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        actor TEXT DEFAULT 'admin',
+        reason TEXT DEFAULT '',
+        status TEXT DEFAULT 'completed',
+        details_json TEXT DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_privacy_requests_subject ON privacy_requests(subject);
+    `);
+  }
+};
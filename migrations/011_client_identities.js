@@ -0,0 +1,49 @@
+// ============================================
+// 011 - Identidades de WhatsApp (client_identities)
+// ============================================
+// Un mismo cliente puede escribir con su número (@c.us), con un LID (@lid)
+// o desde otro número. Cada ID conocido apunta a un único clients.phone;
+// todas las búsquedas pasan por db.resolveClientPhone().
+// wa_id se guarda solo con dígitos; kind dice de dónde salió.
+
+module.exports = {
+  description: 'Tabla client_identities (LID, @c.us y números alternos → cliente)',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS client_identities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wa_id TEXT UNIQUE NOT NULL,
+        client_phone TEXT NOT NULL,
+        kind TEXT DEFAULT 'phone',
+        source TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_client_identities_client ON client_identities(client_phone);
+    `);
+
+    // El propio phone de cada cliente (los de 13+ dígitos son LID sin resolver)
+    const own = db.prepare(`
+      INSERT OR IGNORE INTO client_identities (wa_id, client_phone, kind, source, created_at)
+      SELECT phone, phone, CASE WHEN length(phone) >= 13 THEN 'lid' ELSE 'phone' END, 'migración', created_at
+      FROM clients WHERE phone != ''
+    `).run().changes;
+
+    // El chat_id guardado, cuando apunta a otro ID (típicamente el LID del número real)
+    const chatIds = db.prepare(`
+      SELECT phone, chat_id FROM clients
+      WHERE chat_id IS NOT NULL AND chat_id != ''
+    `).all();
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO client_identities (wa_id, client_phone, kind, source)
+      VALUES (?, ?, ?, 'migración')
+    `);
+    let linked = 0;
+    for (const { phone, chat_id } of chatIds) {
+      const waId = chat_id.replace(/@.*/, '').replace(/\D/g, '');
+      if (!waId || waId === phone) continue;
+      linked += insert.run(waId, phone, chat_id.endsWith('@lid') ? 'lid' : 'c.us').changes;
+    }
+    console.log(`[MIGRATE] Identidades: ${own} propias, ${linked} desde chat_id`);
+  }
+};
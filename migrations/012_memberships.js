@@ -0,0 +1,96 @@
+// ============================================
+// 012 - Membresías del Club ZT (memberships)
+// ============================================
+// Una fila por periodo pagado: plan (plus / pro), fechas ISO (YYYY-MM-DD),
+// pago de origen y estado (active → grace → expired). Reemplaza el texto
+// libre de clients.club_plan y la fecha dd/mm/yyyy de club_vigente_hasta,
+// que quedan como copia de la membresía vigente.
+//
+// Relleno: los afiliados existentes reciben una membresía con la fecha que
+// tenían; si no había fecha se asume un año desde que pasaron a 'afiliado'.
+
+const GRACE_DAYS = 15; // igual que MEMBERSHIP_GRACE_DAYS en db.js
+
+// Fecha de hoy en Colombia (UTC-5)
+function today() {
+  return new Date(Date.now() - 5 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+// dd/mm/yyyy o yyyy-mm-dd → yyyy-mm-dd
+function parseDate(text) {
+  const s = String(text || '').trim();
+  let m = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function plusOneYear(iso) {
+  const d = new Date(iso + 'T00:00:00Z');
+  d.setUTCFullYear(d.getUTCFullYear() + 1);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function statusFor(endDate) {
+  const days = Math.round((Date.parse(endDate) - Date.parse(today())) / 86400000);
+  if (days >= 0) return 'active';
+  return days >= -GRACE_DAYS ? 'grace' : 'expired';
+}
+
+module.exports = {
+  description: 'Tabla memberships con plan, vigencia, pago de origen y estado',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS memberships (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        plan TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        status TEXT DEFAULT 'active',
+        comprobante_id INTEGER,
+        source TEXT DEFAULT '',
+        reminders_sent TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (comprobante_id) REFERENCES comprobantes(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_memberships_client ON memberships(client_phone, end_date);
+      CREATE INDEX IF NOT EXISTS idx_memberships_status ON memberships(status, end_date);
+    `);
+
+    const afiliados = db.prepare(`
+      SELECT c.phone, c.club_plan, c.club_vigente_hasta, c.is_club_plus, c.is_club_pro, c.updated_at,
+        (SELECT MIN(h.created_at) FROM status_history h WHERE h.client_phone = c.phone AND h.to_status = 'afiliado') as afiliado_at,
+        (SELECT MAX(p.id) FROM comprobantes p WHERE p.client_phone = c.phone AND p.estado = 'confirmado' AND p.tipo LIKE '%club%') as comprobante_id
+      FROM clients c
+      WHERE c.is_club_plus = 1 OR c.is_club_pro = 1 OR c.status = 'afiliado'
+        OR COALESCE(c.club_plan, '') != '' OR COALESCE(c.club_vigente_hasta, '') != ''
+    `).all();
+
+    const insert = db.prepare(`
+      INSERT INTO memberships (client_phone, plan, start_date, end_date, status, comprobante_id, source)
+      VALUES (?, ?, ?, ?, ?, ?, 'migración')
+    `);
+    const mirror = db.prepare('UPDATE clients SET club_plan = ?, club_vigente_hasta = ? WHERE phone = ?');
+
+    for (const c of afiliados) {
+      const plan = c.is_club_pro || /\bpro\b/i.test(c.club_plan || '') ? 'pro' : 'plus';
+      let end = parseDate(c.club_vigente_hasta);
+      let start;
+      if (end) {
+        const d = new Date(end + 'T00:00:00Z');
+        d.setUTCFullYear(d.getUTCFullYear() - 1);
+        d.setUTCDate(d.getUTCDate() + 1);
+        start = d.toISOString().slice(0, 10);
+      } else {
+        start = parseDate(c.afiliado_at || c.updated_at) || today();
+        end = plusOneYear(start);
+      }
+      insert.run(c.phone, plan, start, end, statusFor(end), c.comprobante_id || null);
+      mirror.run(plan, end, c.phone);
+    }
+    if (afiliados.length > 0) console.log(`[MIGRATE] Membresías: ${afiliados.length} afiliado(s) migrados`);
+  }
+};
@@ -0,0 +1,33 @@
+// ============================================
+// 013 - Envíos (shipments)
+// ============================================
+// Guía de transporte de cada despacho: transportadora, número de guía,
+// estado (shipped → in_transit → delivered, o returned) y fechas.
+// Con esto el bot contesta "¿dónde va mi pedido?" sin pasar por Álvaro.
+
+module.exports = {
+  description: 'Tabla shipments con transportadora, guía, estado y fechas',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS shipments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER,
+        client_phone TEXT NOT NULL,
+        carrier TEXT NOT NULL,
+        guide_number TEXT NOT NULL,
+        status TEXT DEFAULT 'shipped',
+        notes TEXT DEFAULT '',
+        shipped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        in_transit_at DATETIME,
+        delivered_at DATETIME,
+        returned_at DATETIME,
+        notified_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_shipments_client ON shipments(client_phone, created_at);
+      CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments(order_id);
+    `);
+  }
+};
@@ -0,0 +1,68 @@
+// ============================================
+// 014 - Inventario por variante (producto × color)
+// ============================================
+// catalogo_contexto.json solo dice `disponible` por producto y los colores
+// vienen en un texto ("Negro / Fume / Cromado"). Aquí cada color es una
+// fila con su conteo. stock NULL = todavía no se ha contado: en ese caso
+// manda el `disponible` del catálogo.
+//
+// inventory_movements deja rastro de cada cambio (conteo, venta, cancelación).
+// order_items.color dice qué variante se vendió.
+
+const fs = require('fs');
+const path = require('path');
+const { addColumn } = require('./helpers');
+
+// "Negro / Fume / Cromado" → ['Negro', 'Fume', 'Cromado'] (igual que db.splitColors)
+function splitColors(text) {
+  const colors = String(text || '').split(/\s*[/,]\s*|\s+y\s+/i).map(c => c.trim()).filter(Boolean);
+  return colors.length ? colors : ['Único'];
+}
+
+module.exports = {
+  description: 'Tablas inventory e inventory_movements; order_items.color',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS inventory (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        producto TEXT NOT NULL,
+        color TEXT NOT NULL,
+        stock INTEGER,
+        min_stock INTEGER DEFAULT 2,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (producto, color)
+      );
+      CREATE TABLE IF NOT EXISTS inventory_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        producto TEXT NOT NULL,
+        color TEXT NOT NULL,
+        delta INTEGER NOT NULL,
+        stock_after INTEGER,
+        reason TEXT DEFAULT '',
+        order_id INTEGER,
+        actor TEXT DEFAULT 'system',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_inventory_movements_variant ON inventory_movements(producto, color, created_at);
+    `);
+    addColumn(db, 'order_items', 'color', "TEXT DEFAULT ''");
+
+    // Sembrar las variantes del catálogo actual (sin conteo todavía)
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'catalogo_contexto.json'), 'utf8'));
+    } catch (e) {
+      console.warn('[MIGRATE] Inventario: no se pudo leer el catálogo, variantes sin sembrar:', e.message);
+      return;
+    }
+    const insert = db.prepare('INSERT OR IGNORE INTO inventory (producto, color) VALUES (?, ?)');
+    let count = 0;
+    for (const [categoria, productos] of Object.entries(data.categorias || {})) {
+      if (categoria === 'SERVICIOS') continue;
+      for (const p of productos) {
+        for (const color of splitColors(p.color)) count += insert.run(p.titulo, color).changes;
+      }
+    }
+    console.log(`[MIGRATE] Inventario: ${count} variante(s) sembradas desde el catálogo`);
+  }
+};
@@ -0,0 +1,16 @@
+// ============================================
+// 015 - Perfil estructurado del cliente (clients.profile_json)
+// ============================================
+// La memoria deja de ser prosa libre: la IA devuelve JSON (intención,
+// ciudad, productos, plan, objeciones, presupuesto, estado de compra) con
+// nivel de confianza por dato. clients.memory pasa a ser la ficha legible
+// que se arma desde ese JSON (ver profile.js).
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columna clients.profile_json (perfil estructurado con confianza)',
+  up(db) {
+    addColumn(db, 'clients', 'profile_json', "TEXT DEFAULT ''");
+  }
+};
@@ -0,0 +1,31 @@
+// ============================================
+// 016 - Estrategias de asignación (router.js)
+// ============================================
+// settings: configuración clave/valor que debe sobrevivir reinicios.
+//   routing.strategy         round_robin | least_loaded | weighted
+//   routing.sticky           '1' = cliente que vuelve → mismo asesor de antes
+//   routing.last_employee_id puntero de la rotación (antes vivía en memoria)
+// employees.weight: capacidad relativa del asesor para la estrategia weighted.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Tabla settings y employees.weight para estrategias de asignación',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    addColumn(db, 'employees', 'weight', 'INTEGER DEFAULT 1');
+
+    // El puntero arranca en el último asesor que recibió un cliente
+    const last = db.prepare('SELECT employee_id FROM assignments ORDER BY assigned_at DESC, id DESC LIMIT 1').get();
+    const insert = db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)');
+    insert.run('routing.strategy', 'round_robin');
+    insert.run('routing.sticky', '0');
+    insert.run('routing.last_employee_id', last ? String(last.employee_id) : '');
+  }
+};
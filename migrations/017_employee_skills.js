@@ -0,0 +1,18 @@
+// ============================================
+// 017 - Habilidades / colas de los asesores
+// ============================================
+// employees.skills: colas que atiende cada asesor, separadas por coma
+// (ventas, postventa, legal, despachos, general). El router busca primero
+// a quien tenga la habilidad del caso y, si no hay nadie activo, cae a la
+// cola general. Los asesores existentes quedan en 'general' (como antes).
+// assignments.queue: cola por la que entró cada asignación.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columnas employees.skills y assignments.queue (colas por habilidad)',
+  up(db) {
+    addColumn(db, 'employees', 'skills', "TEXT DEFAULT 'general'");
+    addColumn(db, 'assignments', 'queue', "TEXT DEFAULT 'general'");
+  }
+};
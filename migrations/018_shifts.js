@@ -0,0 +1,39 @@
+// ============================================
+// 018 - Turnos de asesores y cola fuera de horario
+// ============================================
+// employee_shifts: turnos semanales por asesor, hora Colombia
+//   (weekday 0 = domingo … 6 = sábado, 'HH:MM'). Sin filas = siempre disponible.
+// handoff_queue: handoffs que llegaron cuando ningún asesor estaba de turno.
+//   Se reparten al empezar el siguiente turno (pending → assigned).
+
+module.exports = {
+  description: 'Tablas employee_shifts y handoff_queue (handoffs fuera de horario)',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS employee_shifts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_id INTEGER NOT NULL,
+        weekday INTEGER NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_employee_shifts_employee ON employee_shifts(employee_id, weekday);
+
+      CREATE TABLE IF NOT EXISTS handoff_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_phone TEXT NOT NULL,
+        tipo TEXT DEFAULT '',
+        queue TEXT DEFAULT 'general',
+        trigger_message TEXT DEFAULT '',
+        status TEXT DEFAULT 'pending',
+        employee_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        assigned_at DATETIME,
+        FOREIGN KEY (employee_id) REFERENCES employees(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_handoff_queue_status ON handoff_queue(status, created_at);
+    `);
+  }
+};
@@ -0,0 +1,39 @@
+// ============================================
+// 019 - SLA de primera respuesta humana
+// ============================================
+// assignments.first_response_at: primer mensaje de una persona (role 'admin')
+//   después de la asignación. NULL = nadie le ha escrito al cliente todavía.
+// assignments.sla_alerts / sla_last_alert_at: re-alertas enviadas por SLA vencido.
+// settings:
+//   sla.minutes     minutos para la primera respuesta (30)
+//   sla.action      realert = volver a avisar | reassign = pasar a otro asesor
+//   sla.max_alerts  tope de re-alertas por asignación (3)
+//
+// Relleno: las asignaciones existentes toman el primer mensaje admin posterior.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columnas de SLA en assignments y configuración sla.* en settings',
+  up(db) {
+    addColumn(db, 'assignments', 'first_response_at', 'DATETIME');
+    addColumn(db, 'assignments', 'sla_alerts', 'INTEGER DEFAULT 0');
+    addColumn(db, 'assignments', 'sla_last_alert_at', 'DATETIME');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_assignments_status ON assignments(status, assigned_at)');
+
+    db.prepare(`
+      UPDATE assignments SET first_response_at = (
+        SELECT MIN(c.created_at) FROM conversations c
+        WHERE c.client_phone = assignments.client_phone AND c.role = 'admin' AND c.created_at >= assignments.assigned_at
+      )
+      WHERE first_response_at IS NULL
+    `).run();
+    const filled = db.prepare('SELECT COUNT(*) as n FROM assignments WHERE first_response_at IS NOT NULL').get().n;
+
+    const insert = db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)');
+    insert.run('sla.minutes', '30');
+    insert.run('sla.action', 'realert');
+    insert.run('sla.max_alerts', '3');
+    if (filled > 0) console.log(`[MIGRATE] SLA: ${filled} asignación(es) con primera respuesta humana`);
+  }
+};
@@ -0,0 +1,20 @@
+// ============================================
+// 020 - Avisos de derivación
+// ============================================
+// La notificación de cada handoff va al WhatsApp del asesor asignado.
+// settings:
+//   handoff.owner_copy                '1' = copia al número principal (como antes)
+//   handoff.client_message.venta      none | confirmacion | asesor
+//   handoff.client_message.postventa  none | confirmacion | asesor
+// Los valores iniciales reproducen lo que hacía el bot: en venta no se le
+// escribe al cliente y en post-venta se le confirma que quedó registrado.
+
+module.exports = {
+  description: 'Configuración handoff.* (aviso al asesor, copia al dueño y mensaje al cliente)',
+  up(db) {
+    const insert = db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)');
+    insert.run('handoff.owner_copy', '1');
+    insert.run('handoff.client_message.venta', 'none');
+    insert.run('handoff.client_message.postventa', 'confirmacion');
+  }
+};
@@ -0,0 +1,15 @@
+// ============================================
+// 021 - Resultado de cada asignación
+// ============================================
+// assignments.result: cómo terminó el caso, escrito por el asesor con
+//   !cerrar <número> <resultado> (ej. "vendido EKOL negra", "no compró").
+// Las asignaciones que el asesor suelta con !liberar quedan en status 'released'.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columna assignments.result (cierre de casos por comandos de asesor)',
+  up(db) {
+    addColumn(db, 'assignments', 'result', "TEXT DEFAULT ''");
+  }
+};
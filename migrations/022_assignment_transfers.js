@@ -0,0 +1,17 @@
+// ============================================
+// 022 - Transferencias entre asesores
+// ============================================
+// Una transferencia cierra la asignación activa con status 'transferred' y
+// abre una nueva para el otro asesor (misma cola, reloj de SLA desde cero).
+// assignments.transferred_from: asignación de la que viene.
+// assignments.transfer_reason: motivo que escribió quien transfirió.
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Columnas assignments.transferred_from y transfer_reason',
+  up(db) {
+    addColumn(db, 'assignments', 'transferred_from', 'INTEGER');
+    addColumn(db, 'assignments', 'transfer_reason', "TEXT DEFAULT ''");
+  }
+};
@@ -0,0 +1,38 @@
+// ============================================
+// 023 - Seudónimos de Habeas Data solo con dígitos
+// ============================================
+// Los clientes anonimizados quedaban como 'anon-<hex>'. resolveClientPhone
+// reduce todo a dígitos, así que esas fichas ya no se podían encontrar
+// (getClient, !habeas). Se renombran a '000' + 12 dígitos en clients y en
+// todas las tablas que guardan client_phone.
+
+const crypto = require('crypto');
+const { tableExists } = require('./helpers');
+
+const CLIENT_TABLES = [
+  'conversations', 'comprobantes', 'carnets', 'assignments', 'orders',
+  'audit_events', 'status_history', 'client_tags', 'client_identities', 'memberships',
+  'shipments', 'handoff_queue',
+];
+
+module.exports = {
+  description: "Renombrar seudónimos 'anon-…' a '000' + 12 dígitos",
+  up(db) {
+    const rows = db.prepare("SELECT phone FROM clients WHERE phone LIKE 'anon-%'").all();
+    const exists = db.prepare('SELECT 1 FROM clients WHERE phone = ?');
+    for (const { phone } of rows) {
+      let pseudonym;
+      do {
+        pseudonym = '000' + String(crypto.randomInt(1e12)).padStart(12, '0');
+      } while (exists.get(pseudonym));
+      db.prepare('UPDATE clients SET phone = ? WHERE phone = ?').run(pseudonym, phone);
+      CLIENT_TABLES.filter(t => tableExists(db, t)).forEach(table => {
+        db.prepare(`UPDATE ${table} SET client_phone = ? WHERE client_phone = ?`).run(pseudonym, phone);
+      });
+      if (tableExists(db, 'privacy_requests')) {
+        db.prepare('UPDATE privacy_requests SET subject = ? WHERE subject = ?').run(pseudonym, phone);
+      }
+    }
+    if (rows.length) console.log(`[MIGRATE] ${rows.length} seudónimo(s) renombrado(s)`);
+  }
+};
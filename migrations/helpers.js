@@ -0,0 +1,27 @@
+// ============================================
+// migrations/helpers.js - Utilidades para migraciones
+// ============================================
+// Permiten que una migración sea idempotente sobre bases de datos
+// creadas antes del sistema de versiones (cuando las columnas se
+// agregaban con try/catch en initDatabase).
+
+// ¿Existe la tabla?
+function tableExists(db, table) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+// ¿Existe la columna en la tabla?
+function columnExists(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// Agregar columna solo si no existe. Cualquier otro error se propaga
+// (y hace rollback de la migración completa).
+function addColumn(db, table, column, definition) {
+  if (columnExists(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`[MIGRATE] Columna ${table}.${column} agregada`);
+  return true;
+}
+
+module.exports = { tableExists, columnExists, addColumn };
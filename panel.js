@@ -6,16 +6,31 @@
 // ============================================
 
 const http = require('http');
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { exec } = require('child_process');
-
-const db = new Database(path.join(__dirname, 'crm.db'));
+const { getSchemaVersion, getPendingMigrations } = require('./migrate');
+const { getMediaPath } = require('./media');
+const privacy = require('./privacy');
+const backup = require('./backup');
+const router = require('./router');
+const shifts = require('./shifts');
+
+// Misma conexión y helpers que usa el bot (db.js) — sin initDatabase()
+const crm = require('./db');
+const db = crm.db;
 const PORT = 3000;
 
-// Nota: Las migraciones se ejecutan en db.js al arrancar el bot.
-// El panel solo lee datos — no necesita crear tablas ni columnas.
+// Nota: Las migraciones se ejecutan en db.js al arrancar el bot (o con `npm run migrate`).
+// El panel no crea tablas ni columnas — si el esquema está desactualizado, no arranca.
+const pendingMigrations = getPendingMigrations(db);
+if (pendingMigrations.length > 0) {
+  console.error(`[PANEL] ❌ Esquema de crm.db desactualizado (versión ${getSchemaVersion(db)}). Migraciones pendientes:`);
+  pendingMigrations.forEach(m => console.error(`   - ${m.file}`));
+  console.error('[PANEL] Ejecuta `npm run migrate` o arranca el bot antes de abrir el panel.');
+  process.exit(1);
+}
 
 function getData() {
   const clients = db.prepare('SELECT * FROM clients ORDER BY COALESCE(updated_at, created_at) DESC').all();
@@ -34,20 +49,27 @@ function getData() {
   const clientsToday = db.prepare("SELECT COUNT(*) as c FROM clients WHERE date(created_at) = date('now')").get().c;
   const messagesToday = db.prepare("SELECT COUNT(*) as c FROM conversations WHERE date(created_at) = date('now')").get().c;
 
+  // Etiquetas de cada cliente
+  const tagsMap = crm.getClientTagsMap();
+  clients.forEach(c => { c.tags = tagsMap[c.phone] || []; });
+  const tags = crm.getAllTags();
+
   // Hot leads
-  const hotLeads = clients.filter(c =>
-    c.memory && (
-      c.memory.toLowerCase().includes('comprar') ||
-      c.memory.toLowerCase().includes('interesado') ||
-      c.memory.toLowerCase().includes('listo') ||
-      c.memory.toLowerCase().includes('precio')
-    )
-  );
+  const hotLeads = clients.filter(c => c.tags.includes('lead_caliente'));
 
   // Posibles bots / spam
   const spamFlagged = clients.filter(c => c.spam_flag == 1);
 
-  return { clients, conversations, assignments, employees, totalClients, newClients, activeAssignments, totalMessages, clientsToday, messagesToday, hotLeads, spamFlagged };
+  // Estado de la última copia de seguridad (la hace el bot cada hora)
+  const lastBackup = backup.getLastBackupStatus();
+
+  // Asignaciones sin respuesta humana pasado el SLA (badge ⏰ en la lista)
+  const slaMinutes = router.getSlaConfig().minutes;
+  const overdue = crm.getOverdueAssignments(slaMinutes).map(a => ({
+    client_phone: a.client_phone, employee_name: a.employee_name, waiting_minutes: a.waiting_minutes
+  }));
+
+  return { clients, conversations, assignments, employees, totalClients, newClients, activeAssignments, totalMessages, clientsToday, messagesToday, hotLeads, spamFlagged, tags, lastBackup, slaMinutes, overdue };
 }
 
 function getClientChat(phone, limit = 100) {
@@ -98,33 +120,28 @@ const server = http.createServer((req, res) => {
           return;
         }
 
+        const audit = { actor: 'panel', reason: '/api/update-client' };
+
         // 1. Actualizar datos estructurados de perfil (Ficha CRM)
         if (profileData) {
-          const fields = [];
-          const values = [];
+          const changes = {};
           const validKeys = [
             'name', 'cedula', 'ciudad', 'direccion',
-            'profesion', 'club_plan', 'club_vigente_hasta',
+            'profesion',
             'modelo_arma', 'serial_arma'
           ];
 
           for (const key of validKeys) {
             if (profileData[key] !== undefined) {
-              fields.push(`${key} = ?`);
-              values.push(profileData[key] || '');
+              changes[key] = profileData[key] || '';
             }
           }
-
-          if (fields.length > 0) {
-            fields.push('updated_at = CURRENT_TIMESTAMP');
-            values.push(phone);
-            db.prepare(`UPDATE clients SET ${fields.join(', ')} WHERE phone = ?`).run(...values);
-          }
+          crm.updateClientFields(phone, changes, { ...audit, reason: 'ficha CRM editada' });
         }
 
         // 2. Actualizar status si se envió
         if (status) {
-          db.prepare('UPDATE clients SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?').run(status, phone);
+          crm.updateClientFields(phone, { status }, audit);
         }
         // Actualizar memoria si se envió nota
         let newMemory = client.memory || '';
@@ -136,7 +153,7 @@ const server = http.createServer((req, res) => {
           } else {
             newMemory = note;
           }
-          db.prepare('UPDATE clients SET memory = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?').run(newMemory, phone);
+          crm.updateClientFields(phone, { memory: newMemory }, { ...audit, reason: 'nota del panel: ' + note.substring(0, 80) });
         }
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ ok: true, memory: newMemory, status: status || client.status }));
@@ -148,6 +165,135 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  // Habeas Data: descargar todo lo que tenemos de un número
+  if (url.pathname === '/api/privacy/export') {
+    try {
+      const phone = url.searchParams.get('phone') || '';
+      const bundle = privacy.exportSubjectData(phone, { actor: 'panel', reason: 'exportación desde el panel' });
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="habeas_data_${bundle.titular}.json"`
+      });
+      res.end(JSON.stringify(bundle, null, 2));
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Habeas Data: anonimizar (hay que repetir el número para confirmar)
+  if (url.pathname === '/api/privacy/anonymize' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { phone, confirm, reason } = JSON.parse(body);
+        if (!phone || String(confirm || '').replace(/\D/g, '') !== String(phone).replace(/\D/g, '')) {
+          throw new Error('La confirmación no coincide con el número');
+        }
+        const result = privacy.anonymizeSubject(phone, { actor: 'panel', reason: reason || 'solicitud de supresión (panel)' });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, ...result }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Membresías Club ZT de un cliente (la primera es la vigente o la última)
+  if (url.pathname === '/api/memberships') {
+    try {
+      const phone = url.searchParams.get('phone') || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(crm.getMemberships(phone)));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Registrar o renovar membresía a mano (pagos que no pasaron por comprobante)
+  if (url.pathname === '/api/membership' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { phone, plan, endDate } = JSON.parse(body);
+        if (!phone || !crm.normalizePlan(plan)) throw new Error('Faltan phone o plan (plus / pro)');
+        const membership = crm.grantMembership(phone, { plan, endDate: endDate || null, source: 'panel' }, { actor: 'panel', reason: 'membresía registrada en panel' });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, membership }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // IDs de WhatsApp (LID, @c.us, números alternos) que apuntan a un cliente
+  if (url.pathname === '/api/identities') {
+    try {
+      const phone = url.searchParams.get('phone') || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(crm.getClientIdentities(phone)));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Fusionar dos fichas duplicadas: todo lo de `from` pasa a `into`
+  if (url.pathname === '/api/merge-clients' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { from, into } = JSON.parse(body);
+        if (!from || !into) throw new Error('Faltan from o into');
+        const fromPhone = crm.resolveClientPhone(from);
+        const intoPhone = crm.resolveClientPhone(into);
+        if (fromPhone === intoPhone) throw new Error('Ambos números ya son la misma ficha');
+        const client = crm.mergeClients(fromPhone, intoPhone, { actor: 'panel', reason: 'fusión manual en panel' });
+        console.log(`[PANEL] 🔗 Fichas fusionadas: ${fromPhone} → ${intoPhone}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, client, identities: crm.getClientIdentities(intoPhone) }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Agregar / quitar etiqueta de un cliente
+  if (url.pathname === '/api/client-tag' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { phone, tag, action } = JSON.parse(body);
+        if (!phone || !tag) throw new Error('Faltan phone o tag');
+        const audit = { actor: 'panel', reason: 'etiqueta editada en panel' };
+        const changed = action === 'remove'
+          ? crm.removeClientTag(phone, tag, audit)
+          : crm.addClientTag(phone, tag, audit);
+        console.log(`[PANEL] 🏷️ ${phone}: ${action === 'remove' ? '−' : '+'}${tag}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, changed, tags: crm.getClientTags(phone) }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
   // Ignorar / des-ignorar contacto
   if (url.pathname === '/api/set-ignored' && req.method === 'POST') {
     let body = '';
@@ -156,10 +302,11 @@ const server = http.createServer((req, res) => {
       try {
         const { phone, ignored } = JSON.parse(body);
         const val = ignored ? 1 : 0;
-        const result = db.prepare('UPDATE clients SET ignored = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?').run(val, phone);
-        console.log(`[PANEL] 🔇 set-ignored: ${phone} → ${val} (rows: ${result.changes})`);
+        const updated = crm.updateClientFields(phone, { ignored: val }, { actor: 'panel', reason: val ? 'silenciado: no es cliente' : 'reactivado' });
+        const changes = updated ? 1 : 0;
+        console.log(`[PANEL] 🔇 set-ignored: ${phone} → ${val} (rows: ${changes})`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true, ignored: val, changes: result.changes }));
+        res.end(JSON.stringify({ ok: true, ignored: val, changes }));
       } catch (e) {
         console.error('[PANEL] set-ignored error:', e.message);
         res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -183,7 +330,7 @@ const server = http.createServer((req, res) => {
           throw new Error('Flag de servicio inválido');
         }
 
-        db.prepare(`UPDATE clients SET ${flag} = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?`).run(val, phone);
+        crm.updateClientFields(phone, { [flag]: val }, { actor: 'panel', reason: 'Bóveda de Servicios' });
         console.log(`[PANEL] 🔒 Bóveda de Servicios: ${phone} → ${flag} = ${val}`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ ok: true, flag, val }));
@@ -204,7 +351,7 @@ const server = http.createServer((req, res) => {
       try {
         const { phone, flagged } = JSON.parse(body);
         const val = flagged ? 1 : 0;
-        db.prepare('UPDATE clients SET spam_flag = ?, updated_at = CURRENT_TIMESTAMP WHERE phone = ?').run(val, phone);
+        crm.updateClientFields(phone, { spam_flag: val }, { actor: 'panel', reason: val ? 'marcado como spam' : 'revisado: no es spam' });
         console.log(`[PANEL] 🚨 set-spam-flag: ${phone} → ${val}`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ ok: true }));
@@ -480,9 +627,13 @@ const server = http.createServer((req, res) => {
   // Migración única: assigned → hot
   if (url.pathname === '/api/migrar-assigned' && req.method === 'POST') {
     try {
-      const result = db.prepare(`UPDATE clients SET status = 'hot', updated_at = datetime('now') WHERE status = 'assigned'`).run();
+      const asignados = db.prepare(`SELECT phone FROM clients WHERE status = 'assigned'`).all();
+      const migrar = db.transaction(() => {
+        asignados.forEach(c => crm.updateClientFields(c.phone, { status: 'hot' }, { actor: 'panel', reason: 'migración asignados → calientes' }));
+      });
+      migrar();
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, migrados: result.changes }));
+      res.end(JSON.stringify({ ok: true, migrados: asignados.length }));
     } catch (e) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: e.message }));
@@ -503,7 +654,7 @@ const server = http.createServer((req, res) => {
           res.end(JSON.stringify({ error: 'phone o status inválido' }));
           return;
         }
-        db.prepare(`UPDATE clients SET status = ?, updated_at = datetime('now') WHERE phone = ?`).run(status, phone);
+        crm.updateClientFields(phone, { status }, { actor: 'panel', reason: 'cambio manual de status' });
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ ok: true }));
       } catch (e) {
@@ -553,7 +704,7 @@ const server = http.createServer((req, res) => {
   // Comprobantes pendientes
   if (url.pathname === '/api/comprobantes') {
     try {
-      const comprobantes = db.prepare(`SELECT id, client_phone, client_name, info, imagen_base64, imagen_mime, tipo, estado, created_at FROM comprobantes WHERE estado = 'pendiente' ORDER BY created_at DESC`).all();
+      const comprobantes = db.prepare(`SELECT id, client_phone, client_name, info, media_id, tipo, estado, created_at FROM comprobantes WHERE estado = 'pendiente' ORDER BY created_at DESC`).all();
       console.log(`[PANEL] 💰 Comprobantes cargados: ${comprobantes.length} pendientes`);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(comprobantes));
@@ -567,7 +718,7 @@ const server = http.createServer((req, res) => {
   // Carnets pendientes
   if (url.pathname === '/api/carnets') {
     try {
-      const carnets = db.prepare(`SELECT id, client_phone, datos_extraidos_json, imagen_base64, imagen_mime, estado, created_at FROM carnets WHERE estado = 'pendiente' ORDER BY created_at DESC`).all();
+      const carnets = db.prepare(`SELECT id, client_phone, datos_extraidos_json, media_id, estado, created_at FROM carnets WHERE estado = 'pendiente' ORDER BY created_at DESC`).all();
       console.log(`[PANEL] 🪪 Carnets cargados: ${carnets.length} pendientes`);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(carnets));
@@ -581,6 +732,13 @@ const server = http.createServer((req, res) => {
   // Actualizar inventario usando IA (ejecuta el script update_inventory.js)
   if (url.pathname === '/api/update-inventory' && req.method === 'POST') {
     console.log('[PANEL] 📦 Recibida petición para actualizar inventario IA...');
+    // Hash del catálogo antes y después: update_inventory.js termina sin error
+    // aunque Gemini devuelva un JSON inválido (y entonces no escribe nada)
+    const catalogPath = path.join(__dirname, 'catalogo_contexto.json');
+    const catalogHash = () => fs.existsSync(catalogPath)
+      ? crypto.createHash('sha256').update(fs.readFileSync(catalogPath)).digest('hex')
+      : null;
+    const hashBefore = catalogHash();
     exec('npm run update-inventory', { cwd: __dirname }, (error, stdout, stderr) => {
       if (error) {
         console.error('[PANEL] ❌ Error actualizando inventario:', error.message);
@@ -588,9 +746,44 @@ const server = http.createServer((req, res) => {
         res.end(JSON.stringify({ ok: false, error: 'Hubo un error al actualizar el inventario. Verifica la terminal externa.' }));
         return;
       }
+      const reply = (msg) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, msg }));
+      };
+      if (catalogHash() === hashBefore) {
+        console.log('[PANEL] ⚠️ update-inventory terminó sin cambiar el catálogo');
+        reply('El proceso terminó, pero el catálogo quedó igual (revisa la terminal: Gemini pudo devolver un JSON inválido).');
+        return;
+      }
       console.log('[PANEL] ✅ Inventario actualizado con éxito');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, msg: 'Inventario actualizado correctamente usando Gemini IA' }));
+      // El bot vigila el archivo, pero se le pide recargar de una vez para
+      // confirmar que tomó el catálogo nuevo. `unchanged` ahí significa que
+      // el watcher del bot ya lo había cargado.
+      const botReq = http.request({
+        hostname: 'localhost',
+        port: 3001,
+        path: '/reload',
+        method: 'POST',
+        timeout: 10000
+      }, botRes => {
+        let data = '';
+        botRes.on('data', chunk => data += chunk);
+        botRes.on('end', () => {
+          let catalog = null;
+          try { catalog = JSON.parse(data).results['catalogo_contexto.json']; } catch (e) {}
+          console.log('[PANEL] 🔄 Recarga del bot:', data);
+          if (catalog && catalog.ok) {
+            reply(`Inventario actualizado correctamente usando Gemini IA. El bot ya usa el catálogo nuevo (${catalog.products} productos).`);
+          } else {
+            reply(`Inventario actualizado, pero el bot NO tomó el catálogo nuevo: ${(catalog && catalog.error) || 'respuesta inválida'}. Sigue con el anterior.`);
+          }
+        });
+      });
+      botReq.on('timeout', () => botReq.destroy());
+      botReq.on('error', () => {
+        reply('Inventario actualizado correctamente usando Gemini IA. El bot no respondió; tomará el catálogo nuevo cuando arranque o detecte el cambio.');
+      });
+      botReq.end();
     });
     return;
   }
@@ -621,150 +814,459 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // Panel HTML
-  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-  res.end(getHTML());
-});
+  // Archivos del almacén de media (imágenes de comprobantes y carnets).
+  // El contenido de un id nunca cambia (sha256), así que se cachea sin límite.
+  if (url.pathname.startsWith('/media/')) {
+    const row = crm.getMedia(parseInt(url.pathname.split('/')[2], 10) || 0);
+    const filePath = row ? getMediaPath(row) : null;
+    if (!row || !fs.existsSync(filePath)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Media no encontrada');
+      return;
+    }
+    const etag = `"${row.sha256}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { 'ETag': etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': row.mime,
+      'Content-Length': row.size,
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'ETag': etag
+    });
+    fs.createReadStream(filePath).pipe(res);
+    return;
+  }
 
-function getHTML() {
-  return `<!DOCTYPE html>
-<html lang="es">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>Panel ZT — Zona Traumática</title>
-<link href="https://fonts.googleapis.com/css2?family=Chakra+Petch:wght@400;500;600;700&family=Rajdhani:wght@400;500;600;700&family=Share+Tech+Mono&display=swap" rel="stylesheet">
-<style>
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body { font-family: 'Rajdhani', sans-serif; background: #0a0e13; color: #e6edf3; font-weight: 500; letter-spacing: 0.3px; }
-  h1, h2, h3, .stat .num, .panel-header, .tab, .refresh-btn { font-family: 'Chakra Petch', sans-serif; }
-  .client-phone, .chat-time, .memory-box, code { font-family: 'Share Tech Mono', monospace; }
-  .header { background: linear-gradient(180deg, #131920 0%, #0d1117 100%); border-bottom: 1px solid #f8514944; padding: 15px 25px; display: flex; justify-content: space-between; align-items: center; }
-  .header h1 { font-size: 22px; font-weight: 700; letter-spacing: 2px; text-transform: uppercase; }
-  .header h1 span { color: #f85149; }
-  .refresh-btn { background: #238636; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; }
-  .refresh-btn:hover { background: #2ea043; }
-  .reactivar-btn { background: linear-gradient(135deg, #f85149, #c0392b); color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; margin-right: 8px; }
-  .reactivar-btn:hover { background: linear-gradient(135deg, #ff6b6b, #e74c3c); }
-  .reactivar-btn:disabled { background: #333; color: #666; cursor: not-allowed; }
-  .stats { display: flex; gap: 15px; padding: 20px 25px; flex-wrap: wrap; }
-  .stat { background: #111820; border: 1px solid #1c2733; border-radius: 6px; padding: 15px 20px; flex: 1; min-width: 140px; border-left: 3px solid #30363d; }
-  .stat .num { font-size: 34px; font-weight: 700; letter-spacing: 1px; }
-  .stat .label { font-size: 12px; color: #8b949e; margin-top: 2px; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600; }
-  .stat.green .num { color: #3fb950; }
-  .stat.green { border-left-color: #3fb950; }
-  .stat.blue .num { color: #58a6ff; }
-  .stat.blue { border-left-color: #58a6ff; }
-  .stat.orange .num { color: #d29922; }
-  .stat.orange { border-left-color: #d29922; }
-  .stat.red .num { color: #f85149; }
-  .stat.red { border-left-color: #f85149; }
-  .stat.purple .num { color: #bc8cff; }
-  .stat.purple { border-left-color: #bc8cff; }
-  /* Alertas de spam/bot */
-  #spamAlerts { padding: 0 25px; }
-  .spam-alert-box { background: #2d1b1b; border: 1px solid #f85149; border-left: 4px solid #f85149; border-radius: 6px; padding: 12px 18px; margin-bottom: 10px; display: flex; align-items: center; justify-content: space-between; gap: 12px; }
-  .spam-alert-box .spam-info { flex: 1; }
-  .spam-alert-box .spam-title { color: #f85149; font-weight: 700; font-size: 14px; }
-  .spam-alert-box .spam-sub { color: #8b949e; font-size: 12px; margin-top: 2px; }
-  .spam-alert-box .spam-actions { display: flex; gap: 8px; flex-shrink: 0; }
-  .btn-spam-bot { background: #f85149; color: #fff; border: none; border-radius: 4px; padding: 6px 12px; font-size: 12px; cursor: pointer; font-weight: 600; }
-  .btn-spam-bot:hover { background: #da3633; }
-  .btn-spam-ok { background: #238636; color: #fff; border: none; border-radius: 4px; padding: 6px 12px; font-size: 12px; cursor: pointer; font-weight: 600; }
-  .btn-spam-ok:hover { background: #2ea043; }
-  .btn-spam-ver { background: #1c2733; color: #58a6ff; border: 1px solid #1c6fb5; border-radius: 4px; padding: 6px 12px; font-size: 12px; cursor: pointer; }
-  .btn-spam-ver:hover { background: #0d1117; }
-  .container { display: flex; gap: 20px; padding: 0 25px 25px; height: calc(100vh - 265px); }
-  .panel { background: #111820; border: 1px solid #1c2733; border-radius: 6px; overflow: hidden; display: flex; flex-direction: column; }
-  .panel-left { flex: 1; min-width: 400px; }
-  .panel-right { flex: 1.4; min-width: 400px; display: flex; flex-direction: column; }
-  .panel-right-detail { flex: 0 0 auto; max-height: 45%; overflow-y: auto; border-bottom: 2px solid #f8514933; }
-  .panel-right-detail::-webkit-scrollbar { width: 4px; }
-  .panel-right-detail::-webkit-scrollbar-track { background: #0a0e13; }
-  .panel-right-detail::-webkit-scrollbar-thumb { background: #1c2733; border-radius: 3px; }
-  .panel-right-chat { flex: 1; overflow-y: auto; min-height: 0; }
-  .panel-right-chat::-webkit-scrollbar { width: 6px; }
-  .panel-right-chat::-webkit-scrollbar-track { background: #0a0e13; }
-  .panel-right-chat::-webkit-scrollbar-thumb { background: #1c2733; border-radius: 3px; }
-  .panel-header { padding: 12px 15px; border-bottom: 1px solid #1c2733; font-size: 15px; font-weight: 600; letter-spacing: 1px; text-transform: uppercase; display: flex; justify-content: space-between; align-items: center; }
-  .panel-header input { background: #0a0e13; border: 1px solid #1c2733; color: #e6edf3; padding: 8px 14px; border-radius: 4px; font-size: 14px; width: 220px; font-family: 'Rajdhani', sans-serif; }
-  .panel-header input:focus { border-color: #f85149; outline: none; }
-  .panel-body { overflow-y: auto; flex: 1; }
-  .panel-body::-webkit-scrollbar { width: 6px; }
-  .panel-body::-webkit-scrollbar-track { background: #0a0e13; }
-  .panel-body::-webkit-scrollbar-thumb { background: #1c2733; border-radius: 3px; }
-  .client-row { padding: 10px 15px; border-bottom: 1px solid #151c25; cursor: pointer; display: flex; align-items: center; gap: 12px; transition: all 0.15s; }
-  .client-row:hover { background: #151c25; border-left: 3px solid #f8514966; }
-  .client-row.active { background: #151c25; border-left: 3px solid #f85149; }
-  .client-avatar { width: 38px; height: 38px; border-radius: 4px; background: #1c2733; display: flex; align-items: center; justify-content: center; font-size: 15px; flex-shrink: 0; font-family: 'Chakra Petch', sans-serif; font-weight: 700; color: #f85149; }
-  .client-info { flex: 1; min-width: 0; }
-  .client-name { font-size: 15px; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-  .client-phone { font-size: 12px; color: #586776; }
-  .client-meta { text-align: right; flex-shrink: 0; }
-  .client-status { font-size: 10px; padding: 2px 8px; border-radius: 3px; display: inline-block; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; }
-  .status-new { background: #1f6feb22; color: #58a6ff; border: 1px solid #1f6feb44; }
-  .status-assigned { background: #d2992222; color: #d29922; border: 1px solid #d2992244; }
-  .status-completed { background: #23863622; color: #3fb950; border: 1px solid #23863644; }
-  .status-postventa { background: #3fb95022; color: #3fb950; border: 1px solid #3fb95044; }
-  .status-carnet_pendiente, .status-carnet-pendiente { background: #bc8cff22; color: #bc8cff; border: 1px solid #bc8cff44; }
-  .status-despacho_pendiente, .status-despacho-pendiente { background: #f0883e22; color: #f0883e; border: 1px solid #f0883e44; }
-  .status-municion_pendiente, .status-municion-pendiente { background: #f8514922; color: #f85149; border: 1px solid #f8514944; }
-  .status-recuperacion_pendiente, .status-recuperacion-pendiente { background: #d2992222; color: #d29922; border: 1px solid #d2992244; }
-  .status-bot_asesor_pendiente, .status-bot-asesor-pendiente { background: #58a6ff22; color: #58a6ff; border: 1px solid #58a6ff44; }
-  .client-count { font-size: 11px; color: #3d4f5f; font-family: 'Share Tech Mono', monospace; }
-  .client-memory { font-size: 12px; color: #586776; margin-top: 3px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 280px; }
-  .chat-container { padding: 15px; display: flex; flex-direction: column; gap: 8px; }
-  .chat-empty { display: flex; align-items: center; justify-content: center; height: 100%; color: #3d4f5f; font-size: 15px; text-transform: uppercase; letter-spacing: 2px; font-family: 'Chakra Petch', sans-serif; }
-  .chat-bubble { max-width: 80%; padding: 10px 14px; border-radius: 6px; font-size: 14px; line-height: 1.5; word-wrap: break-word; }
-  .chat-user { background: #1a3a5c; align-self: flex-start; border-left: 3px solid #58a6ff; }
-  .chat-assistant { background: #1c2733; align-self: flex-end; border-right: 3px solid #f85149; }
-  .chat-time { font-size: 10px; color: #3d4f5f; margin-top: 2px; }
-  .client-detail { padding: 15px; border-bottom: 1px solid #1c2733; background: #0d1219; }
-  .client-detail h3 { font-size: 18px; margin-bottom: 10px; font-family: 'Chakra Petch', sans-serif; font-weight: 700; letter-spacing: 1px; }
-  .detail-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
-  .detail-item { font-size: 13px; }
-  .detail-item .dl { color: #586776; text-transform: uppercase; font-size: 11px; letter-spacing: 1px; }
-  .detail-item .dv { color: #e6edf3; font-weight: 600; display: block; margin-top: 2px; }
-  .memory-box { background: #0a0e13; border: 1px solid #1c2733; border-left: 3px solid #bc8cff; border-radius: 4px; padding: 12px; margin-top: 12px; font-size: 12px; color: #8b949e; white-space: pre-wrap; max-height: 120px; overflow-y: auto; }
-  .hot-badge { background: #f8514933; color: #f85149; font-size: 10px; padding: 2px 8px; border-radius: 3px; margin-left: 8px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; }
-  .crm-actions { margin-top: 12px; border-top: 1px solid #1c2733; padding-top: 12px; }
-  .crm-actions-title { font-size: 11px; color: #586776; text-transform: uppercase; letter-spacing: 1.5px; margin-bottom: 8px; font-family: 'Chakra Petch', sans-serif; }
-  .crm-chips { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
-  .crm-chip { background: #1c2733; border: 1px solid #30363d; color: #8b949e; font-size: 11px; padding: 4px 10px; border-radius: 3px; cursor: pointer; font-family: 'Chakra Petch', sans-serif; font-weight: 600; text-transform: uppercase; letter-spacing: 0.8px; transition: all 0.15s; }
-  .crm-chip:hover { background: #238636; border-color: #3fb950; color: #fff; }
-  .crm-chip.danger:hover { background: #b91c1c; border-color: #f85149; color: #fff; }
-  .crm-note-row { display: flex; gap: 6px; }
-  .crm-note-input { flex: 1; background: #0a0e13; border: 1px solid #1c2733; color: #e6edf3; padding: 7px 10px; border-radius: 4px; font-size: 13px; font-family: 'Rajdhani', sans-serif; }
-  .crm-note-input:focus { border-color: #f85149; outline: none; }
-  .crm-note-btn { background: #1f6feb; border: none; color: #fff; padding: 7px 14px; border-radius: 4px; cursor: pointer; font-size: 12px; font-family: 'Chakra Petch', sans-serif; font-weight: 600; text-transform: uppercase; letter-spacing: 0.8px; white-space: nowrap; }
-  .crm-note-btn:hover { background: #388bfd; }
-  .crm-feedback { font-size: 11px; color: #3fb950; margin-top: 5px; height: 14px; font-family: 'Share Tech Mono', monospace; }
-  .tabs { display: flex; border-bottom: 1px solid #1c2733; }
-  .tab { padding: 10px 18px; font-size: 13px; cursor: pointer; border-bottom: 2px solid transparent; color: #586776; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; transition: all 0.15s; }
-  .tab.active { color: #e6edf3; border-bottom-color: #f85149; }
-  .tab:hover { color: #e6edf3; }
-  /* Tabs de vista principal */
-  .main-tabs { display: flex; border-bottom: 2px solid #1c2733; padding: 0 25px; background: #0d1117; gap: 0; }
-  .main-tab { padding: 12px 22px; font-size: 14px; cursor: pointer; border-bottom: 3px solid transparent; margin-bottom: -2px; color: #586776; font-weight: 600; text-transform: uppercase; letter-spacing: 1.5px; transition: all 0.15s; font-family: 'Chakra Petch', sans-serif; }
-  .main-tab.active { color: #e6edf3; border-bottom-color: #f85149; }
-  .main-tab:hover { color: #e6edf3; }
-  .main-tab .badge { background: #f85149; color: #fff; border-radius: 10px; font-size: 10px; padding: 1px 6px; margin-left: 6px; font-weight: 700; }
-  /* Vista comprobantes */
-  #viewClientes, #viewComprobantes, #viewCarnets, #viewPostventa { display: none; }
-  #viewClientes.active, #viewPostventa.active { display: flex; }
-  #viewComprobantes.active, #viewCarnets.active { display: flex; flex-direction: column; padding: 20px 25px; gap: 15px; overflow-y: auto; height: calc(100vh - 265px); }
-  .comprobante-card { background: #111820; border: 1px solid #1c2733; border-left: 4px solid #d29922; border-radius: 6px; padding: 18px; display: flex; gap: 18px; align-items: flex-start; }
-  .comprobante-img { width: 120px; height: 120px; object-fit: cover; border-radius: 4px; border: 1px solid #30363d; cursor: pointer; flex-shrink: 0; background: #0a0e13; }
-  .comprobante-img-placeholder { width: 120px; height: 120px; border-radius: 4px; border: 1px solid #30363d; background: #0a0e13; display: flex; align-items: center; justify-content: center; color: #3d4f5f; font-size: 12px; flex-shrink: 0; text-align: center; }
-  .comprobante-info { flex: 1; min-width: 0; }
-  .comprobante-name { font-size: 17px; font-weight: 700; font-family: 'Chakra Petch', sans-serif; letter-spacing: 0.5px; }
-  .comprobante-phone { font-size: 12px; color: #586776; font-family: 'Share Tech Mono', monospace; margin-top: 2px; }
-  .comprobante-detail { font-size: 13px; color: #8b949e; margin-top: 8px; line-height: 1.6; }
-  .comprobante-detail strong { color: #d29922; }
-  .comprobante-tipo { display: inline-block; font-size: 11px; padding: 2px 8px; border-radius: 3px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; margin-top: 6px; }
-  .tipo-club { background: #1f6feb22; color: #58a6ff; border: 1px solid #1f6feb44; }
-  .tipo-producto { background: #23863622; color: #3fb950; border: 1px solid #23863644; }
-  .tipo-bot { background: #bc8cff22; color: #bc8cff; border: 1px solid #bc8cff44; }
+  // Línea de tiempo de auditoría de un cliente
+  if (url.pathname === '/api/audit') {
+    try {
+      const phone = url.searchParams.get('phone');
+      const events = crm.getAuditEvents(phone, 200);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(events));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Búsqueda de texto completo en conversaciones y fichas (FTS5)
+  if (url.pathname === '/api/search') {
+    try {
+      const q = (url.searchParams.get('q') || '').trim();
+      // Marcadores de control: el navegador escapa el HTML y luego los cambia por <mark>
+      const results = crm.searchText(q, { limit: 30, open: '\u0001', close: '\u0002' });
+      console.log(`[PANEL] 🔎 Búsqueda "${q}": ${results.clients.length} clientes, ${results.messages.length} mensajes`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(results));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Embudo de ventas (status_history)
+  if (url.pathname === '/api/funnel') {
+    try {
+      const days = parseInt(url.searchParams.get('days'), 10) || null;
+      const funnel = crm.getFunnelReport(days);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(funnel));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Pedidos (post-venta)
+  if (url.pathname === '/api/orders') {
+    try {
+      const status = url.searchParams.get('status') || null;
+      const orders = crm.getOrders({ status });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(orders));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Avanzar estado de un pedido
+  if (url.pathname === '/api/order-status' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { id, status } = JSON.parse(body);
+        crm.updateOrderStatus(id, status, { actor: 'panel', reason: 'pedido actualizado en panel' });
+        console.log(`[PANEL] 🧾 Pedido #${id} → ${status}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Registrar guía de envío — relay al bot (guarda el envío y avisa al cliente)
+  if (url.pathname === '/api/registrar-envio' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const payload = body;
+        const botReq = http.request({
+          hostname: 'localhost',
+          port: 3001,
+          path: '/registrar-envio',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+        }, botRes => {
+          let data = '';
+          botRes.on('data', chunk => data += chunk);
+          botRes.on('end', () => {
+            console.log(`[PANEL] 📦 Envío registrado:`, data);
+            res.writeHead(botRes.statusCode, { 'Content-Type': 'application/json' });
+            res.end(data);
+          });
+        });
+        botReq.on('error', () => {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: '❌ No se pudo conectar con el bot. ¿Está corriendo?' }));
+        });
+        botReq.write(payload);
+        botReq.end();
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Transferir el cliente a otro asesor (el bot avisa a ambos por WhatsApp)
+  if (url.pathname === '/api/transferir' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const payload = body;
+        const botReq = http.request({
+          hostname: 'localhost',
+          port: 3001,
+          path: '/transferir-asignacion',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+        }, botRes => {
+          let data = '';
+          botRes.on('data', chunk => data += chunk);
+          botRes.on('end', () => {
+            console.log(`[PANEL] ↪️ Transferencia:`, data);
+            res.writeHead(botRes.statusCode, { 'Content-Type': 'application/json' });
+            res.end(data);
+          });
+        });
+        botReq.on('error', () => {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: '❌ No se pudo conectar con el bot. ¿Está corriendo?' }));
+        });
+        botReq.write(payload);
+        botReq.end();
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Cambiar estado de un envío (en camino / entregado / devuelto)
+  if (url.pathname === '/api/shipment-status' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { id, status } = JSON.parse(body);
+        const shipment = crm.updateShipmentStatus(id, status, { actor: 'panel', reason: 'envío actualizado en panel' });
+        console.log(`[PANEL] 📦 Envío #${id} → ${status}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, shipment }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Transportadoras conocidas (para el formulario de guía)
+  if (url.pathname === '/api/carriers') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(Object.entries(crm.CARRIERS).map(([id, c]) => ({ id, label: c.label }))));
+    return;
+  }
+
+  // Inventario por variante (producto × color) + últimos movimientos
+  if (url.pathname === '/api/inventory') {
+    try {
+      const variants = crm.getInventory();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        variants,
+        lowStock: variants.filter(v => v.lowStock).length,
+        movements: crm.getStockMovements(30)
+      }));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Registrar conteo de stock de una variante
+  if (url.pathname === '/api/inventory-stock' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { producto, color, stock, minStock } = JSON.parse(body);
+        const variant = crm.setStock(producto, color, stock, { minStock }, { actor: 'panel', reason: 'conteo en panel' });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, variant }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Estrategia de asignación y pesos de los asesores (router.js)
+  if (url.pathname === '/api/routing' && req.method === 'GET') {
+    try {
+      const employees = crm.getEmployeeLoads().map(e => {
+        const turnos = crm.getEmployeeShifts(e.id);
+        return { ...e, schedule: shifts.formatSchedule(turnos), onShift: shifts.isOnShift(turnos) };
+      });
+      const turno = router.getShiftStatus();
+      const sla = router.getSlaConfig();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...router.getRoutingConfig(), strategies: router.STRATEGIES, skills: crm.EMPLOYEE_SKILLS, employees,
+        nextShift: turno.nextStart ? shifts.describeWhen(turno.nextStart) : null,
+        pendingHandoffs: crm.getPendingHandoffs(),
+        sla, slaActions: router.SLA_ACTIONS, slaReport: crm.getSlaReport(sla.minutes, 30),
+        handoff: router.getHandoffConfig(), clientMessages: router.CLIENT_HANDOFF_MESSAGES,
+        overdue: crm.getOverdueAssignments(sla.minutes)
+      }));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  if (url.pathname === '/api/routing' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const { strategy, sticky, weights, skills, schedules, sla, handoff } = JSON.parse(body);
+        const config = router.setRoutingConfig({ strategy, sticky, weights, skills, schedules, sla, handoff });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, ...config }));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // Catálogo de armas (para elegir el producto al confirmar un comprobante)
+  if (url.pathname === '/api/catalogo') {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'catalogo_contexto.json'), 'utf8'));
+      const productos = [];
+      for (const [categoria, items] of Object.entries(data.categorias || {})) {
+        if (categoria === 'SERVICIOS') continue;
+        items.forEach(p => productos.push({
+          titulo: p.titulo, precio_plus: p.precio_plus || null, precio_pro: p.precio_pro || null,
+          variantes: crm.getProductStock(p.titulo).map(v => ({ color: v.color, stock: v.stock, counted: v.counted, soldOut: v.soldOut }))
+        }));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(productos));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // Panel HTML
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(getHTML());
+});
+
+function getHTML() {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Panel ZT — Zona Traumática</title>
+<link href="https://fonts.googleapis.com/css2?family=Chakra+Petch:wght@400;500;600;700&family=Rajdhani:wght@400;500;600;700&family=Share+Tech+Mono&display=swap" rel="stylesheet">
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: 'Rajdhani', sans-serif; background: #0a0e13; color: #e6edf3; font-weight: 500; letter-spacing: 0.3px; }
+  h1, h2, h3, .stat .num, .panel-header, .tab, .refresh-btn { font-family: 'Chakra Petch', sans-serif; }
+  .client-phone, .chat-time, .memory-box, code { font-family: 'Share Tech Mono', monospace; }
+  .header { background: linear-gradient(180deg, #131920 0%, #0d1117 100%); border-bottom: 1px solid #f8514944; padding: 15px 25px; display: flex; justify-content: space-between; align-items: center; }
+  .header h1 { font-size: 22px; font-weight: 700; letter-spacing: 2px; text-transform: uppercase; }
+  .header h1 span { color: #f85149; }
+  .refresh-btn { background: #238636; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; }
+  .refresh-btn:hover { background: #2ea043; }
+  .reactivar-btn { background: linear-gradient(135deg, #f85149, #c0392b); color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; margin-right: 8px; }
+  .reactivar-btn:hover { background: linear-gradient(135deg, #ff6b6b, #e74c3c); }
+  .reactivar-btn:disabled { background: #333; color: #666; cursor: not-allowed; }
+  .stats { display: flex; gap: 15px; padding: 20px 25px; flex-wrap: wrap; }
+  .stat { background: #111820; border: 1px solid #1c2733; border-radius: 6px; padding: 15px 20px; flex: 1; min-width: 140px; border-left: 3px solid #30363d; }
+  .stat .num { font-size: 34px; font-weight: 700; letter-spacing: 1px; }
+  .stat .label { font-size: 12px; color: #8b949e; margin-top: 2px; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600; }
+  .stat.green .num { color: #3fb950; }
+  .stat.green { border-left-color: #3fb950; }
+  .stat.blue .num { color: #58a6ff; }
+  .stat.blue { border-left-color: #58a6ff; }
+  .stat.orange .num { color: #d29922; }
+  .stat.orange { border-left-color: #d29922; }
+  .stat.red .num { color: #f85149; }
+  .stat.red { border-left-color: #f85149; }
+  .stat.purple .num { color: #bc8cff; }
+  .stat.purple { border-left-color: #bc8cff; }
+  /* Alertas de spam/bot */
+  #spamAlerts { padding: 0 25px; }
+  .spam-alert-box { background: #2d1b1b; border: 1px solid #f85149; border-left: 4px solid #f85149; border-radius: 6px; padding: 12px 18px; margin-bottom: 10px; display: flex; align-items: center; justify-content: space-between; gap: 12px; }
+  .spam-alert-box .spam-info { flex: 1; }
+  .spam-alert-box .spam-title { color: #f85149; font-weight: 700; font-size: 14px; }
+  .spam-alert-box .spam-sub { color: #8b949e; font-size: 12px; margin-top: 2px; }
+  .spam-alert-box .spam-actions { display: flex; gap: 8px; flex-shrink: 0; }
+  .btn-spam-bot { background: #f85149; color: #fff; border: none; border-radius: 4px; padding: 6px 12px; font-size: 12px; cursor: pointer; font-weight: 600; }
+  .btn-spam-bot:hover { background: #da3633; }
+  .btn-spam-ok { background: #238636; color: #fff; border: none; border-radius: 4px; padding: 6px 12px; font-size: 12px; cursor: pointer; font-weight: 600; }
+  .btn-spam-ok:hover { background: #2ea043; }
+  .btn-spam-ver { background: #1c2733; color: #58a6ff; border: 1px solid #1c6fb5; border-radius: 4px; padding: 6px 12px; font-size: 12px; cursor: pointer; }
+  .btn-spam-ver:hover { background: #0d1117; }
+  .container { display: flex; gap: 20px; padding: 0 25px 25px; height: calc(100vh - 265px); }
+  .panel { background: #111820; border: 1px solid #1c2733; border-radius: 6px; overflow: hidden; display: flex; flex-direction: column; }
+  .panel-left { flex: 1; min-width: 400px; }
+  .panel-right { flex: 1.4; min-width: 400px; display: flex; flex-direction: column; }
+  .panel-right-detail { flex: 0 0 auto; max-height: 45%; overflow-y: auto; border-bottom: 2px solid #f8514933; }
+  .panel-right-detail::-webkit-scrollbar { width: 4px; }
+  .panel-right-detail::-webkit-scrollbar-track { background: #0a0e13; }
+  .panel-right-detail::-webkit-scrollbar-thumb { background: #1c2733; border-radius: 3px; }
+  .panel-right-chat { flex: 1; overflow-y: auto; min-height: 0; }
+  .panel-right-chat::-webkit-scrollbar { width: 6px; }
+  .panel-right-chat::-webkit-scrollbar-track { background: #0a0e13; }
+  .panel-right-chat::-webkit-scrollbar-thumb { background: #1c2733; border-radius: 3px; }
+  .panel-header { padding: 12px 15px; border-bottom: 1px solid #1c2733; font-size: 15px; font-weight: 600; letter-spacing: 1px; text-transform: uppercase; display: flex; justify-content: space-between; align-items: center; }
+  .panel-header input { background: #0a0e13; border: 1px solid #1c2733; color: #e6edf3; padding: 8px 14px; border-radius: 4px; font-size: 14px; width: 220px; font-family: 'Rajdhani', sans-serif; }
+  .panel-header input:focus { border-color: #f85149; outline: none; }
+  .panel-body { overflow-y: auto; flex: 1; }
+  .panel-body::-webkit-scrollbar { width: 6px; }
+  .panel-body::-webkit-scrollbar-track { background: #0a0e13; }
+  .panel-body::-webkit-scrollbar-thumb { background: #1c2733; border-radius: 3px; }
+  .client-row { padding: 10px 15px; border-bottom: 1px solid #151c25; cursor: pointer; display: flex; align-items: center; gap: 12px; transition: all 0.15s; }
+  .client-row:hover { background: #151c25; border-left: 3px solid #f8514966; }
+  .client-row.active { background: #151c25; border-left: 3px solid #f85149; }
+  .client-avatar { width: 38px; height: 38px; border-radius: 4px; background: #1c2733; display: flex; align-items: center; justify-content: center; font-size: 15px; flex-shrink: 0; font-family: 'Chakra Petch', sans-serif; font-weight: 700; color: #f85149; }
+  .client-info { flex: 1; min-width: 0; }
+  .client-name { font-size: 15px; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .client-phone { font-size: 12px; color: #586776; }
+  .client-meta { text-align: right; flex-shrink: 0; }
+  .client-status { font-size: 10px; padding: 2px 8px; border-radius: 3px; display: inline-block; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; }
+  .status-new { background: #1f6feb22; color: #58a6ff; border: 1px solid #1f6feb44; }
+  .status-assigned { background: #d2992222; color: #d29922; border: 1px solid #d2992244; }
+  .status-completed { background: #23863622; color: #3fb950; border: 1px solid #23863644; }
+  .status-postventa { background: #3fb95022; color: #3fb950; border: 1px solid #3fb95044; }
+  .status-carnet_pendiente, .status-carnet-pendiente { background: #bc8cff22; color: #bc8cff; border: 1px solid #bc8cff44; }
+  .status-despacho_pendiente, .status-despacho-pendiente { background: #f0883e22; color: #f0883e; border: 1px solid #f0883e44; }
+  .status-municion_pendiente, .status-municion-pendiente { background: #f8514922; color: #f85149; border: 1px solid #f8514944; }
+  .status-recuperacion_pendiente, .status-recuperacion-pendiente { background: #d2992222; color: #d29922; border: 1px solid #d2992244; }
+  .status-bot_asesor_pendiente, .status-bot-asesor-pendiente { background: #58a6ff22; color: #58a6ff; border: 1px solid #58a6ff44; }
+  .status-order-paid { background: #d2992222; color: #d29922; border: 1px solid #d2992244; }
+  .status-order-data_collected { background: #bc8cff22; color: #bc8cff; border: 1px solid #bc8cff44; }
+  .status-order-shipped { background: #58a6ff22; color: #58a6ff; border: 1px solid #58a6ff44; }
+  .status-order-delivered { background: #23863622; color: #3fb950; border: 1px solid #23863644; }
+  .status-order-cancelled { background: #f8514922; color: #f85149; border: 1px solid #f8514944; }
+  .client-count { font-size: 11px; color: #3d4f5f; font-family: 'Share Tech Mono', monospace; }
+  .client-memory { font-size: 12px; color: #586776; margin-top: 3px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 280px; }
+  .chat-container { padding: 15px; display: flex; flex-direction: column; gap: 8px; }
+  .chat-empty { display: flex; align-items: center; justify-content: center; height: 100%; color: #3d4f5f; font-size: 15px; text-transform: uppercase; letter-spacing: 2px; font-family: 'Chakra Petch', sans-serif; }
+  .chat-bubble { max-width: 80%; padding: 10px 14px; border-radius: 6px; font-size: 14px; line-height: 1.5; word-wrap: break-word; }
+  .chat-user { background: #1a3a5c; align-self: flex-start; border-left: 3px solid #58a6ff; }
+  .chat-assistant { background: #1c2733; align-self: flex-end; border-right: 3px solid #f85149; }
+  .chat-time { font-size: 10px; color: #3d4f5f; margin-top: 2px; }
+  .client-detail { padding: 15px; border-bottom: 1px solid #1c2733; background: #0d1219; }
+  .client-detail h3 { font-size: 18px; margin-bottom: 10px; font-family: 'Chakra Petch', sans-serif; font-weight: 700; letter-spacing: 1px; }
+  .detail-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+  .detail-item { font-size: 13px; }
+  .detail-item .dl { color: #586776; text-transform: uppercase; font-size: 11px; letter-spacing: 1px; }
+  .detail-item .dv { color: #e6edf3; font-weight: 600; display: block; margin-top: 2px; }
+  .memory-box { background: #0a0e13; border: 1px solid #1c2733; border-left: 3px solid #bc8cff; border-radius: 4px; padding: 12px; margin-top: 12px; font-size: 12px; color: #8b949e; white-space: pre-wrap; max-height: 120px; overflow-y: auto; }
+  .tag-chip { display: inline-block; background: #1c2733; color: #8b949e; border: 1px solid #30363d; border-radius: 10px; font-size: 10px; padding: 1px 8px; margin: 2px 4px 0 0; font-family: 'Share Tech Mono', monospace; }
+  .tag-chip.system { color: #58a6ff; border-color: #1f6feb44; }
+  .tag-chip .tag-x { cursor: pointer; margin-left: 4px; color: #f85149; }
+  #tagFilter { background: #111820; border: 1px solid #30363d; color: #8b949e; border-radius: 4px; font-size: 11px; padding: 4px 6px; margin-left: auto; }
+  .sla-badge { background: #d2992233; color: #d29922; font-size: 10px; padding: 2px 8px; border-radius: 3px; margin-left: 8px; font-weight: 700; font-family: 'Chakra Petch', sans-serif; }
+  .hot-badge { background: #f8514933; color: #f85149; font-size: 10px; padding: 2px 8px; border-radius: 3px; margin-left: 8px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; }
+  .crm-actions { margin-top: 12px; border-top: 1px solid #1c2733; padding-top: 12px; }
+  .crm-actions-title { font-size: 11px; color: #586776; text-transform: uppercase; letter-spacing: 1.5px; margin-bottom: 8px; font-family: 'Chakra Petch', sans-serif; }
+  .crm-chips { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+  .crm-chip { background: #1c2733; border: 1px solid #30363d; color: #8b949e; font-size: 11px; padding: 4px 10px; border-radius: 3px; cursor: pointer; font-family: 'Chakra Petch', sans-serif; font-weight: 600; text-transform: uppercase; letter-spacing: 0.8px; transition: all 0.15s; }
+  .crm-chip:hover { background: #238636; border-color: #3fb950; color: #fff; }
+  .crm-chip.danger:hover { background: #b91c1c; border-color: #f85149; color: #fff; }
+  .crm-note-row { display: flex; gap: 6px; }
+  .crm-note-input { flex: 1; background: #0a0e13; border: 1px solid #1c2733; color: #e6edf3; padding: 7px 10px; border-radius: 4px; font-size: 13px; font-family: 'Rajdhani', sans-serif; }
+  .crm-note-input:focus { border-color: #f85149; outline: none; }
+  .crm-note-btn { background: #1f6feb; border: none; color: #fff; padding: 7px 14px; border-radius: 4px; cursor: pointer; font-size: 12px; font-family: 'Chakra Petch', sans-serif; font-weight: 600; text-transform: uppercase; letter-spacing: 0.8px; white-space: nowrap; }
+  .crm-note-btn:hover { background: #388bfd; }
+  .crm-feedback { font-size: 11px; color: #3fb950; margin-top: 5px; height: 14px; font-family: 'Share Tech Mono', monospace; }
+  .tabs { display: flex; border-bottom: 1px solid #1c2733; }
+  .tab { padding: 10px 18px; font-size: 13px; cursor: pointer; border-bottom: 2px solid transparent; color: #586776; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; transition: all 0.15s; }
+  .tab.active { color: #e6edf3; border-bottom-color: #f85149; }
+  .tab:hover { color: #e6edf3; }
+  /* Tabs de vista principal */
+  .main-tabs { display: flex; border-bottom: 2px solid #1c2733; padding: 0 25px; background: #0d1117; gap: 0; }
+  .main-tab { padding: 12px 22px; font-size: 14px; cursor: pointer; border-bottom: 3px solid transparent; margin-bottom: -2px; color: #586776; font-weight: 600; text-transform: uppercase; letter-spacing: 1.5px; transition: all 0.15s; font-family: 'Chakra Petch', sans-serif; }
+  .main-tab.active { color: #e6edf3; border-bottom-color: #f85149; }
+  .main-tab:hover { color: #e6edf3; }
+  .main-tab .badge { background: #f85149; color: #fff; border-radius: 10px; font-size: 10px; padding: 1px 6px; margin-left: 6px; font-weight: 700; }
+  /* Vista comprobantes */
+  #viewClientes, #viewComprobantes, #viewCarnets, #viewPostventa, #viewBusqueda, #viewEmbudo, #viewInventario, #viewEquipo { display: none; }
+  #viewClientes.active, #viewPostventa.active { display: flex; }
+  #viewComprobantes.active, #viewCarnets.active, #viewBusqueda.active, #viewEmbudo.active, #viewInventario.active, #viewEquipo.active { display: flex; flex-direction: column; padding: 20px 25px; gap: 15px; overflow-y: auto; height: calc(100vh - 265px); }
+  .comprobante-card { background: #111820; border: 1px solid #1c2733; border-left: 4px solid #d29922; border-radius: 6px; padding: 18px; display: flex; gap: 18px; align-items: flex-start; }
+  .comprobante-img { width: 120px; height: 120px; object-fit: cover; border-radius: 4px; border: 1px solid #30363d; cursor: pointer; flex-shrink: 0; background: #0a0e13; }
+  .comprobante-img-placeholder { width: 120px; height: 120px; border-radius: 4px; border: 1px solid #30363d; background: #0a0e13; display: flex; align-items: center; justify-content: center; color: #3d4f5f; font-size: 12px; flex-shrink: 0; text-align: center; }
+  .comprobante-info { flex: 1; min-width: 0; }
+  .comprobante-name { font-size: 17px; font-weight: 700; font-family: 'Chakra Petch', sans-serif; letter-spacing: 0.5px; }
+  .comprobante-phone { font-size: 12px; color: #586776; font-family: 'Share Tech Mono', monospace; margin-top: 2px; }
+  .comprobante-detail { font-size: 13px; color: #8b949e; margin-top: 8px; line-height: 1.6; }
+  .comprobante-detail strong { color: #d29922; }
+  .comprobante-tipo { display: inline-block; font-size: 11px; padding: 2px 8px; border-radius: 3px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; font-family: 'Chakra Petch', sans-serif; margin-top: 6px; }
+  .tipo-club { background: #1f6feb22; color: #58a6ff; border: 1px solid #1f6feb44; }
+  .tipo-producto { background: #23863622; color: #3fb950; border: 1px solid #23863644; }
+  .tipo-bot { background: #bc8cff22; color: #bc8cff; border: 1px solid #bc8cff44; }
   .tipo-desconocido { background: #d2992222; color: #d29922; border: 1px solid #d2992244; }
   .comprobante-time { font-size: 11px; color: #3d4f5f; font-family: 'Share Tech Mono', monospace; margin-top: 4px; }
   .comprobante-actions { display: flex; flex-direction: column; gap: 8px; flex-shrink: 0; align-self: center; }
@@ -774,6 +1276,23 @@ function getHTML() {
   .btn-rechazar { background: linear-gradient(135deg, #6e1313, #9b1c1c); color: #fff; border: none; border-radius: 4px; padding: 10px 18px; font-size: 13px; font-weight: 700; cursor: pointer; font-family: 'Chakra Petch', sans-serif; text-transform: uppercase; letter-spacing: 1px; white-space: nowrap; }
   .btn-rechazar:hover { background: linear-gradient(135deg, #9b1c1c, #b91c1c); }
   .btn-rechazar:disabled { background: #3a1010; color: #f85149; cursor: not-allowed; }
+  .audit-box { margin-top: 12px; border-top: 1px solid #1c2733; padding-top: 10px; }
+  .audit-box summary { font-size: 11px; color: #586776; text-transform: uppercase; letter-spacing: 1.5px; cursor: pointer; font-family: 'Chakra Petch', sans-serif; }
+  #auditTimeline { max-height: 220px; overflow-y: auto; margin-top: 8px; border-left: 2px solid #1c2733; padding-left: 10px; }
+  .audit-row { font-size: 12px; color: #8b949e; padding: 5px 0; border-bottom: 1px solid #151c25; }
+  .audit-time { font-family: 'Share Tech Mono', monospace; color: #3d4f5f; margin-right: 6px; }
+  .audit-actor { background: #1c2733; border-radius: 3px; padding: 0 6px; margin-right: 6px; font-size: 11px; }
+  .audit-change { font-family: 'Share Tech Mono', monospace; font-size: 11px; margin-top: 2px; word-break: break-word; }
+  .audit-reason { font-size: 11px; color: #586776; font-style: italic; }
+  .audit-empty { font-size: 12px; color: #3d4f5f; }
+  .search-hit { background: #111820; border: 1px solid #1c2733; border-radius: 6px; padding: 10px 14px; cursor: pointer; margin-bottom: 8px; }
+  .search-hit:hover { border-color: #f8514966; }
+  .search-hit mark { background: #d2992255; color: #e6edf3; padding: 0 2px; border-radius: 2px; }
+  .search-hit .hit-meta { font-size: 11px; color: #586776; font-family: 'Share Tech Mono', monospace; }
+  .funnel-row { background: #111820; border: 1px solid #1c2733; border-radius: 6px; padding: 10px 14px; }
+  .funnel-bar { height: 8px; background: #1c2733; border-radius: 4px; margin-top: 6px; overflow: hidden; }
+  .funnel-bar div { height: 100%; background: linear-gradient(90deg, #f85149, #d29922); }
+  .funnel-meta { font-size: 11px; color: #586776; font-family: 'Share Tech Mono', monospace; }
   .comprobante-empty { display: flex; align-items: center; justify-content: center; height: 200px; color: #3d4f5f; font-size: 15px; text-transform: uppercase; letter-spacing: 2px; font-family: 'Chakra Petch', sans-serif; }
   /* Lightbox para ver imagen completa */
   #imgLightbox { display:none; position:fixed; top:0; left:0; width:100%; height:100%; background:#000000cc; z-index:9999; align-items:center; justify-content:center; cursor:zoom-out; }
@@ -789,6 +1308,7 @@ function getHTML() {
 <div class="header">
   <h1>🔫 Panel <span>Zona Traumática</span></h1>
   <div>
+    <span id="lastBackup" style="font-size:12px;margin-right:15px;"></span>
     <span id="lastUpdate" style="color:#484f58;font-size:12px;margin-right:15px;"></span>
     <button id="btnUpdateInventory" onclick="actualizarInventario()" style="background:linear-gradient(135deg, #8a2be2, #4b0082);color:white;border:none;padding:8px 14px;border-radius:4px;cursor:pointer;font-size:12px;font-family:'Chakra Petch',sans-serif;font-weight:700;margin-right:8px;text-transform:uppercase;letter-spacing:1px;" title="Actualiza el catálogo de productos leyendo la imagen con Inteligencia Artificial">🧠 Actualizar Inventario IA</button>
     <button class="reactivar-btn" id="btnReactivar" onclick="reactivarCalientes('normal')" title="Mensajes para retomar ventas (catálogo oficial)">🔥 Reactivar Calientes</button>
@@ -807,6 +1327,10 @@ function getHTML() {
   <div class="main-tab" id="mainTabComprobantes" onclick="switchMainTab('comprobantes')">💰 Por Verificar <span class="badge" id="comprobanteBadge" style="display:none">0</span></div>
   <div class="main-tab" id="mainTabCarnets" onclick="switchMainTab('carnets')">🪪 Carnets <span class="badge" id="carnetsBadge" style="display:none">0</span></div>
   <div class="main-tab" id="mainTabPostventa" onclick="switchMainTab('postventa')">🛠️ Post-venta <span class="badge" id="postventaBadge" style="display:none">0</span></div>
+  <div class="main-tab" id="mainTabBusqueda" onclick="switchMainTab('busqueda')">🔎 Búsqueda</div>
+  <div class="main-tab" id="mainTabEmbudo" onclick="switchMainTab('embudo')">📈 Embudo</div>
+  <div class="main-tab" id="mainTabInventario" onclick="switchMainTab('inventario')">📦 Inventario <span class="badge" id="inventarioBadge" style="display:none">0</span></div>
+  <div class="main-tab" id="mainTabEquipo" onclick="switchMainTab('equipo')">👔 Equipo <span class="badge" id="equipoBadge" style="display:none">0</span></div>
 </div>
 
 <!-- Vista: Comercial -->
@@ -820,6 +1344,7 @@ function getHTML() {
       <div class="tab active" data-filter="all" onclick="setFilter('all',this)">Todos</div>
       <div class="tab" data-filter="new" onclick="setFilter('new',this)">Nuevos</div>
       <div class="tab" data-filter="hot" onclick="setFilter('hot',this)">🔥 Calientes</div>
+      <select id="tagFilter" onchange="renderClients()"><option value="">🏷️ Etiqueta</option></select>
     </div>
     <div class="panel-body" id="clientList"></div>
   </div>
@@ -844,16 +1369,16 @@ function getHTML() {
 <div id="viewPostventa" class="container">
   <div class="panel panel-left">
     <div class="panel-header">
-      <span>🛠️ Post-venta (<span id="postventaCount">0</span>)</span>
+      <span>🛠️ Pedidos (<span id="postventaCount">0</span>)</span>
       <input type="text" id="searchPostventa" placeholder="🔍 Buscar..." oninput="filterPostventa()">
     </div>
     <div class="tabs" style="flex-wrap:wrap;">
-      <div class="tab active" data-pvfilter="all" onclick="setPvFilter('all',this)">Todos</div>
-      <div class="tab" data-pvfilter="carnet_pendiente" onclick="setPvFilter('carnet_pendiente',this)">🪪 Carnet Club</div>
-      <div class="tab" data-pvfilter="despacho_pendiente" onclick="setPvFilter('despacho_pendiente',this)">📦 Dispositivo</div>
-      <div class="tab" data-pvfilter="municion_pendiente" onclick="setPvFilter('municion_pendiente',this)">🔫 Munición</div>
-      <div class="tab" data-pvfilter="recuperacion_pendiente" onclick="setPvFilter('recuperacion_pendiente',this)">🔧 Recuperación</div>
-      <div class="tab" data-pvfilter="bot_asesor_pendiente" onclick="setPvFilter('bot_asesor_pendiente',this)">🤖 Bot Asesor</div>
+      <div class="tab active" data-pvfilter="all" onclick="setPvFilter('all',this)">Abiertos</div>
+      <div class="tab" data-pvfilter="paid" onclick="setPvFilter('paid',this)">💰 Pagado</div>
+      <div class="tab" data-pvfilter="data_collected" onclick="setPvFilter('data_collected',this)">📋 Con datos</div>
+      <div class="tab" data-pvfilter="shipped" onclick="setPvFilter('shipped',this)">🚚 Enviado</div>
+      <div class="tab" data-pvfilter="delivered" onclick="setPvFilter('delivered',this)">✅ Entregado</div>
+      <div class="tab" data-pvfilter="sin_pedido" onclick="setPvFilter('sin_pedido',this)">📂 Sin pedido</div>
     </div>
     <div class="panel-body" id="postventaList"></div>
   </div>
@@ -864,6 +1389,36 @@ function getHTML() {
   </div>
 </div>
 
+<!-- Vista: Búsqueda en conversaciones y memoria -->
+<div id="viewBusqueda">
+  <div class="crm-note-row">
+    <input type="text" id="searchFtsInput" class="crm-note-input" placeholder="🔎 Ej: ekol firat, cali, cédula..." onkeydown="if(event.key==='Enter') buscarTexto()">
+    <button class="crm-note-btn" onclick="buscarTexto()">Buscar</button>
+  </div>
+  <div id="searchResults"></div>
+</div>
+
+<!-- Vista: Embudo de ventas -->
+<div id="viewEmbudo">
+  <div class="tabs">
+    <div class="tab" data-days="7" onclick="loadEmbudo(7)">7 días</div>
+    <div class="tab active" data-days="30" onclick="loadEmbudo(30)">30 días</div>
+    <div class="tab" data-days="90" onclick="loadEmbudo(90)">90 días</div>
+    <div class="tab" data-days="0" onclick="loadEmbudo(0)">Todo</div>
+  </div>
+  <div id="embudoContent"></div>
+</div>
+
+<!-- Vista: Inventario por variante -->
+<div id="viewInventario">
+  <div id="inventarioContent"></div>
+</div>
+
+<!-- Vista: Equipo (asesores y asignación) -->
+<div id="viewEquipo">
+  <div id="equipoContent"></div>
+</div>
+
 <!-- Lightbox imagen -->
 <div id="imgLightbox" onclick="closeLightbox()"><img id="imgLightboxImg" src="" alt="comprobante"></div>
 
@@ -1002,10 +1557,37 @@ async function loadData() {
   allData = await res.json();
   renderStats();
   renderSpamAlerts();
+  renderTagFilter();
   renderClients();
+  renderLastBackup();
+  renderSlaBadge();
   document.getElementById('lastUpdate').textContent = 'Actualizado: ' + new Date().toLocaleTimeString();
 }
 
+// Clientes asignados que nadie ha respondido dentro del SLA
+function renderSlaBadge() {
+  const badge = document.getElementById('equipoBadge');
+  if (allData.overdue.length > 0) { badge.textContent = allData.overdue.length; badge.style.display = 'inline'; }
+  else badge.style.display = 'none';
+}
+
+// Última copia de seguridad: gris si es reciente, rojo si falló o tiene más de 2 horas
+function renderLastBackup() {
+  const el = document.getElementById('lastBackup');
+  const b = allData.lastBackup;
+  const good = b && (b.ok ? b : b.lastGood);
+  if (!good) {
+    el.textContent = '💾 Sin copias de seguridad';
+    el.style.color = '#f85149';
+    return;
+  }
+  const mins = Math.round((Date.now() - new Date(good.at).getTime()) / 60000);
+  const hace = mins < 60 ? mins + ' min' : mins < 2880 ? Math.round(mins / 60) + ' h' : Math.round(mins / 1440) + ' días';
+  el.textContent = '💾 Backup: hace ' + hace + (b.ok ? '' : ' ⚠️ último intento falló');
+  el.title = b.ok ? good.file : b.error;
+  el.style.color = !b.ok || mins > 120 ? '#f85149' : '#484f58';
+}
+
 function renderSpamAlerts() {
   const container = document.getElementById('spamAlerts');
   const flagged = allData.spamFlagged || [];
@@ -1068,10 +1650,10 @@ function renderClients() {
   const search = rawSearch;
 
   if (currentFilter === 'new') clients = clients.filter(c => c.status === 'new');
-  else if (currentFilter === 'hot') clients = clients.filter(c =>
-    c.memory && (c.memory.toLowerCase().includes('comprar') || c.memory.toLowerCase().includes('interesado') ||
-    c.memory.toLowerCase().includes('listo') || c.memory.toLowerCase().includes('precio'))
-  );
+  else if (currentFilter === 'hot') clients = clients.filter(c => c.tags.includes('lead_caliente'));
+
+  const tagFilter = document.getElementById('tagFilter').value;
+  if (tagFilter) clients = clients.filter(c => c.tags.includes(tagFilter));
 
   if (search) {
     clients = clients.filter(c =>
@@ -1084,15 +1666,17 @@ function renderClients() {
   document.getElementById('clientCount').textContent = clients.length;
 
   const html = clients.map(c => {
-    const isHot = c.memory && (c.memory.toLowerCase().includes('comprar') || c.memory.toLowerCase().includes('interesado'));
+    const isHot = c.tags.includes('lead_caliente');
+    const late = allData.overdue.find(a => a.client_phone === c.phone);
     const displayName = c.name || (isLid(c.phone) ? 'Sin nombre' : formatPhone(c.phone));
     const initial = (c.name || c.phone).charAt(0).toUpperCase();
     return \`<div class="client-row \${selectedPhone === c.phone ? 'active' : ''}" onclick="selectClient('\${c.phone}')">
       <div class="client-avatar">\${initial}</div>
       <div class="client-info">
-        <div class="client-name">\${c.name || 'Sin nombre'}\${isHot ? '<span class="hot-badge">🔥 HOT</span>' : ''}</div>
+        <div class="client-name">\${c.name || 'Sin nombre'}\${isHot ? '<span class="hot-badge">🔥 HOT</span>' : ''}\${late ? '<span class="sla-badge" title="Sin respuesta de ' + escapeHtml(late.employee_name) + '">⏰ ' + late.waiting_minutes + ' min</span>' : ''}</div>
         <div class="client-phone">\${isLid(c.phone) ? '🔒 ID privado' : c.phone}</div>
         \${c.memory ? '<div class="client-memory">💭 ' + c.memory.substring(0, 80) + '</div>' : ''}
+        \${c.tags.filter(t => t !== 'lead_caliente').map(t => '<span class="tag-chip">' + escapeHtml(t) + '</span>').join('')}
       </div>
       <div class="client-meta">
         <div class="client-status status-\${c.status}">\${c.status}</div>
@@ -1122,7 +1706,7 @@ async function selectClient(phone) {
         <div class="detail-item"><span class="dl">\${isLid(client.phone) ? '🔒 ID WA:' : '📱 Teléfono:'}</span> <span class="dv">\${isLid(client.phone) ? '<span style="color:#8b949e;font-size:11px;">' + client.phone + ' (privado)</span>' : client.phone}</span></div>
         <div class="detail-item"><span class="dl">💬 Mensajes:</span> <span class="dv">\${client.interaction_count || 0}</span></div>
         <div class="detail-item"><span class="dl">📅 Registro:</span> <span class="dv">\${new Date(client.created_at).toLocaleDateString()}</span></div>
-        <div class="detail-item"><span class="dl">👔 Asignado:</span> <span class="dv">\${assignment ? assignment.employee_name : 'No'}</span></div>
+        <div class="detail-item"><span class="dl">👔 Asignado:</span> <span class="dv">\${assignment ? assignment.employee_name + (assignment.queue && assignment.queue !== 'general' ? ' (' + assignment.queue + ')' : '') : 'No'}</span></div>
         
         <div class="detail-item" style="grid-column: 1 / -1; margin-top: 10px; background: #0d1117; padding: 10px; border-radius: 6px; border: 1px dashed #30363d;">
           <span class="dl" style="color:#3fb950; font-size:13px;"><i class="fas fa-lock"></i> 🔒 Bóveda de Servicios Adquiridos (Memoria para la IA):</span>
@@ -1135,7 +1719,49 @@ async function selectClient(phone) {
         </div>
       </div>
       
+      \${renderAsesorBox(client.phone, assignment)}
+
+      <div class="crm-actions" style="margin-top:15px;">
+        <div class="crm-actions-title">🏷️ Etiquetas — el bot las recibe como hechos</div>
+        <div>\${renderTagChips(client.phone, client.tags)}</div>
+        <div class="crm-note-row">
+          <input type="text" id="tagInput_\${client.phone}" class="crm-note-input" list="tagOptions" placeholder="Nueva etiqueta (ej: cliente_vip)" onkeydown="if(event.key==='Enter') addTag('\${client.phone}')">
+          <button class="crm-note-btn" onclick="addTag('\${client.phone}')">Agregar</button>
+        </div>
+      </div>
+
+      <div class="crm-actions" style="margin-top:15px;">
+        <div class="crm-actions-title">🛡️ Membresía Club ZT</div>
+        <div id="membresiaBox" style="font-size:12px;color:#8b949e;">Cargando...</div>
+        <div class="crm-note-row">
+          <select id="membPlan_\${client.phone}" class="crm-note-input" style="flex:0 0 110px;">
+            <option value="">Plan —</option>
+            <option value="plus">Plan Plus</option>
+            <option value="pro">Plan Pro</option>
+          </select>
+          <input type="date" id="membHasta_\${client.phone}" class="crm-note-input" title="Vigente hasta (vacío = un año desde el vencimiento actual o desde hoy)">
+          <button class="crm-note-btn" onclick="registrarMembresia('\${client.phone}')">Registrar / renovar</button>
+        </div>
+      </div>
+
       \${client.memory ? '<div class="memory-box" style="margin-top:15px;display:flex;gap:10px;align-items:flex-start;">🧠 <strong>Memoria CRM:</strong>\\n' + client.memory + '</div>' : ''}
+      \${renderPerfil(client.profile_json)}
+
+      <details class="audit-box" ontoggle="if (this.open) loadIdentidades('\${client.phone}')">
+        <summary>🔗 Identidades de WhatsApp y fusión</summary>
+        <div id="identidadesList" style="margin-top:8px;font-size:12px;color:#8b949e;">Cargando...</div>
+        <div class="crm-chips" style="margin-top:8px;">
+          <div class="crm-chip" onclick="fusionarCliente('\${client.phone}')">🔗 Fusionar otra ficha en esta</div>
+        </div>
+      </details>
+
+      <details class="audit-box">
+        <summary>🔐 Habeas Data (Ley 1581)</summary>
+        <div class="crm-chips" style="margin-top:8px;">
+          <a class="crm-chip" href="/api/privacy/export?phone=\${client.phone}" download>📦 Exportar datos del titular</a>
+          <div class="crm-chip danger" onclick="anonimizarCliente('\${client.phone}')">🧹 Anonimizar (supresión)</div>
+        </div>
+      </details>
 
       <div class="crm-actions">
         <div class="crm-actions-title">⚡ Acciones rápidas — el bot sabrá esto al responder</div>
@@ -1174,11 +1800,18 @@ async function selectClient(phone) {
         <div class="crm-feedback" id="noteFeedback_\${client.phone}"></div>
       </div>
 
+      <details class="audit-box">
+        <summary>🕓 Historial de cambios</summary>
+        <div id="auditTimeline"><div class="audit-empty">Cargando...</div></div>
+      </details>
+
       <div style="margin-top:10px;">
         \${waLink(client.phone)}
       </div>
     </div>
   \`;
+  loadAuditTimeline(phone);
+  loadMembresia(phone);
 
   // Chat
   const res = await fetch('/api/chat?phone=' + phone);
@@ -1205,6 +1838,35 @@ async function selectClient(phone) {
   });
 }
 
+// ====== AUDITORÍA ======
+const AUDIT_ACTORS = { bot: '🤖 Bot', llm: '🧠 IA', panel: '🖥️ Panel', admin: '👔 Admin', employee: '🧑‍💼 Asesor', system: '⚙️ Sistema' };
+
+function auditValue(v) {
+  if (v === null || v === undefined || v === '') return '<em>vacío</em>';
+  const t = escapeHtml(v);
+  return t.length > 120 ? '<span title="' + t + '">' + t.substring(0, 120) + '…</span>' : t;
+}
+
+async function loadAuditTimeline(phone) {
+  const box = document.getElementById('auditTimeline');
+  if (!box) return;
+  try {
+    const res = await fetch('/api/audit?phone=' + encodeURIComponent(phone));
+    const events = await res.json();
+    if (!events.length) { box.innerHTML = '<div class="audit-empty">Sin cambios registrados</div>'; return; }
+    box.innerHTML = events.map(e => \`
+      <div class="audit-row">
+        <span class="audit-time">\${new Date(e.created_at.replace(' ', 'T') + 'Z').toLocaleString('es-CO')}</span>
+        <span class="audit-actor">\${AUDIT_ACTORS[e.actor] || escapeHtml(e.actor)}</span>
+        <strong>\${escapeHtml(e.action)}</strong>\${e.field ? ' · ' + escapeHtml(e.field) : ''}
+        \${e.old_value !== null || e.new_value !== null ? '<div class="audit-change">' + auditValue(e.old_value) + ' → ' + auditValue(e.new_value) + '</div>' : ''}
+        \${e.reason ? '<div class="audit-reason">' + escapeHtml(e.reason) + '</div>' : ''}
+      </div>\`).join('');
+  } catch (err) {
+    box.innerHTML = '<div class="audit-empty">❌ Error cargando historial</div>';
+  }
+}
+
 function setFilter(filter, el) {
   currentFilter = filter;
   document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
@@ -1260,6 +1922,222 @@ function waLink(phone) {
   return '<a href="https://wa.me/' + phone + '" target="_blank" style="color:#3fb950;font-size:12px;text-decoration:none;">📲 Abrir WhatsApp</a>';
 }
 
+// ====== PERFIL DEL CLIENTE (IA) ======
+// Perfil estructurado extraído por la IA (clients.profile_json), con su confianza
+const PROFILE_LABELS = {
+  nombre: 'Nombre', ciudad: 'Ciudad', cedula: 'Cédula', profesion: 'Profesión', intencion: 'Intención',
+  productos_interes: 'Interés', plan_preferido: 'Plan', motivo: 'Motivo', objeciones: 'Objeciones',
+  presupuesto: 'Presupuesto', estado_compra: 'Estado de compra'
+};
+const CONFIDENCE_COLORS = { alta: '#3fb950', media: '#d29922', baja: '#8b949e' };
+
+function renderPerfil(json) {
+  let perfil = {};
+  try { perfil = JSON.parse(json || '{}') || {}; } catch (e) { return ''; }
+  const chips = Object.keys(PROFILE_LABELS).filter(k => perfil[k]).map(k => {
+    const { value, confidence } = perfil[k];
+    const texto = Array.isArray(value) ? value.join(', ') : (k === 'presupuesto' ? formatCOP(value) : String(value).replace(/_/g, ' '));
+    return '<span class="crm-chip" style="cursor:default;border-color:' + (CONFIDENCE_COLORS[confidence] || '#30363d') + ';" title="Confianza ' + confidence + '">' +
+      PROFILE_LABELS[k] + ': ' + escapeHtml(texto) + '</span>';
+  });
+  return chips.length ? '<div class="crm-chips" style="margin-top:8px;">' + chips.join('') + '</div>' : '';
+}
+
+// ====== MEMBRESÍAS CLUB ZT ======
+const MEMBERSHIP_STATUS_LABELS = { active: '🟢 Activa', grace: '🟡 En gracia', expired: '🔴 Vencida' };
+
+function formatFechaIso(iso) {
+  return String(iso || '').split('-').reverse().join('/');
+}
+
+async function loadMembresia(phone) {
+  const box = document.getElementById('membresiaBox');
+  try {
+    const res = await fetch('/api/memberships?phone=' + encodeURIComponent(phone));
+    const rows = await res.json();
+    if (!box) return;
+    if (rows.length === 0) { box.textContent = 'Sin membresía registrada'; return; }
+    box.innerHTML = rows.map((m, i) => \`
+      <div class="audit-row" style="\${i > 0 ? 'opacity:0.6;' : ''}">
+        <strong>\${escapeHtml(m.planLabel)}</strong> · \${formatFechaIso(m.start_date)} → \${formatFechaIso(m.end_date)}
+        · \${MEMBERSHIP_STATUS_LABELS[m.status] || escapeHtml(m.status)}\${i === 0 && m.status === 'active' ? ' (' + m.daysLeft + ' días)' : ''}
+        \${m.source ? '<span style="color:#586776;"> — ' + escapeHtml(m.source) + '</span>' : ''}
+      </div>\`).join('');
+    const plan = document.getElementById('membPlan_' + phone);
+    if (plan && !plan.value) plan.value = rows[0].plan;
+  } catch (e) {
+    if (box) box.textContent = '❌ Error cargando membresía';
+  }
+}
+
+async function registrarMembresia(phone) {
+  const plan = document.getElementById('membPlan_' + phone).value;
+  const endDate = document.getElementById('membHasta_' + phone).value;
+  if (!plan) { alert('⚠️ Selecciona el plan'); return; }
+  try {
+    const res = await fetch('/api/membership', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phone, plan, endDate })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + data.error); return; }
+    await loadData();
+    selectClient(phone);
+  } catch (e) {
+    alert('❌ Error conectando con servidor local');
+  }
+}
+
+// ====== IDENTIDADES Y FUSIÓN ======
+async function loadIdentidades(phone) {
+  const box = document.getElementById('identidadesList');
+  try {
+    const res = await fetch('/api/identities?phone=' + encodeURIComponent(phone));
+    const ids = await res.json();
+    box.innerHTML = ids.length === 0 ? 'Sin identidades registradas' : ids.map(i =>
+      \`<div class="audit-row">\${i.kind === 'lid' ? '🔒' : '📱'} <strong>\${escapeHtml(i.wa_id)}</strong> (\${escapeHtml(i.kind)}) — \${escapeHtml(i.source || '')} · visto \${new Date(i.last_seen_at).toLocaleString()}</div>\`
+    ).join('');
+  } catch (e) {
+    box.textContent = '❌ Error cargando identidades';
+  }
+}
+
+async function fusionarCliente(phone) {
+  const otro = prompt('Número o LID de la ficha duplicada.\\nSus mensajes, comprobantes, carnets, pedidos y etiquetas pasarán a ' + phone + ' y esa ficha se eliminará:');
+  if (!otro) return;
+  if (!confirm('¿Fusionar ' + otro + ' → ' + phone + '? No se puede deshacer.')) return;
+  try {
+    const res = await fetch('/api/merge-clients', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: otro, into: phone })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + data.error); return; }
+    await loadData();
+    selectClient(data.client.phone);
+  } catch (e) {
+    alert('❌ Error conectando con servidor local');
+  }
+}
+
+// ====== HABEAS DATA ======
+async function anonimizarCliente(phone) {
+  const confirmacion = prompt('⚠️ Esto borra nombre, cédula, chats, imágenes y contactos de ' + phone + ' y NO se puede deshacer.\\n\\nEscribe el número para confirmar:');
+  if (!confirmacion) return;
+  try {
+    const res = await fetch('/api/privacy/anonymize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phone, confirm: confirmacion })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + data.error); return; }
+    alert(data.verificado
+      ? '✅ Datos anonimizados y verificados (solicitud #' + data.requestId + ')'
+      : '⚠️ Anonimizado, pero quedan rastros por revisar (solicitud #' + data.requestId + '):\\n' + data.pendientes.map(p => p.table + ': ' + p.rows).join('\\n'));
+    selectedPhone = null;
+    document.getElementById('clientDetail').style.display = 'none';
+    await loadData();
+  } catch (e) {
+    alert('❌ Error conectando con servidor local');
+  }
+}
+
+// ====== ETIQUETAS ======
+function renderTagFilter() {
+  const select = document.getElementById('tagFilter');
+  const current = select.value;
+  const tags = (allData.tags || []).filter(t => t.count > 0);
+  select.innerHTML = '<option value="">🏷️ Etiqueta</option>' + tags.map(t =>
+    \`<option value="\${escapeHtml(t.name)}">\${escapeHtml(t.label || t.name)} (\${t.count})</option>\`
+  ).join('');
+  select.value = tags.some(t => t.name === current) ? current : '';
+  // Sugerencias para el campo de nueva etiqueta
+  let list = document.getElementById('tagOptions');
+  if (!list) { list = document.createElement('datalist'); list.id = 'tagOptions'; document.body.appendChild(list); }
+  list.innerHTML = (allData.tags || []).map(t => \`<option value="\${escapeHtml(t.name)}">\`).join('');
+}
+
+// ====== ASESOR: historial de asignaciones y transferencia ======
+const ASSIGNMENT_STATUS_LABELS = { active: 'actual', completed: 'cerrado', released: 'liberado', transferred: 'transferido' };
+
+function renderAsesorBox(phone, assignment) {
+  const history = allData.assignments.filter(a => a.client_phone === phone);
+  if (history.length === 0) return '';
+  const others = allData.employees.filter(e => e.is_active && (!assignment || e.id !== assignment.employee_id));
+  let html = '<div class="crm-actions" style="margin-top:15px;"><div class="crm-actions-title">👔 Asesores que lo han atendido</div>';
+  html += history.map(a =>
+    '<div style="font-size:12px;margin-top:4px;">' + (a.status === 'active' ? '🟢 ' : '⚪ ') + escapeHtml(a.employee_name) +
+    ' <span style="color:#8b949e;">· ' + (ASSIGNMENT_STATUS_LABELS[a.status] || a.status) + ' · ' + a.assigned_at +
+    (a.result ? ' · ' + escapeHtml(a.result) : '') + (a.transfer_reason ? ' · ↪️ ' + escapeHtml(a.transfer_reason) : '') + '</span></div>'
+  ).join('');
+  if (assignment && others.length > 0) {
+    html += '<div class="crm-note-row">' +
+      '<select id="transferTo_' + phone + '" class="crm-note-input" style="flex:0 0 140px;">' +
+      others.map(e => '<option value="' + e.id + '">' + escapeHtml(e.name) + '</option>').join('') + '</select>' +
+      '<input type="text" id="transferReason_' + phone + '" class="crm-note-input" placeholder="Motivo de la transferencia">' +
+      '<button class="crm-note-btn" onclick="transferirCliente(\\'' + phone + '\\')">Transferir</button></div>';
+  }
+  return html + '</div>';
+}
+
+async function transferirCliente(phone) {
+  const employeeId = document.getElementById('transferTo_' + phone).value;
+  const reason = document.getElementById('transferReason_' + phone).value.trim();
+  try {
+    const res = await fetch('/api/transferir', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phone, employeeId, reason })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + (data.error || 'No se pudo transferir')); return; }
+    if (!data.onShift) alert('⚠️ ' + data.to + ' está fuera de turno');
+    await loadData();
+    selectClient(phone);
+  } catch (e) {
+    alert('❌ Error de red transfiriendo el cliente');
+  }
+}
+
+function renderTagChips(phone, names) {
+  if (!names || names.length === 0) return '<span class="audit-empty">Sin etiquetas</span>';
+  const byName = Object.fromEntries((allData.tags || []).map(t => [t.name, t]));
+  return names.map(n => {
+    const t = byName[n] || { name: n, kind: 'free' };
+    return \`<span class="tag-chip \${t.kind}">\${escapeHtml(t.label || n)}<span class="tag-x" title="Quitar" onclick="removeTag('\${phone}', '\${escapeHtml(n)}')">×</span></span>\`;
+  }).join('');
+}
+
+async function editTag(phone, tag, action) {
+  try {
+    const res = await fetch('/api/client-tag', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phone, tag, action })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ Error: ' + data.error); return; }
+    await loadData();
+    selectClient(phone);
+  } catch (e) {
+    alert('❌ Error conectando con servidor local');
+  }
+}
+
+function addTag(phone) {
+  const input = document.getElementById('tagInput_' + phone);
+  if (!input || !input.value.trim()) return;
+  editTag(phone, input.value.trim(), 'add');
+}
+
+function removeTag(phone, tag) {
+  if (!confirm('¿Quitar la etiqueta "' + tag + '"?')) return;
+  editTag(phone, tag, 'remove');
+}
+
 async function addNote(phone, note) {
   try {
     const res = await fetch('/api/update-client', {
@@ -1299,8 +2177,6 @@ async function saveProfile(phone) {
     ciudad: document.getElementById('prof_ciudad_' + phone)?.value.trim() || '',
     direccion: document.getElementById('prof_direccion_' + phone)?.value.trim() || '',
     profesion: document.getElementById('prof_profesion_' + phone)?.value.trim() || '',
-    club_plan: document.getElementById('prof_club_plan_' + phone)?.value || '',
-    club_vigente_hasta: document.getElementById('prof_club_vigente_hasta_' + phone)?.value || '',
     modelo_arma: document.getElementById('prof_modelo_arma_' + phone)?.value.trim() || '',
     serial_arma: document.getElementById('prof_serial_arma_' + phone)?.value.trim() || ''
   };
@@ -1481,13 +2357,9 @@ async function refreshAll() {
   await loadData();
   await loadComprobanteBadge();
   await loadCarnetsBadge();
-  // Badge post-venta (todos los status del grupo PV)
-  if (allData) {
-    const pvStatuses = ['postventa', 'carnet_pendiente', 'despacho_pendiente', 'municion_pendiente', 'recuperacion_pendiente', 'bot_asesor_pendiente'];
-    const pvCount = allData.clients.filter(c => pvStatuses.includes(c.status)).length;
-    const badge = document.getElementById('postventaBadge');
-    if (badge) { badge.textContent = pvCount; badge.style.display = pvCount > 0 ? 'inline' : 'none'; }
-  }
+  await loadInventarioBadge();
+  // Pedidos de post-venta (el badge cuenta los abiertos)
+  await loadOrders();
   // Si estamos en post-venta, refrescar la lista
   if (currentMainTab === 'postventa') renderPostventa();
 }
@@ -1509,27 +2381,57 @@ function switchMainTab(tab) {
   document.getElementById('viewComprobantes').classList.toggle('active', tab === 'comprobantes');
   document.getElementById('viewCarnets').classList.toggle('active', tab === 'carnets');
   document.getElementById('viewPostventa').classList.toggle('active', tab === 'postventa');
+  document.getElementById('mainTabBusqueda').classList.toggle('active', tab === 'busqueda');
+  document.getElementById('viewBusqueda').classList.toggle('active', tab === 'busqueda');
+  document.getElementById('mainTabEmbudo').classList.toggle('active', tab === 'embudo');
+  document.getElementById('viewEmbudo').classList.toggle('active', tab === 'embudo');
+  document.getElementById('mainTabInventario').classList.toggle('active', tab === 'inventario');
+  document.getElementById('viewInventario').classList.toggle('active', tab === 'inventario');
+  document.getElementById('mainTabEquipo').classList.toggle('active', tab === 'equipo');
+  document.getElementById('viewEquipo').classList.toggle('active', tab === 'equipo');
   if (tab === 'comprobantes') loadComprobantes();
+  if (tab === 'embudo') loadEmbudo(embudoDays);
+  if (tab === 'inventario') loadInventario();
+  if (tab === 'equipo') loadEquipo();
   if (tab === 'carnets') loadCarnets();
   if (tab === 'postventa') renderPostventa();
 }
 
-// ====== POST-VENTA ======
+// ====== POST-VENTA (PEDIDOS) ======
 let selectedPhonePv = null;
+let selectedOrderPv = null;
 let currentPvFilter = 'all';
+let allOrders = [];
 
-// Todos los status que pertenecen a post-venta
-const PV_STATUSES = ['postventa', 'carnet_pendiente', 'despacho_pendiente', 'municion_pendiente', 'recuperacion_pendiente', 'bot_asesor_pendiente'];
+// Ciclo de vida del pedido (mismo orden que ORDER_STATUSES en db.js)
+const ORDER_FLOW = ['paid', 'data_collected', 'shipped', 'delivered'];
 
-const PV_LABELS = {
-  'postventa': 'Post-venta',
-  'carnet_pendiente': '🪪 Carnet',
-  'despacho_pendiente': '📦 Dispositivo',
-  'municion_pendiente': '🔫 Munición',
-  'recuperacion_pendiente': '🔧 Recuperación',
-  'bot_asesor_pendiente': '🤖 Bot Asesor'
+const ORDER_LABELS = {
+  'paid': '💰 Pagado',
+  'data_collected': '📋 Con datos',
+  'shipped': '🚚 Enviado',
+  'delivered': '✅ Entregado',
+  'cancelled': '🚫 Cancelado'
 };
 
+const ITEM_ICONS = { club: '🛡️', bot_asesor: '🤖', producto: '📦' };
+
+function isOrderOpen(o) { return o.status !== 'delivered' && o.status !== 'cancelled'; }
+
+async function loadOrders() {
+  try {
+    const res = await fetch('/api/orders');
+    allOrders = await res.json();
+    if (!carriersCache) carriersCache = await (await fetch('/api/carriers')).json();
+  } catch (e) {
+    console.error('Error cargando pedidos:', e);
+    return;
+  }
+  const openCount = allOrders.filter(isOrderOpen).length;
+  const badge = document.getElementById('postventaBadge');
+  if (badge) { badge.textContent = openCount; badge.style.display = openCount > 0 ? 'inline' : 'none'; }
+}
+
 function setPvFilter(filter, el) {
   currentPvFilter = filter;
   document.querySelectorAll('[data-pvfilter]').forEach(t => t.classList.remove('active'));
@@ -1537,48 +2439,195 @@ function setPvFilter(filter, el) {
   renderPostventa();
 }
 
-function renderPostventa() {
-  if (!allData) return;
-  // Todos los clientes de post-venta = cualquier status del grupo PV
-  let allPv = allData.clients.filter(c => PV_STATUSES.includes(c.status));
+function itemsResumen(order) {
+  return (order.items || []).map(it => (ITEM_ICONS[it.tipo] || '•') + ' ' + it.producto + (it.plan ? ' (' + it.plan + ')' : '')).join(' · ');
+}
+
+// Clientes en status de post-venta que no tienen ningún pedido (movidos a mano)
+const PV_STATUSES = ['postventa', 'carnet_pendiente', 'despacho_pendiente', 'municion_pendiente', 'recuperacion_pendiente', 'bot_asesor_pendiente'];
+
+function renderClientesSinPedido() {
+  const conPedido = new Set(allOrders.map(o => o.client_phone));
+  const clients = (allData ? allData.clients : []).filter(c => PV_STATUSES.includes(c.status) && !conPedido.has(c.phone));
+  const html = clients.map(c => {
+    const initial = (c.name || c.phone).charAt(0).toUpperCase();
+    return \`<div class="client-row \${selectedPhonePv === c.phone && !selectedOrderPv ? 'active' : ''}" onclick="selectedOrderPv = null; selectClientPv('\${c.phone}')">
+      <div class="client-avatar" style="color:#3fb950;">\${initial}</div>
+      <div class="client-info">
+        <div class="client-name">\${c.name || 'Sin nombre'}</div>
+        <div class="client-phone">\${isLid(c.phone) ? '🔒 ID privado' : c.phone}</div>
+      </div>
+      <div class="client-meta">
+        <div class="client-status status-\${c.status.replace(/_/g, '-')}" style="font-size:9px;">\${c.status}</div>
+      </div>
+    </div>\`;
+  }).join('');
+  document.getElementById('postventaList').innerHTML = html || '<div class="chat-empty">Todos los clientes de post-venta tienen pedido</div>';
+}
 
-  // Aplicar sub-filtro
-  let clients = currentPvFilter === 'all'
-    ? allPv
-    : allPv.filter(c => c.status === currentPvFilter);
+function renderPostventa() {
+  if (currentPvFilter === 'sin_pedido') return renderClientesSinPedido();
+  // "Abiertos" = todo lo que no está entregado ni cancelado
+  let orders = currentPvFilter === 'all'
+    ? allOrders.filter(isOrderOpen)
+    : allOrders.filter(o => o.status === currentPvFilter);
 
-  // Búsqueda
+  // Búsqueda por cliente, teléfono, producto o # de pedido
   const rawSearchPv = (document.getElementById('searchPostventa')?.value || '').toLowerCase().trim();
   const searchPvDigits = rawSearchPv.replace(/[^0-9]/g, '');
-  if (rawSearchPv) clients = clients.filter(c =>
-    (c.name||'').toLowerCase().includes(rawSearchPv) ||
-    (searchPvDigits && c.phone.includes(searchPvDigits))
+  if (rawSearchPv) orders = orders.filter(o =>
+    (o.client_name||'').toLowerCase().includes(rawSearchPv) ||
+    itemsResumen(o).toLowerCase().includes(rawSearchPv) ||
+    (searchPvDigits && (o.client_phone.includes(searchPvDigits) || String(o.id) === searchPvDigits))
   );
 
-  document.getElementById('postventaCount').textContent = allPv.length;
-
-  // Badge en tab principal (total de todos los PV)
-  const badge = document.getElementById('postventaBadge');
-  if (badge) { badge.textContent = allPv.length; badge.style.display = allPv.length > 0 ? 'inline' : 'none'; }
+  document.getElementById('postventaCount').textContent = allOrders.filter(isOrderOpen).length;
 
-  const html = clients.map(c => {
-    const initial = (c.name || c.phone).charAt(0).toUpperCase();
-    const statusLabel = PV_LABELS[c.status] || c.status;
-    const statusClass = 'status-' + c.status.replace(/_/g, '-');
-    return \`<div class="client-row \${selectedPhonePv === c.phone ? 'active' : ''}" onclick="selectClientPv('\${c.phone}')">
+  const html = orders.map(o => {
+    const initial = (o.client_name || o.client_phone).charAt(0).toUpperCase();
+    return \`<div class="client-row \${selectedOrderPv === o.id ? 'active' : ''}" onclick="selectOrderPv(\${o.id})">
       <div class="client-avatar" style="color:#3fb950;">\${initial}</div>
       <div class="client-info">
-        <div class="client-name">\${c.name || 'Sin nombre'}</div>
-        <div class="client-phone">\${isLid(c.phone) ? '🔒 ID privado' : c.phone}</div>
-        \${c.memory ? '<div class="client-memory">💭 ' + c.memory.substring(0, 80) + '</div>' : ''}
+        <div class="client-name">#\${o.id} · \${o.client_name || 'Sin nombre'}</div>
+        <div class="client-phone">\${isLid(o.client_phone) ? '🔒 ID privado' : o.client_phone}</div>
+        <div class="client-memory">\${itemsResumen(o) || 'Sin ítems'}</div>
       </div>
       <div class="client-meta">
-        <div class="client-status \${statusClass}" style="font-size:9px;">\${statusLabel}</div>
-        <div class="client-count">\${c.interaction_count || 0} msgs</div>
+        <div class="client-status status-order-\${o.status}" style="font-size:9px;">\${ORDER_LABELS[o.status] || o.status}</div>
+        <div class="client-count">\${formatCOP(o.total)}</div>
       </div>
     </div>\`;
   }).join('');
-  document.getElementById('postventaList').innerHTML = html || '<div class="chat-empty">Sin clientes en esta categoría</div>';
+  document.getElementById('postventaList').innerHTML = html || '<div class="chat-empty">Sin pedidos en esta categoría</div>';
+}
+
+function selectOrderPv(orderId) {
+  const order = allOrders.find(o => o.id === orderId);
+  if (!order) return;
+  selectedOrderPv = orderId;
+  selectClientPv(order.client_phone);
+}
+
+function renderOrderBox(order) {
+  const fechas = [
+    ['paid', order.paid_at], ['data_collected', order.data_collected_at],
+    ['shipped', order.shipped_at], ['delivered', order.delivered_at]
+  ].map(([st, f]) => '<span style="color:' + (f ? '#3fb950' : '#3d4f5f') + ';">' + ORDER_LABELS[st] + (f ? ' ' + new Date(f).toLocaleDateString('es-CO') : '') + '</span>').join(' → ');
+  const items = (order.items || []).map(it =>
+    '<div>' + (ITEM_ICONS[it.tipo] || '•') + ' ' + it.producto + (it.color ? ' (' + it.color + ')' : '') + (it.plan ? ' — Plan ' + it.plan : '') +
+    ' × ' + (it.cantidad || 1) + (it.precio ? ' · ' + formatCOP(it.precio) : '') + '</div>'
+  ).join('');
+  const idx = ORDER_FLOW.indexOf(order.status);
+  const next = idx >= 0 && idx < ORDER_FLOW.length - 1 ? ORDER_FLOW[idx + 1] : null;
+  return \`
+    <div class="memory-box" style="border-left-color:#3fb950;max-height:none;white-space:normal;margin-top:0;margin-bottom:12px;">
+      <div style="font-family:'Chakra Petch',sans-serif;font-weight:700;color:#e6edf3;margin-bottom:6px;">🧾 Pedido #\${order.id} — \${ORDER_LABELS[order.status] || order.status}</div>
+      \${items || '<em>Sin ítems</em>'}
+      <div style="margin-top:6px;color:#e6edf3;">Total: <strong>\${formatCOP(order.total)}</strong> · Pagado: <strong>\${formatCOP(order.pagado)}</strong></div>
+      <div style="margin-top:6px;font-size:11px;">\${fechas}</div>
+      <div class="crm-chips" style="margin-top:8px;margin-bottom:0;">
+        \${next ? '<div class="crm-chip" onclick="avanzarPedido(' + order.id + ', \\'' + next + '\\')">Marcar ' + ORDER_LABELS[next] + '</div>' : ''}
+        \${isOrderOpen(order) ? '<div class="crm-chip danger" onclick="avanzarPedido(' + order.id + ', \\'cancelled\\')">🚫 Cancelar</div>' : ''}
+      </div>
+      \${renderShipments(order)}
+    </div>
+  \`;
+}
+
+const SHIPMENT_LABELS = {
+  'shipped': '📤 Despachado',
+  'in_transit': '🚚 En camino',
+  'delivered': '✅ Entregado',
+  'returned': '↩️ Devuelto'
+};
+
+let carriersCache = null;
+
+function renderShipments(order) {
+  const envios = (order.shipments || []).map(s => {
+    const acciones = [];
+    if (s.status === 'shipped') acciones.push('<div class="crm-chip" onclick="cambiarEstadoEnvio(' + s.id + ', ' + order.id + ', \\'in_transit\\')">Marcar en camino</div>');
+    if (s.status === 'shipped' || s.status === 'in_transit') {
+      acciones.push('<div class="crm-chip" onclick="cambiarEstadoEnvio(' + s.id + ', ' + order.id + ', \\'delivered\\')">Marcar entregado</div>');
+      acciones.push('<div class="crm-chip danger" onclick="cambiarEstadoEnvio(' + s.id + ', ' + order.id + ', \\'returned\\')">↩️ Devuelto</div>');
+    }
+    return '<div style="margin-top:8px;padding-top:6px;border-top:1px solid #1e2d3d;">' +
+      '📦 <strong>' + escapeHtml(s.carrierLabel) + '</strong> · Guía <strong>' + escapeHtml(s.guide_number) + '</strong> — ' + (SHIPMENT_LABELS[s.status] || escapeHtml(s.status)) +
+      (s.trackingUrl ? ' · <a href="' + escapeHtml(s.trackingUrl) + '" target="_blank" style="color:#58a6ff;">rastrear</a>' : '') +
+      '<div style="font-size:11px;">Despachado ' + new Date(s.shipped_at).toLocaleDateString('es-CO') +
+      (s.notified_at ? ' · 📱 cliente avisado' : ' · ⚠️ cliente sin avisar') + '</div>' +
+      (acciones.length ? '<div class="crm-chips" style="margin-top:6px;margin-bottom:0;">' + acciones.join('') + '</div>' : '') +
+      '</div>';
+  }).join('');
+  // Formulario de guía solo si el pedido sigue abierto y no tiene un envío vigente
+  const enCurso = (order.shipments || []).some(s => s.status !== 'returned');
+  if (!isOrderOpen(order) || enCurso) return envios;
+  return envios + \`
+    <div style="margin-top:8px;padding-top:6px;border-top:1px solid #1e2d3d;display:flex;gap:6px;flex-wrap:wrap;align-items:center;">
+      <select id="envCarrier_\${order.id}" style="background:#0d1117;color:#e6edf3;border:1px solid #30363d;border-radius:4px;padding:4px;">
+        \${(carriersCache || []).map(c => '<option value="' + c.id + '">' + c.label + '</option>').join('')}
+      </select>
+      <input id="envGuia_\${order.id}" placeholder="Número de guía" style="background:#0d1117;color:#e6edf3;border:1px solid #30363d;border-radius:4px;padding:4px;flex:1;min-width:120px;">
+      <div class="crm-chip" onclick="registrarEnvio(\${order.id}, '\${order.client_phone}')">📦 Registrar guía</div>
+    </div>
+  \`;
+}
+
+async function registrarEnvio(orderId, phone) {
+  const carrier = document.getElementById('envCarrier_' + orderId).value;
+  const guia = document.getElementById('envGuia_' + orderId).value.trim();
+  if (!guia) { alert('Escribe el número de guía'); return; }
+  try {
+    const res = await fetch('/api/registrar-envio', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderId, phone, carrier, guia })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + (data.error || 'No se pudo registrar el envío')); return; }
+    if (!data.waSent) alert('⚠️ Envío guardado, pero no se pudo avisar al cliente por WhatsApp: ' + (data.waWarning || ''));
+    await loadOrders();
+    renderPostventa();
+    selectOrderPv(orderId);
+  } catch (e) {
+    alert('❌ Error de red registrando el envío');
+  }
+}
+
+async function cambiarEstadoEnvio(shipmentId, orderId, status) {
+  if (status === 'returned' && !confirm('¿Marcar el envío como devuelto?')) return;
+  try {
+    const res = await fetch('/api/shipment-status', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: shipmentId, status })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + (data.error || 'No se pudo actualizar el envío')); return; }
+    await loadOrders();
+    renderPostventa();
+    selectOrderPv(orderId);
+  } catch (e) {
+    alert('❌ Error de red actualizando el envío');
+  }
+}
+
+async function avanzarPedido(orderId, status) {
+  if (status === 'cancelled' && !confirm('¿Cancelar el pedido #' + orderId + '?')) return;
+  try {
+    const res = await fetch('/api/order-status', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: orderId, status })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + (data.error || 'No se pudo actualizar el pedido')); return; }
+    await loadOrders();
+    renderPostventa();
+    selectOrderPv(orderId);
+  } catch (e) {
+    alert('❌ Error de red actualizando el pedido');
+  }
 }
 
 function filterPostventa() { renderPostventa(); }
@@ -1587,10 +2636,12 @@ async function selectClientPv(phone) {
   selectedPhonePv = phone;
   renderPostventa();
   const client = allData.clients.find(c => c.phone === phone);
+  const order = allOrders.find(o => o.id === selectedOrderPv && o.client_phone === phone);
   document.getElementById('chatTitlePv').textContent = '💬 ' + (client.name || phone);
   document.getElementById('clientDetailPv').style.display = 'block';
   document.getElementById('clientDetailPv').innerHTML = \`
     <div class="client-detail">
+      \${order ? renderOrderBox(order) : ''}
       <h3>\${client.name || 'Sin nombre'} <span class="client-status status-postventa">postventa</span></h3>
       <div class="detail-grid">
         <div class="detail-item"><span class="dl">\${isLid(client.phone) ? '🔒 ID WA:' : '📱 Teléfono:'}</span> <span class="dv">\${isLid(client.phone) ? '<span style=\\"color:#8b949e;font-size:11px;\\">' + client.phone + ' (privado)</span>' : client.phone}</span></div>
@@ -1660,9 +2711,329 @@ async function enviarMensajeAdminPv() {
   input.disabled = false;
 }
 
+// ====== BÚSQUEDA (FTS5) ======
+function escapeHtml(t) {
+  return String(t || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// El servidor marca los términos con \\u0001...\\u0002
+function highlightSnippet(snippet) {
+  return escapeHtml(snippet).replace(/\\u0001/g, '<mark>').replace(/\\u0002/g, '</mark>');
+}
+
+function abrirClienteDesdeBusqueda(phone) {
+  switchMainTab('comercial');
+  selectClient(phone);
+}
+
+async function buscarTexto() {
+  const q = document.getElementById('searchFtsInput').value.trim();
+  const container = document.getElementById('searchResults');
+  if (!q) { container.innerHTML = ''; return; }
+  container.innerHTML = '<div class="comprobante-empty">⏳ Buscando...</div>';
+  try {
+    const res = await fetch('/api/search?q=' + encodeURIComponent(q));
+    const r = await res.json();
+    if (r.error) throw new Error(r.error);
+    if (!r.clients.length && !r.messages.length) {
+      container.innerHTML = '<div class="comprobante-empty">Sin resultados</div>';
+      return;
+    }
+    let html = '';
+    if (r.clients.length) {
+      html += '<div class="crm-actions-title" style="margin-top:12px;">👥 Clientes (' + r.clients.length + ')</div>';
+      html += r.clients.map(c => \`
+        <div class="search-hit" onclick="abrirClienteDesdeBusqueda('\${c.phone}')">
+          <div><strong>\${escapeHtml(c.name || 'Sin nombre')}</strong> <span class="hit-meta">\${displayPhone(c.phone)} · \${c.status}</span></div>
+          <div style="font-size:13px;color:#8b949e;margin-top:4px;">🧠 \${highlightSnippet(c.snippet)}</div>
+        </div>\`).join('');
+    }
+    if (r.messages.length) {
+      html += '<div class="crm-actions-title" style="margin-top:12px;">💬 Mensajes (' + r.messages.length + ')</div>';
+      html += r.messages.map(m => \`
+        <div class="search-hit" onclick="abrirClienteDesdeBusqueda('\${m.client_phone}')">
+          <div><strong>\${escapeHtml(m.client_name || 'Sin nombre')}</strong> <span class="hit-meta">\${displayPhone(m.client_phone)} · \${new Date(m.created_at).toLocaleString('es-CO')} · \${m.role}</span></div>
+          <div style="font-size:13px;color:#8b949e;margin-top:4px;">\${m.role === 'user' ? '👤' : '🤖'} \${highlightSnippet(m.snippet)}</div>
+        </div>\`).join('');
+    }
+    container.innerHTML = html;
+  } catch (e) {
+    container.innerHTML = '<div class="comprobante-empty">❌ Error en la búsqueda</div>';
+  }
+}
+
+// ====== EMBUDO DE VENTAS ======
+let embudoDays = 30;
+
+function formatDuracion(h) {
+  if (h === null || h === undefined) return '—';
+  return h < 48 ? h.toFixed(1) + ' h' : (h / 24).toFixed(1) + ' días';
+}
+
+async function loadEmbudo(days) {
+  embudoDays = days;
+  document.querySelectorAll('#viewEmbudo .tab').forEach(t => t.classList.toggle('active', t.dataset.days === String(days)));
+  const container = document.getElementById('embudoContent');
+  try {
+    const res = await fetch('/api/funnel' + (days ? '?days=' + days : ''));
+    const f = await res.json();
+    if (f.error) throw new Error(f.error);
+    if (!f.totalClients) {
+      container.innerHTML = '<div class="comprobante-empty">Sin clientes en este periodo</div>';
+      return;
+    }
+    const max = f.stages[0].count || 1;
+    let html = \`
+      <div class="stats" style="padding:0 0 15px 0;">
+        <div class="stat blue"><div class="num">\${f.totalClients}</div><div class="label">Clientes</div></div>
+        <div class="stat green"><div class="num">\${f.overallConversion ?? 0}%</div><div class="label">Conversión a pago</div></div>
+        <div class="stat orange"><div class="num">\${formatDuracion(f.medianHoursToPaid)}</div><div class="label">⏱️ Mediana 1er msg → pago</div></div>
+        <div class="stat red"><div class="num">\${f.wentCold}/\${f.hotLeads}</div><div class="label">🧊 Calientes enfriados</div></div>
+      </div>\`;
+    html += f.stages.map((st, i) => \`
+      <div class="funnel-row">
+        <div><strong>\${st.label}</strong> · \${st.count}
+          \${i > 0 ? \`<span class="funnel-meta">· \${st.conversion ?? 0}% de la etapa anterior · mediana \${formatDuracion(st.medianHours)}</span>\` : ''}
+        </div>
+        <div class="funnel-bar"><div style="width:\${Math.round((st.count / max) * 100)}%"></div></div>
+      </div>\`).join('');
+    html += \`<div class="funnel-meta">Enfriado = llegó a caliente, no pagó y lleva +\${f.coldAfterDays} días sin moverse.</div>\`;
+    container.innerHTML = html;
+  } catch (e) {
+    container.innerHTML = '<div class="comprobante-empty">❌ Error cargando el embudo</div>';
+  }
+}
+
+// ====== EQUIPO (asignación de clientes) ======
+async function loadEquipo() {
+  const container = document.getElementById('equipoContent');
+  try {
+    const r = await (await fetch('/api/routing')).json();
+    if (r.error) throw new Error(r.error);
+    let html = \`
+      <div class="funnel-row">
+        <strong>🔀 Asignación de clientes</strong>
+        <div style="display:flex;gap:10px;align-items:center;margin-top:8px;flex-wrap:wrap;font-size:12px;">
+          <select id="routingStrategy" class="crm-note-input" style="width:auto;padding:4px 6px;">
+            \${Object.entries(r.strategies).map(([k, label]) => '<option value="' + k + '"' + (k === r.strategy ? ' selected' : '') + '>' + label + '</option>').join('')}
+          </select>
+          <label style="display:flex;align-items:center;gap:4px;cursor:pointer;">
+            <input type="checkbox" id="routingSticky" \${r.sticky ? 'checked' : ''}> Cliente que vuelve → mismo asesor
+          </label>
+        </div>
+      </div>
+      <div class="funnel-row">
+        <strong>📣 Avisos de derivación</strong>
+        <div style="margin-top:6px;font-size:12px;color:#8b949e;">El asesor asignado recibe el caso en su WhatsApp con la ficha y los últimos mensajes.</div>
+        <div style="display:flex;gap:10px;align-items:center;margin-top:8px;flex-wrap:wrap;font-size:12px;">
+          <label style="display:flex;align-items:center;gap:4px;cursor:pointer;">
+            <input type="checkbox" id="handoffOwnerCopy" \${r.handoff.ownerCopy ? 'checked' : ''}> Copia al número principal
+          </label>
+          \${['venta', 'postventa'].map(tipo => '<span style="color:#8b949e;">Al cliente (' + tipo + '):</span>' +
+            '<select id="handoffMsg_' + tipo + '" class="crm-note-input" style="width:auto;padding:4px 6px;">' +
+            Object.entries(r.clientMessages).map(([k, label]) => '<option value="' + k + '"' + (k === r.handoff.clientMessage[tipo] ? ' selected' : '') + '>' + label + '</option>').join('') +
+            '</select>').join('')}
+        </div>
+      </div>
+      <div class="funnel-row">
+        <strong>⏰ SLA de primera respuesta</strong>
+        <div style="display:flex;gap:10px;align-items:center;margin-top:8px;flex-wrap:wrap;font-size:12px;">
+          <span style="color:#8b949e;">Responder en</span>
+          <input id="slaMinutes" class="crm-note-input" style="width:65px;padding:4px 6px;" type="number" min="1" value="\${r.sla.minutes}">
+          <span style="color:#8b949e;">min; si no:</span>
+          <select id="slaAction" class="crm-note-input" style="width:auto;padding:4px 6px;">
+            \${Object.entries(r.slaActions).map(([k, label]) => '<option value="' + k + '"' + (k === r.sla.action ? ' selected' : '') + '>' + label + '</option>').join('')}
+          </select>
+          <span style="color:#8b949e;">máx.</span>
+          <input id="slaMaxAlerts" class="crm-note-input" style="width:55px;padding:4px 6px;" type="number" min="0" value="\${r.sla.maxAlerts}">
+          <span style="color:#8b949e;">veces</span>
+        </div>
+        \${r.slaReport.map(e => '<div style="margin-top:6px;font-size:12px;">' + escapeHtml(e.name) + ': ' +
+          (e.measured > 0
+            ? '<strong style="color:' + (e.compliance >= 80 ? '#3fb950' : e.compliance >= 50 ? '#d29922' : '#f85149') + ';">' + e.compliance + '%</strong> a tiempo (' + e.within_sla + '/' + e.measured + ') · promedio ' + (e.avg_minutes ?? '—') + ' min'
+            : '<span style="color:#8b949e;">sin asignaciones medibles</span>') +
+          ' <span style="color:#8b949e;">(30 días)</span></div>').join('')}
+        \${r.overdue.map(a => '<div style="margin-top:6px;font-size:12px;color:#d29922;">⏰ ' + escapeHtml(a.client_name || a.client_phone) + ' — ' + a.waiting_minutes + ' min sin respuesta de ' + escapeHtml(a.employee_name) + (a.sla_alerts ? ' · ' + a.sla_alerts + ' aviso(s)' : '') + '</div>').join('')}
+      </div>\`;
+    html += '<div class="funnel-row"><strong>👔 Asesores</strong>' + (r.employees.length ? r.employees.map(e =>
+      '<div style="display:flex;gap:8px;align-items:center;margin-top:6px;font-size:12px;">' +
+        '<span style="width:160px;">' + (e.onShift ? '🟢 ' : '🌙 ') + escapeHtml(e.name) + (e.id === r.lastEmployeeId ? ' <span style="color:#d29922;">(último turno)</span>' : '') + '</span>' +
+        '<span style="width:110px;color:#8b949e;">' + e.active_count + ' activos · ' + e.assignments_count + ' total</span>' +
+        '<span style="color:#8b949e;">peso</span>' +
+        '<input id="empWeight_' + e.id + '" class="crm-note-input" style="width:55px;padding:4px 6px;" type="number" min="1" value="' + (e.weight || 1) + '">' +
+        '<span id="empSkills_' + e.id + '" style="display:flex;gap:6px;margin-left:8px;">' + Object.entries(r.skills).map(([k, label]) =>
+          '<label style="display:flex;align-items:center;gap:3px;cursor:pointer;"><input type="checkbox" value="' + k + '"' + (e.skillList.includes(k) ? ' checked' : '') + '> ' + label + '</label>'
+        ).join('') + '</span>' +
+        '<input id="empSchedule_' + e.id + '" class="crm-note-input" style="width:230px;padding:4px 6px;margin-left:8px;" placeholder="Siempre disponible (ej. lun-vie 08:00-18:00)" value="' + escapeHtml(e.schedule) + '">' +
+      '</div>'
+    ).join('') : '<div style="margin-top:6px;color:#8b949e;">Sin asesores activos</div>') +
+      '<div style="margin-top:6px;font-size:11px;color:#8b949e;">Horario en hora Colombia, separado por ; — vacío = siempre disponible. 🟢 de turno · 🌙 fuera de turno</div></div>';
+    if (r.nextShift || r.pendingHandoffs.length) {
+      html += '<div class="funnel-row"><strong>🌙 En espera fuera de horario (' + r.pendingHandoffs.length + ')</strong>' +
+        (r.nextShift ? '<div style="margin-top:6px;font-size:12px;color:#d29922;">Nadie de turno — se reparten ' + escapeHtml(r.nextShift) + '</div>' : '') +
+        r.pendingHandoffs.map(h =>
+          '<div style="margin-top:6px;font-size:12px;">' + escapeHtml(h.client_name || h.client_phone) +
+          ' <span style="color:#8b949e;">· ' + h.tipo + ' · cola ' + escapeHtml(r.skills[h.queue] || h.queue) + ' · ' + h.created_at + '</span>' +
+          '<div style="color:#8b949e;">"' + escapeHtml((h.trigger_message || '').substring(0, 120)) + '"</div></div>'
+        ).join('') + '</div>';
+    }
+    html += '<div><button class="crm-note-btn" onclick="guardarRouting()">Guardar configuración</button></div>';
+    container.innerHTML = html;
+  } catch (e) {
+    container.innerHTML = '<div class="comprobante-empty">❌ Error cargando el equipo</div>';
+  }
+}
+
+async function guardarRouting() {
+  const weights = {};
+  document.querySelectorAll('[id^=empWeight_]').forEach(inp => { weights[inp.id.replace('empWeight_', '')] = inp.value; });
+  const skills = {};
+  document.querySelectorAll('[id^=empSkills_]').forEach(box => {
+    skills[box.id.replace('empSkills_', '')] = Array.from(box.querySelectorAll('input:checked')).map(cb => cb.value);
+  });
+  const schedules = {};
+  document.querySelectorAll('[id^=empSchedule_]').forEach(inp => { schedules[inp.id.replace('empSchedule_', '')] = inp.value; });
+  try {
+    const res = await fetch('/api/routing', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        strategy: document.getElementById('routingStrategy').value,
+        sticky: document.getElementById('routingSticky').checked,
+        weights,
+        skills,
+        schedules,
+        handoff: {
+          ownerCopy: document.getElementById('handoffOwnerCopy').checked,
+          clientMessage: {
+            venta: document.getElementById('handoffMsg_venta').value,
+            postventa: document.getElementById('handoffMsg_postventa').value
+          }
+        },
+        sla: {
+          minutes: document.getElementById('slaMinutes').value,
+          action: document.getElementById('slaAction').value,
+          maxAlerts: document.getElementById('slaMaxAlerts').value
+        }
+      })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + (data.error || 'No se pudo guardar')); return; }
+    await loadEquipo();
+  } catch (e) {
+    alert('❌ Error de red guardando la configuración');
+  }
+}
+
+// ====== INVENTARIO (stock por color) ======
+async function loadInventarioBadge() {
+  try {
+    const { lowStock } = await (await fetch('/api/inventory')).json();
+    const badge = document.getElementById('inventarioBadge');
+    if (badge) {
+      if (lowStock > 0) { badge.textContent = lowStock; badge.style.display = 'inline'; }
+      else badge.style.display = 'none';
+    }
+  } catch(e) {}
+}
+
+async function loadInventario() {
+  const container = document.getElementById('inventarioContent');
+  try {
+    const data = await (await fetch('/api/inventory')).json();
+    if (data.error) throw new Error(data.error);
+    if (!data.variants.length) {
+      container.innerHTML = '<div class="comprobante-empty">Sin variantes — actualiza el catálogo</div>';
+      return;
+    }
+    const bajos = data.variants.filter(v => v.lowStock);
+    let html = '';
+    if (bajos.length) {
+      html += '<div class="memory-box" style="border-left-color:#f85149;max-height:none;white-space:normal;margin-top:0;">' +
+        '<strong style="color:#f85149;">📉 Stock bajo (' + bajos.length + ')</strong><br>' +
+        bajos.map(v => v.producto + ' — ' + v.color + ': <strong>' + (v.soldOut ? 'AGOTADO' : v.stock + ' und') + '</strong>').join('<br>') +
+        '</div>';
+    }
+    const productos = {};
+    data.variants.forEach(v => { (productos[v.producto] = productos[v.producto] || []).push(v); });
+    html += Object.entries(productos).map(([producto, variantes]) => \`
+      <div class="funnel-row">
+        <strong>\${producto}</strong>
+        \${variantes.map(v => {
+          const color = v.soldOut ? '#f85149' : v.lowStock ? '#d29922' : v.counted ? '#3fb950' : '#8b949e';
+          const key = v.id;
+          return '<div style="display:flex;gap:8px;align-items:center;margin-top:6px;font-size:12px;">' +
+            '<span style="width:110px;color:' + color + ';">● ' + v.color + '</span>' +
+            '<input id="invStock_' + key + '" class="crm-note-input" style="width:70px;padding:4px 6px;" type="number" min="0" placeholder="—" value="' + (v.counted ? v.stock : '') + '">' +
+            '<span style="color:#8b949e;">mín</span>' +
+            '<input id="invMin_' + key + '" class="crm-note-input" style="width:55px;padding:4px 6px;" type="number" min="0" value="' + v.min_stock + '">' +
+            '<button class="crm-note-btn" onclick="guardarStock(' + key + ', \\'' + v.producto.replace(/'/g, "\\\\'") + '\\', \\'' + v.color.replace(/'/g, "\\\\'") + '\\')">Guardar</button>' +
+            (v.counted ? '' : '<span style="color:#8b949e;">sin conteo (usa el catálogo)</span>') +
+            '</div>';
+        }).join('')}
+      </div>\`).join('');
+    if (data.movements.length) {
+      html += '<div class="funnel-row"><strong>🧾 Últimos movimientos</strong>' + data.movements.map(m =>
+        '<div style="font-size:11px;margin-top:4px;color:#8b949e;">' + new Date(m.created_at.replace(' ', 'T') + 'Z').toLocaleString('es-CO') + ' · ' +
+        m.producto + ' ' + m.color + ' <strong style="color:' + (m.delta < 0 ? '#f85149' : '#3fb950') + ';">' + (m.delta > 0 ? '+' : '') + m.delta + '</strong> → ' +
+        m.stock_after + ' · ' + m.reason + (m.order_id ? ' (pedido #' + m.order_id + ')' : '') + '</div>'
+      ).join('') + '</div>';
+    }
+    container.innerHTML = html;
+  } catch (e) {
+    container.innerHTML = '<div class="comprobante-empty">❌ Error cargando el inventario</div>';
+  }
+}
+
+async function guardarStock(id, producto, color) {
+  const stock = document.getElementById('invStock_' + id).value;
+  const minStock = document.getElementById('invMin_' + id).value;
+  if (stock === '') { alert('Escribe el conteo de unidades'); return; }
+  try {
+    const res = await fetch('/api/inventory-stock', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ producto, color, stock, minStock })
+    });
+    const data = await res.json();
+    if (!data.ok) { alert('❌ ' + (data.error || 'No se pudo guardar el stock')); return; }
+    await loadInventario();
+    loadInventarioBadge();
+  } catch (e) {
+    alert('❌ Error de red guardando el stock');
+  }
+}
+
+// Colores del producto elegido en el detalle del pedido (los agotados se marcan)
+function actualizarColores(prodSel) {
+  const colorSel = prodSel.parentElement.querySelector('[data-campo=color]');
+  const prod = (catalogoCache || []).find(p => p.titulo === prodSel.value);
+  const variantes = prod ? prod.variantes || [] : [];
+  colorSel.innerHTML = '<option value="">Color —</option>' + variantes.map(v =>
+    '<option value="' + v.color + '">' + v.color + (v.soldOut ? ' (agotado)' : v.counted ? ' (' + v.stock + ')' : '') + '</option>'
+  ).join('');
+  if (variantes.length === 1) colorSel.value = variantes[0].color;
+}
+
 // ====== COMPROBANTES ======
+// Catálogo para el selector de producto del pedido (se carga una vez)
+let catalogoCache = null;
+
+// "$1.150.000" / "1.150.000" / "1150000" → 1150000
+function parsePrecio(txt) {
+  const digits = String(txt || '').replace(/\D/g, '');
+  return digits ? parseInt(digits, 10) : 0;
+}
+
+function formatCOP(n) {
+  return '$' + Number(n || 0).toLocaleString('es-CO');
+}
+
 async function loadComprobantes() {
   try {
+    if (!catalogoCache) {
+      try { catalogoCache = await (await fetch('/api/catalogo')).json(); } catch (e) { catalogoCache = []; }
+    }
     const res = await fetch('/api/comprobantes');
     const comprobantes = await res.json();
 
@@ -1685,8 +3056,8 @@ async function loadComprobantes() {
       const tipoClass = c.tipo === 'club' ? 'tipo-club' : c.tipo === 'producto' ? 'tipo-producto' : c.tipo === 'bot_asesor' ? 'tipo-bot' : 'tipo-desconocido';
       const tipoLabel = c.tipo === 'club' ? '🏆 Club ZT' : c.tipo === 'producto' ? '📦 Producto' : c.tipo === 'bot_asesor' ? '🤖 Bot Asesor' : '❓ Desconocido';
       const fecha = new Date(c.created_at).toLocaleString('es-CO');
-      const imgHtml = c.imagen_base64
-        ? \`<img class="comprobante-img" src="data:\${c.imagen_mime};base64,\${c.imagen_base64}" alt="comprobante" onclick="openLightbox(this.src)" title="Click para ver completo">\`
+      const imgHtml = c.media_id
+        ? \`<img class="comprobante-img" src="/media/\${c.media_id}" loading="lazy" alt="comprobante" onclick="openLightbox(this.src)" title="Click para ver completo">\`
         : \`<div class="comprobante-img-placeholder">📄 Sin imagen</div>\`;
 
       return \`
@@ -1717,6 +3088,22 @@ async function loadComprobantes() {
                 </label>
               </div>
             </div>
+            <div id="pedido_\${c.id}" style="display:flex;flex-direction:column;gap:4px;margin-bottom:8px;">
+              <span style="color:#8b949e;font-size:11px;">🧾 Detalle del pedido:</span>
+              <select data-campo="plan" class="crm-note-input" style="font-size:11px;padding:4px 6px;">
+                <option value="">Plan —</option>
+                <option value="plus">Plan Plus</option>
+                <option value="pro">Plan Pro</option>
+              </select>
+              <select data-campo="producto" class="crm-note-input" style="font-size:11px;padding:4px 6px;" onchange="actualizarColores(this)">
+                <option value="">Producto/Arma —</option>
+                \${(catalogoCache || []).map(p => '<option value="' + p.titulo + '" data-plus="' + (p.precio_plus || '') + '" data-pro="' + (p.precio_pro || '') + '">' + p.titulo + '</option>').join('')}
+              </select>
+              <select data-campo="color" class="crm-note-input" style="font-size:11px;padding:4px 6px;">
+                <option value="">Color —</option>
+              </select>
+              <input data-campo="monto" class="crm-note-input" placeholder="Monto pagado (ej. 1.150.000)" style="font-size:11px;padding:4px 6px;">
+            </div>
             <button class="btn-confirmar" id="btn_confirm_\${c.id}" onclick="confirmarComprobante(\${c.id}, 'confirmar', '\${c.client_phone}')">✅ Confirmar pago</button>
             <button class="btn-rechazar" id="btn_reject_\${c.id}" onclick="confirmarComprobante(\${c.id}, 'rechazar', '\${c.client_phone}')">❌ Rechazar</button>
           </div>
@@ -1739,10 +3126,24 @@ function confirmarComprobante(id, accion, phone) {
   
   // Enviar como string separado por comas: "club,bot_asesor" o "producto" etc.
   const tipo = checked.join(',');
-  accionComprobante(id, accion, phone, tipo);
+
+  // Detalle del pedido: plan, producto (precio según plan) y monto pagado
+  const pedidoBox = document.getElementById('pedido_' + id);
+  const pedido = {};
+  if (pedidoBox) {
+    const plan = pedidoBox.querySelector('[data-campo=plan]').value;
+    const prodSel = pedidoBox.querySelector('[data-campo=producto]');
+    const opt = prodSel.options[prodSel.selectedIndex];
+    pedido.plan = plan;
+    pedido.producto = prodSel.value;
+    pedido.color = pedidoBox.querySelector('[data-campo=color]').value;
+    pedido.precio = opt && prodSel.value ? parsePrecio(plan === 'pro' ? opt.dataset.pro : opt.dataset.plus) : 0;
+    pedido.monto = parsePrecio(pedidoBox.querySelector('[data-campo=monto]').value);
+  }
+  accionComprobante(id, accion, phone, tipo, pedido);
 }
 
-async function accionComprobante(id, accion, phone, tipo) {
+async function accionComprobante(id, accion, phone, tipo, pedido = {}) {
   const btnConfirm = document.getElementById('btn_confirm_' + id);
   const btnReject = document.getElementById('btn_reject_' + id);
   if (btnConfirm) btnConfirm.disabled = true;
@@ -1755,7 +3156,7 @@ async function accionComprobante(id, accion, phone, tipo) {
     const res = await fetch('/api/confirmar-comprobante', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id, accion, phone, tipo })
+      body: JSON.stringify({ id, accion, phone, tipo, pedido })
     });
     const data = await res.json();
     if (data.ok) {
@@ -1770,7 +3171,7 @@ async function accionComprobante(id, accion, phone, tipo) {
           status = '<div style="color:#d29922;font-size:13px;font-weight:700;margin-top:8px;">' + accionLabel + ' — ⚠️ No se pudo notificar al cliente por WhatsApp (' + (data.waWarning || 'error LID') + '). Notifícalo manualmente.</div>';
         } else {
           status = accion === 'confirmar'
-            ? '<div style="color:#3fb950;font-size:13px;font-weight:700;margin-top:8px;">✅ Pago confirmado — bot solicitando datos al cliente</div>'
+            ? '<div style="color:#3fb950;font-size:13px;font-weight:700;margin-top:8px;">✅ Pago confirmado — pedido #' + data.orderId + ' — bot solicitando datos al cliente</div>'
             : '<div style="color:#f85149;font-size:13px;font-weight:700;margin-top:8px;">❌ Rechazado — bot notificó al cliente</div>';
         }
         card.querySelector('.comprobante-actions').innerHTML = status;
@@ -1814,8 +3215,8 @@ async function loadCarnets() {
       try { extraData = JSON.parse(c.datos_extraidos_json); } catch(e){}
       
       const fecha = new Date(c.created_at).toLocaleString('es-CO');
-      const imgHtml = c.imagen_base64
-        ? \`<img class="comprobante-img" src="data:\${c.imagen_mime};base64,\${c.imagen_base64}" alt="carnet" onclick="openLightbox(this.src)" title="Click para ver completo">\`
+      const imgHtml = c.media_id
+        ? \`<img class="comprobante-img" src="/media/\${c.media_id}" loading="lazy" alt="carnet" onclick="openLightbox(this.src)" title="Click para ver completo">\`
         : \`<div class="comprobante-img-placeholder">📄 Sin carnet</div>\`;
 
       const safeDataText = encodeURIComponent(c.datos_extraidos_json);
@@ -1837,6 +3238,11 @@ async function loadCarnets() {
             <div style="margin-top:8px;"><a href="https://wa.me/\${c.client_phone}" target="_blank" style="color:#3fb950;font-size:12px;text-decoration:none;">📲 Abrir en WhatsApp</a></div>
           </div>
           <div class="comprobante-actions">
+            <select id="carnPlan_\${c.id}" class="crm-note-input" style="font-size:11px;padding:4px 6px;margin-bottom:6px;" title="Plan de la membresía (obligatorio si el cliente no tiene una registrada)">
+              <option value="">Plan —</option>
+              <option value="plus" \${/plus/i.test(extraData.club || '') ? 'selected' : ''}>Plan Plus</option>
+              <option value="pro" \${/\\bpro\\b/i.test(extraData.club || '') ? 'selected' : ''}>Plan Pro</option>
+            </select>
             <!-- Pasamos los datos extraídos para que el backend pueda guardarlos -->
             <button class="btn-confirmar" id="btn_carn_confirm_\${c.id}" onclick="accionCarnet(\${c.id}, 'confirmar', '\${c.client_phone}', '\${safeDataText}')">✅ Aprobar y Actualizar Ficha</button>
             <button class="btn-rechazar" id="btn_carn_reject_\${c.id}" onclick="accionCarnet(\${c.id}, 'rechazar', '\${c.client_phone}', '')">❌ Rechazar (Ilegible/Falso)</button>
@@ -1864,6 +3270,8 @@ async function accionCarnet(id, accion, phone, carnetDataEncoded) {
       carnetData = JSON.parse(decodeURIComponent(carnetDataEncoded));
     }
   } catch(e) {}
+  const planSel = document.getElementById('carnPlan_' + id);
+  if (planSel && planSel.value) carnetData.plan = planSel.value;
 
   try {
     const res = await fetch('/api/confirmar-carnet', {
@@ -0,0 +1,288 @@
+// ============================================
+// privacy.js - Habeas Data (Ley 1581 de 2012)
+// ============================================
+// Atiende las solicitudes de un titular de datos:
+// - exportar todo lo que tenemos de un número (JSON con imágenes incluidas)
+// - anonimizar: borra los datos personales pero conserva estados, fechas
+//   y pedidos para que los informes y el embudo sigan cuadrando.
+// Cada solicitud queda registrada en privacy_requests.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const crm = require('./db');
+const { getMediaPath } = require('./media');
+
+const db = crm.db;
+const EXPORTS_DIR = path.join(__dirname, 'exports');
+const ANON_MESSAGE = '[anonimizado]';
+// Seudónimos: solo dígitos (resolveClientPhone los deja igual) con un prefijo
+// que ningún número de WhatsApp usa
+const ANON_PREFIX = '000';
+
+// Tablas con client_phone que se re-asignan al seudónimo al anonimizar
+const CLIENT_TABLES = [
+  'conversations', 'comprobantes', 'carnets', 'assignments', 'orders',
+  'audit_events', 'status_history', 'client_tags', 'client_identities', 'memberships',
+  'shipments', 'handoff_queue',
+];
+
+// Columnas de clients con datos personales (se vacían al anonimizar)
+const CLIENT_PII_COLUMNS = [
+  'chat_id', 'name', 'email', 'notes', 'memory', 'cedula', 'ciudad',
+  'direccion', 'profesion', 'serial_arma', 'carnet_qr_url', 'profile_json',
+];
+
+// Un LID o número alterno se atiende sobre la ficha canónica
+function normalizePhone(phone) {
+  return crm.resolveClientPhone(phone);
+}
+
+function recordRequest(requestType, subject, { actor = 'admin', reason = '' } = {}, status, details) {
+  return db.prepare(`
+    INSERT INTO privacy_requests (request_type, subject, actor, reason, status, details_json)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(requestType, subject, actor, reason || '', status, JSON.stringify(details)).lastInsertRowid;
+}
+
+// ============================================
+// VCF (contactos guardados por el bot)
+// ============================================
+function listVcfFiles() {
+  return fs.readdirSync(__dirname).filter(f => f.toLowerCase().endsWith('.vcf'));
+}
+
+// ¿La vCard es de este número? Compara los TEL sin formato (+57 300... / 300...)
+function vcardMatches(block, phone) {
+  return block.split('\n')
+    .filter(l => l.toUpperCase().startsWith('TEL'))
+    .map(l => l.split(':').pop().replace(/\D/g, ''))
+    .some(tel => tel === phone || (tel.length >= 10 && phone.endsWith(tel)));
+}
+
+function splitVcards(raw) {
+  return raw.split(/(?<=END:VCARD)\r?\n*/).filter(b => b.trim());
+}
+
+function findVcfEntries(phone) {
+  const entries = [];
+  for (const file of listVcfFiles()) {
+    const raw = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    splitVcards(raw).filter(b => vcardMatches(b, phone)).forEach(vcard => entries.push({ file, vcard }));
+  }
+  return entries;
+}
+
+// Reescribe cada .vcf sin las entradas del número. Devuelve cuántas quitó.
+function removeVcfEntries(phone) {
+  let removed = 0;
+  for (const file of listVcfFiles()) {
+    const fullPath = path.join(__dirname, file);
+    const blocks = splitVcards(fs.readFileSync(fullPath, 'utf8'));
+    const kept = blocks.filter(b => !vcardMatches(b, phone));
+    if (kept.length === blocks.length) continue;
+    removed += blocks.length - kept.length;
+    const tmp = fullPath + '.tmp';
+    fs.writeFileSync(tmp, kept.map(b => b.trim() + '\n\n').join(''), 'utf8');
+    fs.renameSync(tmp, fullPath);
+  }
+  return removed;
+}
+
+// ============================================
+// EXPORTAR (derecho de acceso)
+// ============================================
+
+// Imagen del almacén de media como base64 (o null si ya no existe)
+function readMedia(mediaId) {
+  const row = mediaId ? crm.getMedia(mediaId) : null;
+  if (!row || !fs.existsSync(getMediaPath(row))) return null;
+  return { mime: row.mime, sha256: row.sha256, base64: fs.readFileSync(getMediaPath(row)).toString('base64') };
+}
+
+function withImage(row) {
+  const { imagen_base64, media_id, ...rest } = row;
+  return { ...rest, imagen: imagen_base64 ? { mime: row.imagen_mime, base64: imagen_base64 } : readMedia(media_id) };
+}
+
+// Todo lo que guardamos de un número, listo para entregar al titular
+function exportSubjectData(phone, audit = {}) {
+  phone = normalizePhone(phone);
+  if (!phone) throw new Error('Número inválido');
+
+  const byPhone = table => db.prepare(`SELECT * FROM ${table} WHERE client_phone = ? ORDER BY id`).all(phone);
+  const orders = byPhone('orders').map(o => crm.getOrder(o.id));
+
+  const bundle = {
+    generado: new Date().toISOString(),
+    titular: phone,
+    responsable: 'Zona Traumática',
+    base_legal: 'Ley 1581 de 2012 (Habeas Data) — derecho de acceso del titular',
+    cliente: db.prepare('SELECT * FROM clients WHERE phone = ?').get(phone) || null,
+    etiquetas: crm.getClientTags(phone),
+    identidades_whatsapp: byPhone('client_identities'),
+    conversaciones: byPhone('conversations'),
+    comprobantes: byPhone('comprobantes').map(withImage),
+    carnets: byPhone('carnets').map(withImage),
+    asignaciones: byPhone('assignments'),
+    pedidos: orders,
+    membresias: byPhone('memberships'),
+    envios: byPhone('shipments'),
+    historial_estados: byPhone('status_history'),
+    auditoria: byPhone('audit_events'),
+    contactos_vcf: findVcfEntries(phone),
+  };
+
+  const counts = {
+    conversaciones: bundle.conversaciones.length,
+    comprobantes: bundle.comprobantes.length,
+    carnets: bundle.carnets.length,
+    pedidos: bundle.pedidos.length,
+    contactos_vcf: bundle.contactos_vcf.length,
+  };
+  bundle.solicitud_id = recordRequest('export', phone, audit, bundle.cliente ? 'completed' : 'not_found', counts);
+  console.log(`[PRIVACY] 📦 Exportación #${bundle.solicitud_id} de ${phone}: ${JSON.stringify(counts)}`);
+  return bundle;
+}
+
+// Guarda el paquete en exports/ (para enviarlo como documento). Devuelve la ruta.
+function writeExportFile(bundle) {
+  fs.mkdirSync(EXPORTS_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePath = path.join(EXPORTS_DIR, `habeas_data_${bundle.titular}_${stamp}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(bundle, null, 2), 'utf8');
+  return filePath;
+}
+
+// ============================================
+// ANONIMIZAR (derecho de supresión)
+// ============================================
+
+// Comprueba que no quede rastro: ninguna fila con el número original y
+// ninguna fila del seudónimo con los datos personales que tenía.
+function verifyAnonymized(phone, pseudonym, piiValues) {
+  const leftovers = [];
+  const tables = ['clients', ...CLIENT_TABLES];
+  for (const table of tables) {
+    const textCols = db.prepare(`PRAGMA table_info(${table})`).all()
+      .filter(c => /TEXT/i.test(c.type)).map(c => c.name);
+    if (textCols.length === 0) continue;
+
+    const anyColumn = textCols.map(c => `instr(COALESCE(${c}, ''), ?) > 0`).join(' OR ');
+    const withPhone = db.prepare(`SELECT COUNT(*) as n FROM ${table} WHERE ${anyColumn}`)
+      .get(...textCols.map(() => phone)).n;
+    if (withPhone > 0) leftovers.push({ table, match: 'telefono', rows: withPhone });
+
+    const keyCol = table === 'clients' ? 'phone' : 'client_phone';
+    for (const value of piiValues) {
+      const n = db.prepare(`SELECT COUNT(*) as n FROM ${table} WHERE ${keyCol} = ? AND (${anyColumn})`)
+        .get(pseudonym, ...textCols.map(() => value)).n;
+      if (n > 0) leftovers.push({ table, match: 'dato personal', rows: n });
+    }
+  }
+  const vcf = findVcfEntries(phone).length;
+  if (vcf > 0) leftovers.push({ table: 'vcf', match: 'telefono', rows: vcf });
+  return leftovers;
+}
+
+// Borra los datos personales de un número. Conserva estados, fechas, pedidos
+// y etiquetas de sistema bajo un seudónimo aleatorio (000 + 12 dígitos).
+function anonymizeSubject(phone, audit = {}) {
+  phone = normalizePhone(phone);
+  const client = crm.getClient(phone);
+  if (!client) throw new Error(`No hay cliente con número ${phone}`);
+
+  let pseudonym;
+  do {
+    pseudonym = ANON_PREFIX + String(crypto.randomInt(1e12)).padStart(12, '0');
+  } while (crm.getClient(pseudonym));
+  const piiValues = [client.name, client.email, client.cedula, client.direccion, client.serial_arma]
+    .filter(v => v && String(v).trim().length >= 4);
+  const mediaIds = db.prepare(`
+    SELECT media_id FROM comprobantes WHERE client_phone = ? AND media_id IS NOT NULL
+    UNION SELECT media_id FROM carnets WHERE client_phone = ? AND media_id IS NOT NULL
+  `).all(phone, phone).map(r => r.media_id);
+
+  const mediaFiles = [];
+  const scrub = db.transaction(() => {
+    db.prepare(`
+      UPDATE clients SET phone = ?, ${CLIENT_PII_COLUMNS.map(c => `${c} = ''`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE phone = ?
+    `).run(pseudonym, phone);
+    CLIENT_TABLES.forEach(table => {
+      db.prepare(`UPDATE ${table} SET client_phone = ? WHERE client_phone = ?`).run(pseudonym, phone);
+    });
+
+    db.prepare('UPDATE conversations SET message = ? WHERE client_phone = ?').run(ANON_MESSAGE, pseudonym);
+    db.prepare(`
+      UPDATE comprobantes SET client_name = '', info = '', imagen_base64 = NULL, media_id = NULL
+      WHERE client_phone = ?
+    `).run(pseudonym);
+    db.prepare(`
+      UPDATE carnets SET client_name = '', imagen_base64 = NULL, media_id = NULL, qr_contenido = '',
+        nombre = '', cedula = '', vigente_hasta = '', serial = '', datos_extraidos_json = NULL
+      WHERE client_phone = ?
+    `).run(pseudonym);
+    db.prepare("UPDATE orders SET notes = '' WHERE client_phone = ?").run(pseudonym);
+    db.prepare("UPDATE shipments SET notes = '' WHERE client_phone = ?").run(pseudonym);
+    // Valores de acciones con texto libre y de cualquier columna personal (nombre, cédula…)
+    const piiAudit = `action IN ('memory', 'notes', 'profile', 'tag', 'merge') OR field IN (${CLIENT_PII_COLUMNS.map(() => '?').join(', ')})`;
+    db.prepare(`
+      UPDATE audit_events SET reason = '',
+        old_value = CASE WHEN ${piiAudit} THEN NULL ELSE old_value END,
+        new_value = CASE WHEN ${piiAudit} THEN NULL ELSE new_value END
+      WHERE client_phone = ?
+    `).run(...CLIENT_PII_COLUMNS, ...CLIENT_PII_COLUMNS, pseudonym);
+    db.prepare("UPDATE status_history SET reason = '' WHERE client_phone = ?").run(pseudonym);
+    db.prepare('UPDATE privacy_requests SET subject = ? WHERE subject = ?').run(pseudonym, phone);
+    // Los LID y números alternos también son datos personales
+    db.prepare('DELETE FROM client_identities WHERE client_phone = ?').run(pseudonym);
+    db.prepare(`
+      DELETE FROM client_tags WHERE client_phone = ?
+      AND tag_id IN (SELECT id FROM tags WHERE kind = 'free')
+    `).run(pseudonym);
+
+    // Imágenes que ya nadie referencia
+    for (const id of mediaIds) {
+      const inUse = db.prepare(`
+        SELECT 1 FROM comprobantes WHERE media_id = ? UNION SELECT 1 FROM carnets WHERE media_id = ?
+      `).get(id, id);
+      if (inUse) continue;
+      const row = crm.getMedia(id);
+      if (row) mediaFiles.push(getMediaPath(row));
+      db.prepare('DELETE FROM media WHERE id = ?').run(id);
+    }
+  });
+  scrub();
+
+  mediaFiles.forEach(f => { if (fs.existsSync(f)) fs.unlinkSync(f); });
+  const vcfRemoved = removeVcfEntries(phone);
+  // Exportaciones anteriores del mismo titular
+  if (fs.existsSync(EXPORTS_DIR)) {
+    fs.readdirSync(EXPORTS_DIR)
+      .filter(f => f.startsWith(`habeas_data_${phone}_`))
+      .forEach(f => fs.unlinkSync(path.join(EXPORTS_DIR, f)));
+  }
+  crm.logAudit(pseudonym, { ...audit, action: 'privacy', field: 'habeas_data', newValue: 'anonimizado' });
+
+  const leftovers = verifyAnonymized(phone, pseudonym, piiValues);
+  const details = { mediaBorrada: mediaFiles.length, vcfBorrados: vcfRemoved, verificado: leftovers.length === 0, pendientes: leftovers };
+  const requestId = recordRequest('anonymize', pseudonym, audit, leftovers.length ? 'needs_review' : 'completed', details);
+
+  console.log(`[PRIVACY] 🧹 Anonimización #${requestId}: ${pseudonym} — ${leftovers.length ? '⚠️ revisar ' + JSON.stringify(leftovers) : '✅ verificada'}`);
+  return { requestId, pseudonym, ...details };
+}
+
+function getPrivacyRequests(limit = 50) {
+  return db.prepare('SELECT * FROM privacy_requests ORDER BY id DESC LIMIT ?').all(limit);
+}
+
+module.exports = {
+  ANON_PREFIX,
+  EXPORTS_DIR,
+  exportSubjectData,
+  writeExportFile,
+  anonymizeSubject,
+  getPrivacyRequests,
+};
@@ -0,0 +1,205 @@
+// ============================================
+// profile.js - Perfil estructurado del cliente
+// ============================================
+// La IA ya no escribe una "ficha" en prosa: devuelve JSON con cada dato y
+// su nivel de confianza. Aquí se valida ese JSON, se combina con el perfil
+// anterior (clients.profile_json) y se arma la ficha legible (clients.memory).
+//
+// Los campos con `column` llenan la columna de clients, solo con confianza
+// alta y nunca encima de un valor puesto a mano (ver db.saveClientProfile).
+
+const CONFIDENCE_LEVELS = ['baja', 'media', 'alta'];
+
+// volatile = describe el momento del cliente: el dato más reciente manda
+// aunque venga con menos confianza que el anterior.
+const PROFILE_FIELDS = {
+  nombre: { label: 'Nombre', type: 'text', column: 'name' },
+  ciudad: { label: 'Ciudad', type: 'text', column: 'ciudad' },
+  cedula: { label: 'Cédula', type: 'cedula', column: 'cedula' },
+  profesion: { label: 'Profesión', type: 'text', column: 'profesion' },
+  intencion: {
+    label: 'Intención', type: 'enum', volatile: true,
+    values: { consultando: 'solo consultando', interesado: 'interesado', listo_para_comprar: 'listo para comprar', compro: 'ya compró', sin_interes: 'sin interés' },
+  },
+  productos_interes: { label: 'Interés', type: 'list' },
+  plan_preferido: { label: 'Plan preferido', type: 'enum', values: { plus: 'Plus', pro: 'Pro' } },
+  motivo: { label: 'Motivo', type: 'text' },
+  objeciones: { label: 'Objeciones', type: 'list', volatile: true },
+  presupuesto: { label: 'Presupuesto', type: 'money' },
+  estado_compra: {
+    label: 'Estado de compra', type: 'enum', volatile: true,
+    values: { sin_compra: 'sin compra', pago_pendiente: 'va a pagar', pagado: 'pagó', carnet_pendiente: 'carnet pendiente', despacho_pendiente: 'despacho pendiente', entregado: 'entregado' },
+  },
+};
+
+const MAX_LIST_ITEMS = 6;
+
+// ============================================
+// VALIDACIÓN
+// ============================================
+function cleanValue(def, value) {
+  if (value === null || value === undefined) return null;
+  switch (def.type) {
+    case 'text': {
+      const text = String(value).replace(/\s+/g, ' ').trim().substring(0, 120);
+      return text || null;
+    }
+    case 'cedula': {
+      const digits = String(value).replace(/\D/g, '');
+      return digits.length >= 6 && digits.length <= 10 ? digits : null;
+    }
+    case 'money': {
+      const amount = typeof value === 'number' ? Math.round(value) : parseInt(String(value).replace(/\D/g, ''));
+      return Number.isInteger(amount) && amount > 0 ? amount : null;
+    }
+    case 'enum': {
+      const key = String(value).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().replace(/\s+/g, '_');
+      return key in def.values ? key : null;
+    }
+    case 'list': {
+      const items = (Array.isArray(value) ? value : [value])
+        .map(v => String(v || '').replace(/\s+/g, ' ').trim().substring(0, 80))
+        .filter(Boolean);
+      return items.length ? [...new Set(items)].slice(0, MAX_LIST_ITEMS) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// { campo: { valor, confianza } } → { campo: { value, confidence } } solo con lo válido
+function validateProfile(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('El perfil no es un objeto JSON');
+  const profile = {};
+  for (const [field, def] of Object.entries(PROFILE_FIELDS)) {
+    const entry = raw[field];
+    if (entry === null || entry === undefined) continue;
+    const valor = typeof entry === 'object' && !Array.isArray(entry) ? entry.valor : entry;
+    const value = cleanValue(def, valor);
+    if (value === null) continue;
+    // "Álvaro" es el director, nunca el nombre del cliente
+    if (field === 'nombre' && /^[aá]lvaro\b/i.test(value)) continue;
+    const confianza = String((entry && entry.confianza) || 'media').toLowerCase();
+    profile[field] = { value, confidence: CONFIDENCE_LEVELS.includes(confianza) ? confianza : 'media' };
+  }
+  return profile;
+}
+
+// Respuesta del modelo (puede venir entre ```json ... ```) → perfil validado
+function parseProfileResponse(text) {
+  const clean = String(text || '').replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+  const start = clean.indexOf('{');
+  const end = clean.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('La respuesta no contiene JSON');
+  return validateProfile(JSON.parse(clean.substring(start, end + 1)));
+}
+
+function parseStoredProfile(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// ============================================
+// COMBINAR CON EL PERFIL ANTERIOR
+// ============================================
+// Un dato nuevo reemplaza al anterior si tiene igual o más confianza
+// (o si el campo es volatile). Las listas se acumulan.
+function mergeProfile(current = {}, extracted = {}) {
+  const merged = { ...current };
+  const rank = c => CONFIDENCE_LEVELS.indexOf(c);
+  for (const [field, entry] of Object.entries(extracted)) {
+    const def = PROFILE_FIELDS[field];
+    const prev = current[field];
+    if (!def) continue;
+    if (!prev) {
+      merged[field] = entry;
+    } else if (def.type === 'list' && !def.volatile) {
+      merged[field] = {
+        value: [...new Set([...entry.value, ...prev.value])].slice(0, MAX_LIST_ITEMS),
+        confidence: rank(entry.confidence) >= rank(prev.confidence) ? entry.confidence : prev.confidence,
+      };
+    } else if (def.volatile || rank(entry.confidence) >= rank(prev.confidence)) {
+      merged[field] = entry;
+    }
+  }
+  return merged;
+}
+
+// ============================================
+// FICHA LEGIBLE (clients.memory)
+// ============================================
+function formatValue(def, value) {
+  if (def.type === 'enum') return def.values[value] || value;
+  if (def.type === 'list') return value.join(', ');
+  if (def.type === 'money') return '$' + value.toLocaleString('es-CO');
+  return String(value);
+}
+
+// Una línea por dato; los de confianza baja van marcados con (?)
+function renderFicha(profile = {}) {
+  return Object.entries(PROFILE_FIELDS)
+    .filter(([field]) => profile[field])
+    .map(([field, def]) => {
+      const { value, confidence } = profile[field];
+      return `- ${def.label}: ${formatValue(def, value)}${confidence === 'baja' ? ' (?)' : ''}`;
+    })
+    .join('\n');
+}
+
+// Columnas de clients que se pueden llenar con este perfil (solo confianza alta)
+function columnValues(profile = {}) {
+  const values = {};
+  for (const [field, def] of Object.entries(PROFILE_FIELDS)) {
+    if (def.column && profile[field] && profile[field].confidence === 'alta') values[def.column] = profile[field].value;
+  }
+  return values;
+}
+
+// ============================================
+// EXTRACCIÓN SIN IA (fallback por keywords)
+// ============================================
+function extractProfileByKeywords(message) {
+  const lower = String(message || '').toLowerCase();
+  const raw = {};
+  const productos = [];
+  if (/ekol/.test(lower)) productos.push('EKOL');
+  if (/retay/.test(lower)) productos.push('RETAY');
+  if (/blow/.test(lower)) productos.push('BLOW');
+  if (/revolver|revólver/.test(lower)) productos.push('revólver');
+  if (/club|membresia|membresía/.test(lower)) productos.push('Club / Membresía');
+  if (productos.length) raw.productos_interes = { valor: productos, confianza: 'media' };
+  if (/plan pro/.test(lower)) raw.plan_preferido = { valor: 'pro', confianza: 'media' };
+  else if (/plan plus/.test(lower)) raw.plan_preferido = { valor: 'plus', confianza: 'media' };
+  if (/defensa|seguridad/.test(lower)) raw.motivo = { valor: 'defensa personal', confianza: 'baja' };
+  if (/carnet|carnét/.test(lower)) raw.estado_compra = { valor: 'carnet_pendiente', confianza: 'baja' };
+  return validateProfile(raw);
+}
+
+// Esquema que se le pide al modelo (se pega en el prompt de memoria)
+function describeSchema() {
+  return Object.entries(PROFILE_FIELDS).map(([field, def]) => {
+    let tipo = 'texto';
+    if (def.type === 'enum') tipo = Object.keys(def.values).map(v => `"${v}"`).join(' | ');
+    if (def.type === 'list') tipo = 'lista de textos';
+    if (def.type === 'money') tipo = 'número en pesos';
+    if (def.type === 'cedula') tipo = 'solo dígitos';
+    return `  "${field}": { "valor": ${tipo}, "confianza": "alta" | "media" | "baja" } o null`;
+  }).join(',\n');
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  PROFILE_FIELDS,
+  validateProfile,
+  parseProfileResponse,
+  parseStoredProfile,
+  mergeProfile,
+  renderFicha,
+  columnValues,
+  extractProfileByKeywords,
+  describeSchema,
+};
@@ -1,55 +1,305 @@
 // ============================================
-// router.js - Sistema de Asignación Round-Robin
+// router.js - Sistema de Asignación de Clientes
 // ============================================
-// Asigna clientes a empleados por turnos rotativos.
-// Ejemplo con 4 empleados:
-//   Cliente 1 → Empleado 1
-//   Cliente 2 → Empleado 2
-//   Cliente 3 → Empleado 3
-//   Cliente 4 → Empleado 4
-//   Cliente 5 → Empleado 1 (vuelve al inicio)
+// Asigna clientes a empleados según la estrategia configurada en la BD
+// (settings.routing.strategy, editable desde el panel):
+//   round_robin  → turnos rotativos (Empleado 1, 2, 3, 1, 2...)
+//   least_loaded → el que tenga menos asignaciones activas
+//   weighted     → menos asignaciones activas en proporción a su peso
+//                  (employees.weight: un asesor con peso 2 recibe el doble)
+// Con routing.sticky = '1', un cliente que vuelve regresa a su asesor anterior
+// si sigue activo.
+//
+// El puntero de la rotación (último asesor asignado) se guarda en settings,
+// así un reinicio no altera los turnos. En empate, gana el siguiente en turno.
+//
+// Colas por habilidad (employees.skills): cada derivación va a una cola
+// (ventas, postventa, legal, despachos) según su tipo y el tema detectado.
+// Solo compiten los asesores con esa habilidad; si no hay ninguno activo,
+// la cola general; y si tampoco, cualquier asesor activo.
+//
+// Horarios (employee_shifts, ver shifts.js): solo compiten los asesores que
+// están de turno. Si hay asesores pero ninguno de turno, assignClient
+// devuelve null y el handoff se estaciona en handoff_queue (index.js).
+//
+// SLA (settings sla.*): si nadie le escribe al cliente en sla.minutes desde
+// la asignación, index.js vuelve a avisar o pasa el cliente a otro asesor.
+//
+// Avisos (settings handoff.*): la notificación va al WhatsApp del asesor
+// asignado, con copia al número principal si handoff.owner_copy = '1'.
+// Al cliente se le puede mandar un mensaje según el tipo de derivación.
 
 const db = require('./db');
+const shifts = require('./shifts');
 
-// Variable para rastrear el último empleado asignado
-let lastAssignedIndex = -1;
+const STRATEGIES = {
+  round_robin: 'Turnos rotativos',
+  least_loaded: 'Menos carga activa',
+  weighted: 'Carga según peso',
+};
+const DEFAULT_STRATEGY = 'round_robin';
+
+const SLA_ACTIONS = {
+  realert: 'Volver a avisar',
+  reassign: 'Pasar a otro asesor',
+};
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+function getRoutingConfig() {
+  const strategy = db.getSetting('routing.strategy', DEFAULT_STRATEGY);
+  return {
+    strategy: STRATEGIES[strategy] ? strategy : DEFAULT_STRATEGY,
+    sticky: db.getSetting('routing.sticky', '0') === '1',
+    lastEmployeeId: parseInt(db.getSetting('routing.last_employee_id', '')) || null,
+  };
+}
+
+// Mensaje al cliente cuando se deriva, por tipo (venta / postventa)
+const CLIENT_HANDOFF_MESSAGES = {
+  none: 'No enviar nada',
+  confirmacion: 'Confirmación breve',
+  asesor: 'Presentar al asesor (nombre y WhatsApp)',
+};
+
+function getHandoffConfig() {
+  const message = tipo => {
+    const value = db.getSetting(`handoff.client_message.${tipo}`, tipo === 'postventa' ? 'confirmacion' : 'none');
+    return CLIENT_HANDOFF_MESSAGES[value] ? value : 'none';
+  };
+  return {
+    ownerCopy: db.getSetting('handoff.owner_copy', '1') === '1',
+    clientMessage: { venta: message('venta'), postventa: message('postventa') },
+  };
+}
+
+function getSlaConfig() {
+  const action = db.getSetting('sla.action', 'realert');
+  return {
+    minutes: parseInt(db.getSetting('sla.minutes', '30')) || 30,
+    action: SLA_ACTIONS[action] ? action : 'realert',
+    maxAlerts: parseInt(db.getSetting('sla.max_alerts', '3')) || 0,
+  };
+}
+
+function setRoutingConfig({ strategy, sticky, weights, skills, schedules, sla, handoff } = {}) {
+  // Los horarios se validan antes de guardar nada: un texto mal escrito no deja la config a medias
+  const parsedSchedules = Object.entries(schedules || {}).map(([employeeId, text]) => [parseInt(employeeId), shifts.parseScheduleText(text)]);
+  if (strategy !== undefined) {
+    if (!STRATEGIES[strategy]) throw new Error(`Estrategia desconocida: ${strategy}`);
+    db.setSetting('routing.strategy', strategy);
+  }
+  if (sticky !== undefined) db.setSetting('routing.sticky', sticky ? '1' : '0');
+  if (handoff) {
+    if (handoff.ownerCopy !== undefined) db.setSetting('handoff.owner_copy', handoff.ownerCopy ? '1' : '0');
+    for (const [tipo, value] of Object.entries(handoff.clientMessage || {})) {
+      if (!['venta', 'postventa'].includes(tipo)) throw new Error(`Tipo de derivación desconocido: ${tipo}`);
+      if (!CLIENT_HANDOFF_MESSAGES[value]) throw new Error(`Mensaje al cliente desconocido: ${value}`);
+      db.setSetting(`handoff.client_message.${tipo}`, value);
+    }
+  }
+  if (sla) {
+    if (sla.minutes !== undefined) {
+      const minutes = parseInt(sla.minutes);
+      if (!Number.isInteger(minutes) || minutes < 1) throw new Error('El SLA debe ser un número de minutos ≥ 1');
+      db.setSetting('sla.minutes', minutes);
+    }
+    if (sla.action !== undefined) {
+      if (!SLA_ACTIONS[sla.action]) throw new Error(`Acción de SLA desconocida: ${sla.action}`);
+      db.setSetting('sla.action', sla.action);
+    }
+    if (sla.maxAlerts !== undefined) {
+      const maxAlerts = parseInt(sla.maxAlerts);
+      if (!Number.isInteger(maxAlerts) || maxAlerts < 0) throw new Error('El tope de re-alertas debe ser un entero ≥ 0');
+      db.setSetting('sla.max_alerts', maxAlerts);
+    }
+  }
+  if (weights) db.setEmployeeWeights(weights);
+  for (const [employeeId, list] of Object.entries(skills || {})) {
+    db.setEmployeeSkills(parseInt(employeeId), list);
+  }
+  for (const [employeeId, list] of parsedSchedules) db.setEmployeeShifts(employeeId, list);
+  const config = getRoutingConfig();
+  console.log(`[ROUTER] Configuración: ${config.strategy}${config.sticky ? ' + sticky' : ''}`);
+  return config;
+}
+
+// ============================================
+// ESTRATEGIAS
+// ============================================
+// Empleados en orden de turno: el siguiente al último asignado va primero
+function inTurnOrder(employees, lastEmployeeId) {
+  const start = employees.findIndex(e => e.id > (lastEmployeeId || 0));
+  return start <= 0 ? employees : [...employees.slice(start), ...employees.slice(0, start)];
+}
+
+// Cada estrategia recibe los empleados en orden de turno y devuelve uno
+const pickers = {
+  round_robin: employees => employees[0],
+  least_loaded: employees => employees.reduce((best, e) => e.active_count < best.active_count ? e : best),
+  weighted: employees => {
+    const ratio = e => (e.active_count + 1) / Math.max(1, e.weight || 1);
+    return employees.reduce((best, e) => ratio(e) < ratio(best) ? e : best);
+  },
+};
+
+// ============================================
+// HORARIOS
+// ============================================
+// Turnos de los empleados activos agrupados por employee_id
+function shiftsByEmployee() {
+  const grouped = {};
+  for (const s of db.getAllShifts()) (grouped[s.employee_id] = grouped[s.employee_id] || []).push(s);
+  return grouped;
+}
+
+function onShiftEmployees(employees, date = new Date()) {
+  const grouped = shiftsByEmployee();
+  return employees.filter(e => shifts.isOnShift(grouped[e.id] || [], date));
+}
+
+/**
+ * ¿Hay alguien de turno? Si no, cuándo empieza el próximo turno.
+ * { total, onShift, nextStart: Date | null }
+ */
+function getShiftStatus(date = new Date()) {
+  const employees = db.getEmployeeLoads();
+  const onShift = onShiftEmployees(employees, date).length;
+  return {
+    total: employees.length,
+    onShift,
+    nextStart: onShift > 0 ? null : shifts.nextShiftStart(db.getAllShifts(), date),
+  };
+}
+
+// ============================================
+// COLAS (tipo de derivación + tema → habilidad)
+// ============================================
+// 'legal' y 'policia' sueltas no sirven ("¿es legal?", "¿me la quita la
+// policía?" son preguntas de venta): solo cuentan dentro de una frase.
+const QUEUE_KEYWORDS = {
+  legal: [
+    'abogado', 'asesoria legal', 'asesor legal', 'problema legal', 'proceso legal', 'tema legal',
+    'decreto', 'ley 2197', 'incauta', 'decomis', 'retuvo', 'retuvieron', 'comparendo', 'permiso de porte', 'demanda', 'denuncia',
+    'me paro la policia', 'me detuvo la policia', 'me quito la policia', 'problema con la policia',
+    'la policia me paro', 'la policia me detuvo', 'la policia me quito', 'la policia me retuvo',
+  ],
+  despachos: ['envio', 'guia', 'despacho', 'despach', 'transportadora', 'no me ha llegado', 'no ha llegado', 'direccion de entrega', 'paquete'],
+};
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Decidir la cola de una derivación
+ * tipo: 'venta' | 'postventa' (handleHandoff); topic: mensaje que la disparó
+ */
+function detectQueue(tipo, topic = '', clientInfo = null) {
+  const text = normalizeText(topic);
+  if (QUEUE_KEYWORDS.legal.some(kw => text.includes(kw))) return 'legal';
+  if (tipo !== 'postventa') return 'ventas';
+  if (QUEUE_KEYWORDS.despachos.some(kw => text.includes(kw))) return 'despachos';
+  if (clientInfo && clientInfo.status === 'despacho_pendiente') return 'despachos';
+  return 'postventa';
+}
+
+// Asesores que pueden atender la cola, con el nivel de respaldo usado
+function eligibleEmployees(employees, queue) {
+  if (!queue) return { employees, via: null };
+  const withSkill = employees.filter(e => e.skillList.includes(queue));
+  if (withSkill.length > 0) return { employees: withSkill, via: queue };
+  const general = employees.filter(e => e.skillList.includes('general'));
+  if (general.length > 0) return { employees: general, via: 'general' };
+  return { employees, via: 'cualquiera' };
+}
 
 // ============================================
 // FUNCIONES PRINCIPALES
 // ============================================
 
 /**
- * Obtener el próximo empleado en la rotación
- * Si un cliente ya tiene asignación activa, devuelve ese mismo empleado
+ * Asignar un empleado al cliente según la estrategia configurada
+ * queue: cola del caso (ver detectQueue). Sin cola compiten todos.
+ * Si el cliente ya tiene asignación activa con alguien que atiende esa cola,
+ * devuelve ese mismo empleado; si no, se reasigna a alguien de la cola.
+ * excludeEmployeeId: no elegir a ese asesor (reasignación por SLA vencido).
  */
-function assignClient(clientPhone) {
-  // 1. Verificar si el cliente ya tiene una asignación activa
+function assignClient(clientPhone, { queue = null, excludeEmployeeId = null } = {}) {
+  // 1. Obtener empleados de turno (con su carga) y los que sirven para la cola
+  const employees = onShiftEmployees(db.getEmployeeLoads()).filter(e => e.id !== excludeEmployeeId);
+  const { employees: eligible, via } = eligibleEmployees(employees, queue);
+  const reasonPrefix = excludeEmployeeId ? 'SLA vencido → ' : '';
+
+  // 2. Verificar si el cliente ya tiene una asignación activa que sirva
+  //    (con alguien de turno: fuera de horario se reasigna)
   const existingAssignment = db.getActiveAssignment(clientPhone);
-  if (existingAssignment) {
+  const existingOnShift = existingAssignment && employees.some(e => e.id === existingAssignment.employee_id);
+  if (existingOnShift && (via !== queue || eligible.some(e => e.id === existingAssignment.employee_id))) {
     console.log(`[ROUTER] Cliente ${clientPhone} ya asignado a ${existingAssignment.employee_name}`);
     return existingAssignment;
   }
 
-  // 2. Obtener empleados activos
-  const employees = db.getActiveEmployees();
-
-  if (employees.length === 0) {
-    console.log('[ROUTER] No hay empleados activos disponibles');
+  if (eligible.length === 0) {
+    console.log('[ROUTER] No hay empleados de turno disponibles');
     return null;
   }
 
-  // 3. Round-robin: avanzar al siguiente empleado
-  lastAssignedIndex = (lastAssignedIndex + 1) % employees.length;
-  const selectedEmployee = employees[lastAssignedIndex];
+  const config = getRoutingConfig();
+  let selectedEmployee = null;
+  let reason = config.strategy;
+
+  // 3. Sticky: el cliente que vuelve regresa con quien lo atendió antes (si sirve para la cola)
+  if (config.sticky) {
+    const previous = db.getLastEmployeeForClient(clientPhone);
+    selectedEmployee = previous ? eligible.find(e => e.id === previous.id) : null;
+    if (selectedEmployee) reason = 'sticky (asesor anterior)';
+  }
+
+  // 4. Estrategia configurada, recorriendo en orden de turno
+  if (!selectedEmployee) {
+    selectedEmployee = pickers[config.strategy](inTurnOrder(eligible, config.lastEmployeeId));
+    db.setSetting('routing.last_employee_id', selectedEmployee.id);
+  }
+  if (queue) reason += via === queue ? ` · cola ${queue}` : ` · cola ${queue} sin asesores → ${via}`;
 
-  // 4. Crear la asignación en la BD
-  const assignment = db.createAssignment(clientPhone, selectedEmployee.id);
+  // 5. Crear la asignación en la BD
+  const assignment = db.createAssignment(clientPhone, selectedEmployee.id, { actor: 'bot', reason: reasonPrefix + reason }, { queue: queue || 'general' });
 
-  console.log(`[ROUTER] Cliente ${clientPhone} → ${selectedEmployee.name} (turno ${lastAssignedIndex + 1}/${employees.length})`);
+  console.log(`[ROUTER] Cliente ${clientPhone} → ${selectedEmployee.name} (${reason}, ${selectedEmployee.active_count} activos)`);
 
   return assignment;
 }
 
+// Asesor activo por ID, teléfono o nombre (sin importar mayúsculas ni tildes)
+function findEmployee(ref) {
+  const text = String(ref || '').trim();
+  if (!text) return null;
+  const employees = db.getActiveEmployees();
+  if (/^\d+$/.test(text)) {
+    return employees.find(e => String(e.id) === text) ||
+      employees.find(e => e.phone === text || (text.length >= 7 && e.phone.endsWith(text))) || null;
+  }
+  const name = normalizeText(text);
+  const matches = employees.filter(e => normalizeText(e.name).startsWith(name));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Transferir el cliente a otro asesor (panel o !transferir). Conserva el
+ * historial de asignaciones; los avisos a ambos asesores los manda index.js.
+ * toEmployee: ID, teléfono o nombre del asesor destino.
+ */
+function transferAssignment(clientPhone, toEmployee, reason = '', audit = {}) {
+  const target = typeof toEmployee === 'object' && toEmployee ? toEmployee : findEmployee(toEmployee);
+  if (!target) throw new Error(`No encontré un asesor activo que coincida con "${toEmployee}"`);
+  const result = db.transferAssignment(clientPhone, target.id, reason, audit);
+  const onShift = shifts.isOnShift(db.getEmployeeShifts(target.id));
+  console.log(`[ROUTER] Cliente ${clientPhone} transferido → ${target.name}${onShift ? '' : ' (fuera de turno)'}${reason ? ` — ${reason}` : ''}`);
+  return { ...result, onShift };
+}
+
 /**
  * Generar mensaje de derivación para enviar al cliente
  */
@@ -63,51 +313,59 @@ function getHandoffMessage(assignment, businessName) {
 }
 
 /**
- * Generar mensaje de notificación para el empleado
+ * Generar mensaje de notificación para el empleado asignado: ficha del CRM
+ * y últimos mensajes, para que pueda escribirle al cliente sin abrir el panel.
+ * parkedSince: fecha en que el handoff quedó en espera fuera de horario.
+ * note: línea extra (ej. de quién viene una transferencia y por qué).
  */
-function getEmployeeNotification(clientPhone, clientName, context) {
+function getEmployeeNotification({ clientPhone, clientName, tipo, queue, triggerMessage, clientMemory, context, parkedSince = null, note = null }) {
   const name = clientName || 'Cliente nuevo';
-  return `🔔 *Nueva asignación de cliente*\n\n` +
+  const header = tipo === 'postventa' ? '🛠️ *Nuevo caso de post-venta*' : '🔔 *Nueva asignación de cliente*';
+  return `${header}\n\n` +
     `📋 *Cliente:* ${name}\n` +
-    `📱 *Número:* wa.me/${clientPhone.replace('@c.us', '')}\n\n` +
-    `💬 *Contexto de la conversación:*\n${context}\n\n` +
+    `📱 *Número:* wa.me/${clientPhone.replace('@c.us', '')}\n` +
+    `🗂️ *Cola:* ${db.EMPLOYEE_SKILLS[queue] || queue}\n` +
+    (parkedSince ? `🌙 *En espera desde:* ${parkedSince} (llegó fuera de horario)\n` : '') +
+    (note ? `↪️ ${note}\n` : '') +
+    `\n💬 *${tipo === 'postventa' ? 'Lo que necesita' : 'Lo que disparó la alerta'}:*\n"${triggerMessage}"\n\n` +
+    `🧠 *Ficha del cliente (CRM):*\n${clientMemory}\n\n` +
+    `📋 *Últimos mensajes:*\n${context}\n\n` +
     `_Por favor, comunícate con el cliente lo antes posible._`;
 }
 
 /**
- * Inicializar el índice de round-robin basado en la BD
- * (para mantener la rotación justa después de reiniciar el bot)
+ * Mostrar la configuración al arrancar. El puntero de la rotación vive en
+ * la BD (settings), así que no hay nada que reconstruir.
  */
 function initRouter() {
-  const employees = db.getActiveEmployees();
+  const employees = db.getEmployeeLoads();
 
   if (employees.length === 0) {
     console.log('[ROUTER] No hay empleados configurados aún');
     return;
   }
 
-  // Buscar el empleado con más asignaciones para continuar la rotación
-  let maxAssignments = 0;
-  let maxIndex = -1;
-
-  employees.forEach((emp, index) => {
-    if (emp.assignments_count >= maxAssignments) {
-      maxAssignments = emp.assignments_count;
-      maxIndex = index;
-    }
-  });
-
-  // El último que fue asignado es el que tiene más, así el siguiente será el correcto
-  lastAssignedIndex = maxIndex;
-
-  console.log(`[ROUTER] Inicializado. Próximo empleado en turno: ${employees[(maxIndex + 1) % employees.length].name}`);
+  const config = getRoutingConfig();
+  const next = inTurnOrder(employees, config.lastEmployeeId)[0];
+  console.log(`[ROUTER] Inicializado (${STRATEGIES[config.strategy]}${config.sticky ? ', sticky' : ''}). Próximo en turno: ${next.name}`);
 }
 
 // ============================================
 // EXPORTAR
 // ============================================
 module.exports = {
+  STRATEGIES,
+  SLA_ACTIONS,
+  CLIENT_HANDOFF_MESSAGES,
+  getSlaConfig,
+  getHandoffConfig,
+  detectQueue,
+  getShiftStatus,
   assignClient,
+  findEmployee,
+  transferAssignment,
+  getRoutingConfig,
+  setRoutingConfig,
   getHandoffMessage,
   getEmployeeNotification,
   initRouter
@@ -6,35 +6,98 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+
+const CATALOG_PATH = path.join(__dirname, 'catalogo_contexto.json');
 
 // ============================================
 // CARGAR CATÁLOGO
 // ============================================
+// Se puede llamar de nuevo con el bot corriendo (watcher o /reload): todo se
+// arma aparte y se cambia de una sola vez. Si el archivo nuevo no pasa la
+// validación (JSON a medio escribir, sin productos…) se queda el anterior.
 let catalogo = [];
+let vocabulario = new Set();  // tokens de marca, modelo y título (para corregir typos)
+let textoCatalogo = '';       // todo el _searchText junto (¿la palabra existe tal cual?)
+let indice = { terms: new Map(), lengths: [], avgLength: {} };  // índice invertido BM25
+let catalogHash = null;       // sha256 del archivo cargado (no re-indexar si no cambió)
+
+// JSON del catálogo → lista de productos. Lanza error si algo no cuadra.
+function parseCatalog(data) {
+  if (!data || typeof data.categorias !== 'object' || Array.isArray(data.categorias)) {
+    throw new Error('falta el objeto "categorias"');
+  }
+  const productos = [];
+  for (const [categoria, lista] of Object.entries(data.categorias)) {
+    if (!Array.isArray(lista)) throw new Error(`la categoría ${categoria} no es una lista`);
+    lista.forEach((p, i) => {
+      if (!p || typeof p.titulo !== 'string' || !p.titulo.trim()) {
+        throw new Error(`producto ${i + 1} de ${categoria} sin título`);
+      }
+      for (const campo of ['precio_plus', 'precio_pro']) {
+        if (p[campo] !== undefined && p[campo] !== null && !/\d/.test(String(p[campo]))) {
+          throw new Error(`${p.titulo}: ${campo} inválido ("${p[campo]}")`);
+        }
+      }
+      productos.push({
+        ...p,
+        categoria,
+        _searchText: `${p.titulo} ${p.descripcion} ${p.marca || ''} ${p.modelo || ''} ${categoria} ${(p.keywords || []).join(' ')}`.toLowerCase(),
+      });
+    });
+  }
+  if (productos.length === 0) throw new Error('el catálogo no tiene productos');
+  return productos;
+}
 
+// { ok, products, unchanged } o { ok: false, error }
 function loadCatalog() {
   try {
-    const data = JSON.parse(
-      fs.readFileSync(path.join(__dirname, 'catalogo_contexto.json'), 'utf8')
-    );
-
-    catalogo = [];
-    for (const [categoria, productos] of Object.entries(data.categorias)) {
-      productos.forEach(p => {
-        catalogo.push({
-          ...p,
-          categoria,
-          _tituloLower: p.titulo.toLowerCase(),
-          _descLower: (p.descripcion || '').toLowerCase(),
-          _searchText: `${p.titulo} ${p.descripcion} ${p.marca || ''} ${p.modelo || ''} ${categoria} ${(p.keywords || []).join(' ')}`.toLowerCase(),
-        });
-      });
-    }
+    const raw = fs.readFileSync(CATALOG_PATH, 'utf8');
+    const hash = crypto.createHash('sha256').update(raw).digest('hex');
+    if (hash === catalogHash) return { ok: true, products: catalogo.length, unchanged: true };
+
+    const productos = parseCatalog(JSON.parse(raw));
+    const vocab = buildVocabulary(productos);
+    const nuevoIndice = buildIndex(productos);
+
+    catalogo = productos;
+    vocabulario = vocab.terms;
+    textoCatalogo = vocab.text;
+    indice = nuevoIndice;
+    catalogHash = hash;
+    console.log(`[SEARCH] Catálogo cargado: ${catalogo.length} productos en memoria (${indice.terms.size} términos indexados, ${vocabulario.size} para corrección)`);
+  } catch (error) {
+    console.error(`[SEARCH] Error cargando catálogo${catalogo.length ? ' (se conserva el anterior)' : ''}:`, error.message);
+    return { ok: false, error: error.message };
+  }
+
+  // Variantes nuevas del catálogo → inventario (sin conteo hasta que lo registren)
+  try {
+    db.syncInventoryVariants(catalogo);
+  } catch (error) {
+    console.error('[SEARCH] Error sincronizando inventario:', error.message);
+  }
+  return { ok: true, products: catalogo.length };
+}
 
-    console.log(`[SEARCH] Catálogo cargado: ${catalogo.length} productos en memoria`);
+// ============================================
+// DISPONIBILIDAD REAL (inventario por color)
+// ============================================
+// Una variante contada está disponible si tiene stock; una sin conteo
+// hereda el `disponible` del catálogo (se guarda en catalogDisponible porque
+// `disponible` pasa a decir si queda alguna variante).
+function withStock(product) {
+  let variantes = [];
+  try {
+    variantes = db.getProductStock(product.titulo);
   } catch (error) {
-    console.error('[SEARCH] Error cargando catálogo:', error.message);
+    console.error('[SEARCH] Error leyendo inventario:', error.message);
   }
+  if (variantes.length === 0) return product;
+  const disponibles = variantes.filter(v => v.counted ? v.stock > 0 : product.disponible);
+  return { ...product, variantes, catalogDisponible: product.disponible, disponible: disponibles.length > 0 };
 }
 
 // ============================================
@@ -101,12 +164,337 @@ const SYNONYMS = {
   'decreto': ['decreto 2535', 'ley 2197', 'legal', 'juridico'],
   'afiliacion': ['afiliación', 'club', 'membresia', 'carnet'],
   'afiliación': ['afiliacion', 'club', 'membresia', 'carnet'],
+  'glock': ['g17'],
+};
+
+// ============================================
+// CORRECCIÓN DE TYPOS (búsqueda difusa)
+// ============================================
+// Los clientes escriben desde el celular: "retai", "ecol firat", "minni 9".
+// Una palabra que no aparece tal cual en el catálogo se compara (distancia
+// de edición con transposiciones) contra los términos de marca, modelo y
+// título, y contra las claves de SINÓNIMOS. Se acepta 1 error hasta 7 letras
+// y 2 desde 8; palabras de 3 letras o menos no se corrigen. Con 2 errores en
+// palabras de 6-7 letras caían palabras normales ("seguro" → "negro").
+// Las correcciones pesan menos que las coincidencias exactas (FUZZY_WEIGHT).
+const FUZZY_WEIGHT = 0.5;
+
+// Palabras comunes a un error de distancia de un término del catálogo: no se tocan
+const NO_CORREGIR = new Set([
+  'dile', 'carne', 'plano', 'alma', 'boton', 'retar', 'mano', 'plata', 'armo', 'arme', 'lega', 'legar',
+  'bota', 'botas', 'carro', 'carros', 'claro', 'clara', 'ilegal', 'ilegales',
+]);
+
+function normalizeWord(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function buildVocabulary(productos) {
+  const terms = new Set();
+  const addTokens = text => normalizeWord(text).split(/[^a-z0-9]+/)
+    .filter(t => t.length >= 3 && !/^\d+$/.test(t) && !STOP_WORDS.has(t))
+    .forEach(t => terms.add(t));
+  productos.forEach(p => {
+    addTokens(p.titulo);
+    addTokens(p.marca);
+    addTokens(p.modelo);
+    (p.keywords || []).forEach(addTokens);
+  });
+  Object.keys(SYNONYMS).forEach(addTokens);
+  return { terms, text: normalizeWord(productos.map(p => p._searchText).join(' ')) };
+}
+
+// Distancia de Damerau-Levenshtein (versión OSA). Corta en cuanto pasa de max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) { rows[i][j] = j; continue; }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+      rows[i][j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    if (i > 0 && rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// Término del catálogo más parecido a la palabra, o null si no hay uno cercano
+function correctWord(word) {
+  if (word.length <= 3 || /^\d+$/.test(word) || NO_CORREGIR.has(word)) return null;
+  if (vocabulario.has(word) || textoCatalogo.includes(word) || indice.terms.has(tokenize(word)[0])) return null;
+  const max = word.length <= 7 ? 1 : 2;
+  let best = null;
+  let bestDistance = max + 1;
+  for (const term of vocabulario) {
+    const d = editDistance(word, term, max);
+    if (d < bestDistance) {
+      best = term;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+// ============================================
+// ÍNDICE INVERTIDO (BM25F)
+// ============================================
+// Se arma en loadCatalog(): término → productos donde aparece, con
+// cuántas veces sale en cada campo. El puntaje de un término en un producto:
+//   idf × tf' × (K1 + 1) / (tf' + K1)
+//   tf' = Σ campo  peso × tf / (1 − B + B × largo / largo promedio)
+// Un título corto con el término pesa más que una descripción larga, y
+// repetir una palabra satura en vez de sumar sin fin.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_WEIGHTS = { titulo: 3, marca: 2.5, modelo: 2.5, categoria: 2, keywords: 1.5, color: 1.5, descripcion: 1 };
+
+// Peso de cada término de la consulta según de dónde salió. Un sinónimo
+// tampoco puede tener más idf que la palabra que lo trajo: "pistola" (sale en
+// casi todo) no debe subir los revólveres por encima de las pistolas.
+const SYNONYM_WEIGHT = 0.4;
+const AVAILABLE_BONUS = 0.1;  // desempate a favor de lo que hay en stock
+
+// "Pistolas G17" → ['pistola', 'g17', '17']: sin tildes, plural simple fuera
+// y los números de un modelo también sueltos ("84FS" → '84fs', '84')
+function tokenize(text) {
+  const tokens = [];
+  normalizeWord(text).split(/[^a-z0-9]+/).filter(Boolean).forEach(t => {
+    if (t.length > 4 && t.endsWith('s') && !t.endsWith('ss')) t = t.slice(0, -1);
+    tokens.push(t);
+    const digits = t.match(/\d+/g);
+    if (digits && !/^\d+$/.test(t)) digits.forEach(d => tokens.push(d));
+  });
+  return tokens;
+}
+
+function productFields(p) {
+  return {
+    titulo: p.titulo,
+    marca: p.marca || '',
+    modelo: p.modelo || '',
+    categoria: p.categoria,
+    keywords: (p.keywords || []).join(' '),
+    color: p.color || '',
+    descripcion: p.descripcion || '',
+  };
+}
+
+function buildIndex(productos) {
+  const terms = new Map();
+  const lengths = [];
+  const totals = {};
+  productos.forEach((p, docId) => {
+    const docLengths = {};
+    for (const [field, text] of Object.entries(productFields(p))) {
+      const tokens = tokenize(text);
+      docLengths[field] = tokens.length;
+      totals[field] = (totals[field] || 0) + tokens.length;
+      tokens.forEach(term => {
+        if (!terms.has(term)) terms.set(term, new Map());
+        const postings = terms.get(term);
+        if (!postings.has(docId)) postings.set(docId, {});
+        const tf = postings.get(docId);
+        tf[field] = (tf[field] || 0) + 1;
+      });
+    }
+    lengths.push(docLengths);
+  });
+  const avgLength = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    avgLength[field] = productos.length ? (totals[field] || 0) / productos.length : 0;
+  }
+  return { terms, lengths, avgLength };
+}
+
+function idf(term) {
+  const postings = indice.terms.get(term);
+  if (!postings) return 0;
+  const n = catalogo.length;
+  const df = postings.size;
+  return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+}
+
+// ============================================
+// FILTROS (precio, color, tipo, plan)
+// ============================================
+// "algo por debajo de 1.200.000", "en color fume", "solo revólveres",
+// "que sirva en Plan Pro" no son palabras para rankear: son condiciones.
+// parseFilters() las saca del mensaje y devuelve el texto sobrante para la
+// búsqueda normal. Se aplican como filtro duro antes del ranking.
+//
+// Plan: todo se vende con Plan Plus; "en Plan Pro" deja solo lo que tiene
+// precio_pro. El precio se compara contra el del plan pedido; sin plan,
+// contra precio_plus, que es el más barato. "menos de / por debajo de"
+// excluyen el tope, "hasta / máximo" lo incluyen. Con filtro de precio y sin
+// tipo pedido, los servicios (club, asesor legal) quedan fuera.
+const COLORS = {
+  negro: ['negro', 'negra', 'negros', 'negras', 'black'],
+  fume: ['fume', 'gris', 'plomo', 'grafito'],
+  cromado: ['cromado', 'cromada', 'cromo', 'plateado', 'plateada', 'silver'],
+};
+
+const PRODUCT_TYPES = {
+  revolver: 'revólveres',
+  pistola: 'pistolas',
+  servicio: 'servicios',
 };
 
+const AMOUNT = String.raw`\$?\s*(\d{1,3}(?:[.,']\d{3})+|\d+(?:[.,]\d+)?)\s*(millones|millon|palos?|mill|m|k|mil|lucas?)?(?![a-z0-9])`;
+const PRICE_PATTERNS = [
+  { re: new RegExp(String.raw`\bentre\s+` + AMOUNT + String.raw`\s+y\s+` + AMOUNT, 'g'), range: true },
+  { re: new RegExp(String.raw`\b(?:por debajo de|menos de|menor a|menor de|inferior a)\s+` + AMOUNT, 'g'), max: true, strict: true },
+  { re: new RegExp(String.raw`\b(?:hasta|maximo|max|no mas de|presupuesto de|presupuesto)\s+` + AMOUNT, 'g'), max: true },
+  { re: new RegExp(String.raw`\b(?:por encima de|mas de|mayor a|mayor de|superior a)\s+` + AMOUNT, 'g'), min: true, strict: true },
+  { re: new RegExp(String.raw`\b(?:desde|minimo|min)\s+` + AMOUNT, 'g'), min: true },
+];
+
+// Un número suelto ("hasta 500") solo se lee como miles si va junto a una
+// palabra de precio o a una moneda: "hasta 500 metros" no es un presupuesto.
+const PRICE_WORDS = String.raw`\$|\b(?:precio|precios|presupuesto|vale|valen|valga|valor|cuesta|cuestan|cueste|costo|pagar|plata)\b`;
+const PRICE_IN = new RegExp(PRICE_WORDS);
+const PRICE_BEFORE = new RegExp(`(?:${PRICE_WORDS})[^0-9]{0,20}$`);
+const PRICE_AFTER = /^\s*(?:pesos|cop|mil pesos)\b/;
+
+// "1.2 millones", "1'200.000", "1200k", "1.200" (mil doscientos) → pesos
+// inferThousands: "1200" sin unidad cuenta como $1.200.000
+function parseAmount(number, unit, inferThousands = true) {
+  const clean = number.replace(/'/g, '.');
+  const isThousands = /^\d{1,3}(?:[.,]\d{3})+$/.test(clean);
+  const value = isThousands ? parseInt(clean.replace(/[.,]/g, '')) : parseFloat(clean.replace(',', '.'));
+  if (!Number.isFinite(value) || value <= 0) return null;
+  const multiplier = {
+    millones: 1e6, millon: 1e6, palo: 1e6, palos: 1e6, mill: 1e6, m: 1e6,
+    k: 1e3, mil: 1e3, luca: 1e3, lucas: 1e3,
+  }[unit];
+  if (multiplier) return Math.round(value * multiplier);
+  if (value >= 100 && value < 10000) return inferThousands ? Math.round(value * 1000) : null;  // "hasta 1200"
+  return value >= 10000 ? Math.round(value) : null;
+}
+
+function parsePrice(text) {
+  const digits = String(text || '').replace(/\D/g, '');
+  return digits ? parseInt(digits) : null;
+}
+
+function formatPrice(amount) {
+  return '$' + amount.toLocaleString('es-CO');
+}
+
+function parseFilters(message) {
+  let text = normalizeWord(message)
+    .replace(/\b(?:un |1 )?millon y medio\b/g, '1500000')
+    .replace(/\bun millon\b/g, '1000000');
+  const filters = {};
+
+  for (const { re, range, max, min, strict } of PRICE_PATTERNS) {
+    text = text.replace(re, (match, ...groups) => {
+      const [n1, u1, n2, u2] = groups;
+      const offset = groups[groups.length - 2];
+      const priced = PRICE_IN.test(match) || PRICE_BEFORE.test(text.slice(0, offset)) ||
+        PRICE_AFTER.test(text.slice(offset + match.length));
+      // En un rango la unidad puede ir en cualquiera de los dos montos:
+      // "entre 1 y 1.3 millones", "entre 1.2 millones y 1.3"
+      const a = range ? parseAmount(n1, u1, priced) || parseAmount(n1, u2, priced) : parseAmount(n1, u1, priced);
+      const b = range ? parseAmount(n2, u2, priced) || parseAmount(n2, u1, priced) : null;
+      if (range && a && b) {
+        filters.minPrice = Math.min(a, b);
+        filters.maxPrice = Math.max(a, b);
+      } else if (max && a) {
+        filters.maxPrice = a;
+        if (strict) filters.maxExclusive = true;
+      } else if (min && a) {
+        filters.minPrice = a;
+        if (strict) filters.minExclusive = true;
+      } else {
+        return match;
+      }
+      return ' ';
+    });
+  }
+
+  const words = new Set(text.split(/[^a-z0-9]+/).filter(Boolean));
+  const colors = Object.entries(COLORS).filter(([, names]) => names.some(n => words.has(n))).map(([color]) => color);
+  if (colors.length) filters.colors = colors;
+
+  const revolver = /\brevolver(es)?\b/.test(text);
+  const pistola = /\bpistolas?\b/.test(text);
+  if (revolver && !pistola) filters.type = 'revolver';
+  else if (pistola && !revolver && /\b(solo|solamente|unicamente|nada mas que)\s+(una\s+|las\s+)?pistolas?\b/.test(text)) filters.type = 'pistola';
+  else if (/\b(servicios?|membresias?|afiliacion)\b/.test(text) && !revolver && !pistola) filters.type = 'servicio';
+
+  // "en plan pro", "que sirva con el pro"; "cuánto vale el plan pro" pregunta por el club, no filtra
+  const planRe = /\b(?:(?:que\s+)?(?:sirvan?|apliquen?|entren?)\s+)?(?:en|con|para|por)\s+(?:el\s+)?(?:plan\s+)?pro\b/g;
+  if (planRe.test(text)) {
+    filters.plan = 'pro';
+    text = text.replace(planRe, ' ');
+  }
+
+  return { filters, text: text.replace(/\s+/g, ' ').trim() };
+}
+
+function productType(product) {
+  if (product.categoria === 'SERVICIOS') return 'servicio';
+  return /revolver/.test(normalizeWord(`${product.titulo} ${product.descripcion}`)) ? 'revolver' : 'pistola';
+}
+
+function productPrice(product, plan) {
+  return parsePrice(plan === 'pro' ? product.precio_pro : product.precio_plus);
+}
+
+function matchesFilters(product, filters) {
+  if (filters.plan === 'pro' && productPrice(product, 'pro') === null) return false;
+  const type = productType(product);
+  if (filters.type && type !== filters.type) return false;
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    if (!filters.type && type === 'servicio') return false;
+    const price = productPrice(product, filters.plan);
+    if (price === null) return false;
+    if (filters.minPrice !== undefined && (price < filters.minPrice || (filters.minExclusive && price === filters.minPrice))) return false;
+    if (filters.maxPrice !== undefined && (price > filters.maxPrice || (filters.maxExclusive && price === filters.maxPrice))) return false;
+  }
+  if (filters.colors) {
+    const color = normalizeWord(product.color);
+    if (!filters.colors.some(c => color.includes(c))) return false;
+  }
+  return true;
+}
+
+function hasFilters(filters) {
+  return Object.keys(filters || {}).length > 0;
+}
+
+// "precio menor a $1.200.000, color fume, solo revólveres, disponible en Plan Pro"
+function describeFilters(filters) {
+  const parts = [];
+  const planLabel = filters.plan === 'pro' ? ' (Plan Pro)' : '';
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined) {
+    parts.push(`precio entre ${formatPrice(filters.minPrice)} y ${formatPrice(filters.maxPrice)}${planLabel}`);
+  } else if (filters.maxPrice !== undefined) {
+    parts.push(`precio ${filters.maxExclusive ? 'menor a' : 'hasta'} ${formatPrice(filters.maxPrice)}${planLabel}`);
+  } else if (filters.minPrice !== undefined) {
+    parts.push(`precio ${filters.minExclusive ? 'mayor a' : 'desde'} ${formatPrice(filters.minPrice)}${planLabel}`);
+  }
+  if (filters.colors) parts.push(`color ${filters.colors.join(' o ')}`);
+  if (filters.type) parts.push(`solo ${PRODUCT_TYPES[filters.type]}`);
+  if (filters.plan) parts.push('disponible en Plan Pro');
+  return parts.join(', ');
+}
+
 // ============================================
 // EXTRAER PALABRAS CLAVE
 // ============================================
-function extractKeywords(message) {
+// Devuelve las palabras clave; las que salieron de corregir un typo quedan
+// en `fuzzy` (palabra corregida → lo que escribió el cliente).
+// `terms` son los términos del índice con su peso: directo 1, sinónimo
+// SYNONYM_WEIGHT, corregido FUZZY_WEIGHT (y las dos cosas se multiplican).
+// Si un término llega por varios caminos se queda con el peso mayor.
+function analyzeQuery(message) {
   const clean = message
     .toLowerCase()
     .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
@@ -116,71 +504,179 @@ function extractKeywords(message) {
 
   const words = clean.split(' ').filter(w => w.length > 1 && !STOP_WORDS.has(w));
 
-  const expanded = new Set(words);
+  const expanded = new Set();
+  const fuzzy = new Map();
+  const terms = new Map();
+  const addTerms = (text, weight, origin, from, maxIdf = Infinity) => tokenize(text).forEach(term => {
+    const prev = terms.get(term);
+    if (!prev || prev.weight < weight) terms.set(term, { weight, origin, from, maxIdf });
+  });
+
   words.forEach(word => {
-    if (SYNONYMS[word]) {
-      SYNONYMS[word].forEach(syn => expanded.add(syn));
+    const corrected = correctWord(word);
+    if (corrected) {
+      console.log(`[SEARCH] 🔤 Corrección: "${word}" → "${corrected}"`);
+      fuzzy.set(corrected, word);
     }
+    const base = corrected || word;
+    const baseWeight = corrected ? FUZZY_WEIGHT : 1;
+    expanded.add(base);
+    addTerms(base, baseWeight, corrected ? 'corrección' : 'directo', word);
+    const baseTerm = tokenize(base)[0];
+    const baseIdf = indice.terms.has(baseTerm) ? idf(baseTerm) : Infinity;
+    (SYNONYMS[base] || []).forEach(syn => {
+      if (corrected && !expanded.has(syn)) fuzzy.set(syn, word);
+      expanded.add(syn);
+      addTerms(syn, baseWeight * SYNONYM_WEIGHT, corrected ? 'sinónimo corregido' : 'sinónimo', word, baseIdf);
+    });
   });
 
-  return Array.from(expanded);
+  return { keywords: Array.from(expanded), fuzzy, terms };
+}
+
+function extractKeywords(message) {
+  return analyzeQuery(message).keywords;
 }
 
 // ============================================
 // BUSCAR PRODUCTOS
 // ============================================
-function searchProducts(message, maxResults = 6) {
+// options.debug: cada producto trae `_explain` (aporte de cada término y
+// campo) y se imprime el desglose en consola
+function searchProducts(message, maxResults = 6, options = {}) {
   if (catalogo.length === 0) {
     console.warn('[SEARCH] Catálogo vacío, recargando...');
     loadCatalog();
   }
 
-  const keywords = extractKeywords(message);
+  const { filters, text } = parseFilters(message);
+  const { keywords, fuzzy, terms } = analyzeQuery(text);
+  const allowed = hasFilters(filters)
+    ? new Set(catalogo.map((p, docId) => docId).filter(docId => matchesFilters(catalogo[docId], filters)))
+    : null;
+  const filteredOut = allowed ? wordsFilteredOut(terms, allowed) : [];
 
-  if (keywords.length === 0) {
+  if (keywords.length === 0 && !allowed) {
     return {
       keywords: [],
+      filters,
       products: getHighlightProducts(),
       totalFound: 0,
       strategy: 'highlights',
     };
   }
 
-  const scored = catalogo.map(product => {
-    let score = 0;
-
-    keywords.forEach(keyword => {
-      if (product._tituloLower.includes(keyword)) {
-        score += 10;
-        if (product._tituloLower.startsWith(keyword)) score += 5;
+  // Solo se recorren los productos que tienen algún término de la consulta
+  // (y que pasan los filtros)
+  const scores = new Map();
+  for (const [term, q] of terms) {
+    const postings = indice.terms.get(term);
+    if (!postings) continue;
+    const termIdf = Math.min(idf(term), q.maxIdf);
+    for (const [docId, tf] of postings) {
+      if (allowed && !allowed.has(docId)) continue;
+      const lengths = indice.lengths[docId];
+      let weightedTf = 0;
+      const fields = {};
+      for (const [field, count] of Object.entries(tf)) {
+        const avg = indice.avgLength[field] || 1;
+        const norm = 1 - BM25_B + BM25_B * (lengths[field] / avg);
+        weightedTf += FIELD_WEIGHTS[field] * count / norm;
+        fields[field] = count;
       }
-      if (product._descLower.includes(keyword)) score += 3;
-      if (product.categoria.toLowerCase().includes(keyword)) score += 5;
-      if ((product.marca || '').toLowerCase().includes(keyword)) score += 8;
-      if ((product.modelo || '').toLowerCase().includes(keyword)) score += 8;
-      if (product._searchText.includes(keyword)) score += 2; // keywords del catálogo
-    });
-
-    if (product.disponible) score += 1;
+      const points = q.weight * termIdf * weightedTf * (BM25_K1 + 1) / (weightedTf + BM25_K1);
+      if (!scores.has(docId)) scores.set(docId, { score: 0, explain: [] });
+      const entry = scores.get(docId);
+      entry.score += points;
+      entry.explain.push({ term, origin: q.origin, from: q.from, weight: q.weight, idf: termIdf, fields, points });
+    }
+  }
 
-    return { ...product, _score: score };
+  const scored = [...scores.entries()].map(([docId, entry]) => {
+    const product = withStock(catalogo[docId]);
+    let score = entry.score;
+    if (product.disponible) score += AVAILABLE_BONUS;
+    const result = { ...product, _score: Math.round(score * 1000) / 1000 };
+    if (options.debug) result._explain = entry.explain.sort((a, b) => b.points - a.points);
+    return result;
   });
 
   const results = scored
-    .filter(p => p._score > 0)
     .sort((a, b) => b._score - a._score)
     .slice(0, maxResults);
 
-  console.log(`[SEARCH] "${message}" → ${keywords.length} keywords → ${results.length} productos encontrados`);
+  const filterNote = allowed
+    ? ` [filtros: ${describeFilters(filters)} → ${allowed.size}${filteredOut.length ? `, sin "${filteredOut.join('", "')}"` : ''}]`
+    : '';
+  console.log(`[SEARCH] "${message}" → ${keywords.length} keywords${fuzzy.size ? ` (${fuzzy.size} corregidas)` : ''}${filterNote} → ${results.length} productos encontrados`);
+  if (options.debug) results.forEach(p => console.log(`[SEARCH] 🧮 ${explainScore(p)}`));
+
+  // Con filtros y sin palabras que rankeen: todo lo que cumple, del más barato
+  // al más caro (disponibles primero)
+  if (results.length === 0 && allowed) {
+    const matching = [...allowed].map(docId => withStock(catalogo[docId]))
+      .sort((a, b) => (b.disponible - a.disponible) || ((productPrice(a, filters.plan) || 0) - (productPrice(b, filters.plan) || 0)));
+    return {
+      keywords,
+      corrections: Object.fromEntries(fuzzy),
+      filters,
+      filteredOut,
+      products: matching.slice(0, maxResults),
+      totalFound: matching.length,
+      strategy: 'filter',
+    };
+  }
+
+  // Nada coincide: mejor las referencias destacadas que una lista vacía
+  if (results.length === 0) {
+    return {
+      keywords,
+      corrections: Object.fromEntries(fuzzy),
+      filters,
+      filteredOut,
+      products: getHighlightProducts(),
+      totalFound: 0,
+      strategy: 'highlights',
+    };
+  }
 
   return {
     keywords,
+    corrections: Object.fromEntries(fuzzy),
+    filters,
+    filteredOut,
     products: results,
-    totalFound: scored.filter(p => p._score > 0).length,
+    totalFound: scored.length,
     strategy: 'search',
   };
 }
 
+// Palabras del cliente que sí están en el catálogo pero en ningún producto que
+// pase los filtros: "retay fume" con RETAY sin acabado fume → ['retay'].
+// Los sinónimos no cuentan: solo lo que el cliente escribió (o su corrección).
+function wordsFilteredOut(terms, allowed) {
+  const byWord = new Map();  // palabra del cliente → ¿algún término suyo pasa los filtros?
+  for (const [term, q] of terms) {
+    if (q.origin !== 'directo' && q.origin !== 'corrección') continue;
+    const postings = indice.terms.get(term);
+    if (!postings) continue;
+    const passes = [...postings.keys()].some(docId => allowed.has(docId));
+    byWord.set(q.from, byWord.get(q.from) || passes);
+  }
+  return [...byWord].filter(([, passes]) => !passes).map(([word]) => word);
+}
+
+// "RETAY G17 = 7.41 | g17 (directo) 5.2 [titulo×1 modelo×1] | pistola (sinónimo de arma) 0.9 [descripcion×1] | stock +0.1"
+function explainScore(product) {
+  const parts = (product._explain || []).map(e => {
+    const origin = e.origin === 'directo' ? 'directo' : `${e.origin} de ${e.from}`;
+    const fields = Object.entries(e.fields).map(([f, n]) => `${f}×${n}`).join(' ');
+    return `${e.term} (${origin}, idf ${e.idf.toFixed(2)}) ${e.points.toFixed(2)} [${fields}]`;
+  });
+  if (product.disponible) parts.push(`stock +${AVAILABLE_BONUS}`);
+  return `${product.titulo} = ${product._score} | ${parts.join(' | ')}`;
+}
+
 // ============================================
 // PRODUCTOS DESTACADOS
 // ============================================
@@ -189,7 +685,7 @@ function getHighlightProducts() {
   const marcas = ['RETAY', 'EKOL', 'BLOW'];
   const highlights = [];
   marcas.forEach(marca => {
-    const inMarca = catalogo.filter(p => p.categoria === marca && p.disponible);
+    const inMarca = catalogo.map(withStock).filter(p => p.categoria === marca && p.disponible);
     if (inMarca.length > 0) highlights.push(inMarca[0]);
   });
   return highlights;
@@ -199,16 +695,28 @@ function getHighlightProducts() {
 // FORMATEAR PARA EL PROMPT DE CLAUDE
 // ============================================
 function formatForPrompt(searchResult) {
-  const { products, totalFound, strategy, keywords } = searchResult;
+  const { products, totalFound, strategy, filters, filteredOut = [] } = searchResult;
+  const filtros = hasFilters(filters) ? describeFilters(filters) : '';
+  const sinFiltro = filteredOut.length
+    ? `OJO: "${filteredOut.join('", "')}" sí está en el catálogo, pero no con ${filtros}. ` +
+      'Dile al cliente que esa referencia no viene así antes de ofrecerle las alternativas.\n'
+    : '';
 
   if (products.length === 0) {
+    if (filtros) {
+      return `FILTROS APLICADOS: ${filtros}\n\n${sinFiltro}Ninguna referencia del catálogo cumple esas condiciones. ` +
+        'Díselo al cliente con claridad y ofrécele la opción más cercana (otro color, otro plan o el precio más bajo disponible).';
+    }
     return 'No se encontraron productos que coincidan con la búsqueda del cliente.';
   }
 
   let text = '';
+  if (filtros) text += `FILTROS APLICADOS (pedidos por el cliente): ${filtros}\n${sinFiltro}\n`;
 
   if (strategy === 'highlights') {
     text += 'REFERENCIAS DESTACADAS DEL CATÁLOGO:\n\n';
+  } else if (strategy === 'filter') {
+    text += `REFERENCIAS QUE CUMPLEN LOS FILTROS (${products.length} de ${totalFound}):\n\n`;
   } else {
     text += `REFERENCIAS RELEVANTES (${products.length} de ${totalFound} coincidencias):\n\n`;
   }
@@ -216,10 +724,19 @@ function formatForPrompt(searchResult) {
   products.forEach((p, i) => {
     text += `${i + 1}. ${p.titulo}\n`;
     text += `   Marca: ${p.marca || p.categoria} | Modelo: ${p.modelo || '-'}\n`;
-    text += `   Color(es): ${p.color || '-'}\n`;
+    if (p.variantes) {
+      const colores = p.variantes.map(v => {
+        if (!v.counted) return `${v.color}: ${p.catalogDisponible ? 'disponible' : 'AGOTADO'}`;
+        if (v.soldOut) return `${v.color}: AGOTADO`;
+        return `${v.color}: ${v.lowStock ? 'últimas unidades' : 'disponible'}`;
+      });
+      text += `   Disponibilidad por color: ${colores.join(' | ')}\n`;
+    } else {
+      text += `   Color(es): ${p.color || '-'}\n`;
+    }
     text += `   Precio Plan Plus: ${p.precio_plus || 'Consultar'}\n`;
     text += `   Precio Plan Pro: ${p.precio_pro || 'No disponible en Plan Pro'}\n`;
-    text += `   Disponible: ${p.disponible ? 'Sí' : 'No'}\n`;
+    text += `   Disponible: ${p.disponible ? 'Sí' : 'No (agotado en todos los colores)'}\n`;
     if (p.url) {
       text += `   🔗 Link del producto: ${p.url}\n`;
     }
@@ -232,6 +749,10 @@ function formatForPrompt(searchResult) {
     text += '\n';
   });
 
+  if (products.some(p => (p.variantes || []).some(v => v.soldOut))) {
+    text += 'IMPORTANTE: NO ofrezcas ni prometas los colores marcados AGOTADO. Ofrece los colores disponibles del mismo modelo o una referencia similar.\n';
+  }
+
   if (totalFound > products.length) {
     text += `\nNOTA: Hay ${totalFound - products.length} referencias más disponibles. `;
     text += 'Si el cliente quiere ver más opciones, indícale que puede preguntar por marca o características.\n';
@@ -265,9 +786,13 @@ function getCatalogSummary() {
 // EXPORTAR
 // ============================================
 module.exports = {
+  CATALOG_PATH,
   loadCatalog,
   searchProducts,
   formatForPrompt,
   getCatalogSummary,
   extractKeywords,
+  explainScore,
+  parseFilters,
+  describeFilters,
 };
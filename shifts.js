@@ -0,0 +1,133 @@
+// ============================================
+// shifts.js - Horarios de los asesores (hora Colombia)
+// ============================================
+// Cada asesor tiene turnos semanales en employee_shifts:
+//   weekday (0 = domingo … 6 = sábado), start_time / end_time 'HH:MM'.
+// Colombia no tiene horario de verano: la hora local es UTC-5 fija.
+//
+// Un asesor SIN turnos configurados se considera siempre disponible
+// (comportamiento de antes de los horarios).
+
+const COLOMBIA_OFFSET_MS = 5 * 3600 * 1000;
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const WEEKDAY_SHORT = ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab'];
+
+// Día de la semana y minuto del día en Colombia
+function bogotaClock(date = new Date()) {
+  const local = new Date(date.getTime() - COLOMBIA_OFFSET_MS);
+  return { weekday: local.getUTCDay(), minutes: local.getUTCHours() * 60 + local.getUTCMinutes() };
+}
+
+function toMinutes(hhmm) {
+  const m = String(hhmm || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || parseInt(m[2]) > 59) return null;
+  const minutes = parseInt(m[1]) * 60 + parseInt(m[2]);
+  return minutes >= 0 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// ¿El turno cubre ese momento? (un turno 22:00-06:00 cruza la medianoche)
+function shiftCovers(shift, { weekday, minutes }) {
+  const start = toMinutes(shift.start_time);
+  const end = toMinutes(shift.end_time);
+  if (start === null || end === null) return false;
+  if (start < end) return shift.weekday === weekday && minutes >= start && minutes < end;
+  if (shift.weekday === weekday) return minutes >= start;
+  return (shift.weekday + 1) % 7 === weekday && minutes < end;
+}
+
+function isOnShift(shifts = [], date = new Date()) {
+  if (shifts.length === 0) return true;
+  const clock = bogotaClock(date);
+  return shifts.some(s => shiftCovers(s, clock));
+}
+
+// Próximo inicio de turno (Date) entre todos los turnos dados; null si no hay
+function nextShiftStart(shifts = [], date = new Date()) {
+  if (shifts.length === 0) return null;
+  const { weekday, minutes } = bogotaClock(date);
+  let best = null;
+  for (const s of shifts) {
+    const start = toMinutes(s.start_time);
+    if (start === null) continue;
+    let daysAhead = (s.weekday - weekday + 7) % 7;
+    if (daysAhead === 0 && start <= minutes) daysAhead = 7;
+    const diff = daysAhead * 24 * 60 + start - minutes;
+    if (best === null || diff < best) best = diff;
+  }
+  if (best === null) return null;
+  const exact = new Date(date.getTime() + best * 60 * 1000);
+  exact.setUTCSeconds(0, 0);
+  return exact;
+}
+
+function formatHour(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  const suffix = h < 12 ? 'a. m.' : 'p. m.';
+  const h12 = h % 12 === 0 ? 12 : h % 12;
+  return `${h12}:${String(m).padStart(2, '0')} ${suffix}`;
+}
+
+// "hoy a las 8:00 a. m." / "mañana a las 8:00 a. m." / "el lunes a las 8:00 a. m."
+function describeWhen(target, now = new Date()) {
+  const localDay = d => Math.floor((d.getTime() - COLOMBIA_OFFSET_MS) / 86400000);
+  const daysAhead = localDay(target) - localDay(now);
+  const { weekday, minutes } = bogotaClock(target);
+  const hour = formatHour(minutes);
+  if (daysAhead === 0) return `hoy a las ${hour}`;
+  if (daysAhead === 1) return `mañana a las ${hour}`;
+  return `el ${WEEKDAYS[weekday]} a las ${hour}`;
+}
+
+// ============================================
+// TEXTO ↔ TURNOS (para el panel)
+// ============================================
+// "lun-vie 08:00-18:00; sab 09:00-13:00" ⇄ [{ weekday, start_time, end_time }, ...]
+function parseScheduleText(text) {
+  const shifts = [];
+  const parts = String(text || '').split(/[;\n]/).map(p => p.trim()).filter(Boolean);
+  for (const part of parts) {
+    const m = part.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .match(/^([a-z]{3})[a-z]*(?:\s*-\s*([a-z]{3})[a-z]*)?\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+    if (!m) throw new Error(`Turno inválido: "${part}" (ej. "lun-vie 08:00-18:00")`);
+    const from = WEEKDAY_SHORT.indexOf(m[1]);
+    const to = m[2] ? WEEKDAY_SHORT.indexOf(m[2]) : from;
+    if (from === -1 || to === -1) throw new Error(`Día inválido en "${part}" (usa lun, mar, mie, jue, vie, sab, dom)`);
+    if (toMinutes(m[3]) === null || toMinutes(m[4]) === null || m[3] === m[4]) throw new Error(`Horas inválidas en "${part}"`);
+    const pad = t => t.padStart(5, '0');
+    for (let d = from; ; d = (d + 1) % 7) {
+      shifts.push({ weekday: d, start_time: pad(m[3]), end_time: pad(m[4]) });
+      if (d === to) break;
+    }
+  }
+  return shifts;
+}
+
+// Días seguidos con el mismo horario se agrupan: "lun-vie 08:00-18:00"
+function formatSchedule(shifts = []) {
+  const order = d => (d + 6) % 7; // lunes primero
+  const sorted = [...shifts].sort((a, b) => a.start_time.localeCompare(b.start_time) || a.end_time.localeCompare(b.end_time) || order(a.weekday) - order(b.weekday));
+  const groups = [];
+  for (const s of sorted) {
+    const last = groups[groups.length - 1];
+    if (last && last.start_time === s.start_time && last.end_time === s.end_time && order(s.weekday) === order(last.to) + 1) {
+      last.to = s.weekday;
+    } else {
+      groups.push({ from: s.weekday, to: s.weekday, start_time: s.start_time, end_time: s.end_time });
+    }
+  }
+  return groups
+    .sort((a, b) => order(a.from) - order(b.from))
+    .map(g => `${WEEKDAY_SHORT[g.from]}${g.to !== g.from ? '-' + WEEKDAY_SHORT[g.to] : ''} ${g.start_time}-${g.end_time}`)
+    .join('; ');
+}
+
+module.exports = {
+  WEEKDAYS,
+  bogotaClock,
+  isOnShift,
+  nextShiftStart,
+  describeWhen,
+  parseScheduleText,
+  formatSchedule,
+};
@@ -2,6 +2,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { backupFile } = require('./backup');
 
 // Inicializar Gemini
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -28,10 +29,10 @@ async function updateInventory() {
     }
 
     try {
-        const backupPath = path.join(__dirname, `catalogo_contexto_backup_${Date.now()}.json`);
         if (fs.existsSync(CATALOG_PATH)) {
             console.log('💾 Creando backup del catálogo actual...');
-            fs.copyFileSync(CATALOG_PATH, backupPath);
+            const backupPath = backupFile(CATALOG_PATH, 'catalogo');
+            console.log(`   → ${path.relative(__dirname, backupPath)}`);
         }
 
         const imagePart = fileToGenerativePart(IMAGE_PATH, "image/png");